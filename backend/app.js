@@ -0,0 +1,203 @@
+// The Express app, without a database connection or a listening socket;
+// server.js starts those. Tests require this module directly.
+const express = require("express");
+const cors = require("cors");
+const helmet = require("helmet");
+const rateLimit = require("express-rate-limit");
+const session = require("express-session");
+const path = require("path");
+const alertsRoutes = require("./routes/alerts");
+const analysisRoutes = require("./routes/analysis");
+const annotationsRoutes = require("./routes/annotations");
+const authRoutes = require("./routes/auth");
+const backupRoutes = require("./routes/backup");
+const contactRoutes = require("./routes/contact");
+const instagramApiRoutes = require("./routes/instagram-api");
+const jobsRoutes = require("./routes/jobs");
+const sessionsRoutes = require("./routes/sessions");
+const tokensRoutes = require("./routes/tokens");
+const uploadRoutes = require("./routes/upload");
+const { database } = require("./models/database");
+const openapi = require("./openapi");
+
+const app = express();
+app.set("trust proxy", 1);
+
+app.use(
+  session({
+    // Login sessions live in the user_sessions table of whichever database is configured
+    store: database.createSessionStore(session),
+    name: "igfa.sid",
+    secret: process.env.SESSION_SECRET || "change-me-in-production",
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      secure: process.env.COOKIE_SECURE === "true",
+      sameSite: "lax",
+      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    },
+  })
+);
+
+// Security middleware
+app.use(
+  helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: [
+          "'self'",
+          "'unsafe-inline'",
+          "'unsafe-eval'",
+          "https://cdn.tailwindcss.com",
+          "https://pagead2.googlesyndication.com",
+          "https://*.googlesyndication.com",
+          "https://googleads.g.doubleclick.net",
+          "https://*.doubleclick.net",
+          "https://www.googletagservices.com",
+          "https://www.googletagmanager.com",
+          "https://www.google-analytics.com",
+          "https://www.google.com",
+          "https://*.adtrafficquality.google",
+        ],
+        scriptSrcElem: [
+          "'self'",
+          "'unsafe-inline'",
+          "https://cdn.tailwindcss.com",
+          "https://pagead2.googlesyndication.com",
+          "https://*.googlesyndication.com",
+          "https://googleads.g.doubleclick.net",
+          "https://*.doubleclick.net",
+          "https://www.googletagservices.com",
+          "https://www.googletagmanager.com",
+          "https://www.google-analytics.com",
+          "https://www.google.com",
+          "https://*.adtrafficquality.google",
+        ],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+        fontSrc: ["'self'", "https://fonts.gstatic.com"],
+        imgSrc: ["'self'", "data:", "https:"],
+        frameSrc: [
+          "'self'",
+          "https://www.youtube.com",
+          "https://youtube.com",
+          "https://www.youtube-nocookie.com",
+          "https://googleads.g.doubleclick.net",
+          "https://*.doubleclick.net",
+          "https://tpc.googlesyndication.com",
+          "https://*.googlesyndication.com",
+          "https://www.google.com",
+          "https://*.adtrafficquality.google",
+        ],
+        connectSrc: [
+          "'self'",
+          "https://pagead2.googlesyndication.com",
+          "https://*.googlesyndication.com",
+          "https://googleads.g.doubleclick.net",
+          "https://*.doubleclick.net",
+          "https://www.google-analytics.com",
+          "https://*.google-analytics.com",
+          "https://*.analytics.google.com",
+          "https://*.googletagmanager.com",
+          "https://*.adtrafficquality.google",
+          "https://www.google.com",
+        ],
+      },
+    },
+    referrerPolicy: { policy: "strict-origin-when-cross-origin" },
+  })
+);
+app.use(
+  cors({
+    origin:
+      process.env.NODE_ENV === "production"
+        ? [process.env.APP_URL || "https://instagram-follower-analyzer.onrender.com", "http://localhost:5000", "http://localhost"]
+        : ["http://localhost:3000"],
+    credentials: true,
+  })
+);
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: "Too many requests from this IP, please try again later.",
+  // A 1GB export is sent as ~128 chunk requests; those are authenticated and size-capped
+  skip: (req) => req.method === "PUT" && req.path.startsWith("/api/upload/chunked/"),
+});
+app.use(limiter);
+
+// Body parsing middleware
+app.use(express.json({ limit: "1gb" }));
+app.use(express.urlencoded({ limit: "1gb", extended: true }));
+
+// Check requests and responses against the OpenAPI document while developing
+// (ajv is a dev dependency)
+if (process.env.NODE_ENV !== "production" && process.env.OPENAPI_VALIDATION !== "false") {
+  app.use(require("./middleware/validateOpenApi")());
+}
+
+// Routes
+app.use("/api/alerts", alertsRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/backup", backupRoutes);
+app.use("/api/analysis", analysisRoutes);
+app.use("/api/annotations", annotationsRoutes);
+app.use("/api/contact", contactRoutes);
+app.use("/api/instagram", instagramApiRoutes);
+app.use("/api/jobs", jobsRoutes);
+app.use("/api/sessions", sessionsRoutes);
+app.use("/api/tokens", tokensRoutes);
+app.use("/api/upload", uploadRoutes);
+
+// Health check
+app.get("/api/health", (req, res) => {
+  res.json({ status: "OK", timestamp: new Date().toISOString() });
+});
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openapi);
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error("Error:", error);
+
+  // Handle express-rate-limit validation error when X-Forwarded-For is present
+  // but 'trust proxy' is not configured (older versions throw this validation error).
+  if (error && error.code === "ERR_ERL_UNEXPECTED_X_FORWARDED_FOR") {
+    return res.status(400).json({
+      error: "Invalid proxy configuration",
+      message:
+        "The server received an X-Forwarded-For header but 'trust proxy' is not enabled. This usually happens when running behind a reverse proxy (nginx/Docker). The server has been configured to trust the proxy. If you still see this error, check your proxy headers.",
+    });
+  }
+
+  res.status(500).json({
+    error: "Internal Server Error",
+    message:
+      process.env.NODE_ENV === "development"
+        ? error.message
+        : "Something went wrong",
+  });
+});
+
+// Serve static files from public directory (React build)
+if (process.env.NODE_ENV === "production") {
+  app.use(express.static(path.join(__dirname, "public")));
+
+  // Handle React routing - serve index.html for all non-API routes
+  app.get("*", (req, res) => {
+    if (!req.path.startsWith("/api")) {
+      res.sendFile(path.join(__dirname, "public", "index.html"));
+    }
+  });
+}
+
+// 404 handler
+app.use("*", (req, res) => {
+  res.status(404).json({ error: "Route not found" });
+});
+
+module.exports = app;
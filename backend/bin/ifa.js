@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Command-line analyzer for Instagram export ZIPs, using the same parser as
+ * the upload worker so results match what the web app shows.
+ *
+ *   ifa analyze export.zip [--json] [--report] [--out analysis.json] [--push https://server]
+ *   ifa diff old.zip new.zip [--json] [--out diff.json]
+ *   ifa export export.zip [--format csv|json|xlsx] [--lists a,b] [--columns a,b] [--out file] [--server https://server]
+ */
+const fs = require("fs").promises;
+const { parseArgs } = require("util");
+const { v4: uuidv4 } = require("uuid");
+const { buildAnalysis, compareAnalyses, extractUsername, extractTimestamp } = require("instagram-export-parser");
+const { parseInstagramExport } = require("../utils/exportParser");
+const {
+  EXPORT_LISTS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  USER_LISTS,
+  formatExport,
+} = require("../utils/exporter");
+
+const USAGE = `Usage: ifa <command> [options]
+
+Commands:
+  analyze <export.zip>          Print a summary of an export
+  diff <old.zip> <new.zip>      Show follower and following changes between two exports
+  export <export.zip>           Write the relationship lists as CSV, JSON or XLSX
+
+Options:
+  --json                 Print the full result as JSON instead of a summary
+  --report               Also list how each file in the export was parsed (analyze only)
+  --out <file>           Write the result to a file
+  --format <format>      Export format: ${Object.keys(EXPORT_FORMATS).join(", ")} (default: csv)
+  --lists <a,b>          Lists to export (default: ${USER_LISTS.join(",")})
+  --columns <a,b>        Columns to export (default: ${DEFAULT_COLUMNS.join(",")})
+  --push <url>           Save the analysis to a server (analyze only)
+  --server <url>         Read notes and tags from a server, for the note and tags columns (export only)
+  --token <token>        Personal access token for --push and --server (default: $IFA_TOKEN)
+  --verbose              Log parser progress to stderr
+  --help                 Show this help`;
+
+// Annotations live on the server, so these columns need --server
+const ANNOTATION_COLUMNS = ["note", "tags"];
+// The largest page GET /api/annotations returns
+const ANNOTATION_PAGE_SIZE = 100;
+
+class UsageError extends Error {}
+
+const print = (text = "") => process.stdout.write(`${text}\n`);
+
+const toDate = (timestamp) => (timestamp ? new Date(timestamp * 1000) : null);
+
+async function loadExport(zipPath, verbose) {
+  try {
+    await fs.access(zipPath);
+  } catch {
+    throw new Error(`Cannot read ${zipPath}`);
+  }
+  // Parser output goes to stderr, keeping stdout for results
+  const log = verbose ? (message) => console.error(`${zipPath}: ${message}`) : () => {};
+  return parseInstagramExport(zipPath, log, log);
+}
+
+async function writeOutput(out, body) {
+  await fs.writeFile(out, body);
+  console.error(`Wrote ${out}`);
+}
+
+function printSummary(summary) {
+  const rows = [
+    ["Followers", summary.totalFollowers],
+    ["Following", summary.totalFollowing],
+    ["Mutual", summary.mutualCount],
+    ["Followers only", summary.followersOnlyCount],
+    ["Not following back", summary.followingOnlyCount],
+    ["Pending requests", summary.pendingRequestsCount],
+    ["Recently unfollowed", summary.unfollowedCount],
+    ["Deleted accounts skipped", summary.deletedFollowersCount + summary.deletedFollowingCount],
+  ];
+  const width = Math.max(...rows.map(([label]) => label.length));
+  for (const [label, value] of rows) print(`${label.padEnd(width)}  ${value}`);
+}
+
+// Files that were read, or that look like relationship data; ignored files are only counted
+function printReport(report, write = print) {
+  const files = report.files.filter((f) => f.status !== "ignored");
+  const width = Math.max(0, ...files.map((f) => f.name.length));
+  for (const file of files) {
+    const detail = file.handler ? `${file.handler}: ${file.records} records, ${file.rejected} rejected` : file.message || "";
+    write(`${file.name.padEnd(width)}  ${file.status.padEnd(12)}  ${detail}`);
+    for (const sample of file.samples) write(`${"".padEnd(width)}  ${"".padEnd(12)}  entry ${sample.index + 1}: ${sample.reason}`);
+  }
+  const ignored = report.files.length - files.length + report.omittedFiles;
+  if (ignored) write(`${ignored} other ${ignored === 1 ? "file" : "files"} ignored`);
+}
+
+async function apiRequest(server, token, path, { method = "GET", payload, failure }) {
+  const response = await fetch(`${server.replace(/\/+$/, "")}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(payload !== undefined && { "Content-Type": "application/json" }),
+    },
+    body: payload === undefined ? undefined : JSON.stringify(payload),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`${failure} (${response.status}): ${body.error || response.statusText}`);
+  return body;
+}
+
+async function pushAnalysis(server, token, analysis) {
+  if (!token) throw new UsageError("--push needs a personal access token (--token or $IFA_TOKEN)");
+
+  const sessionId = uuidv4();
+  await apiRequest(server, token, "/api/analysis", {
+    method: "POST",
+    payload: { sessionId, ...analysis },
+    failure: "Server rejected the analysis",
+  });
+  return sessionId;
+}
+
+// Every note and tag list the token's user has saved, keyed by username
+async function fetchAnnotations(server, token) {
+  const annotations = {};
+  for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+    const body = await apiRequest(server, token, `/api/annotations?page=${page}&limit=${ANNOTATION_PAGE_SIZE}`, {
+      failure: "Server refused to list annotations",
+    });
+    for (const { username, note, tags } of body.annotations) annotations[username] = { note, tags };
+    totalPages = body.pagination.totalPages;
+  }
+  return annotations;
+}
+
+async function analyze(args, options) {
+  if (args.length !== 1) throw new UsageError("analyze takes one export ZIP");
+
+  const data = await loadExport(args[0], options.verbose);
+  const analysis = { ...buildAnalysis(data), exportReport: data.exportReport };
+  if (options.json) print(JSON.stringify(analysis, null, 2));
+  else printSummary(analysis.summary);
+  if (options.report && !options.json) {
+    print();
+    printReport(analysis.exportReport);
+  }
+  if (options.out) await writeOutput(options.out, JSON.stringify(analysis, null, 2));
+
+  if (options.push) {
+    const sessionId = await pushAnalysis(options.push, options.token || process.env.IFA_TOKEN, analysis);
+    console.error(`Saved analysis ${sessionId} to ${options.push}`);
+  }
+}
+
+async function diff(args, options) {
+  if (args.length !== 2) throw new UsageError("diff takes two export ZIPs: the older one first");
+
+  const older = buildAnalysis(await loadExport(args[0], options.verbose));
+  const newer = buildAnalysis(await loadExport(args[1], options.verbose));
+  const result = compareAnalyses(older, newer);
+
+  if (options.json) {
+    print(JSON.stringify(result, null, 2));
+  } else {
+    const sections = [
+      ["New followers", result.diff.newFollowers],
+      ["Lost followers", result.diff.lostFollowers],
+      ["Newly following", result.diff.newFollowing],
+      ["No longer following", result.diff.removedFollowing],
+    ];
+    for (const [label, users] of sections) {
+      print(`${label}: ${users.length}`);
+      for (const user of users) print(`  ${user.username}`);
+    }
+  }
+  if (options.out) await writeOutput(options.out, JSON.stringify(result, null, 2));
+}
+
+// Builds the same rows GET /api/analysis/:sessionId/export serialises
+function exportRows(processedData, analysis, lists) {
+  const followedYouAt = new Map(processedData.followers.map((f) => [extractUsername(f), extractTimestamp(f)]));
+  const youFollowedAt = new Map(processedData.following.map((f) => [extractUsername(f), extractTimestamp(f)]));
+  const profileUrl = (username, url) => url || `https://www.instagram.com/${username}/`;
+
+  const categories = { mutual: analysis.mutual, followers_only: analysis.followersOnly, following_only: analysis.followingOnly };
+  const rows = [];
+  for (const list of lists) {
+    if (categories[list]) {
+      for (const user of categories[list]) {
+        rows.push({
+          username: user.username,
+          list,
+          profileUrl: profileUrl(user.username, user.href),
+          followedYouAt: toDate(followedYouAt.get(user.username)),
+          youFollowedAt: toDate(youFollowedAt.get(user.username)),
+        });
+      }
+    } else if (list === "pending_requests") {
+      for (const request of analysis.pendingRequests) {
+        rows.push({
+          username: request.username,
+          list,
+          profileUrl: profileUrl(request.username, request.profileUrl),
+          listDate: request.requestDate,
+        });
+      }
+    } else if (list === "unfollowed") {
+      for (const profile of analysis.unfollowedProfiles) {
+        rows.push({
+          username: profile.username,
+          list,
+          profileUrl: profileUrl(profile.username, profile.href),
+          listDate: toDate(profile.timestamp),
+        });
+      }
+    } else {
+      for (const profile of analysis.relationshipProfiles.filter((p) => p.listType === list)) {
+        rows.push({
+          username: profile.username,
+          list,
+          profileUrl: profileUrl(profile.username, profile.profileUrl),
+          displayName: profile.displayName,
+          listDate: toDate(profile.timestamp),
+        });
+      }
+    }
+  }
+  return rows.sort((a, b) => a.list.localeCompare(b.list) || a.username.localeCompare(b.username));
+}
+
+async function exportLists(args, options) {
+  if (args.length !== 1) throw new UsageError("export takes one export ZIP");
+
+  const format = options.format || "csv";
+  const lists = options.lists ? options.lists.split(",") : USER_LISTS;
+  const columns = options.columns ? options.columns.split(",") : DEFAULT_COLUMNS;
+  if (!EXPORT_FORMATS[format]) {
+    throw new UsageError(`Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+  if (!lists.every((l) => EXPORT_LISTS.includes(l))) {
+    throw new UsageError(`Invalid list selection. Lists: ${EXPORT_LISTS.join(", ")}`);
+  }
+  if (!columns.every((c) => EXPORT_COLUMNS[c])) {
+    throw new UsageError(`Invalid column selection. Columns: ${Object.keys(EXPORT_COLUMNS).join(", ")}`);
+  }
+  const annotated = columns.some((c) => ANNOTATION_COLUMNS.includes(c));
+  const token = options.token || process.env.IFA_TOKEN;
+  if (annotated && !options.server) throw new UsageError("The note and tags columns need --server");
+  if (annotated && !token) throw new UsageError("--server needs a personal access token (--token or $IFA_TOKEN)");
+  if (format === "xlsx" && !options.out) throw new UsageError("xlsx exports need --out");
+
+  const processedData = await loadExport(args[0], options.verbose);
+  const rows = exportRows(processedData, buildAnalysis(processedData), lists);
+  if (annotated) {
+    const annotations = await fetchAnnotations(options.server, token);
+    for (const row of rows) Object.assign(row, annotations[row.username]);
+  }
+  const { body } = await formatExport(rows, { format, columns });
+  if (options.out) await writeOutput(options.out, body);
+  else process.stdout.write(format === "json" ? `${body}\n` : body);
+}
+
+const COMMANDS = { analyze, diff, export: exportLists };
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean" },
+      report: { type: "boolean" },
+      out: { type: "string" },
+      format: { type: "string" },
+      lists: { type: "string" },
+      columns: { type: "string" },
+      push: { type: "string" },
+      server: { type: "string" },
+      token: { type: "string" },
+      verbose: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    print(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command: ${command}`);
+  await COMMANDS[command](args, values);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+  if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+    console.error(`ifa: ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  console.error(`ifa: ${error.message}`);
+  // Exports without usable data come with a report of what was found instead
+  if (error.report) {
+    console.error();
+    printReport(error.report, console.error);
+  }
+  process.exit(1);
+});
@@ -1,8 +1,16 @@
-function requireAuth(req, res, next) {
-  if (!req.session?.userId) {
-    return res.status(401).json({ error: "Authentication required" });
+const { authenticateRequest } = require("../utils/apiTokens");
+
+// Accepts a logged-in browser session or a personal access token
+async function requireAuth(req, res, next) {
+  try {
+    const failure = await authenticateRequest(req);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 }
 
 module.exports = requireAuth;
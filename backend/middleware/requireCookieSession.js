@@ -0,0 +1,11 @@
+// Account management stays limited to logged-in browser sessions; personal
+// access tokens are rejected here even though requireAuth accepts them
+function requireCookieSession(req, res, next) {
+  if (!req.session?.userId) {
+    return res.status(401).json({ error: "Sign in to manage your account" });
+  }
+  req.userId = req.session.userId;
+  next();
+}
+
+module.exports = requireCookieSession;
@@ -1,12 +1,14 @@
 const { database } = require("../models/database");
+const { authenticateRequest } = require("../utils/apiTokens");
 
 async function requireSessionOwner(req, res, next) {
   try {
     const sessionId = req.params.sessionId || req.query.a;
-    if (!req.session?.userId) {
-      return res.status(401).json({ error: "Authentication required" });
+    const failure = await authenticateRequest(req);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
     }
-    if (!sessionId || !(await database.isSessionOwner(sessionId, req.session.userId))) {
+    if (!sessionId || !(await database.isSessionOwner(sessionId, req.userId))) {
       return res.status(404).json({ error: "Analysis session not found" });
     }
     next();
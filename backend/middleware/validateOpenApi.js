@@ -0,0 +1,148 @@
+const Ajv = require("ajv");
+const openapi = require("../openapi");
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+const LOCATIONS = ["path", "query", "header"];
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Component refs (#/components/...) resolve against the document root
+const compile = (ajv, schema) => ajv.compile({ ...schema, components: openapi.components });
+
+const resolve = (node) =>
+  node && node.$ref ? node.$ref.split("/").slice(1).reduce((acc, key) => acc[key], openapi) : node;
+
+function compileOperation(template, method, operation, ajv, paramAjv) {
+  const segments = template.split("/");
+  const parameters = operation.parameters || [];
+
+  const paramValidators = {};
+  for (const location of LOCATIONS) {
+    const list = parameters.filter((p) => p.in === location);
+    if (list.length === 0) continue;
+    // Header names are case-insensitive and Node lowercases them
+    const key = (p) => (location === "header" ? p.name.toLowerCase() : p.name);
+    paramValidators[location] = compile(paramAjv, {
+      type: "object",
+      required: list.filter((p) => p.required).map(key),
+      properties: Object.fromEntries(list.map((p) => [key(p), p.schema])),
+    });
+  }
+
+  const bodySchema = operation.requestBody?.content?.["application/json"]?.schema;
+  const responses = {};
+  for (const [status, response] of Object.entries(operation.responses)) {
+    const schema = resolve(response).content?.["application/json"]?.schema;
+    responses[status] = schema ? compile(ajv, schema) : null;
+  }
+
+  return {
+    method,
+    template,
+    operationId: operation.operationId,
+    pattern: new RegExp(
+      `^${segments.map((s) => (s.startsWith("{") ? "([^/]+)" : escapeRegExp(s))).join("/")}/?$`
+    ),
+    pathParams: segments.filter((s) => s.startsWith("{")).map((s) => s.slice(1, -1)),
+    // Literal segments win over parameters, as they do in the routers
+    rank: segments.map((s) => (s.startsWith("{") ? "1" : "0")).join(""),
+    paramValidators,
+    bodyValidator: bodySchema ? compile(ajv, bodySchema) : null,
+    bodyRequired: !!operation.requestBody?.required,
+    responses,
+  };
+}
+
+const describeErrors = (location, errors) =>
+  errors.map((e) => `${location}${e.instancePath || ""} ${e.message}`.trim());
+
+/**
+ * Development-only middleware that checks every /api request and JSON response
+ * against the OpenAPI document. Requests that don't match are rejected with 400
+ * so drift shows up immediately; response mismatches are logged.
+ */
+function validateOpenApi() {
+  const ajvOptions = { strict: false, allErrors: true, validateFormats: false };
+  const ajv = new Ajv(ajvOptions);
+  // Path, query and header values arrive as strings
+  const paramAjv = new Ajv({ ...ajvOptions, coerceTypes: true });
+
+  const operations = Object.entries(openapi.paths)
+    .flatMap(([template, item]) =>
+      METHODS.filter((m) => item[m]).map((m) => compileOperation(template, m, item[m], ajv, paramAjv))
+    )
+    .sort((a, b) => a.rank.localeCompare(b.rank));
+
+  return (req, res, next) => {
+    if (!req.path.startsWith("/api/")) return next();
+
+    const method = req.method.toLowerCase();
+    let operation = null;
+    let match = null;
+    for (const candidate of operations) {
+      if (candidate.method !== method) continue;
+      match = candidate.pattern.exec(req.path);
+      if (match) {
+        operation = candidate;
+        break;
+      }
+    }
+    if (!operation) {
+      if (method !== "head" && method !== "options") {
+        console.warn(`⚠️  [openapi] ${req.method} ${req.path} is not documented`);
+      }
+      return next();
+    }
+
+    const values = {
+      path: Object.fromEntries(operation.pathParams.map((name, i) => [name, decode(match[i + 1])])),
+      query: { ...req.query },
+      header: { ...req.headers },
+    };
+    const problems = [];
+    for (const [location, validate] of Object.entries(operation.paramValidators)) {
+      if (!validate(values[location])) problems.push(...describeErrors(location, validate.errors));
+    }
+    if (operation.bodyValidator && req.is("application/json")) {
+      if (!operation.bodyValidator(req.body)) problems.push(...describeErrors("body", operation.bodyValidator.errors));
+    } else if (operation.bodyValidator && operation.bodyRequired) {
+      problems.push("body is required and must be application/json");
+    }
+    if (problems.length > 0) {
+      console.warn(`⚠️  [openapi] ${operation.operationId} request rejected:`, problems);
+      return res.status(400).json({
+        error: `Request does not match the API specification: ${problems.join("; ")}`,
+        details: problems,
+      });
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = String(res.statusCode);
+      if (!(status in operation.responses)) {
+        console.warn(`⚠️  [openapi] ${operation.operationId} responded with undocumented status ${status}`);
+      } else {
+        const validate = operation.responses[status];
+        // Validate what the client will receive, e.g. Dates as ISO strings
+        if (validate && !validate(JSON.parse(JSON.stringify(body)))) {
+          console.warn(
+            `⚠️  [openapi] ${operation.operationId} ${status} response does not match the specification:`,
+            describeErrors("response", validate.errors)
+          );
+        }
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = validateOpenApi;
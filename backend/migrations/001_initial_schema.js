@@ -0,0 +1,517 @@
+// Baseline schema: every table as it stood when versioned migrations were
+// introduced. The statements are idempotent so databases created by the old
+// boot-time DDL can adopt this migration without losing data.
+
+// SQLite column default matching the ISO 8601 timestamps the app writes
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+const TABLES = [
+  "api_tokens",
+  "jobs",
+  "chunked_uploads",
+  "alerts",
+  "alert_rules",
+  "interactions",
+  "relationship_profiles",
+  "unfollowed_profiles",
+  "pending_requests",
+  "follower_events",
+  "users",
+  "user_annotations",
+  "instagram_tokens",
+  "analysis_sessions",
+  "password_reset_tokens",
+  "email_otps",
+  "app_users",
+  "user_sessions",
+];
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      sid TEXT PRIMARY KEY NOT NULL,
+      sess json NOT NULL,
+      expire timestamp(6) NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_expire ON user_sessions(expire);
+
+    CREATE TABLE IF NOT EXISTS app_users (
+      id SERIAL PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      digest_opt_in BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS email_otps (
+      id SERIAL PRIMARY KEY,
+      email TEXT NOT NULL,
+      otp_hash TEXT NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_email_otps_email ON email_otps(email, expires_at);
+
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES app_users(id),
+      token_hash TEXT NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS analysis_sessions (
+      id TEXT PRIMARY KEY,
+      created_at TIMESTAMP DEFAULT NOW(),
+      followers_count INTEGER,
+      following_count INTEGER,
+      mutual_count INTEGER,
+      followers_only_count INTEGER,
+      following_only_count INTEGER,
+      processed_at TIMESTAMP,
+      name TEXT,
+      user_id INTEGER REFERENCES app_users(id),
+      export_followers_count INTEGER,
+      export_following_count INTEGER,
+      deleted_followers_count INTEGER DEFAULT 0,
+      deleted_following_count INTEGER DEFAULT 0,
+      export_report JSONB
+    );
+
+    CREATE TABLE IF NOT EXISTS instagram_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES app_users(id) UNIQUE,
+      access_token TEXT NOT NULL,
+      token_type TEXT DEFAULT 'bearer',
+      expires_at TIMESTAMP,
+      instagram_user_id TEXT,
+      instagram_username TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS user_annotations (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES app_users(id),
+      username TEXT NOT NULL,
+      note TEXT,
+      tags TEXT[],
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(user_id, username)
+    );
+    CREATE INDEX IF NOT EXISTS idx_annotations_username ON user_annotations(username);
+
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      session_id TEXT REFERENCES analysis_sessions(id),
+      username TEXT,
+      category TEXT,
+      href TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS follower_events (
+      id SERIAL PRIMARY KEY,
+      session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+      event_timestamp TIMESTAMP NOT NULL,
+      followers_count INTEGER NOT NULL,
+      following_count INTEGER NOT NULL,
+      direction TEXT NOT NULL CHECK (direction IN ('follower', 'following')),
+      username TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(session_id, username, direction)
+    );
+
+    CREATE TABLE IF NOT EXISTS pending_requests (
+      id SERIAL PRIMARY KEY,
+      session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+      username TEXT NOT NULL,
+      profile_url TEXT,
+      request_timestamp BIGINT,
+      status TEXT DEFAULT 'Pending',
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(session_id, username)
+    );
+
+    CREATE TABLE IF NOT EXISTS unfollowed_profiles (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      unfollowed_at TIMESTAMP DEFAULT NOW(),
+      last_seen_category TEXT,
+      profile_url TEXT,
+      source TEXT CHECK(source IN ('detected', 'imported')) DEFAULT 'detected',
+      session_id TEXT REFERENCES analysis_sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS relationship_profiles (
+      id SERIAL PRIMARY KEY,
+      session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+      username TEXT NOT NULL,
+      display_name TEXT,
+      list_type TEXT NOT NULL,
+      profile_url TEXT,
+      fbid TEXT,
+      timestamp BIGINT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(session_id, username, list_type)
+    );
+
+    CREATE TABLE IF NOT EXISTS interactions (
+      id SERIAL PRIMARY KEY,
+      session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+      username TEXT NOT NULL,
+      interaction_type TEXT NOT NULL,
+      interaction_count INTEGER NOT NULL DEFAULT 0,
+      last_interaction_at BIGINT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(session_id, username, interaction_type)
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES app_users(id),
+      rule_type TEXT NOT NULL,
+      params JSONB NOT NULL DEFAULT '{}',
+      enabled BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS alerts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES app_users(id),
+      rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+      session_id TEXT REFERENCES analysis_sessions(id) ON DELETE CASCADE,
+      message TEXT NOT NULL,
+      usernames TEXT[] DEFAULT '{}',
+      read BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS chunked_uploads (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES app_users(id),
+      file_name TEXT NOT NULL,
+      file_size BIGINT NOT NULL,
+      chunk_size INTEGER NOT NULL,
+      fingerprint TEXT NOT NULL,
+      received_bytes BIGINT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER REFERENCES app_users(id),
+      job_type TEXT,
+      payload JSONB DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'error')),
+      messages JSONB NOT NULL DEFAULT '[]',
+      result JSONB,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 1,
+      run_after TIMESTAMP DEFAULT NOW(),
+      locked_by TEXT,
+      locked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES app_users(id),
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      display_prefix TEXT NOT NULL,
+      scopes TEXT[] NOT NULL DEFAULT '{read}',
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_follower_events_session ON follower_events(session_id, event_timestamp);
+    CREATE INDEX IF NOT EXISTS idx_users_session_category ON users(session_id, category);
+    CREATE INDEX IF NOT EXISTS idx_pending_requests_session ON pending_requests(session_id);
+    CREATE INDEX IF NOT EXISTS idx_unfollowed_profiles_session ON unfollowed_profiles(session_id, unfollowed_at);
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+    CREATE INDEX IF NOT EXISTS idx_unfollowed_profiles_username ON unfollowed_profiles(username);
+    CREATE INDEX IF NOT EXISTS idx_analysis_sessions_created_at ON analysis_sessions(created_at);
+    CREATE INDEX IF NOT EXISTS idx_follower_events_created_at ON follower_events(created_at);
+    CREATE INDEX IF NOT EXISTS idx_unfollowed_profiles_unfollowed_at ON unfollowed_profiles(unfollowed_at);
+    CREATE INDEX IF NOT EXISTS idx_users_session_username ON users(session_id, username);
+    CREATE INDEX IF NOT EXISTS idx_follower_events_session_direction ON follower_events(session_id, direction);
+    CREATE INDEX IF NOT EXISTS idx_relationship_profiles_session ON relationship_profiles(session_id, list_type);
+    CREATE INDEX IF NOT EXISTS idx_relationship_profiles_username ON relationship_profiles(username);
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id);
+    CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_chunked_uploads_user ON chunked_uploads(user_id, fingerprint);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_after);
+    CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+    -- Databases created before migrations existed may predate these columns and
+    -- still have annotations from before accounts
+    ALTER TABLE analysis_sessions
+      ADD COLUMN IF NOT EXISTS name TEXT,
+      ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES app_users(id),
+      ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS export_followers_count INTEGER,
+      ADD COLUMN IF NOT EXISTS export_following_count INTEGER,
+      ADD COLUMN IF NOT EXISTS deleted_followers_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS deleted_following_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS export_report JSONB;
+
+    ALTER TABLE app_users
+      ADD COLUMN IF NOT EXISTS digest_opt_in BOOLEAN DEFAULT FALSE;
+
+    ALTER TABLE user_annotations
+      ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES app_users(id);
+
+    DELETE FROM user_annotations WHERE user_id IS NULL;
+    ALTER TABLE user_annotations ALTER COLUMN user_id SET NOT NULL;
+    ALTER TABLE user_annotations DROP CONSTRAINT IF EXISTS user_annotations_username_key;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_annotations_user_username
+      ON user_annotations(user_id, username);
+    CREATE INDEX IF NOT EXISTS idx_annotations_user ON user_annotations(user_id);
+  `,
+
+  down: `DROP TABLE IF EXISTS ${TABLES.join(", ")};`,
+
+  // Same tables for SQLite: arrays and JSON are JSON text, timestamps ISO 8601 text
+  sqlite: {
+    up: `
+      CREATE TABLE user_sessions (
+        sid TEXT PRIMARY KEY NOT NULL,
+        sess JSON NOT NULL,
+        expire TIMESTAMP NOT NULL
+      );
+      CREATE INDEX idx_user_sessions_expire ON user_sessions(expire);
+
+      CREATE TABLE app_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        digest_opt_in BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE email_otps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL,
+        otp_hash TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+      CREATE INDEX idx_email_otps_email ON email_otps(email, expires_at);
+
+      CREATE TABLE password_reset_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES app_users(id),
+        token_hash TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+      CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at);
+
+      CREATE TABLE analysis_sessions (
+        id TEXT PRIMARY KEY,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        followers_count INTEGER,
+        following_count INTEGER,
+        mutual_count INTEGER,
+        followers_only_count INTEGER,
+        following_only_count INTEGER,
+        processed_at TIMESTAMP,
+        name TEXT,
+        user_id INTEGER REFERENCES app_users(id),
+        export_followers_count INTEGER,
+        export_following_count INTEGER,
+        deleted_followers_count INTEGER DEFAULT 0,
+        deleted_following_count INTEGER DEFAULT 0,
+        export_report JSON
+      );
+
+      CREATE TABLE instagram_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES app_users(id) UNIQUE,
+        access_token TEXT NOT NULL,
+        token_type TEXT DEFAULT 'bearer',
+        expires_at TIMESTAMP,
+        instagram_user_id TEXT,
+        instagram_username TEXT,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        updated_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE user_annotations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES app_users(id),
+        username TEXT NOT NULL,
+        note TEXT,
+        tags JSON,
+        updated_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        UNIQUE(user_id, username)
+      );
+      CREATE INDEX idx_annotations_username ON user_annotations(username);
+      CREATE INDEX idx_annotations_user ON user_annotations(user_id);
+
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT REFERENCES analysis_sessions(id),
+        username TEXT,
+        category TEXT,
+        href TEXT,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE follower_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+        event_timestamp TIMESTAMP NOT NULL,
+        followers_count INTEGER NOT NULL,
+        following_count INTEGER NOT NULL,
+        direction TEXT NOT NULL CHECK (direction IN ('follower', 'following')),
+        username TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        UNIQUE(session_id, username, direction)
+      );
+
+      CREATE TABLE pending_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+        username TEXT NOT NULL,
+        profile_url TEXT,
+        request_timestamp INTEGER,
+        status TEXT DEFAULT 'Pending',
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        UNIQUE(session_id, username)
+      );
+
+      CREATE TABLE unfollowed_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        unfollowed_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        last_seen_category TEXT,
+        profile_url TEXT,
+        source TEXT CHECK(source IN ('detected', 'imported')) DEFAULT 'detected',
+        session_id TEXT REFERENCES analysis_sessions(id)
+      );
+
+      CREATE TABLE relationship_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+        username TEXT NOT NULL,
+        display_name TEXT,
+        list_type TEXT NOT NULL,
+        profile_url TEXT,
+        fbid TEXT,
+        timestamp INTEGER,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        UNIQUE(session_id, username, list_type)
+      );
+
+      CREATE TABLE interactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL REFERENCES analysis_sessions(id),
+        username TEXT NOT NULL,
+        interaction_type TEXT NOT NULL,
+        interaction_count INTEGER NOT NULL DEFAULT 0,
+        last_interaction_at INTEGER,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        UNIQUE(session_id, username, interaction_type)
+      );
+
+      CREATE TABLE alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES app_users(id),
+        rule_type TEXT NOT NULL,
+        params JSON NOT NULL DEFAULT '{}',
+        enabled BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES app_users(id),
+        rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+        session_id TEXT REFERENCES analysis_sessions(id) ON DELETE CASCADE,
+        message TEXT NOT NULL,
+        usernames JSON DEFAULT '[]',
+        read BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE chunked_uploads (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES app_users(id),
+        file_name TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        chunk_size INTEGER NOT NULL,
+        fingerprint TEXT NOT NULL,
+        received_bytes INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        updated_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER REFERENCES app_users(id),
+        job_type TEXT,
+        payload JSON DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'error')),
+        messages JSON NOT NULL DEFAULT '[]',
+        result JSON,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 1,
+        run_after TIMESTAMP DEFAULT ${SQLITE_NOW},
+        locked_by TEXT,
+        locked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        updated_at TIMESTAMP DEFAULT ${SQLITE_NOW},
+        finished_at TIMESTAMP
+      );
+
+      CREATE TABLE api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES app_users(id),
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        display_prefix TEXT NOT NULL,
+        scopes JSON NOT NULL DEFAULT '["read"]',
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE INDEX idx_follower_events_session ON follower_events(session_id, event_timestamp);
+      CREATE INDEX idx_users_session_category ON users(session_id, category);
+      CREATE INDEX idx_pending_requests_session ON pending_requests(session_id);
+      CREATE INDEX idx_unfollowed_profiles_session ON unfollowed_profiles(session_id, unfollowed_at);
+      CREATE INDEX idx_users_username ON users(username);
+      CREATE INDEX idx_unfollowed_profiles_username ON unfollowed_profiles(username);
+      CREATE INDEX idx_analysis_sessions_created_at ON analysis_sessions(created_at);
+      CREATE INDEX idx_follower_events_created_at ON follower_events(created_at);
+      CREATE INDEX idx_unfollowed_profiles_unfollowed_at ON unfollowed_profiles(unfollowed_at);
+      CREATE INDEX idx_users_session_username ON users(session_id, username);
+      CREATE INDEX idx_follower_events_session_direction ON follower_events(session_id, direction);
+      CREATE INDEX idx_relationship_profiles_session ON relationship_profiles(session_id, list_type);
+      CREATE INDEX idx_relationship_profiles_username ON relationship_profiles(username);
+      CREATE INDEX idx_alert_rules_user ON alert_rules(user_id);
+      CREATE INDEX idx_alerts_user ON alerts(user_id, created_at);
+      CREATE INDEX idx_chunked_uploads_user ON chunked_uploads(user_id, fingerprint);
+      CREATE INDEX idx_jobs_status ON jobs(status, run_after);
+      CREATE INDEX idx_jobs_user ON jobs(user_id, created_at);
+      CREATE INDEX idx_api_tokens_user ON api_tokens(user_id);
+    `,
+
+    // SQLite drops one table per statement
+    down: TABLES.map((table) => `DROP TABLE IF EXISTS ${table};`).join("\n"),
+  },
+};
@@ -0,0 +1,53 @@
+// Follow dates on users plus the indexes behind keyset pagination and
+// username prefix search. Users saved earlier get their dates from
+// follower_events.
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS followed_at TIMESTAMPTZ;
+
+    UPDATE users u SET followed_at = fe.event_timestamp
+      FROM follower_events fe
+      WHERE u.followed_at IS NULL
+        AND fe.session_id = u.session_id
+        AND fe.username = u.username
+        AND fe.direction = CASE u.category WHEN 'following_only' THEN 'following' ELSE 'follower' END;
+
+    CREATE INDEX IF NOT EXISTS idx_users_keyset_username ON users(session_id, category, username, id);
+    CREATE INDEX IF NOT EXISTS idx_users_keyset_followed_at ON users(session_id, category, followed_at, id);
+    CREATE INDEX IF NOT EXISTS idx_users_username_prefix
+      ON users(session_id, category, lower(username) text_pattern_ops);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_users_username_prefix;
+    DROP INDEX IF EXISTS idx_users_keyset_followed_at;
+    DROP INDEX IF EXISTS idx_users_keyset_username;
+    ALTER TABLE users DROP COLUMN IF EXISTS followed_at;
+  `,
+
+  // SQLite only uses an index for a case-insensitive LIKE on a NOCASE column,
+  // so there is no prefix index; prefix searches scan the session's users
+  sqlite: {
+    up: `
+      ALTER TABLE users ADD COLUMN followed_at TIMESTAMP;
+
+      UPDATE users SET followed_at = (
+        SELECT fe.event_timestamp FROM follower_events fe
+        WHERE fe.session_id = users.session_id
+          AND fe.username = users.username
+          AND fe.direction = CASE users.category WHEN 'following_only' THEN 'following' ELSE 'follower' END
+      )
+      WHERE followed_at IS NULL;
+
+      CREATE INDEX idx_users_keyset_username ON users(session_id, category, username, id);
+      CREATE INDEX idx_users_keyset_followed_at ON users(session_id, category, followed_at, id);
+    `,
+
+    down: `
+      DROP INDEX IF EXISTS idx_users_keyset_followed_at;
+      DROP INDEX IF EXISTS idx_users_keyset_username;
+      ALTER TABLE users DROP COLUMN followed_at;
+    `,
+  },
+};
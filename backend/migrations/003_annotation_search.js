@@ -0,0 +1,23 @@
+// Indexes behind the annotations page: full-text search over notes and
+// filtering by tag.
+
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS idx_annotations_note_search
+      ON user_annotations USING GIN (to_tsvector('simple', COALESCE(note, '')));
+    CREATE INDEX IF NOT EXISTS idx_annotations_tags ON user_annotations USING GIN (tags);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_annotations_tags;
+    DROP INDEX IF EXISTS idx_annotations_note_search;
+  `,
+
+  // SQLite searches notes with LIKE and tags with json_each, which no index
+  // helps; annotations are looked up by user_id first either way
+  sqlite: {
+    up: async () => {},
+
+    down: async () => {},
+  },
+};
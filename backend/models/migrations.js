@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Versioned schema migrations. Each file in backend/migrations is named
+ * <version>_<name>.js and exports `up` and `down`, either SQL strings or
+ * async functions taking a pg client, plus the same for SQLite under
+ * `sqlite`. Applied versions are recorded in schema_migrations; each
+ * migration runs in its own transaction.
+ *
+ * Apply them with `npm run migrate` (scripts/migrate.js). The server only
+ * checks the schema on startup and refuses to run if it is out of date.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+// Held for the whole run so two deploys can't migrate at the same time
+const LOCK_KEY = 4827011;
+
+class SchemaOutOfDateError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "SchemaOutOfDateError";
+    this.status = status;
+  }
+}
+
+/** Migration files in version order: { version, name, file, up, down } */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down, sqlite } = require(path.join(dir, file));
+      if (!up || !down) throw new Error(`Migration ${file} must export up and down`);
+      return { version: parseInt(match[1], 10), name: match[2], file, up, down, sqlite };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version}: ${migrations[i - 1].file}, ${m.file}`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(db) {
+  const { rows } = await db.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+  return rows;
+}
+
+/**
+ * Compares the migration files with the database
+ * @returns {Promise<{ current: number, latest: number, migrations: Array, pending: Array, unknown: Array }>}
+ *   `unknown` lists versions applied to the database that have no file here,
+ *   i.e. the database was migrated by newer code
+ */
+async function getMigrationStatus(pool, migrations = loadMigrations()) {
+  await ensureMigrationsTable(pool);
+  const applied = await getAppliedVersions(pool);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const known = new Set(migrations.map((m) => m.version));
+
+  const rows = migrations.map((m) => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: appliedByVersion.get(m.version)?.applied_at || null,
+  }));
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    migrations: rows,
+    pending: rows.filter((m) => !m.appliedAt),
+    unknown: applied.filter((row) => !known.has(row.version)).map((row) => ({ version: row.version, name: row.name })),
+  };
+}
+
+const dialectOf = (pool) => pool.dialect || "postgres";
+
+async function runStep(client, migration, direction, dialect) {
+  const steps = dialect === "postgres" ? migration : migration[dialect];
+  const step = steps && steps[direction];
+  if (!step) throw new Error(`Migration ${migration.file} has no ${dialect} ${direction}`);
+  if (typeof step === "function") await step(client);
+  else await client.query(step);
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  // A SQLite pool has one connection, which the client holds until released
+  const advisory = dialectOf(pool) === "postgres";
+  try {
+    if (advisory) await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      if (advisory) await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+/**
+ * Applies pending migrations in order, up to and including `to` when given
+ * @returns {Promise<Array>} The migrations that were applied
+ */
+async function migrate(pool, { to = Infinity, migrations = loadMigrations(), log = console.log } = {}) {
+  const dialect = dialectOf(pool);
+  return withLock(pool, async (client) => {
+    const applied = new Set((await getAppliedVersions(client)).map((row) => row.version));
+    const pending = migrations.filter((m) => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      log(`⬆️  ${migration.file}`);
+      await inTransaction(client, async () => {
+        await runStep(client, migration, "up", dialect);
+        await client.query("INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())", [
+          migration.version,
+          migration.name,
+        ]);
+      });
+    }
+    return pending;
+  });
+}
+
+/**
+ * Reverts applied migrations, newest first: the last `steps` of them, or all
+ * of those above version `to` when it is given
+ * @returns {Promise<Array>} The migrations that were reverted
+ */
+async function rollback(pool, { steps = 1, to = null, migrations = loadMigrations(), log = console.log } = {}) {
+  const dialect = dialectOf(pool);
+  return withLock(pool, async (client) => {
+    const applied = (await getAppliedVersions(client)).map((row) => row.version).reverse();
+    const targets = to === null ? applied.slice(0, steps) : applied.filter((version) => version > to);
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+    const missing = targets.filter((version) => !byVersion.has(version));
+    if (missing.length > 0) {
+      throw new Error(`Can't roll back migrations without a file here: ${missing.join(", ")}`);
+    }
+
+    const reverted = [];
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      log(`⬇️  ${migration.file}`);
+      await inTransaction(client, async () => {
+        await runStep(client, migration, "down", dialect);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [version]);
+      });
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+/** Throws SchemaOutOfDateError unless every migration here, and no other, has been applied */
+async function assertSchemaCurrent(pool, migrations = loadMigrations()) {
+  const status = await getMigrationStatus(pool, migrations);
+  if (status.unknown.length > 0) {
+    throw new SchemaOutOfDateError(
+      `Database schema is at version ${status.current}, newer than this code (${status.latest}). ` +
+        "Deploy the matching code or roll the database back.",
+      status
+    );
+  }
+  if (status.pending.length > 0) {
+    throw new SchemaOutOfDateError(
+      `Database schema is at version ${status.current} but this code needs ${status.latest} ` +
+        `(${status.pending.length} pending). Run \`npm run migrate\` in backend/.`,
+      status
+    );
+  }
+  return status;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  SchemaOutOfDateError,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  assertSchemaCurrent,
+};
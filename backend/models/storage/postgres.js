@@ -0,0 +1,1515 @@
+const { Pool } = require("pg");
+
+const poolConfig = () => ({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_SSL === "true"
+    ? { rejectUnauthorized: false }
+    : false,
+});
+
+// Unix-second BIGINT columns come back from pg as strings and from SQLite as
+// numbers; rows carry pg's strings, and ISO 8601 where a date is derived
+const bigintText = (value) => (value === null || value === undefined ? null : String(value));
+const unixToIso = (seconds) =>
+  seconds === null || seconds === undefined ? null : new Date(Number(seconds) * 1000).toISOString();
+const withBigintTimestamp = (row) => ({ ...row, timestamp: bigintText(row.timestamp) });
+const withRequestDate = ({ request_timestamp, ...row }) => ({ ...row, request_date: unixToIso(request_timestamp) });
+
+/**
+ * Storage on PostgreSQL. This is the reference implementation: SqliteStorage
+ * extends it and only overrides the methods whose SQL doesn't port.
+ */
+class PostgresStorage {
+  constructor() {
+    this.pool = null;
+    this.dialect = "postgres";
+  }
+
+  async connect() {
+    this.pool = new Pool(poolConfig());
+
+    await this.pool.query("SELECT NOW()");
+    console.log("📁 Connected to PostgreSQL database");
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  // SQL fragments that differ between dialects; SqliteStorage overrides them
+
+  get ilike() {
+    return "ILIKE";
+  }
+
+  // Tests a value against an array parameter: `username ${this.inArray("$2")}`
+  inArray(param) {
+    return `= ANY(${param})`;
+  }
+
+  // Rows from parallel array parameters, for INSERT ... SELECT:
+  // `FROM ${this.unnest({ u: "$2::text[]", c: "$3::int[]" })}` selects u and c
+  unnest(columns) {
+    return `unnest(${Object.values(columns).join(", ")}) AS t(${Object.keys(columns).join(", ")})`;
+  }
+
+  // Whether a tags column holds a tag: `${this.hasTag("a.tags", "$2")}`
+  hasTag(column, param) {
+    return `${column} @> ARRAY[${param}]::text[]`;
+  }
+
+  // A row per tag of a tags column, for FROM: `${this.eachTag("a.tags")}` selects tag.value
+  eachTag(column) {
+    return `unnest(${column}) AS tag(value)`;
+  }
+
+  // Whether a tags column shares a tag with an array parameter
+  hasAnyTag(column, param) {
+    return `${column} && ${param}`;
+  }
+
+  // Limits a session's rows to accounts that the session's owner has tagged
+  // with any of the tags in an array parameter. The username column needs its
+  // table name, or it would resolve to the annotation's.
+  taggedBy(usernameColumn, sessionParam, tagsParam) {
+    return `EXISTS (
+      SELECT 1 FROM user_annotations ta JOIN analysis_sessions ts ON ts.user_id = ta.user_id
+      WHERE ts.id = ${sessionParam} AND ta.username = ${usernameColumn} AND ${this.hasAnyTag("ta.tags", tagsParam)}
+    )`;
+  }
+
+  // Full-text match of the note column against a search; adds its parameter
+  noteMatches(search, params) {
+    params.push(search);
+    return `to_tsvector('simple', COALESCE(note, '')) @@ plainto_tsquery('simple', $${params.length})`;
+  }
+
+  // express-session store for the user_sessions table. Created before
+  // connect(), so it gets a pool of its own.
+  createSessionStore(session) {
+    const PgSession = require("connect-pg-simple")(session);
+    return new PgSession({ pool: new Pool(poolConfig()), tableName: "user_sessions" });
+  }
+
+  async getUnfollowedCount(sessionId) {
+    const { rows } = await this.pool.query(
+      "SELECT COUNT(*) as count FROM unfollowed_profiles WHERE session_id = $1",
+      [sessionId]
+    );
+    return rows[0] ? parseInt(rows[0].count) : 0;
+  }
+
+  async getUnfollowedProfiles(sessionId, limit = 20, offset = 0, search = null) {
+    let query = `
+      SELECT
+        up.id,
+        up.username,
+        up.unfollowed_at,
+        up.last_seen_category,
+        COALESCE(up.profile_url, u.href) as profile_url,
+        up.source,
+        up.unfollowed_at as unfollowed_date
+      FROM unfollowed_profiles up
+      LEFT JOIN users u ON u.username = up.username AND u.session_id = up.session_id
+      WHERE up.session_id = $1`;
+
+    const params = [sessionId];
+    let paramIdx = 2;
+
+    if (search) {
+      query += ` AND up.username ${this.ilike} $${paramIdx}`;
+      params.push(`%${search}%`);
+      paramIdx++;
+    }
+
+    query += ` ORDER BY up.unfollowed_at DESC LIMIT $${paramIdx} OFFSET $${paramIdx + 1}`;
+    params.push(limit, offset);
+
+    const { rows } = await this.pool.query(query, params);
+    return rows || [];
+  }
+
+  async saveAnalysis(sessionId, analysisData, userId = null) {
+    const {
+      followers,
+      following,
+      mutual,
+      followersOnly,
+      followingOnly,
+      exportFollowersCount,
+      exportFollowingCount,
+      deletedFollowersCount = 0,
+      deletedFollowingCount = 0,
+      exportReport = null,
+    } = analysisData;
+    await this.createAnalysisSession(
+      sessionId,
+      {
+        followersCount: followers.length,
+        followingCount: following.length,
+        mutualCount: mutual.length,
+        followersOnlyCount: followersOnly.length,
+        followingOnlyCount: followingOnly.length,
+        exportFollowersCount: exportFollowersCount ?? followers.length,
+        exportFollowingCount: exportFollowingCount ?? following.length,
+        deletedFollowersCount,
+        deletedFollowingCount,
+        exportReport,
+      },
+      userId
+    );
+  }
+
+  async createAnalysisSession(sessionId, counts, userId = null) {
+    await this.pool.query(
+      `INSERT INTO analysis_sessions
+       (id, followers_count, following_count, mutual_count, followers_only_count, following_only_count,
+        export_followers_count, export_following_count, deleted_followers_count, deleted_following_count,
+        processed_at, user_id, export_report)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), $11, $12)`,
+      [
+        sessionId,
+        counts.followersCount,
+        counts.followingCount,
+        counts.mutualCount,
+        counts.followersOnlyCount,
+        counts.followingOnlyCount,
+        counts.exportFollowersCount,
+        counts.exportFollowingCount,
+        counts.deletedFollowersCount ?? 0,
+        counts.deletedFollowingCount ?? 0,
+        userId,
+        counts.exportReport ?? null,
+      ]
+    );
+  }
+
+  async saveBatchUsers(sessionId, users, category) {
+    if (!users || users.length === 0) return;
+    const usernames = users.map((u) => u.value || u.username);
+    const hrefs = users.map((u) => u.href || null);
+    const timestamps = users.map((u) => Math.floor(Number(u.timestamp)) || null);
+    await this.pool.query(
+      `INSERT INTO users (session_id, username, category, href, followed_at)
+       SELECT $1, u, $2, h, to_timestamp(ts)
+       FROM ${this.unnest({ u: "$3::text[]", h: "$4::text[]", ts: "$5::bigint[]" })}`,
+      [sessionId, category, usernames, hrefs, timestamps]
+    );
+  }
+
+  async saveBatchFollowerEvents(sessionId, events) {
+    if (!events || events.length === 0) return;
+    const timestamps = events.map((e) => {
+      try {
+        if (typeof e.timestamp === "number") return new Date(e.timestamp * 1000).toISOString();
+        if (e.timestamp instanceof Date) return e.timestamp.toISOString();
+        if (typeof e.timestamp === "string") {
+          const unix = parseInt(e.timestamp);
+          return !isNaN(unix) ? new Date(unix * 1000).toISOString() : new Date(e.timestamp).toISOString();
+        }
+      } catch {}
+      return new Date().toISOString();
+    });
+    const followersCounts = events.map((e) => Math.max(0, e.followersCount || 0));
+    const followingCounts = events.map((e) => Math.max(0, e.followingCount || 0));
+    const directions = events.map((e) => e.direction);
+    const usernames = events.map((e) => e.username);
+    await this.pool.query(
+      `INSERT INTO follower_events
+         (session_id, event_timestamp, followers_count, following_count, direction, username)
+       SELECT $1, ts, fc, fwc, dir, u
+       FROM ${this.unnest({ ts: "$2::timestamptz[]", fc: "$3::int[]", fwc: "$4::int[]", dir: "$5::text[]", u: "$6::text[]" })}
+       ON CONFLICT DO NOTHING`,
+      [sessionId, timestamps, followersCounts, followingCounts, directions, usernames]
+    );
+  }
+
+  async saveInstagramToken(userId, tokenData) {
+    await this.pool.query(
+      `INSERT INTO instagram_tokens (user_id, access_token, token_type, expires_at, instagram_user_id, instagram_username, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         access_token = $2, token_type = $3, expires_at = $4,
+         instagram_user_id = $5, instagram_username = $6, updated_at = NOW()`,
+      [userId, tokenData.accessToken, tokenData.tokenType || "bearer",
+       tokenData.expiresAt || null, tokenData.instagramUserId || null, tokenData.instagramUsername || null]
+    );
+  }
+
+  async getInstagramToken(userId) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM instagram_tokens WHERE user_id = $1",
+      [userId]
+    );
+    return rows[0] || null;
+  }
+
+  async deleteInstagramToken(userId) {
+    await this.pool.query("DELETE FROM instagram_tokens WHERE user_id = $1", [userId]);
+  }
+
+  async saveOtp(email, otpHash, expiresAt) {
+    await this.pool.query(
+      "DELETE FROM email_otps WHERE email = $1",
+      [email]
+    );
+    await this.pool.query(
+      "INSERT INTO email_otps (email, otp_hash, expires_at) VALUES ($1, $2, $3)",
+      [email, otpHash, expiresAt]
+    );
+  }
+
+  async getOtp(email) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM email_otps WHERE email = $1 AND used = FALSE AND expires_at > NOW() ORDER BY created_at DESC LIMIT 1",
+      [email]
+    );
+    return rows[0] || null;
+  }
+
+  async markOtpUsed(id) {
+    await this.pool.query("UPDATE email_otps SET used = TRUE WHERE id = $1", [id]);
+  }
+
+  async createUser(email, passwordHash) {
+    const { rows } = await this.pool.query(
+      "INSERT INTO app_users (email, password_hash) VALUES ($1, $2) RETURNING id, email, created_at",
+      [email, passwordHash]
+    );
+    return rows[0];
+  }
+
+  async getUserByEmail(email) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM app_users WHERE email = $1",
+      [email]
+    );
+    return rows[0] || null;
+  }
+
+  async getUserById(id) {
+    const { rows } = await this.pool.query(
+      "SELECT id, email, digest_opt_in, created_at FROM app_users WHERE id = $1",
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async setDigestOptIn(userId, enabled) {
+    await this.pool.query(
+      "UPDATE app_users SET digest_opt_in = $1 WHERE id = $2",
+      [enabled, userId]
+    );
+  }
+
+  async createApiToken(userId, { name, tokenHash, displayPrefix, scopes, expiresAt = null }) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO api_tokens (user_id, name, token_hash, display_prefix, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, display_prefix, scopes, expires_at, last_used_at, created_at`,
+      [userId, name, tokenHash, displayPrefix, scopes, expiresAt]
+    );
+    return rows[0];
+  }
+
+  async getApiTokens(userId) {
+    const { rows } = await this.pool.query(
+      `SELECT id, name, display_prefix, scopes, expires_at, last_used_at, created_at
+       FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  async getApiTokenByHash(tokenHash) {
+    const { rows } = await this.pool.query("SELECT * FROM api_tokens WHERE token_hash = $1", [tokenHash]);
+    return rows[0] || null;
+  }
+
+  async touchApiToken(id) {
+    await this.pool.query("UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1", [id]);
+  }
+
+  async deleteApiToken(id, userId) {
+    const { rowCount } = await this.pool.query(
+      "DELETE FROM api_tokens WHERE id = $1 AND user_id = $2",
+      [id, userId]
+    );
+    return rowCount > 0;
+  }
+
+  async getUserWithPasswordById(id) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM app_users WHERE id = $1",
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async updateSessionName(sessionId, userId, name) {
+    await this.pool.query(
+      "UPDATE analysis_sessions SET name = $1 WHERE id = $2 AND user_id = $3",
+      [name, sessionId, userId]
+    );
+  }
+
+  async getAnnotation(userId, username) {
+    const { rows } = await this.pool.query(
+      "SELECT username, note, tags, updated_at FROM user_annotations WHERE user_id = $1 AND username = $2",
+      [userId, username]
+    );
+    return rows[0] || null;
+  }
+
+  async upsertAnnotation(userId, username, note, tags) {
+    await this.pool.query(
+      `INSERT INTO user_annotations (user_id, username, note, tags, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (user_id, username) DO UPDATE SET note = $3, tags = $4, updated_at = NOW()`,
+      [userId, username, note || null, tags || []]
+    );
+  }
+
+  async getAnnotations(userId, usernames) {
+    if (!usernames || usernames.length === 0) return {};
+    const { rows } = await this.pool.query(
+      `SELECT username, note, tags FROM user_annotations WHERE user_id = $1 AND username ${this.inArray("$2")}`,
+      [userId, usernames]
+    );
+    const map = {};
+    rows.forEach((r) => { map[r.username] = { note: r.note, tags: r.tags }; });
+    return map;
+  }
+
+  async getAnnotationsByTags(userId, tags) {
+    if (!tags || tags.length === 0) return [];
+    const { rows } = await this.pool.query(
+      `SELECT username, tags FROM user_annotations WHERE user_id = $1 AND ${this.hasAnyTag("tags", "$2")}`,
+      [userId, tags]
+    );
+    return rows;
+  }
+
+  /**
+   * One page of the user's annotations, most recently edited first
+   * @param {Object} filters - { tag, search, limit, offset }; search is a
+   *   full-text query over notes
+   * @returns {Promise<{ annotations: Array, total: number }>}
+   */
+  async listAnnotations(userId, { tag = null, search = null, limit = 20, offset = 0 } = {}) {
+    const params = [userId];
+    let where = "user_id = $1";
+    if (tag) {
+      params.push(tag);
+      where += ` AND ${this.hasTag("tags", `$${params.length}`)}`;
+    }
+    if (search) {
+      where += ` AND ${this.noteMatches(search, params)}`;
+    }
+
+    const { rows: countRows } = await this.pool.query(
+      `SELECT CAST(COUNT(*) AS INTEGER) AS count FROM user_annotations WHERE ${where}`,
+      params
+    );
+    const { rows } = await this.pool.query(
+      `SELECT username, note, tags, updated_at FROM user_annotations WHERE ${where}
+       ORDER BY updated_at DESC, username
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return {
+      annotations: rows.map((r) => ({ ...r, tags: r.tags || [] })),
+      total: countRows[0].count,
+    };
+  }
+
+  async getAnnotationTagCounts(userId) {
+    const { rows } = await this.pool.query(
+      `SELECT tag.value AS tag, CAST(COUNT(*) AS INTEGER) AS count
+       FROM user_annotations a CROSS JOIN ${this.eachTag("a.tags")}
+       WHERE a.user_id = $1
+       GROUP BY tag.value ORDER BY count DESC, tag.value`,
+      [userId]
+    );
+    return rows;
+  }
+
+  /**
+   * Adds a tag to each username's annotation, creating annotations where
+   * there are none. Annotations that already have the tag, or the maximum
+   * number of tags, are left alone.
+   * @returns {Promise<number>} Annotations created or changed
+   */
+  async addTagToAnnotations(userId, usernames, tag, maxTags) {
+    const { rowCount } = await this.pool.query(
+      `INSERT INTO user_annotations (user_id, username, tags, updated_at)
+       SELECT $1, u, ARRAY[$3]::text[], NOW() FROM unnest($2::text[]) AS u
+       ON CONFLICT (user_id, username) DO UPDATE
+         SET tags = array_append(COALESCE(user_annotations.tags, '{}'), $3), updated_at = NOW()
+         WHERE NOT COALESCE(user_annotations.tags @> ARRAY[$3]::text[], false)
+           AND COALESCE(array_length(user_annotations.tags, 1), 0) < $4`,
+      [userId, [...new Set(usernames)], tag, maxTags]
+    );
+    return rowCount;
+  }
+
+  /**
+   * Renames a tag on every annotation that has it; where the annotation
+   * already has the new name too, the old one is just dropped
+   * @returns {Promise<number>} Annotations changed
+   */
+  async renameAnnotationTag(userId, from, to) {
+    const { rowCount } = await this.pool.query(
+      `UPDATE user_annotations
+       SET tags = CASE WHEN $3 = ANY(tags) THEN array_remove(tags, $2) ELSE array_replace(tags, $2, $3) END,
+           updated_at = NOW()
+       WHERE user_id = $1 AND ${this.hasTag("tags", "$2")}`,
+      [userId, from, to]
+    );
+    return rowCount;
+  }
+
+  async deleteAnnotations(userId, usernames) {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM user_annotations WHERE user_id = $1 AND username ${this.inArray("$2")}`,
+      [userId, usernames]
+    );
+    return rowCount;
+  }
+
+  async getAnalysis(sessionId) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM analysis_sessions WHERE id = $1",
+      [sessionId]
+    );
+    return rows[0] || null;
+  }
+
+  async getUsers(sessionId, category = null, tags = null) {
+    let query = "SELECT * FROM users WHERE session_id = $1";
+    const params = [sessionId];
+
+    if (category) {
+      params.push(category);
+      query += ` AND category = $${params.length}`;
+    }
+    if (tags) {
+      params.push(tags);
+      query += ` AND ${this.taggedBy("users.username", "$1", `$${params.length}`)}`;
+    }
+
+    query += " ORDER BY username";
+
+    const { rows } = await this.pool.query(query, params);
+    return rows;
+  }
+
+  /**
+   * One page of a session's users, ordered by username or follow date with
+   * users without a follow date last, plus the number of matches per category.
+   * @param {Object} options - { categories, search, tags, sort, order, limit, after }.
+   *   `search` is a case-insensitive username prefix; `tags` keeps users the
+   *   owner has tagged with any of them; `after` is the decoded cursor
+   *   ({ value, id }) of the last row on the previous page.
+   * @returns {Promise<{ users: Array, hasMore: boolean, counts: Object }>}
+   */
+  async listUsers(sessionId, { categories, search = null, tags = null, sort = "username", order = "asc", limit, after = null }) {
+    const column = sort === "followed_at" ? "followed_at" : "username";
+    const direction = order === "desc" ? "DESC" : "ASC";
+    const conditions = ["session_id = $1", `category ${this.inArray("$2")}`];
+    const params = [sessionId, categories];
+    if (search) {
+      params.push(`${search.toLowerCase().replace(/[\\%_]/g, "\\$&")}%`);
+      conditions.push(`lower(username) LIKE $${params.length} ESCAPE '\\'`);
+    }
+    if (tags) {
+      params.push(tags);
+      conditions.push(this.taggedBy("users.username", "$1", `$${params.length}`));
+    }
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (after) {
+      const op = direction === "DESC" ? "<" : ">";
+      pageParams.push(after.id);
+      const id = `$${pageParams.length}`;
+      if (after.value === null) {
+        pageConditions.push(`${column} IS NULL AND id ${op} ${id}`);
+      } else {
+        pageParams.push(after.value);
+        pageConditions.push(`(${column} IS NULL OR (${column}, id) ${op} ($${pageParams.length}, ${id}))`);
+      }
+    }
+    pageParams.push(limit + 1);
+
+    const [page, counts] = await Promise.all([
+      this.pool.query(
+        `SELECT * FROM users WHERE ${pageConditions.join(" AND ")}
+         ORDER BY ${column} ${direction} NULLS LAST, id ${direction}
+         LIMIT $${pageParams.length}`,
+        pageParams
+      ),
+      this.pool.query(
+        `SELECT category, CAST(COUNT(*) AS INTEGER) AS count FROM users WHERE ${conditions.join(" AND ")} GROUP BY category`,
+        params
+      ),
+    ]);
+
+    return {
+      users: page.rows.slice(0, limit),
+      hasMore: page.rows.length > limit,
+      counts: Object.fromEntries(categories.map((c) => [c, 0]).concat(counts.rows.map((r) => [r.category, r.count]))),
+    };
+  }
+
+  async saveRelationshipProfiles(sessionId, profiles) {
+    if (!profiles || profiles.length === 0) return;
+    const usernames = profiles.map((p) => p.username);
+    const displayNames = profiles.map((p) => p.displayName || null);
+    const listTypes = profiles.map((p) => p.listType);
+    const profileUrls = profiles.map((p) => p.profileUrl || null);
+    const fbids = profiles.map((p) => p.fbid || null);
+    const timestamps = profiles.map((p) => p.timestamp || null);
+    await this.pool.query(
+      `INSERT INTO relationship_profiles
+         (session_id, username, display_name, list_type, profile_url, fbid, timestamp)
+       SELECT $1, u, dn, lt, pu, fb, ts
+       FROM ${this.unnest({
+         u: "$2::text[]", dn: "$3::text[]", lt: "$4::text[]", pu: "$5::text[]", fb: "$6::text[]", ts: "$7::bigint[]",
+       })}
+       ON CONFLICT DO NOTHING`,
+      [sessionId, usernames, displayNames, listTypes, profileUrls, fbids, timestamps]
+    );
+  }
+
+  async saveInteractions(sessionId, interactions) {
+    if (!interactions || interactions.length === 0) return;
+    await this.pool.query(
+      `INSERT INTO interactions (session_id, username, interaction_type, interaction_count, last_interaction_at)
+       SELECT $1, u, it, c, ts
+       FROM ${this.unnest({ u: "$2::text[]", it: "$3::text[]", c: "$4::int[]", ts: "$5::bigint[]" })}
+       ON CONFLICT DO NOTHING`,
+      [
+        sessionId,
+        interactions.map((i) => i.username),
+        interactions.map((i) => i.type),
+        interactions.map((i) => i.count),
+        interactions.map((i) => (i.timestamp ? Math.floor(i.timestamp) : null)),
+      ]
+    );
+  }
+
+  // Interaction counts per username, e.g. { "jane.doe": { like: 12, message: 40 } }
+  async getInteractionCounts(sessionId, usernames) {
+    const counts = {};
+    if (!usernames || usernames.length === 0) return counts;
+    const { rows } = await this.pool.query(
+      `SELECT username, interaction_type, interaction_count FROM interactions
+       WHERE session_id = $1 AND username ${this.inArray("$2")}`,
+      [sessionId, usernames]
+    );
+    for (const row of rows) {
+      if (!counts[row.username]) counts[row.username] = {};
+      counts[row.username][row.interaction_type] = row.interaction_count;
+    }
+    return counts;
+  }
+
+  async getRelationshipProfiles(sessionId, listType, limit = 20, offset = 0, search = null, tags = null) {
+    let query = "SELECT * FROM relationship_profiles WHERE session_id = $1 AND list_type = $2";
+    const params = [sessionId, listType];
+    let paramIdx = 3;
+
+    if (search) {
+      query += ` AND username ${this.ilike} $${paramIdx}`;
+      params.push(`%${search}%`);
+      paramIdx++;
+    }
+    if (tags) {
+      query += ` AND ${this.taggedBy("relationship_profiles.username", "$1", `$${paramIdx}`)}`;
+      params.push(tags);
+      paramIdx++;
+    }
+
+    query += ` ORDER BY timestamp DESC NULLS LAST LIMIT $${paramIdx} OFFSET $${paramIdx + 1}`;
+    params.push(limit, offset);
+
+    const { rows } = await this.pool.query(query, params);
+    return rows.map(withBigintTimestamp);
+  }
+
+  async getRelationshipProfileCounts(sessionId, tags = null) {
+    const { rows } = await this.pool.query(
+      `SELECT list_type, COUNT(*) as count FROM relationship_profiles
+       WHERE session_id = $1 ${tags ? `AND ${this.taggedBy("relationship_profiles.username", "$1", "$2")}` : ""}
+       GROUP BY list_type`,
+      tags ? [sessionId, tags] : [sessionId]
+    );
+    const counts = {};
+    (rows || []).forEach((r) => { counts[r.list_type] = parseInt(r.count); });
+    return counts;
+  }
+
+  async getRelationshipProfileCount(sessionId, listType, search = null, tags = null) {
+    let query = "SELECT COUNT(*) as count FROM relationship_profiles WHERE session_id = $1 AND list_type = $2";
+    const params = [sessionId, listType];
+    let paramIdx = 3;
+    if (search) {
+      query += ` AND username ${this.ilike} $${paramIdx}`;
+      params.push(`%${search}%`);
+      paramIdx++;
+    }
+    if (tags) {
+      query += ` AND ${this.taggedBy("relationship_profiles.username", "$1", `$${paramIdx}`)}`;
+      params.push(tags);
+    }
+    const { rows } = await this.pool.query(query, params);
+    return rows[0] ? parseInt(rows[0].count) : 0;
+  }
+
+  async isSessionOwner(sessionId, userId) {
+    if (!sessionId || !userId) return false;
+    const { rows } = await this.pool.query(
+      "SELECT 1 FROM analysis_sessions WHERE id = $1 AND user_id = $2",
+      [sessionId, userId]
+    );
+    return rows.length > 0;
+  }
+
+  async deleteAnalysisSession(sessionId, userId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const owned = await client.query(
+        "SELECT 1 FROM analysis_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE",
+        [sessionId, userId]
+      );
+      if (owned.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return false;
+      }
+
+      await client.query("DELETE FROM follower_events WHERE session_id = $1", [sessionId]);
+      await client.query("DELETE FROM pending_requests WHERE session_id = $1", [sessionId]);
+      await client.query("DELETE FROM unfollowed_profiles WHERE session_id = $1", [sessionId]);
+      await client.query("DELETE FROM relationship_profiles WHERE session_id = $1", [sessionId]);
+      await client.query("DELETE FROM interactions WHERE session_id = $1", [sessionId]);
+      await client.query("DELETE FROM users WHERE session_id = $1", [sessionId]);
+      await client.query("DELETE FROM analysis_sessions WHERE id = $1 AND user_id = $2", [sessionId, userId]);
+      await client.query("COMMIT");
+      return true;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteUserAccount(userId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const { rows } = await client.query("SELECT id FROM analysis_sessions WHERE user_id = $1", [userId]);
+      const sessionIds = rows.map((row) => row.id);
+      if (sessionIds.length > 0) {
+        await client.query(`DELETE FROM follower_events WHERE session_id ${this.inArray("$1")}`, [sessionIds]);
+        await client.query(`DELETE FROM pending_requests WHERE session_id ${this.inArray("$1")}`, [sessionIds]);
+        await client.query(`DELETE FROM unfollowed_profiles WHERE session_id ${this.inArray("$1")}`, [sessionIds]);
+        await client.query(`DELETE FROM relationship_profiles WHERE session_id ${this.inArray("$1")}`, [sessionIds]);
+        await client.query(`DELETE FROM interactions WHERE session_id ${this.inArray("$1")}`, [sessionIds]);
+        await client.query(`DELETE FROM users WHERE session_id ${this.inArray("$1")}`, [sessionIds]);
+        await client.query("DELETE FROM analysis_sessions WHERE user_id = $1", [userId]);
+      }
+      await client.query("DELETE FROM user_annotations WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM alerts WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM alert_rules WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM chunked_uploads WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM jobs WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM api_tokens WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM instagram_tokens WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM password_reset_tokens WHERE user_id = $1", [userId]);
+      await client.query("DELETE FROM user_sessions WHERE CAST(sess ->> 'userId' AS INTEGER) = $1", [userId]);
+      await client.query("DELETE FROM app_users WHERE id = $1", [userId]);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getAccountBackupData(userId, tables) {
+    const { rows: sessions } = await this.pool.query(
+      `SELECT id, ${tables.analysis_sessions.join(", ")} FROM analysis_sessions WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    );
+    const sessionIds = sessions.map((s) => s.id);
+    const data = { analysis_sessions: sessions };
+
+    for (const [table, columns] of Object.entries(tables)) {
+      if (table === "analysis_sessions" || table === "user_annotations") continue;
+      const { rows } = await this.pool.query(
+        `SELECT session_id, ${columns.join(", ")} FROM ${table} WHERE session_id ${this.inArray("$1")}`,
+        [sessionIds]
+      );
+      data[table] = rows;
+    }
+
+    const { rows: annotations } = await this.pool.query(
+      `SELECT ${tables.user_annotations.join(", ")} FROM user_annotations WHERE user_id = $1`,
+      [userId]
+    );
+    data.user_annotations = annotations;
+    return data;
+  }
+
+  async importAccountBackupData(userId, tables, data) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const sessionColumns = tables.analysis_sessions.join(", ");
+      await client.query(
+        `INSERT INTO analysis_sessions (id, user_id, ${sessionColumns})
+         SELECT id, $2, ${sessionColumns} FROM json_populate_recordset(NULL::analysis_sessions, $1::json)`,
+        [JSON.stringify(data.analysis_sessions), userId]
+      );
+
+      for (const [table, columns] of Object.entries(tables)) {
+        if (table === "analysis_sessions" || table === "user_annotations") continue;
+        if (!data[table] || data[table].length === 0) continue;
+        const list = columns.join(", ");
+        await client.query(
+          `INSERT INTO ${table} (session_id, ${list})
+           SELECT session_id, ${list} FROM json_populate_recordset(NULL::${table}, $1::json)
+           ON CONFLICT DO NOTHING`,
+          [JSON.stringify(data[table])]
+        );
+      }
+
+      if (data.user_annotations && data.user_annotations.length > 0) {
+        const list = tables.user_annotations.join(", ");
+        await client.query(
+          `INSERT INTO user_annotations (user_id, ${list})
+           SELECT $2, ${list} FROM json_populate_recordset(NULL::user_annotations, $1::json)
+           ON CONFLICT (user_id, username) DO UPDATE
+             SET note = EXCLUDED.note, tags = EXCLUDED.tags, updated_at = EXCLUDED.updated_at`,
+          [JSON.stringify(data.user_annotations), userId]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Accounts the session follows that don't follow back, with what is known
+  // about each across the owner's sessions and annotations
+  async getUnfollowCandidates(sessionId, userId, tags = null) {
+    const { rows } = await this.pool.query(
+      `WITH earlier AS (
+          SELECT id FROM analysis_sessions
+          WHERE user_id = $2 AND created_at < (SELECT created_at FROM analysis_sessions WHERE id = $1)
+        )
+        SELECT u.username, u.href,
+              fe.event_timestamp AS followed_at,
+              EXTRACT(EPOCH FROM (s.created_at - fe.event_timestamp)) / 86400 AS follow_age_days,
+              EXISTS (SELECT 1 FROM earlier) AS has_earlier_sessions,
+              EXISTS (
+                SELECT 1 FROM users p
+                WHERE p.session_id IN (SELECT id FROM earlier)
+                  AND p.username = u.username AND p.category IN ('mutual', 'followers_only')
+              ) AS former_follower,
+              ARRAY(
+                SELECT rp.list_type FROM relationship_profiles rp
+                WHERE rp.session_id = u.session_id AND rp.username = u.username
+              ) AS lists,
+              COALESCE(a.tags, '{}') AS tags
+       FROM users u
+       JOIN analysis_sessions s ON s.id = u.session_id
+       LEFT JOIN follower_events fe
+         ON fe.session_id = u.session_id AND fe.username = u.username AND fe.direction = 'following'
+       LEFT JOIN user_annotations a ON a.user_id = $2 AND a.username = u.username
+       WHERE u.session_id = $1 AND u.category = 'following_only'
+         ${tags ? `AND ${this.hasAnyTag("a.tags", "$3")}` : ""}`,
+      tags ? [sessionId, userId, tags] : [sessionId, userId]
+    );
+    return rows;
+  }
+
+  // Tagged users of a session per category and tag, counted against the
+  // owner's annotations: { following_only: { brand: 3 } }
+  async getTagCountsByCategory(sessionId) {
+    const { rows } = await this.pool.query(
+      `SELECT u.category, tag.value AS tag, CAST(COUNT(*) AS INTEGER) AS count
+       FROM users u
+       JOIN analysis_sessions s ON s.id = u.session_id
+       JOIN user_annotations a ON a.user_id = s.user_id AND a.username = u.username
+       CROSS JOIN ${this.eachTag("a.tags")}
+       WHERE u.session_id = $1
+       GROUP BY u.category, tag.value
+       ORDER BY count DESC, tag.value`,
+      [sessionId]
+    );
+    const counts = {};
+    for (const { category, tag, count } of rows) {
+      counts[category] = { ...counts[category], [tag]: count };
+    }
+    return counts;
+  }
+
+  async hasInteractions(sessionId) {
+    const { rows } = await this.pool.query("SELECT 1 FROM interactions WHERE session_id = $1 LIMIT 1", [sessionId]);
+    return rows.length > 0;
+  }
+
+  // Relationship list entries of a session joined with its follower/following membership
+  async getRelationshipCrossReference(sessionId) {
+    const { rows } = await this.pool.query(
+      `WITH followers AS (
+          SELECT username FROM users WHERE session_id = $1 AND category IN ('mutual', 'followers_only')
+        ),
+        following AS (
+          SELECT username FROM users WHERE session_id = $1 AND category IN ('mutual', 'following_only')
+        ),
+        mutual AS (
+          SELECT username FROM users WHERE session_id = $1 AND category = 'mutual'
+        )
+        SELECT
+          rp.list_type,
+          rp.username,
+          rp.display_name,
+          rp.profile_url,
+          rp.timestamp,
+          CASE WHEN f.username IS NOT NULL THEN 1 ELSE 0 END as is_follower,
+          CASE WHEN fw.username IS NOT NULL THEN 1 ELSE 0 END as is_following,
+          CASE WHEN m.username IS NOT NULL THEN 1 ELSE 0 END as is_mutual
+        FROM relationship_profiles rp
+        LEFT JOIN followers f ON f.username = rp.username
+        LEFT JOIN following fw ON fw.username = rp.username
+        LEFT JOIN mutual m ON m.username = rp.username
+        WHERE rp.session_id = $1`,
+      [sessionId]
+    );
+    return rows.map(withBigintTimestamp);
+  }
+
+  async getAlertRules(userId) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM alert_rules WHERE user_id = $1 ORDER BY created_at",
+      [userId]
+    );
+    return rows;
+  }
+
+  async createAlertRule(userId, ruleType, params) {
+    const { rows } = await this.pool.query(
+      "INSERT INTO alert_rules (user_id, rule_type, params) VALUES ($1, $2, $3) RETURNING *",
+      [userId, ruleType, params]
+    );
+    return rows[0];
+  }
+
+  async setAlertRuleEnabled(ruleId, userId, enabled) {
+    const { rows } = await this.pool.query(
+      "UPDATE alert_rules SET enabled = $1 WHERE id = $2 AND user_id = $3 RETURNING *",
+      [enabled, ruleId, userId]
+    );
+    return rows[0] || null;
+  }
+
+  async deleteAlertRule(ruleId, userId) {
+    const { rowCount } = await this.pool.query(
+      "DELETE FROM alert_rules WHERE id = $1 AND user_id = $2",
+      [ruleId, userId]
+    );
+    return rowCount > 0;
+  }
+
+  async saveAlerts(userId, sessionId, alerts) {
+    if (!alerts || alerts.length === 0) return;
+    for (const alert of alerts) {
+      await this.pool.query(
+        "INSERT INTO alerts (user_id, rule_id, session_id, message, usernames) VALUES ($1, $2, $3, $4, $5)",
+        [userId, alert.ruleId, sessionId, alert.message, alert.usernames || []]
+      );
+    }
+  }
+
+  async getAlerts(userId, limit = 20) {
+    const { rows } = await this.pool.query(
+      `SELECT id, rule_id, session_id, message, usernames, read, created_at,
+              COUNT(*) FILTER (WHERE NOT read) OVER () AS unread_count
+       FROM alerts WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC LIMIT $2`,
+      [userId, limit]
+    );
+    return rows;
+  }
+
+  async markAlertsRead(userId, alertIds = null) {
+    if (alertIds) {
+      await this.pool.query(
+        `UPDATE alerts SET read = TRUE WHERE user_id = $1 AND id ${this.inArray("$2")}`,
+        [userId, alertIds]
+      );
+    } else {
+      await this.pool.query("UPDATE alerts SET read = TRUE WHERE user_id = $1", [userId]);
+    }
+  }
+
+  async createChunkedUpload(id, userId, { fileName, fileSize, chunkSize, fingerprint }) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO chunked_uploads (id, user_id, file_name, file_size, chunk_size, fingerprint)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [id, userId, fileName, fileSize, chunkSize, fingerprint]
+    );
+    return rows[0];
+  }
+
+  async getChunkedUpload(id, userId) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM chunked_uploads WHERE id = $1 AND user_id = $2",
+      [id, userId]
+    );
+    return rows[0] || null;
+  }
+
+  async findChunkedUpload(userId, fingerprint) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM chunked_uploads WHERE user_id = $1 AND fingerprint = $2 ORDER BY created_at DESC LIMIT 1",
+      [userId, fingerprint]
+    );
+    return rows[0] || null;
+  }
+
+  // Moves the upload offset forward only if no other request got there first
+  async advanceChunkedUpload(id, fromOffset, toOffset) {
+    const { rowCount } = await this.pool.query(
+      "UPDATE chunked_uploads SET received_bytes = $3, updated_at = NOW() WHERE id = $1 AND received_bytes = $2",
+      [id, fromOffset, toOffset]
+    );
+    return rowCount > 0;
+  }
+
+  async deleteChunkedUpload(id) {
+    await this.pool.query("DELETE FROM chunked_uploads WHERE id = $1", [id]);
+  }
+
+  async deleteStaleChunkedUploads(hours) {
+    const { rows } = await this.pool.query(
+      "DELETE FROM chunked_uploads WHERE updated_at < NOW() - make_interval(hours => $1) RETURNING id",
+      [hours]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async createJob(id, { userId = null, type = null, payload = {}, maxAttempts = 1 } = {}) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO jobs (id, user_id, job_type, payload, max_attempts, status)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      // Jobs without a type are driven by the caller, so they start out running
+      [id, userId, type, payload, maxAttempts, type ? "pending" : "running"]
+    );
+    return rows[0];
+  }
+
+  async getJob(id) {
+    const { rows } = await this.pool.query("SELECT * FROM jobs WHERE id = $1", [id]);
+    return rows[0] || null;
+  }
+
+  async getJobsForUser(userId, { status = null, limit = 20 } = {}) {
+    const params = [userId];
+    let query = "SELECT * FROM jobs WHERE user_id = $1";
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+    params.push(limit);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+    const { rows } = await this.pool.query(query, params);
+    return rows;
+  }
+
+  async appendJobMessage(id, message) {
+    await this.pool.query(
+      `UPDATE jobs SET messages = messages || jsonb_build_array($2::jsonb), updated_at = NOW(),
+         locked_at = CASE WHEN status = 'running' THEN NOW() ELSE locked_at END
+       WHERE id = $1`,
+      [id, message]
+    );
+  }
+
+  async finishJob(id, status, { result = null, error = null } = {}) {
+    await this.pool.query(
+      `UPDATE jobs SET status = $2, result = $3, error = $4, locked_by = NULL, locked_at = NULL,
+         updated_at = NOW(), finished_at = NOW()
+       WHERE id = $1`,
+      [id, status, result, error]
+    );
+  }
+
+  // Put a failed attempt back in the queue after a delay
+  async retryJob(id, delaySeconds, error) {
+    await this.pool.query(
+      `UPDATE jobs SET status = 'pending', error = $3, locked_by = NULL, locked_at = NULL,
+         run_after = NOW() + make_interval(secs => $2), updated_at = NOW()
+       WHERE id = $1`,
+      [id, delaySeconds, error]
+    );
+  }
+
+  // Atomically take the oldest runnable job of the given types
+  async claimNextJob(types, workerId) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_by = $2, locked_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM jobs
+         WHERE status = 'pending' AND job_type = ANY($1) AND run_after <= NOW()
+         ORDER BY run_after, created_at
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [types, workerId]
+    );
+    return rows[0] || null;
+  }
+
+  async touchJobs(ids) {
+    if (ids.length === 0) return;
+    await this.pool.query(`UPDATE jobs SET locked_at = NOW() WHERE id ${this.inArray("$1")} AND status = 'running'`, [ids]);
+  }
+
+  // Requeue worker jobs whose worker stopped sending heartbeats (e.g. the server restarted)
+  async releaseStaleJobs(staleSeconds) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET status = 'pending', locked_by = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE status = 'running' AND job_type IS NOT NULL AND locked_at < NOW() - make_interval(secs => $1)
+       RETURNING id`,
+      [staleSeconds]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async deleteFinishedJobs(olderThanDays) {
+    await this.pool.query(
+      "DELETE FROM jobs WHERE status IN ('done', 'error') AND finished_at < NOW() - make_interval(days => $1)",
+      [olderThanDays]
+    );
+  }
+
+  async getTimelineData(sessionId) {
+    if (!sessionId) throw new Error("Session ID is required");
+
+    const { rows } = await this.pool.query(
+      `SELECT
+         fe.event_timestamp,
+         fe.followers_count,
+         fe.following_count,
+         fe.direction,
+         fe.username,
+         u.href
+       FROM follower_events fe
+       LEFT JOIN users u ON u.session_id = fe.session_id AND u.username = fe.username
+       WHERE fe.session_id = $1
+       ORDER BY fe.event_timestamp ASC`,
+      [sessionId]
+    );
+
+    if (!rows || rows.length === 0) {
+      return {
+        followEvents: [],
+        statistics: { totalFollowers: 0, totalFollowing: 0 },
+      };
+    }
+
+    return {
+      followEvents: rows.map((row) => ({
+        timestamp: new Date(row.event_timestamp).toISOString(),
+        username: row.username,
+        direction: row.direction,
+        followersCount: row.followers_count,
+        followingCount: row.following_count,
+        href: row.href,
+      })),
+      statistics: {
+        totalFollowers: rows[rows.length - 1].followers_count,
+        totalFollowing: rows[rows.length - 1].following_count,
+      },
+    };
+  }
+
+  async saveFollowerEvent(sessionId, timestamp, followersCount, followingCount, direction, username) {
+    if (!sessionId || typeof sessionId !== "string") throw new Error("Valid session ID is required");
+    if (!direction || !["follower", "following"].includes(direction)) throw new Error("Valid direction required");
+    if (!username) throw new Error("Username is required");
+
+    let eventTimestamp;
+    try {
+      if (typeof timestamp === "number") {
+        eventTimestamp = new Date(timestamp * 1000).toISOString();
+      } else if (timestamp instanceof Date) {
+        eventTimestamp = timestamp.toISOString();
+      } else if (typeof timestamp === "string") {
+        const unix = parseInt(timestamp);
+        eventTimestamp = !isNaN(unix)
+          ? new Date(unix * 1000).toISOString()
+          : new Date(timestamp).toISOString();
+      } else {
+        eventTimestamp = new Date().toISOString();
+      }
+    } catch {
+      eventTimestamp = new Date().toISOString();
+    }
+
+    await this.pool.query(
+      `INSERT INTO follower_events
+       (session_id, event_timestamp, followers_count, following_count, direction, username)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT DO NOTHING`,
+      [sessionId, eventTimestamp, Math.max(0, followersCount), Math.max(0, followingCount), direction, username]
+    );
+  }
+
+  async savePendingRequests(sessionId, requests) {
+    if (!requests || requests.length === 0) return;
+    const usernames = [], hrefs = [], timestamps = [];
+    for (const request of requests) {
+      let username = null, href = null, timestamp = null;
+      if (request.string_list_data && request.string_list_data[0]) {
+        const sld = request.string_list_data[0];
+        username = sld.value;
+        href = sld.href || null;
+        timestamp = sld.timestamp || null;
+      } else if (Array.isArray(request.label_values)) {
+        const uEntry = request.label_values.find((lv) => lv.label === "Username");
+        const urlEntry = request.label_values.find((lv) => lv.label === "URL");
+        username = uEntry?.value || null;
+        href = urlEntry?.value || null;
+        timestamp = request.timestamp || null;
+      } else {
+        username = request.title || request.value || request.username || null;
+        href = request.href || null;
+        timestamp = request.timestamp || null;
+      }
+      if (username) {
+        usernames.push(username);
+        hrefs.push(href);
+        timestamps.push(timestamp);
+      }
+    }
+    if (usernames.length === 0) return;
+    await this.pool.query(
+      `INSERT INTO pending_requests (session_id, username, profile_url, request_timestamp)
+       SELECT $1, u, h, ts
+       FROM ${this.unnest({ u: "$2::text[]", h: "$3::text[]", ts: "$4::bigint[]" })}
+       ON CONFLICT (session_id, username) DO UPDATE SET profile_url = EXCLUDED.profile_url, request_timestamp = EXCLUDED.request_timestamp`,
+      [sessionId, usernames, hrefs, timestamps]
+    );
+  }
+
+  async addPendingRequest(sessionId, username, profileUrl = null, timestamp = null) {
+    await this.pool.query(
+      `INSERT INTO pending_requests (session_id, username, profile_url, request_timestamp)
+       VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`,
+      [sessionId, username, profileUrl, timestamp]
+    );
+  }
+
+  async getPendingRequests(sessionId, tags = null) {
+    const { rows } = await this.pool.query(
+      `SELECT id, username, profile_url, request_timestamp, status, created_at
+       FROM pending_requests
+       WHERE session_id = $1 ${tags ? `AND ${this.taggedBy("pending_requests.username", "$1", "$2")}` : ""}
+       ORDER BY request_timestamp DESC NULLS LAST`,
+      tags ? [sessionId, tags] : [sessionId]
+    );
+    return rows.map(withRequestDate);
+  }
+
+  async addUnfollowedProfile(sessionId, username, lastSeenCategory, profileUrl = null, timestamp = null, source = "detected") {
+    const unfollowedAt = timestamp ? new Date(timestamp * 1000).toISOString() : null;
+    await this.pool.query(
+      `INSERT INTO unfollowed_profiles (username, last_seen_category, session_id, profile_url, unfollowed_at, source)
+       VALUES ($1, $2, $3, $4, COALESCE($5::timestamp, NOW()), $6)`,
+      [username, lastSeenCategory, sessionId, profileUrl, unfollowedAt, source]
+    );
+  }
+
+  async getUnfollowedProfilesCount(sessionId, search = null) {
+    let query = "SELECT COUNT(*) as count FROM unfollowed_profiles WHERE session_id = $1";
+    const params = [sessionId];
+    if (search) {
+      query += ` AND username ${this.ilike} $2`;
+      params.push(`%${search}%`);
+    }
+    const { rows } = await this.pool.query(query, params);
+    return rows[0] ? parseInt(rows[0].count) : 0;
+  }
+
+  async getAnalysisSessions(limit = 10, userId = null) {
+    let query = "SELECT * FROM analysis_sessions";
+    const params = [];
+    if (userId !== null) {
+      query += " WHERE user_id = $1";
+      params.push(userId);
+    }
+    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1}`;
+    params.push(limit);
+    const { rows } = await this.pool.query(query, params);
+    return rows || [];
+  }
+
+  // The user's latest session before this one, or before now while this one
+  // is still being saved
+  async getPreviousAnalysisSession(sessionId, userId) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM analysis_sessions
+       WHERE user_id = $2 AND id <> $1
+         AND created_at <= COALESCE((SELECT created_at FROM analysis_sessions WHERE id = $1), NOW())
+       ORDER BY created_at DESC LIMIT 1`,
+      [sessionId, userId]
+    );
+    return rows[0] || null;
+  }
+
+  async getFollowerMemberships(sessionIds, usernames) {
+    if (!sessionIds || sessionIds.length === 0 || !usernames || usernames.length === 0) return [];
+    const { rows } = await this.pool.query(
+      `SELECT session_id, username, href FROM users
+       WHERE session_id ${this.inArray("$1")} AND username ${this.inArray("$2")}
+         AND category IN ('mutual', 'followers_only')`,
+      [sessionIds, usernames]
+    );
+    return rows;
+  }
+
+  /**
+   * One page of the user's follower history, most changes first. Counts how
+   * often each follower dropped out of and returned to the user's sessions,
+   * in order, without loading every membership.
+   * @param {Object} options - { filter, search, limit, offset }; filter is one
+   *   of all, changed, dropped, returned or lost, search a username substring
+   * @returns {Promise<{ sessions: Array, usernames: string[], counts: Object }>} counts has
+   *   total (matching the filter and search), total_users, changed_count, returned_count and lost_count
+   */
+  async getFollowerHistoryPage(userId, { filter, search = null, limit, offset = 0 }) {
+    // A follower dropped after a session when they are missing from the next
+    // one, and returned in a session when they were missing from the last one
+    const history = `
+      WITH sessions AS (
+        SELECT id, ROW_NUMBER() OVER (ORDER BY created_at, id) AS seq
+        FROM analysis_sessions WHERE user_id = $1
+      ),
+      presence AS (
+        SELECT DISTINCT users.username, sessions.seq
+        FROM users JOIN sessions ON sessions.id = users.session_id
+        WHERE users.category IN ('mutual', 'followers_only')
+      ),
+      runs AS (
+        SELECT username, seq,
+          LAG(seq) OVER (PARTITION BY username ORDER BY seq) AS previous_seq,
+          LEAD(seq) OVER (PARTITION BY username ORDER BY seq) AS next_seq
+        FROM presence
+      ),
+      history AS (
+        SELECT username,
+          SUM(CASE WHEN next_seq > seq + 1 OR (next_seq IS NULL AND seq < (SELECT MAX(seq) FROM sessions))
+            THEN 1 ELSE 0 END) AS dropped,
+          SUM(CASE WHEN previous_seq < seq - 1 THEN 1 ELSE 0 END) AS returned,
+          CASE WHEN MAX(seq) < (SELECT MAX(seq) FROM sessions) THEN 1 ELSE 0 END AS lost
+        FROM runs GROUP BY username
+      )`;
+    const filters = {
+      all: "1 = 1",
+      changed: "dropped + returned > 0",
+      dropped: "dropped > 0",
+      returned: "returned > 0",
+      lost: "lost = 1",
+    };
+    const conditions = [filters[filter]];
+    const params = [userId];
+    if (search) {
+      params.push(`%${search.toLowerCase().replace(/[\\%_]/g, "\\$&")}%`);
+      conditions.push(`lower(username) LIKE $${params.length} ESCAPE '\\'`);
+    }
+    const matches = conditions.join(" AND ");
+
+    const [sessions, page, counts] = await Promise.all([
+      this.pool.query(
+        `SELECT id, name, created_at, followers_count FROM analysis_sessions
+         WHERE user_id = $1 ORDER BY created_at, id`,
+        [userId]
+      ),
+      this.pool.query(
+        `${history}
+         SELECT username FROM history WHERE ${matches}
+         ORDER BY dropped + returned DESC, username
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.pool.query(
+        `${history}
+         SELECT CAST(COUNT(*) AS INTEGER) AS total_users,
+           CAST(COALESCE(SUM(CASE WHEN ${matches} THEN 1 ELSE 0 END), 0) AS INTEGER) AS total,
+           CAST(COALESCE(SUM(CASE WHEN ${filters.changed} THEN 1 ELSE 0 END), 0) AS INTEGER) AS changed_count,
+           CAST(COALESCE(SUM(CASE WHEN ${filters.returned} THEN 1 ELSE 0 END), 0) AS INTEGER) AS returned_count,
+           CAST(COALESCE(SUM(lost), 0) AS INTEGER) AS lost_count
+         FROM history`,
+        params
+      ),
+    ]);
+
+    return { sessions: sessions.rows, usernames: page.rows.map((row) => row.username), counts: counts.rows[0] };
+  }
+
+  async getProfileRecords(sessionIds, username) {
+    if (!sessionIds || sessionIds.length === 0) {
+      return { memberships: [], events: [], relationships: [], pending: [], unfollowed: [] };
+    }
+    const params = [sessionIds, username];
+    const [memberships, events, relationships, pending, unfollowed] = await Promise.all([
+      this.pool.query(
+        `SELECT session_id, category, href FROM users WHERE session_id ${this.inArray("$1")} AND username = $2`,
+        params
+      ),
+      this.pool.query(
+        `SELECT session_id, direction, event_timestamp FROM follower_events
+         WHERE session_id ${this.inArray("$1")} AND username = $2
+         ORDER BY event_timestamp ASC`,
+        params
+      ),
+      this.pool.query(
+        `SELECT session_id, list_type, display_name, profile_url, timestamp FROM relationship_profiles
+         WHERE session_id ${this.inArray("$1")} AND username = $2
+         ORDER BY timestamp ASC NULLS LAST`,
+        params
+      ),
+      this.pool.query(
+        `SELECT session_id, profile_url, status, request_timestamp
+         FROM pending_requests
+         WHERE session_id ${this.inArray("$1")} AND username = $2`,
+        params
+      ),
+      this.pool.query(
+        `SELECT session_id, unfollowed_at, last_seen_category, source FROM unfollowed_profiles
+         WHERE session_id ${this.inArray("$1")} AND username = $2
+         ORDER BY unfollowed_at ASC`,
+        params
+      ),
+    ]);
+    return {
+      memberships: memberships.rows,
+      events: events.rows,
+      relationships: relationships.rows.map(withBigintTimestamp),
+      pending: pending.rows.map(withRequestDate),
+      unfollowed: unfollowed.rows,
+    };
+  }
+
+  async getExportRows(sessionId, userLists, relationshipLists, includePending, includeUnfollowed) {
+    const parts = [];
+    const params = [sessionId];
+
+    if (userLists.length > 0) {
+      params.push(userLists);
+      parts.push(
+        `SELECT u.username, u.category AS list, u.href AS profile_url, NULL::text AS display_name,
+                ff.event_timestamp AS followed_you_at, fg.event_timestamp AS you_followed_at,
+                NULL::timestamp AS list_date
+         FROM users u
+         LEFT JOIN follower_events ff
+           ON ff.session_id = u.session_id AND ff.username = u.username AND ff.direction = 'follower'
+         LEFT JOIN follower_events fg
+           ON fg.session_id = u.session_id AND fg.username = u.username AND fg.direction = 'following'
+         WHERE u.session_id = $1 AND u.category = ANY($${params.length})`
+      );
+    }
+    if (includePending) {
+      parts.push(
+        `SELECT username, 'pending_requests', profile_url, NULL::text, NULL::timestamp, NULL::timestamp,
+                to_timestamp(request_timestamp)::timestamp
+         FROM pending_requests WHERE session_id = $1`
+      );
+    }
+    if (includeUnfollowed) {
+      parts.push(
+        `SELECT username, 'unfollowed', profile_url, NULL::text, NULL::timestamp, NULL::timestamp, unfollowed_at
+         FROM unfollowed_profiles WHERE session_id = $1`
+      );
+    }
+    if (relationshipLists.length > 0) {
+      params.push(relationshipLists);
+      parts.push(
+        `SELECT username, list_type, profile_url, display_name, NULL::timestamp, NULL::timestamp,
+                to_timestamp(timestamp)::timestamp
+         FROM relationship_profiles WHERE session_id = $1 AND list_type = ANY($${params.length})`
+      );
+    }
+
+    if (parts.length === 0) return [];
+    const { rows } = await this.pool.query(`${parts.join(" UNION ALL ")} ORDER BY list, username`, params);
+    return rows;
+  }
+
+  async saveResetToken(userId, tokenHash, expiresAt) {
+    await this.pool.query(
+      "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)",
+      [userId, tokenHash, expiresAt]
+    );
+  }
+
+  async getResetToken(tokenHash) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM password_reset_tokens WHERE token_hash = $1 AND used = FALSE AND expires_at > NOW() LIMIT 1",
+      [tokenHash]
+    );
+    return rows[0] || null;
+  }
+
+  async markResetTokenUsed(id) {
+    await this.pool.query("UPDATE password_reset_tokens SET used = TRUE WHERE id = $1", [id]);
+  }
+
+  // Count reset tokens created for a user in the last 72 hours
+  async countRecentResetTokens(userId) {
+    const { rows } = await this.pool.query(
+      "SELECT COUNT(*) as count FROM password_reset_tokens WHERE user_id = $1 AND created_at > NOW() - INTERVAL '72 hours'",
+      [userId]
+    );
+    return rows[0] ? parseInt(rows[0].count) : 0;
+  }
+
+  async updateUserPassword(userId, passwordHash) {
+    await this.pool.query(
+      "UPDATE app_users SET password_hash = $1 WHERE id = $2",
+      [passwordHash, userId]
+    );
+  }
+
+  // Login sessions kept by express-session, newest expiry first
+  async getUserSessions(userId) {
+    const { rows } = await this.pool.query(
+      "SELECT sid, sess, expire FROM user_sessions WHERE CAST(sess ->> 'userId' AS INTEGER) = $1 ORDER BY expire DESC",
+      [userId]
+    );
+    return rows;
+  }
+
+  async getUserSession(sid) {
+    const { rows } = await this.pool.query("SELECT sid, sess, expire FROM user_sessions WHERE sid = $1", [sid]);
+    return rows[0] || null;
+  }
+
+  async deleteUserSession(sid) {
+    await this.pool.query("DELETE FROM user_sessions WHERE sid = $1", [sid]);
+  }
+}
+
+module.exports = PostgresStorage;
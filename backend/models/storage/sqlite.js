@@ -0,0 +1,339 @@
+const PostgresStorage = require("./postgres");
+const SqlitePool = require("./sqlitePool");
+const createSqliteSessionStore = require("./sqliteSessionStore");
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+const toDate = (value) => (value === null || value instanceof Date ? value : new Date(value));
+
+/**
+ * Storage in a single SQLite file, for self-hosting without a database server.
+ * Arrays and JSON are stored as JSON text and timestamps as ISO 8601 text;
+ * SqlitePool converts them on the way in and out, so rows look the same as
+ * they do from PostgreSQL.
+ */
+class SqliteStorage extends PostgresStorage {
+  constructor(filename) {
+    super();
+    this.dialect = "sqlite";
+    this.filename = filename;
+  }
+
+  async connect() {
+    this.pool = new SqlitePool(this.filename);
+    console.log(`📁 Opened SQLite database ${this.filename}`);
+  }
+
+  createSessionStore(session) {
+    const SqliteSessionStore = createSqliteSessionStore(session);
+    return new SqliteSessionStore(this);
+  }
+
+  // LIKE ignores case for ASCII in SQLite
+  get ilike() {
+    return "LIKE";
+  }
+
+  inArray(param) {
+    return `IN (SELECT value FROM json_each(${param}))`;
+  }
+
+  // The arrays are zipped by index. SQLite needs a WHERE before an upsert's
+  // ON CONFLICT in INSERT ... SELECT, so this supplies one.
+  unnest(columns) {
+    const entries = Object.entries(columns).map(([alias, param]) => [alias, param.replace(/::.*$/, "")]);
+    const select = entries.map(([alias], i) => `c${i}.value AS ${alias}`).join(", ");
+    const joins = entries
+      .slice(1)
+      .map(([, param], i) => `JOIN json_each(${param}) AS c${i + 1} ON c${i + 1}.key = c0.key`)
+      .join(" ");
+    return `(SELECT ${select} FROM json_each(${entries[0][1]}) AS c0 ${joins}) AS t WHERE true`;
+  }
+
+  eachTag(column) {
+    return `json_each(${column}) AS tag`;
+  }
+
+  hasAnyTag(column, param) {
+    return `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value ${this.inArray(param)})`;
+  }
+
+  hasTag(column, param) {
+    return `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value = ${param})`;
+  }
+
+  // No full-text index: every word of the search has to appear in the note
+  noteMatches(search, params) {
+    params.push(search.split(/\s+/).filter(Boolean));
+    return `NOT EXISTS (
+      SELECT 1 FROM json_each($${params.length})
+      WHERE COALESCE(note, '') NOT LIKE '%' || value || '%'
+    )`;
+  }
+
+  async addTagToAnnotations(userId, usernames, tag, maxTags) {
+    const { rowCount } = await this.pool.query(
+      `INSERT INTO user_annotations (user_id, username, tags, updated_at)
+       SELECT $1, value, json_array($3), NOW() FROM json_each($2) WHERE true
+       ON CONFLICT (user_id, username) DO UPDATE
+         SET tags = json_insert(COALESCE(user_annotations.tags, '[]'), '$[#]', $3), updated_at = NOW()
+         WHERE NOT ${this.hasTag("user_annotations.tags", "$3")}
+           AND json_array_length(COALESCE(user_annotations.tags, '[]')) < $4`,
+      [userId, [...new Set(usernames)], tag, maxTags]
+    );
+    return rowCount;
+  }
+
+  // Tags keep their order; a rename onto an existing tag keeps the first
+  async renameAnnotationTag(userId, from, to) {
+    const { rowCount } = await this.pool.query(
+      `UPDATE user_annotations
+       SET tags = (
+         SELECT json_group_array(tag) FROM (
+           SELECT CASE WHEN value = $2 THEN $3 ELSE value END AS tag, MIN(key) AS position
+           FROM json_each(user_annotations.tags)
+           GROUP BY tag ORDER BY position
+         )
+       ), updated_at = NOW()
+       WHERE user_id = $1 AND ${this.hasTag("tags", "$2")}`,
+      [userId, from, to]
+    );
+    return rowCount;
+  }
+
+  // No FOR UPDATE: a checked-out client has the only connection to itself
+  async deleteAnalysisSession(sessionId, userId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const owned = await client.query(
+        "SELECT 1 FROM analysis_sessions WHERE id = $1 AND user_id = $2",
+        [sessionId, userId]
+      );
+      if (owned.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return false;
+      }
+
+      for (const table of ["follower_events", "pending_requests", "unfollowed_profiles", "relationship_profiles", "interactions", "users"]) {
+        await client.query(`DELETE FROM ${table} WHERE session_id = $1`, [sessionId]);
+      }
+      await client.query("DELETE FROM analysis_sessions WHERE id = $1 AND user_id = $2", [sessionId, userId]);
+      await client.query("COMMIT");
+      return true;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async importAccountBackupData(userId, tables, data) {
+    const fields = (columns) => columns.map((c) => `value ->> '${c}'`).join(", ");
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `INSERT INTO analysis_sessions (id, user_id, ${tables.analysis_sessions.join(", ")})
+         SELECT value ->> 'id', $2, ${fields(tables.analysis_sessions)} FROM json_each($1)`,
+        [data.analysis_sessions, userId]
+      );
+
+      for (const [table, columns] of Object.entries(tables)) {
+        if (table === "analysis_sessions" || table === "user_annotations") continue;
+        if (!data[table] || data[table].length === 0) continue;
+        await client.query(
+          `INSERT INTO ${table} (session_id, ${columns.join(", ")})
+           SELECT value ->> 'session_id', ${fields(columns)} FROM json_each($1) WHERE true
+           ON CONFLICT DO NOTHING`,
+          [data[table]]
+        );
+      }
+
+      if (data.user_annotations && data.user_annotations.length > 0) {
+        await client.query(
+          `INSERT INTO user_annotations (user_id, ${tables.user_annotations.join(", ")})
+           SELECT $2, ${fields(tables.user_annotations)} FROM json_each($1) WHERE true
+           ON CONFLICT (user_id, username) DO UPDATE
+             SET note = excluded.note, tags = excluded.tags, updated_at = excluded.updated_at`,
+          [data.user_annotations, userId]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getUnfollowCandidates(sessionId, userId, tags = null) {
+    const { rows } = await this.pool.query(
+      `WITH earlier AS (
+          SELECT id FROM analysis_sessions
+          WHERE user_id = $2 AND created_at < (SELECT created_at FROM analysis_sessions WHERE id = $1)
+        )
+        SELECT u.username, u.href,
+              fe.event_timestamp AS followed_at,
+              julianday(s.created_at) - julianday(fe.event_timestamp) AS follow_age_days,
+              EXISTS (SELECT 1 FROM earlier) AS has_earlier_sessions,
+              EXISTS (
+                SELECT 1 FROM users p
+                WHERE p.session_id IN (SELECT id FROM earlier)
+                  AND p.username = u.username AND p.category IN ('mutual', 'followers_only')
+              ) AS former_follower,
+              (
+                SELECT json_group_array(rp.list_type) FROM relationship_profiles rp
+                WHERE rp.session_id = u.session_id AND rp.username = u.username
+              ) AS lists,
+              COALESCE(a.tags, '[]') AS tags
+       FROM users u
+       JOIN analysis_sessions s ON s.id = u.session_id
+       LEFT JOIN follower_events fe
+         ON fe.session_id = u.session_id AND fe.username = u.username AND fe.direction = 'following'
+       LEFT JOIN user_annotations a ON a.user_id = $2 AND a.username = u.username
+       WHERE u.session_id = $1 AND u.category = 'following_only'
+         ${tags ? `AND ${this.hasAnyTag("a.tags", "$3")}` : ""}`,
+      tags ? [sessionId, userId, tags] : [sessionId, userId]
+    );
+    return rows.map((row) => ({
+      ...row,
+      has_earlier_sessions: Boolean(row.has_earlier_sessions),
+      former_follower: Boolean(row.former_follower),
+      lists: JSON.parse(row.lists),
+      tags: JSON.parse(row.tags),
+    }));
+  }
+
+  async deleteStaleChunkedUploads(hours) {
+    const { rows } = await this.pool.query(
+      "DELETE FROM chunked_uploads WHERE updated_at < $1 RETURNING id",
+      [secondsAgo(hours * 3600)]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async appendJobMessage(id, message) {
+    await this.pool.query(
+      `UPDATE jobs SET messages = json_insert(messages, '$[#]', json($2)), updated_at = NOW(),
+         locked_at = CASE WHEN status = 'running' THEN NOW() ELSE locked_at END
+       WHERE id = $1`,
+      [id, message]
+    );
+  }
+
+  async retryJob(id, delaySeconds, error) {
+    await this.pool.query(
+      `UPDATE jobs SET status = 'pending', error = $3, locked_by = NULL, locked_at = NULL,
+         run_after = $2, updated_at = NOW()
+       WHERE id = $1`,
+      [id, new Date(Date.now() + delaySeconds * 1000), error]
+    );
+  }
+
+  // A single UPDATE is atomic here: SQLite has one writer at a time
+  async claimNextJob(types, workerId) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_by = $2, locked_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM jobs
+         WHERE status = 'pending' AND job_type ${this.inArray("$1")} AND run_after <= NOW()
+         ORDER BY run_after, created_at
+         LIMIT 1
+       )
+       RETURNING *`,
+      [types, workerId]
+    );
+    return rows[0] || null;
+  }
+
+  async releaseStaleJobs(staleSeconds) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET status = 'pending', locked_by = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE status = 'running' AND job_type IS NOT NULL AND locked_at < $1
+       RETURNING id`,
+      [secondsAgo(staleSeconds)]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async deleteFinishedJobs(olderThanDays) {
+    await this.pool.query(
+      "DELETE FROM jobs WHERE status IN ('done', 'error') AND finished_at < $1",
+      [secondsAgo(olderThanDays * 86400)]
+    );
+  }
+
+  async addUnfollowedProfile(sessionId, username, lastSeenCategory, profileUrl = null, timestamp = null, source = "detected") {
+    const unfollowedAt = timestamp ? new Date(timestamp * 1000).toISOString() : null;
+    await this.pool.query(
+      `INSERT INTO unfollowed_profiles (username, last_seen_category, session_id, profile_url, unfollowed_at, source)
+       VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6)`,
+      [username, lastSeenCategory, sessionId, profileUrl, unfollowedAt, source]
+    );
+  }
+
+  async getExportRows(sessionId, userLists, relationshipLists, includePending, includeUnfollowed) {
+    const parts = [];
+    const params = [sessionId];
+
+    if (userLists.length > 0) {
+      params.push(userLists);
+      parts.push(
+        `SELECT u.username AS username, u.category AS list, u.href AS profile_url, NULL AS display_name,
+                ff.event_timestamp AS followed_you_at, fg.event_timestamp AS you_followed_at,
+                NULL AS list_date
+         FROM users u
+         LEFT JOIN follower_events ff
+           ON ff.session_id = u.session_id AND ff.username = u.username AND ff.direction = 'follower'
+         LEFT JOIN follower_events fg
+           ON fg.session_id = u.session_id AND fg.username = u.username AND fg.direction = 'following'
+         WHERE u.session_id = $1 AND u.category ${this.inArray(`$${params.length}`)}`
+      );
+    }
+    if (includePending) {
+      parts.push(
+        `SELECT username, 'pending_requests' AS list, profile_url, NULL AS display_name, NULL AS followed_you_at,
+                NULL AS you_followed_at, to_timestamp(request_timestamp) AS list_date
+         FROM pending_requests WHERE session_id = $1`
+      );
+    }
+    if (includeUnfollowed) {
+      parts.push(
+        `SELECT username, 'unfollowed' AS list, profile_url, NULL AS display_name, NULL AS followed_you_at,
+                NULL AS you_followed_at, unfollowed_at AS list_date
+         FROM unfollowed_profiles WHERE session_id = $1`
+      );
+    }
+    if (relationshipLists.length > 0) {
+      params.push(relationshipLists);
+      parts.push(
+        `SELECT username, list_type AS list, profile_url, display_name, NULL AS followed_you_at,
+                NULL AS you_followed_at, to_timestamp(timestamp) AS list_date
+         FROM relationship_profiles WHERE session_id = $1 AND list_type ${this.inArray(`$${params.length}`)}`
+      );
+    }
+
+    if (parts.length === 0) return [];
+    // Every branch names its columns: SQLite resolves a compound ORDER BY
+    // against each SELECT, and username is ambiguous in the joined one
+    const { rows } = await this.pool.query(`${parts.join(" UNION ALL ")} ORDER BY list, username`, params);
+    return rows.map((row) => ({
+      ...row,
+      followed_you_at: toDate(row.followed_you_at),
+      you_followed_at: toDate(row.you_followed_at),
+      list_date: toDate(row.list_date),
+    }));
+  }
+
+  async countRecentResetTokens(userId) {
+    const { rows } = await this.pool.query(
+      "SELECT COUNT(*) as count FROM password_reset_tokens WHERE user_id = $1 AND created_at > $2",
+      [userId, secondsAgo(72 * 3600)]
+    );
+    return rows[0] ? parseInt(rows[0].count) : 0;
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+const Sqlite = require("better-sqlite3");
+
+// Timestamps are stored as ISO 8601 text in UTC so they sort and compare as
+// strings. Column defaults in the SQLite migrations use the same format.
+const now = () => new Date().toISOString();
+
+const toParam = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// Values come back by declared column type, the way pg returns them
+const decoders = [
+  [/BOOL/i, (value) => Boolean(value)],
+  [/TIMESTAMP/i, (value) => new Date(value)],
+  [
+    /JSON/i,
+    (value) => {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    },
+  ],
+];
+
+function rowDecoder(statement) {
+  const columns = statement
+    .columns()
+    .map(({ name, type }) => [name, type && decoders.find(([pattern]) => pattern.test(type))?.[1]])
+    .filter(([, decode]) => decode);
+  if (columns.length === 0) return (row) => row;
+  return (row) => {
+    for (const [name, decode] of columns) {
+      if (row[name] !== null && row[name] !== undefined) row[name] = decode(row[name]);
+    }
+    return row;
+  };
+}
+
+/**
+ * The subset of pg.Pool that the storage layer uses, on a better-sqlite3
+ * database: query() with $1-style parameters resolving to { rows, rowCount },
+ * connect() for a client that runs a transaction, and end().
+ *
+ * There is one connection, so a checked-out client has it to itself: pool
+ * queries wait until the client is released rather than running inside its
+ * transaction.
+ */
+class SqlitePool {
+  constructor(filename) {
+    if (filename !== ":memory:") fs.mkdirSync(path.dirname(filename), { recursive: true });
+    this.db = new Sqlite(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.db.function("NOW", { deterministic: false }, now);
+    this.db.function("to_timestamp", (seconds) => (seconds === null ? null : new Date(seconds * 1000).toISOString()));
+    this.dialect = "sqlite";
+    this.checkedOut = false;
+    this.released = Promise.resolve();
+    this.statements = new Map();
+  }
+
+  prepare(sql) {
+    let entry = this.statements.get(sql);
+    if (!entry) {
+      const statement = this.db.prepare(sql.replace(/\$(\d+)/g, "@p$1"));
+      entry = { statement, decode: statement.reader ? rowDecoder(statement) : null };
+      this.statements.set(sql, entry);
+    }
+    return entry;
+  }
+
+  run(sql, params = []) {
+    let entry;
+    try {
+      entry = this.prepare(sql);
+    } catch (error) {
+      // Like pg's simple query protocol, several statements are fine without parameters
+      if (params.length === 0 && error.name === "RangeError" && /more than one statement/.test(error.message)) {
+        this.db.exec(sql);
+        return { rows: [], rowCount: 0 };
+      }
+      throw error;
+    }
+    const { statement, decode } = entry;
+    const named = Object.fromEntries(params.map((value, i) => [`p${i + 1}`, toParam(value)]));
+    if (decode) {
+      const rows = statement.all(named).map(decode);
+      return { rows, rowCount: rows.length };
+    }
+    const { changes } = statement.run(named);
+    return { rows: [], rowCount: changes };
+  }
+
+  async query(sql, params) {
+    while (this.checkedOut) await this.released;
+    return this.run(sql, params);
+  }
+
+  async connect() {
+    while (this.checkedOut) await this.released;
+    this.checkedOut = true;
+    let release;
+    this.released = new Promise((resolve) => {
+      release = resolve;
+    });
+    return {
+      query: async (sql, params) => this.run(sql, params),
+      release: () => {
+        this.checkedOut = false;
+        release();
+      },
+    };
+  }
+
+  async end() {
+    this.db.close();
+  }
+}
+
+module.exports = SqlitePool;
@@ -0,0 +1,64 @@
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+const expiryOf = (sess) =>
+  sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + ONE_DAY_MS);
+
+/**
+ * express-session store on the user_sessions table of a SqliteStorage, the
+ * counterpart of connect-pg-simple. Called with express-session the same way:
+ * `new (createSqliteSessionStore(session))(storage)`.
+ */
+function createSqliteSessionStore(session) {
+  class SqliteSessionStore extends session.Store {
+    constructor(storage) {
+      super();
+      this.storage = storage;
+      this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+      this.pruneTimer.unref();
+    }
+
+    // The store is created before the database is opened
+    query(sql, params) {
+      return this.storage.pool.query(sql, params);
+    }
+
+    get(sid, callback) {
+      this.query("SELECT sess FROM user_sessions WHERE sid = $1 AND expire >= $2", [sid, new Date()])
+        .then(({ rows }) => callback(null, rows[0] ? rows[0].sess : null))
+        .catch(callback);
+    }
+
+    set(sid, sess, callback = () => {}) {
+      this.query(
+        `INSERT INTO user_sessions (sid, sess, expire) VALUES ($1, $2, $3)
+         ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expire = excluded.expire`,
+        [sid, sess, expiryOf(sess)]
+      )
+        .then(() => callback(null))
+        .catch(callback);
+    }
+
+    touch(sid, sess, callback = () => {}) {
+      this.query("UPDATE user_sessions SET expire = $2 WHERE sid = $1", [sid, expiryOf(sess)])
+        .then(() => callback(null))
+        .catch(callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+      this.query("DELETE FROM user_sessions WHERE sid = $1", [sid])
+        .then(() => callback(null))
+        .catch(callback);
+    }
+
+    prune() {
+      if (!this.storage.pool) return;
+      this.query("DELETE FROM user_sessions WHERE expire < $1", [new Date()]).catch((error) =>
+        console.error("Failed to prune sessions:", error)
+      );
+    }
+  }
+  return SqliteSessionStore;
+}
+
+module.exports = createSqliteSessionStore;
@@ -0,0 +1,1350 @@
+const { version } = require("../package.json");
+const { EXPORT_COLUMNS, EXPORT_FORMATS, EXPORT_LISTS, USER_LISTS, RELATIONSHIP_LISTS } = require("../utils/exporter");
+const { ALERT_RULE_TYPES } = require("../utils/alerts");
+const { TOKEN_SCOPES } = require("../utils/apiTokens");
+const { USER_SORTS, SORT_ORDERS, DEFAULT_USER_PAGE_SIZE, MAX_USER_PAGE_SIZE } = require("../utils/pagination");
+const { INTERACTION_TYPES, UNFOLLOW_SCORE_WEIGHTS } = require("instagram-export-parser");
+
+/**
+ * OpenAPI description of every /api route. Served at /api/openapi.json, used to
+ * validate traffic in development (middleware/validateOpenApi.js) and to
+ * generate the frontend client (scripts/generate-api-client.js).
+ *
+ * Keep it in step with the routers: add an operation here whenever a route is
+ * added or its request/response shape changes, then regenerate the client.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const string = { type: "string" };
+const integer = { type: "integer" };
+const boolean = { type: "boolean" };
+const dateTime = { type: "string", format: "date-time" };
+const arrayOf = (items) => ({ type: "array", items });
+const object = (properties, required = Object.keys(properties)) => ({ type: "object", required, properties });
+// BIGINT columns come back from pg as strings
+const bigintTimestamp = nullable({ type: "string", description: "Unix timestamp in seconds" });
+
+const interactionCounts = {
+  type: "object",
+  properties: Object.fromEntries(INTERACTION_TYPES.map((type) => [type, integer])),
+  additionalProperties: false,
+};
+
+const json = (schema, description = "OK") => ({ description, content: { "application/json": { schema } } });
+const binary = (contentTypes, description) => ({
+  description,
+  content: Object.fromEntries(contentTypes.map((type) => [type, { schema: { type: "string", format: "binary" } }])),
+});
+const errors = (...codes) =>
+  Object.fromEntries(codes.map((code) => [code, { $ref: "#/components/responses/Error" }]));
+const jsonBody = (schema, required = true) => ({ required, content: { "application/json": { schema } } });
+
+const pathParam = (name, schema = string) => ({ name, in: "path", required: true, schema });
+const query = (name, schema, description) => ({ name, in: "query", schema, ...(description && { description }) });
+const page = query("page", { type: "integer", minimum: 1, default: 1 });
+const limit = (fallback = 20, maximum) =>
+  query("limit", { type: "integer", minimum: 1, default: fallback, ...(maximum && { maximum }) });
+const search = query("search", string, "Case-insensitive username substring");
+const tagFilter = query("tags", string, "Comma-separated annotation tags; only accounts tagged with any of them");
+// Keyset-paginated user listings
+const userListParams = [
+  query("sort", { type: "string", enum: USER_SORTS, default: "username" }, "Users without a follow date sort last"),
+  query("order", { type: "string", enum: SORT_ORDERS, default: "asc" }),
+  limit(DEFAULT_USER_PAGE_SIZE, MAX_USER_PAGE_SIZE),
+  query("cursor", string, "nextCursor from the previous page; omit for the first page"),
+];
+
+// Routes accept a browser session or a personal access token unless noted
+const AUTH = [{ cookieAuth: [] }, { bearerAuth: [] }];
+const COOKIE_ONLY = [{ cookieAuth: [] }];
+const PUBLIC = [];
+
+const sessionId = pathParam("sessionId");
+const uploadId = pathParam("uploadId", { type: "string", pattern: "^[0-9a-fA-F-]{36}$" });
+const SUCCESS = json(ref("Success"));
+
+const schemas = {
+  ApiError: {
+    type: "object",
+    required: ["error"],
+    properties: { error: string, message: string },
+  },
+  Success: {
+    type: "object",
+    required: ["success"],
+    properties: { success: { type: "boolean", enum: [true] }, message: string },
+  },
+  Message: object({ message: string }),
+  Pagination: object({ page: integer, limit: integer, totalItems: integer, totalPages: integer }),
+  CursorPagination: object({
+    limit: integer,
+    sort: { type: "string", enum: USER_SORTS },
+    order: { type: "string", enum: SORT_ORDERS },
+    totalItems: integer,
+    hasMore: boolean,
+    nextCursor: nullable({ type: "string", description: "Pass as cursor to get the next page; null on the last page" }),
+  }),
+  AuthUser: object({ id: integer, email: string }),
+  Preferences: object({ digestOptIn: boolean }),
+  LoginSession: object(
+    {
+      sid: string,
+      ip: nullable(string),
+      userAgent: nullable(string),
+      createdAt: nullable(string),
+      expiresAt: dateTime,
+      isCurrent: boolean,
+    },
+    ["sid", "expiresAt", "isCurrent"]
+  ),
+  UserCategory: { type: "string", enum: USER_LISTS },
+  RelationshipListType: { type: "string", enum: RELATIONSHIP_LISTS },
+  AnalysisSessionSummary: object({
+    id: string,
+    name: nullable(string),
+    createdAt: dateTime,
+    processedAt: nullable(dateTime),
+    followersCount: integer,
+    followingCount: integer,
+    mutualCount: integer,
+    followersOnlyCount: integer,
+    followingOnlyCount: integer,
+  }),
+  Analysis: object({
+    sessionId: string,
+    createdAt: dateTime,
+    processedAt: nullable(dateTime),
+    summary: object({
+      totalFollowers: integer,
+      totalFollowing: integer,
+      exportFollowersCount: integer,
+      exportFollowingCount: integer,
+      deletedFollowersCount: integer,
+      deletedFollowingCount: integer,
+      mutualCount: integer,
+      followersOnlyCount: integer,
+      followingOnlyCount: integer,
+      unfollowedCount: integer,
+      tagCounts: {
+        type: "object",
+        description: "Accounts per annotation tag in each category, e.g. { following_only: { brand: 3 } }",
+        properties: Object.fromEntries(
+          USER_LISTS.map((list) => [list, { type: "object", additionalProperties: integer }])
+        ),
+      },
+    }),
+    relationshipCounts: ref("RelationshipCounts"),
+    exportReport: ref("ExportReport"),
+  }),
+  ExportReport: {
+    type: "object",
+    description: "Parser diagnostics: how each file in the export was handled; null for analyses saved before reports existed",
+    nullable: true,
+    required: ["files", "omittedFiles"],
+    properties: {
+      files: arrayOf(
+        object(
+          {
+            name: string,
+            size: nullable(integer),
+            status: { type: "string", enum: ["parsed", "unreadable", "unrecognised", "ignored", "failed"] },
+            handler: nullable(string),
+            records: integer,
+            rejected: integer,
+            rejections: { type: "object", additionalProperties: integer },
+            samples: arrayOf(object({ index: integer, reason: string })),
+            message: nullable(string),
+          },
+          ["name", "status"]
+        )
+      ),
+      omittedFiles: { ...integer, description: "Ignored files left out of the list" },
+      normalization: nullable({
+        type: "object",
+        additionalProperties: object({ entries: integer, duplicates: integer, deleted: integer }),
+      }),
+      totals: nullable(
+        object({
+          files: integer,
+          parsed: integer,
+          unreadable: integer,
+          unrecognised: integer,
+          failed: integer,
+          records: integer,
+          rejected: integer,
+        })
+      ),
+    },
+  },
+  RelationshipCounts: {
+    type: "object",
+    description: "Number of profiles per relationship list; lists with no profiles are omitted",
+    additionalProperties: integer,
+  },
+  AnalysisUpload: {
+    type: "object",
+    description: "An analysis computed in the browser",
+    required: ["sessionId", "summary"],
+    properties: {
+      sessionId: string,
+      summary: object(
+        {
+          totalFollowers: integer,
+          totalFollowing: integer,
+          mutualCount: integer,
+          followersOnlyCount: integer,
+          followingOnlyCount: integer,
+          exportFollowersCount: integer,
+          exportFollowingCount: integer,
+          deletedFollowersCount: integer,
+          deletedFollowingCount: integer,
+        },
+        ["totalFollowers", "totalFollowing", "mutualCount", "followersOnlyCount", "followingOnlyCount"]
+      ),
+      mutual: arrayOf(ref("UploadedUser")),
+      followersOnly: arrayOf(ref("UploadedUser")),
+      followingOnly: arrayOf(ref("UploadedUser")),
+      pendingRequests: arrayOf(object({ username: string, profileUrl: nullable(string), requestDate: nullable(string) }, [])),
+      unfollowedProfiles: arrayOf(object({ username: string, href: nullable(string), timestamp: nullable({ type: "number" }) }, ["username"])),
+      relationshipProfiles: arrayOf(
+        object(
+          {
+            username: string,
+            listType: ref("RelationshipListType"),
+            displayName: nullable(string),
+            profileUrl: nullable(string),
+            fbid: nullable(string),
+            timestamp: nullable({ type: "number" }),
+          },
+          ["username", "listType"]
+        )
+      ),
+      interactions: arrayOf(
+        object(
+          {
+            username: string,
+            type: { type: "string", enum: INTERACTION_TYPES },
+            count: integer,
+            timestamp: nullable({ type: "number" }),
+          },
+          ["username", "type", "count"]
+        )
+      ),
+      exportReport: ref("ExportReport"),
+    },
+  },
+  UploadedUser: object(
+    { username: string, value: string, href: nullable(string), timestamp: nullable({ type: "number" }) },
+    []
+  ),
+  User: object(
+    {
+      id: integer,
+      session_id: string,
+      username: string,
+      category: ref("UserCategory"),
+      href: nullable(string),
+      followed_at: nullable(dateTime),
+      created_at: dateTime,
+      interactions: ref("InteractionCounts"),
+    },
+    ["username", "category"]
+  ),
+  InteractionCounts: {
+    ...interactionCounts,
+    description: "Number of interactions with the account in the export, per type; types without interactions are omitted",
+  },
+  DiffUser: object({ username: string, href: nullable(string) }),
+  ComparedSession: object({
+    id: string,
+    createdAt: dateTime,
+    name: nullable(string),
+    followersCount: integer,
+    followingCount: integer,
+    mutualCount: integer,
+  }),
+  FollowerHistoryEntry: object({
+    username: string,
+    href: nullable(string),
+    firstSeen: string,
+    dropped: arrayOf(string),
+    returned: arrayOf(string),
+    presentCount: integer,
+    currentlyFollowing: boolean,
+  }),
+  FollowEvent: object({
+    timestamp: dateTime,
+    username: string,
+    direction: { type: "string", enum: ["follower", "following"] },
+    followersCount: integer,
+    followingCount: integer,
+    href: nullable(string),
+  }),
+  GrowthStatistics: object({ dailyGrowth: integer, weeklyGrowth: integer, monthlyGrowth: integer }),
+  UnfollowedProfile: object({
+    id: integer,
+    username: string,
+    unfollowed_at: dateTime,
+    last_seen_category: nullable(string),
+    profile_url: nullable(string),
+    source: { type: "string", enum: ["detected", "imported"] },
+    unfollowed_date: dateTime,
+  }),
+  RelationshipProfile: object(
+    {
+      id: integer,
+      session_id: string,
+      username: string,
+      display_name: nullable(string),
+      list_type: ref("RelationshipListType"),
+      profile_url: nullable(string),
+      fbid: nullable(string),
+      timestamp: bigintTimestamp,
+      created_at: dateTime,
+      interactions: ref("InteractionCounts"),
+    },
+    ["username", "list_type"]
+  ),
+  InsightProfile: object({
+    username: string,
+    displayName: nullable(string),
+    profileUrl: nullable(string),
+    timestamp: bigintTimestamp,
+  }),
+  PendingRequest: object({
+    username: string,
+    profileUrl: nullable(string),
+    requestDate: nullable(dateTime),
+    status: nullable(string),
+  }),
+  UnfollowCandidate: object({
+    username: string,
+    href: nullable(string),
+    followed_at: nullable(dateTime),
+    score: { type: "number", description: "Higher means a stronger case for unfollowing" },
+    reasons: arrayOf(object({ factor: ref("UnfollowScoreFactor"), points: integer, detail: string })),
+    signals: object({
+      followAgeDays: nullable({ type: "number" }),
+      formerFollower: nullable({ ...boolean, description: "Null when there is no earlier snapshot to compare with" }),
+      lists: arrayOf(ref("RelationshipListType")),
+      tags: arrayOf(string),
+      interactions: nullable({ ...interactionCounts, description: "Null when the export has no activity data" }),
+    }),
+  }),
+  UnfollowScoreFactor: { type: "string", enum: Object.keys(UNFOLLOW_SCORE_WEIGHTS) },
+  UnfollowScoreWeights: object(
+    Object.fromEntries(Object.keys(UNFOLLOW_SCORE_WEIGHTS).map((factor) => [factor, { type: "number" }]))
+  ),
+  ProfileLifecycle: object({
+    username: string,
+    href: nullable(string),
+    annotation: nullable(object({ note: nullable(string), tags: arrayOf(string), updatedAt: dateTime })),
+    snapshots: arrayOf(
+      object({
+        sessionId: string,
+        name: nullable(string),
+        createdAt: dateTime,
+        category: nullable({ type: "string", enum: [...USER_LISTS, null] }),
+        followsYou: boolean,
+        youFollow: boolean,
+      })
+    ),
+    followEvents: arrayOf(object({ sessionId: string, direction: string, timestamp: dateTime })),
+    relationships: arrayOf(
+      object({ sessionId: string, listType: ref("RelationshipListType"), displayName: nullable(string), timestamp: bigintTimestamp })
+    ),
+    pendingRequests: arrayOf(object({ sessionId: string, requestDate: nullable(dateTime), status: nullable(string) })),
+    unfollowed: arrayOf(
+      object({ sessionId: string, unfollowedAt: dateTime, lastSeenCategory: nullable(string), source: string })
+    ),
+  }),
+  Annotation: object({ username: string, note: nullable(string), tags: arrayOf(string) }),
+  AnnotationUpdate: {
+    type: "object",
+    properties: {
+      note: nullable({ type: "string", description: "Trimmed to 500 characters" }),
+      tags: { type: "array", items: string, description: "Up to 20 tags of 50 characters each" },
+    },
+  },
+  ListedAnnotation: object({
+    username: string,
+    note: nullable(string),
+    tags: arrayOf(string),
+    updatedAt: nullable(dateTime),
+  }),
+  TagCount: object({ tag: string, count: integer }),
+  BulkUsernames: object({ usernames: { ...arrayOf(string), minItems: 1, maxItems: 500 } }),
+  AlertRuleType: { type: "string", enum: Object.keys(ALERT_RULE_TYPES) },
+  AlertRule: object({
+    id: integer,
+    ruleType: ref("AlertRuleType"),
+    params: {
+      type: "object",
+      description: "list_unfollowed: { listType }, tag_unfollowed: { tag }, followers_lost: { threshold }",
+    },
+    enabled: boolean,
+    createdAt: dateTime,
+  }),
+  Alert: object({
+    id: integer,
+    ruleId: nullable(integer),
+    sessionId: nullable(string),
+    message: string,
+    usernames: arrayOf(string),
+    read: boolean,
+    createdAt: dateTime,
+  }),
+  ApiToken: object({
+    id: integer,
+    name: string,
+    prefix: string,
+    scopes: arrayOf({ type: "string", enum: TOKEN_SCOPES }),
+    expiresAt: nullable(dateTime),
+    lastUsedAt: nullable(dateTime),
+    createdAt: dateTime,
+  }),
+  Job: object({
+    id: string,
+    type: nullable(string),
+    status: { type: "string", enum: ["pending", "running", "done", "error"] },
+    attempts: integer,
+    maxAttempts: integer,
+    lastMessage: nullable(string),
+    result: {
+      description:
+        "Handler result, e.g. { sessionId, summary, exportReport } for process-upload. Failed jobs may carry details, e.g. { exportReport } when an export has no usable data",
+    },
+    error: nullable(string),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+    finishedAt: nullable(dateTime),
+  }),
+  ChunkedUpload: object({
+    uploadId: string,
+    fileName: string,
+    fileSize: integer,
+    chunkSize: integer,
+    receivedBytes: integer,
+  }),
+  UploadOffset: object({ error: string, receivedBytes: integer }, ["receivedBytes"]),
+  QueuedUpload: object({ sessionId: string }),
+  InstagramGraphResponse: {
+    type: "object",
+    description: "Instagram Graph API response, passed through unchanged",
+  },
+};
+
+const instagramInsight = (operationId, summary) => ({
+  get: {
+    tags: ["Instagram"],
+    operationId,
+    summary,
+    security: AUTH,
+    responses: { 200: json(ref("InstagramGraphResponse")), ...errors(400, 401, 404, 422, 500) },
+  },
+});
+
+const paths = {
+  "/api/health": {
+    get: {
+      tags: ["Meta"],
+      operationId: "getHealth",
+      summary: "Health check",
+      security: PUBLIC,
+      responses: { 200: json(object({ status: string, timestamp: dateTime })) },
+    },
+  },
+  "/api/openapi.json": {
+    get: {
+      tags: ["Meta"],
+      operationId: "getOpenApiDocument",
+      summary: "The OpenAPI document describing this API",
+      security: PUBLIC,
+      responses: { 200: json({ type: "object" }) },
+    },
+  },
+
+  "/api/auth/send-otp": {
+    post: {
+      tags: ["Auth"],
+      operationId: "sendOtp",
+      summary: "Email a registration verification code",
+      security: PUBLIC,
+      requestBody: jsonBody(object({ email: string })),
+      responses: { 200: json(ref("Message")), ...errors(400, 409, 500) },
+    },
+  },
+  "/api/auth/register": {
+    post: {
+      tags: ["Auth"],
+      operationId: "register",
+      summary: "Create an account and log in",
+      security: PUBLIC,
+      requestBody: jsonBody(object({ email: string, password: { type: "string", minLength: 8 }, otp: string })),
+      responses: { 201: json(ref("AuthUser"), "Created"), ...errors(400, 409, 500) },
+    },
+  },
+  "/api/auth/login": {
+    post: {
+      tags: ["Auth"],
+      operationId: "login",
+      security: PUBLIC,
+      requestBody: jsonBody(object({ email: string, password: string })),
+      responses: { 200: json(ref("AuthUser")), ...errors(400, 401, 500) },
+    },
+  },
+  "/api/auth/forgot-password": {
+    post: {
+      tags: ["Auth"],
+      operationId: "forgotPassword",
+      summary: "Email a password reset link",
+      security: PUBLIC,
+      requestBody: jsonBody(object({ email: string })),
+      responses: { 200: json(ref("Message")), ...errors(400, 429, 500) },
+    },
+  },
+  "/api/auth/reset-password": {
+    post: {
+      tags: ["Auth"],
+      operationId: "resetPassword",
+      security: PUBLIC,
+      requestBody: jsonBody(object({ token: string, password: { type: "string", minLength: 8 } })),
+      responses: { 200: json(ref("Message")), ...errors(400, 500) },
+    },
+  },
+  "/api/auth/logout": {
+    post: {
+      tags: ["Auth"],
+      operationId: "logout",
+      security: PUBLIC,
+      responses: { 200: SUCCESS, ...errors(500) },
+    },
+  },
+  "/api/auth/me": {
+    get: {
+      tags: ["Auth"],
+      operationId: "getCurrentUser",
+      summary: "The logged-in user",
+      security: COOKIE_ONLY,
+      responses: { 200: json(ref("AuthUser")), ...errors(401) },
+    },
+  },
+  "/api/auth/preferences": {
+    get: {
+      tags: ["Auth"],
+      operationId: "getPreferences",
+      security: AUTH,
+      responses: { 200: json(ref("Preferences")), ...errors(401, 500) },
+    },
+    put: {
+      tags: ["Auth"],
+      operationId: "updatePreferences",
+      security: AUTH,
+      requestBody: jsonBody(ref("Preferences")),
+      responses: { 200: json(ref("Preferences")), ...errors(400, 401, 500) },
+    },
+  },
+  "/api/auth/delete-account": {
+    post: {
+      tags: ["Auth"],
+      operationId: "deleteAccount",
+      summary: "Delete the account and all of its data",
+      security: COOKIE_ONLY,
+      requestBody: jsonBody(object({ password: string })),
+      responses: { 200: SUCCESS, ...errors(400, 401, 500) },
+    },
+  },
+
+  "/api/sessions": {
+    get: {
+      tags: ["Auth"],
+      operationId: "listLoginSessions",
+      summary: "Active login sessions for the current user",
+      security: COOKIE_ONLY,
+      responses: { 200: json(arrayOf(ref("LoginSession"))), ...errors(401, 500) },
+    },
+  },
+  "/api/sessions/{sid}": {
+    delete: {
+      tags: ["Auth"],
+      operationId: "revokeLoginSession",
+      security: COOKIE_ONLY,
+      parameters: [pathParam("sid")],
+      responses: { 200: SUCCESS, ...errors(401, 403, 404, 500) },
+    },
+  },
+
+  "/api/tokens": {
+    get: {
+      tags: ["Tokens"],
+      operationId: "listApiTokens",
+      security: COOKIE_ONLY,
+      responses: { 200: json(object({ tokens: arrayOf(ref("ApiToken")) })), ...errors(401, 500) },
+    },
+    post: {
+      tags: ["Tokens"],
+      operationId: "createApiToken",
+      summary: "Create a personal access token; the raw token is only returned here",
+      security: COOKIE_ONLY,
+      requestBody: jsonBody(
+        object(
+          {
+            name: { type: "string", maxLength: 100 },
+            scopes: { type: "array", minItems: 1, items: { type: "string", enum: TOKEN_SCOPES } },
+            expiresInDays: nullable({ type: "integer", minimum: 1, maximum: 365 }),
+          },
+          ["name"]
+        )
+      ),
+      responses: {
+        201: json({ allOf: [ref("ApiToken"), object({ token: string })] }, "Created"),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/tokens/{tokenId}": {
+    delete: {
+      tags: ["Tokens"],
+      operationId: "revokeApiToken",
+      security: COOKIE_ONLY,
+      parameters: [pathParam("tokenId", { type: "integer", minimum: 1 })],
+      responses: { 200: SUCCESS, ...errors(400, 401, 404, 500) },
+    },
+  },
+
+  "/api/analysis": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "listAnalyses",
+      summary: "The 50 most recent saved analyses",
+      security: AUTH,
+      responses: { 200: json(object({ sessions: arrayOf(ref("AnalysisSessionSummary")) })), ...errors(401, 500) },
+    },
+    post: {
+      tags: ["Analysis"],
+      operationId: "saveAnalysis",
+      summary: "Save an analysis computed in the browser",
+      security: AUTH,
+      requestBody: jsonBody(ref("AnalysisUpload")),
+      responses: {
+        200: json(object({ sessionId: string, saved: boolean }), "Already saved"),
+        201: json(object({ sessionId: string, saved: boolean }), "Created"),
+        ...errors(400, 401, 409, 500),
+      },
+    },
+  },
+  "/api/analysis/compare": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "compareAnalyses",
+      summary: "Follower and following changes between two saved analyses",
+      security: AUTH,
+      parameters: [
+        { ...query("a", string, "Earlier session ID"), required: true },
+        { ...query("b", string, "Later session ID"), required: true },
+        tagFilter,
+      ],
+      responses: {
+        200: json(
+          object({
+            sessionA: ref("ComparedSession"),
+            sessionB: ref("ComparedSession"),
+            diff: object({
+              newFollowers: arrayOf(ref("DiffUser")),
+              lostFollowers: arrayOf(ref("DiffUser")),
+              newFollowing: arrayOf(ref("DiffUser")),
+              removedFollowing: arrayOf(ref("DiffUser")),
+            }),
+            summary: object({
+              newFollowersCount: integer,
+              lostFollowersCount: integer,
+              newFollowingCount: integer,
+              removedFollowingCount: integer,
+            }),
+          })
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/history": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getFollowerHistory",
+      summary: "Per-follower history across every saved analysis",
+      security: AUTH,
+      parameters: [
+        page,
+        limit(20, 100),
+        query("filter", { type: "string", enum: ["all", "changed", "dropped", "returned", "lost"], default: "changed" }),
+        search,
+      ],
+      responses: {
+        200: json(
+          object({
+            sessions: arrayOf(object({ id: string, name: nullable(string), createdAt: dateTime, followersCount: integer })),
+            users: arrayOf(ref("FollowerHistoryEntry")),
+            summary: object({ totalUsers: integer, changedCount: integer, returnedCount: integer, lostCount: integer }),
+            pagination: ref("Pagination"),
+            filter: string,
+          })
+        ),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getAnalysis",
+      summary: "Summary counts for a saved analysis",
+      security: AUTH,
+      parameters: [sessionId],
+      responses: { 200: json(ref("Analysis")), ...errors(400, 401, 404, 500) },
+    },
+    delete: {
+      tags: ["Analysis"],
+      operationId: "deleteAnalysis",
+      security: AUTH,
+      parameters: [sessionId],
+      responses: { 200: SUCCESS, ...errors(400, 401, 404, 500) },
+    },
+  },
+  "/api/analysis/{sessionId}/name": {
+    patch: {
+      tags: ["Analysis"],
+      operationId: "renameAnalysis",
+      security: AUTH,
+      parameters: [sessionId],
+      requestBody: jsonBody(object({ name: { type: "string", description: "Trimmed to 120 characters" } })),
+      responses: { 200: SUCCESS, ...errors(400, 401, 404, 500) },
+    },
+  },
+  "/api/analysis/{sessionId}/unfollow-candidates": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getUnfollowCandidates",
+      summary: "Accounts you follow that don't follow back, scored and sorted highest score first",
+      security: AUTH,
+      parameters: [
+        sessionId,
+        ...Object.entries(UNFOLLOW_SCORE_WEIGHTS).map(([factor, fallback]) =>
+          query(factor, { type: "number", minimum: 0, maximum: 100, default: fallback }, `Weight of the ${factor} factor`)
+        ),
+        query("keepTags", string, "Comma-separated annotation tags that protect an account (default: keep)"),
+        tagFilter,
+      ],
+      responses: {
+        200: json(
+          object({ weights: ref("UnfollowScoreWeights"), keepTags: arrayOf(string), candidates: arrayOf(ref("UnfollowCandidate")) })
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/pending-requests": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getPendingRequests",
+      summary: "Sent follow requests that are still pending",
+      security: AUTH,
+      parameters: [sessionId, tagFilter],
+      responses: {
+        200: json(
+          object({
+            sessionId: string,
+            pendingRequests: arrayOf(ref("PendingRequest")),
+            summary: object({ totalCount: integer, filteredCount: integer }),
+          })
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/timeline": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getTimeline",
+      security: AUTH,
+      parameters: [sessionId, query("timeframe", { type: "string", enum: ["all", "week", "month", "year"], default: "all" })],
+      responses: {
+        200: json(
+          object({
+            timelineData: object({
+              followEvents: arrayOf(ref("FollowEvent")),
+              statistics: object({ totalFollowers: integer, totalFollowing: integer }),
+            }),
+            statistics: ref("GrowthStatistics"),
+          })
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/export": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "exportAnalysis",
+      summary: "Download lists from an analysis as a file",
+      security: AUTH,
+      parameters: [
+        sessionId,
+        query("format", { type: "string", enum: Object.keys(EXPORT_FORMATS), default: "csv" }),
+        query("lists", string, `Comma-separated list names: ${EXPORT_LISTS.join(", ")}`),
+        query("columns", string, `Comma-separated column names: ${Object.keys(EXPORT_COLUMNS).join(", ")}`),
+        query("category", { type: "string", enum: EXPORT_LISTS }, "Single list; superseded by lists"),
+      ],
+      responses: {
+        200: binary(
+          [...new Set(Object.values(EXPORT_FORMATS).map((f) => f.contentType.split(";")[0]))],
+          "Export file"
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/unfollowed": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getUnfollowedProfiles",
+      security: AUTH,
+      parameters: [sessionId, page, limit(), search],
+      responses: {
+        200: json(
+          object({
+            success: boolean,
+            data: arrayOf(ref("UnfollowedProfile")),
+            pagination: ref("Pagination"),
+            search: nullable(string),
+          })
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/relationships": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getRelationshipCounts",
+      security: AUTH,
+      parameters: [sessionId, tagFilter],
+      responses: {
+        200: json(object({ sessionId: string, counts: ref("RelationshipCounts") })),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/relationships/{listType}": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getRelationshipProfiles",
+      security: AUTH,
+      parameters: [sessionId, pathParam("listType", ref("RelationshipListType")), page, limit(), search, tagFilter],
+      responses: {
+        200: json(object({ profiles: arrayOf(ref("RelationshipProfile")), pagination: ref("Pagination") })),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/insights": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getInsights",
+      summary: "Relationship lists cross-referenced with followers and following",
+      security: AUTH,
+      parameters: [sessionId],
+      responses: {
+        200: json(
+          object({
+            sessionId: string,
+            insights: object({
+              closeFriendsNotFollowingBack: arrayOf(ref("InsightProfile")),
+              closeFriendsYouDontFollow: arrayOf(ref("InsightProfile")),
+              blockedStillInFollowers: arrayOf(ref("InsightProfile")),
+              hiddenStoryMutual: arrayOf(ref("InsightProfile")),
+              requestConversions: arrayOf(ref("InsightProfile")),
+              receivedNotAccepted: arrayOf(ref("InsightProfile")),
+              removedSuggestionsNowFollowing: arrayOf(ref("InsightProfile")),
+            }),
+            conversionRate: integer,
+          })
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/search/{query}": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "searchUsers",
+      summary: "Usernames starting with the query, in one category or in all of them when category is omitted",
+      security: AUTH,
+      parameters: [sessionId, pathParam("query"), query("category", ref("UserCategory")), tagFilter, ...userListParams],
+      responses: {
+        200: json(
+          object({
+            query: string,
+            category: nullable({ type: "string", enum: [...USER_LISTS, null] }),
+            users: arrayOf(ref("User")),
+            totals: {
+              type: "object",
+              description: "Matches per searched category",
+              additionalProperties: integer,
+            },
+            pagination: ref("CursorPagination"),
+          })
+        ),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+  "/api/analysis/{sessionId}/profile/{username}": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getProfileLifecycle",
+      summary: "Everything known about one account across all saved analyses",
+      security: AUTH,
+      parameters: [sessionId, pathParam("username")],
+      responses: { 200: json(ref("ProfileLifecycle")), ...errors(400, 401, 404, 500) },
+    },
+  },
+  "/api/analysis/{sessionId}/{category}": {
+    get: {
+      tags: ["Analysis"],
+      operationId: "getUsersByCategory",
+      security: AUTH,
+      parameters: [
+        sessionId,
+        pathParam("category", ref("UserCategory")),
+        query("search", string, "Case-insensitive username prefix"),
+        tagFilter,
+        ...userListParams,
+      ],
+      responses: {
+        200: json(object({ users: arrayOf(ref("User")), pagination: ref("CursorPagination") })),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+  },
+
+  "/api/annotations": {
+    get: {
+      tags: ["Annotations"],
+      operationId: "listAnnotations",
+      summary: "The user's annotations, most recently edited first, with how often each tag is used",
+      security: AUTH,
+      parameters: [
+        page,
+        limit(20, 100),
+        query("tag", string, "Only annotations with this tag"),
+        query("search", string, "Full-text search over notes"),
+      ],
+      responses: {
+        200: json(
+          object({
+            annotations: arrayOf(ref("ListedAnnotation")),
+            tags: arrayOf(ref("TagCount")),
+            pagination: ref("Pagination"),
+          })
+        ),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/annotations/lookup": {
+    post: {
+      tags: ["Annotations"],
+      operationId: "lookupAnnotations",
+      summary: "Annotations of many accounts at once, keyed by username; unannotated accounts are left out",
+      security: AUTH,
+      requestBody: jsonBody(ref("BulkUsernames")),
+      responses: {
+        200: json(
+          object({
+            annotations: {
+              type: "object",
+              additionalProperties: object({ note: nullable(string), tags: nullable(arrayOf(string)) }),
+            },
+          })
+        ),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/annotations/delete": {
+    post: {
+      tags: ["Annotations"],
+      operationId: "deleteAnnotations",
+      security: AUTH,
+      requestBody: jsonBody(ref("BulkUsernames")),
+      responses: {
+        200: json(object({ success: boolean, deleted: integer })),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/annotations/tags": {
+    post: {
+      tags: ["Annotations"],
+      operationId: "tagAnnotations",
+      summary: "Add a tag to many accounts, annotating those without an annotation yet",
+      description: "Accounts that already have the tag, or 20 tags, are left unchanged.",
+      security: AUTH,
+      requestBody: jsonBody({
+        allOf: [ref("BulkUsernames"), object({ tag: { type: "string", description: "Trimmed to 50 characters" } })],
+      }),
+      responses: {
+        200: json(object({ success: boolean, tag: string, updated: integer })),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/annotations/tags/{tag}": {
+    put: {
+      tags: ["Annotations"],
+      operationId: "renameAnnotationTag",
+      summary: "Rename a tag on every annotation that has it",
+      security: AUTH,
+      parameters: [pathParam("tag")],
+      requestBody: jsonBody(object({ name: { type: "string", description: "Trimmed to 50 characters" } })),
+      responses: {
+        200: json(object({ success: boolean, tag: string, updated: integer })),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/annotations/{username}": {
+    get: {
+      tags: ["Annotations"],
+      operationId: "getAnnotation",
+      security: AUTH,
+      parameters: [pathParam("username")],
+      responses: { 200: json(ref("Annotation")), ...errors(400, 401, 500) },
+    },
+    put: {
+      tags: ["Annotations"],
+      operationId: "saveAnnotation",
+      security: AUTH,
+      parameters: [pathParam("username")],
+      requestBody: jsonBody(ref("AnnotationUpdate")),
+      responses: {
+        200: json({ allOf: [ref("Annotation"), object({ success: boolean })] }),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+
+  "/api/alerts": {
+    get: {
+      tags: ["Alerts"],
+      operationId: "listAlerts",
+      security: AUTH,
+      parameters: [limit()],
+      responses: {
+        200: json(object({ alerts: arrayOf(ref("Alert")), unreadCount: integer })),
+        ...errors(401, 500),
+      },
+    },
+  },
+  "/api/alerts/read": {
+    post: {
+      tags: ["Alerts"],
+      operationId: "markAlertsRead",
+      summary: "Mark the given alerts, or all of them when ids is omitted, as read",
+      security: AUTH,
+      requestBody: jsonBody(object({ ids: arrayOf({ type: "integer", minimum: 1 }) }, []), false),
+      responses: { 200: SUCCESS, ...errors(400, 401, 500) },
+    },
+  },
+  "/api/alerts/rules": {
+    get: {
+      tags: ["Alerts"],
+      operationId: "listAlertRules",
+      security: AUTH,
+      responses: { 200: json(object({ rules: arrayOf(ref("AlertRule")) })), ...errors(401, 500) },
+    },
+    post: {
+      tags: ["Alerts"],
+      operationId: "createAlertRule",
+      security: AUTH,
+      requestBody: jsonBody(object({ ruleType: ref("AlertRuleType"), params: { type: "object" } }, ["ruleType"])),
+      responses: { 201: json(ref("AlertRule"), "Created"), ...errors(400, 401, 500) },
+    },
+  },
+  "/api/alerts/rules/{ruleId}": {
+    patch: {
+      tags: ["Alerts"],
+      operationId: "updateAlertRule",
+      security: AUTH,
+      parameters: [pathParam("ruleId", { type: "integer", minimum: 1 })],
+      requestBody: jsonBody(object({ enabled: boolean })),
+      responses: { 200: json(ref("AlertRule")), ...errors(400, 401, 404, 500) },
+    },
+    delete: {
+      tags: ["Alerts"],
+      operationId: "deleteAlertRule",
+      security: AUTH,
+      parameters: [pathParam("ruleId", { type: "integer", minimum: 1 })],
+      responses: { 200: SUCCESS, ...errors(400, 401, 404, 500) },
+    },
+  },
+
+  "/api/backup/export": {
+    get: {
+      tags: ["Backup"],
+      operationId: "exportBackup",
+      summary: "Download every saved analysis and annotation as a ZIP archive",
+      security: AUTH,
+      responses: { 200: binary(["application/zip"], "Backup archive"), ...errors(401, 500) },
+    },
+  },
+  "/api/backup/import": {
+    post: {
+      tags: ["Backup"],
+      operationId: "importBackup",
+      summary: "Restore a backup archive into the current account",
+      security: AUTH,
+      requestBody: {
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: object({ backup: { type: "string", format: "binary" } }),
+          },
+        },
+      },
+      responses: {
+        200: json(
+          object({
+            message: string,
+            version: integer,
+            exportedAt: dateTime,
+            imported: { type: "object", additionalProperties: integer },
+          })
+        ),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+
+  "/api/contact": {
+    post: {
+      tags: ["Contact"],
+      operationId: "sendContactMessage",
+      security: PUBLIC,
+      requestBody: jsonBody(
+        object(
+          {
+            name: { type: "string", maxLength: 100 },
+            email: { type: "string", maxLength: 254 },
+            subject: { type: "string", enum: ["general", "bug", "feature", "privacy", "account", "other"] },
+            message: { type: "string", minLength: 20, maxLength: 5000 },
+            website: { type: "string", description: "Honeypot; leave empty" },
+          },
+          ["name", "email", "subject", "message"]
+        )
+      ),
+      responses: { 202: json(ref("Message"), "Accepted"), ...errors(400, 429, 500) },
+    },
+  },
+
+  "/api/instagram/auth-url": {
+    get: {
+      tags: ["Instagram"],
+      operationId: "getInstagramAuthUrl",
+      summary: "URL to start connecting an Instagram account",
+      security: AUTH,
+      responses: { 200: json(object({ url: string })), ...errors(401, 503) },
+    },
+  },
+  "/api/instagram/callback": {
+    get: {
+      tags: ["Instagram"],
+      operationId: "instagramCallback",
+      summary: "OAuth redirect target; redirects back to the app with ?igauth=success|denied|error",
+      security: PUBLIC,
+      parameters: [query("code", string), query("state", string), query("error", string)],
+      responses: { 302: { description: "Redirect to the app" } },
+    },
+  },
+  "/api/instagram/status": {
+    get: {
+      tags: ["Instagram"],
+      operationId: "getInstagramStatus",
+      security: PUBLIC,
+      responses: {
+        200: json(object({ connected: boolean, username: nullable(string), expiresAt: nullable(dateTime) }, ["connected"])),
+      },
+    },
+  },
+  "/api/instagram/disconnect": {
+    delete: {
+      tags: ["Instagram"],
+      operationId: "disconnectInstagram",
+      security: AUTH,
+      responses: { 200: SUCCESS, ...errors(401) },
+    },
+  },
+  "/api/instagram/insights/overview": instagramInsight("getInstagramOverview", "Account overview metrics"),
+  "/api/instagram/insights/reach": instagramInsight("getInstagramReach", "Daily reach for the last 30 days"),
+  "/api/instagram/insights/activity": instagramInsight("getInstagramActivity", "Online followers by hour"),
+  "/api/instagram/insights/audience": instagramInsight("getInstagramAudience", "Audience demographics"),
+
+  "/api/jobs": {
+    get: {
+      tags: ["Jobs"],
+      operationId: "listJobs",
+      summary: "Background jobs started by the current user",
+      security: AUTH,
+      parameters: [query("status", { type: "string", enum: ["pending", "running", "done", "error"] }), limit()],
+      responses: { 200: json(object({ jobs: arrayOf(ref("Job")) })), ...errors(400, 401, 500) },
+    },
+  },
+
+  "/api/upload": {
+    post: {
+      tags: ["Upload"],
+      operationId: "uploadExport",
+      summary: "Upload an export ZIP in one request and queue it for processing",
+      security: AUTH,
+      requestBody: {
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: object({ instagramData: { type: "string", format: "binary" } }),
+          },
+        },
+      },
+      responses: { 202: json(ref("QueuedUpload"), "Queued"), ...errors(400, 401, 500) },
+    },
+  },
+  "/api/upload/chunked": {
+    post: {
+      tags: ["Upload"],
+      operationId: "createChunkedUpload",
+      summary: "Start a resumable upload, or resume the caller's unfinished upload of the same file",
+      security: AUTH,
+      requestBody: jsonBody(
+        object({
+          fileName: { type: "string", pattern: "\\.[zZ][iI][pP]$" },
+          fileSize: { type: "integer", minimum: 1 },
+          fingerprint: { type: "string", minLength: 1, maxLength: 500 },
+        })
+      ),
+      responses: {
+        200: json({ allOf: [ref("ChunkedUpload"), object({ resumed: boolean })] }, "Resumed"),
+        201: json({ allOf: [ref("ChunkedUpload"), object({ resumed: boolean })] }, "Created"),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/upload/chunked/{uploadId}": {
+    get: {
+      tags: ["Upload"],
+      operationId: "getChunkedUpload",
+      security: AUTH,
+      parameters: [uploadId],
+      responses: { 200: json(ref("ChunkedUpload")), ...errors(400, 401, 404, 500) },
+    },
+    put: {
+      tags: ["Upload"],
+      operationId: "uploadChunk",
+      summary: "Append the chunk starting at offset",
+      security: AUTH,
+      parameters: [
+        uploadId,
+        { ...query("offset", { type: "integer", minimum: 0 }), required: true },
+        {
+          name: "X-Chunk-SHA256",
+          in: "header",
+          required: true,
+          description: "Hex SHA-256 of the chunk",
+          schema: { type: "string", pattern: "^[0-9a-fA-F]{64}$" },
+        },
+      ],
+      requestBody: {
+        required: true,
+        content: { "application/octet-stream": { schema: { type: "string", format: "binary" } } },
+      },
+      responses: {
+        200: json(object({ receivedBytes: integer })),
+        409: json(ref("UploadOffset"), "Unexpected offset; resume from receivedBytes"),
+        422: json(ref("UploadOffset"), "Chunk checksum mismatch"),
+        ...errors(400, 401, 404, 500),
+      },
+    },
+    delete: {
+      tags: ["Upload"],
+      operationId: "cancelChunkedUpload",
+      security: AUTH,
+      parameters: [uploadId],
+      responses: { 200: SUCCESS, ...errors(400, 401, 404, 500) },
+    },
+  },
+  "/api/upload/chunked/{uploadId}/complete": {
+    post: {
+      tags: ["Upload"],
+      operationId: "completeChunkedUpload",
+      summary: "Verify the assembled file and queue it for processing",
+      security: AUTH,
+      parameters: [uploadId],
+      requestBody: jsonBody(
+        object({ checksum: { type: "string", description: "Hex SHA-256 over the concatenated chunk digests" } })
+      ),
+      responses: {
+        202: json(ref("QueuedUpload"), "Queued"),
+        409: json(ref("UploadOffset"), "Upload is incomplete"),
+        ...errors(400, 401, 404, 422, 500),
+      },
+    },
+  },
+  "/api/upload/status/{sessionId}": {
+    get: {
+      tags: ["Upload"],
+      operationId: "subscribeUploadStatus",
+      summary: "Server-sent progress events for a processing job: progress, done and error",
+      security: AUTH,
+      parameters: [sessionId],
+      responses: {
+        200: { description: "Event stream", content: { "text/event-stream": { schema: string } } },
+        ...errors(401),
+      },
+    },
+  },
+};
+
+// Every route that takes a token can be refused for a missing or invalid one,
+// and every write for a token without the write scope (utils/apiTokens.js)
+for (const item of Object.values(paths)) {
+  for (const [method, operation] of Object.entries(item)) {
+    if (operation.security !== AUTH) continue;
+    operation.responses = {
+      ...operation.responses,
+      ...errors(401),
+      ...(method !== "get" && { 403: { $ref: "#/components/responses/ReadOnlyToken" } }),
+    };
+  }
+}
+
+module.exports = {
+  openapi: "3.0.3",
+  info: {
+    title: "Instagram Follower Analyzer API",
+    version,
+  },
+  tags: ["Meta", "Auth", "Tokens", "Analysis", "Annotations", "Alerts", "Backup", "Contact", "Instagram", "Jobs", "Upload"].map(
+    (name) => ({ name })
+  ),
+  paths,
+  components: {
+    schemas,
+    responses: {
+      Error: json(ref("ApiError"), "Error"),
+      ReadOnlyToken: json(ref("ApiError"), "This access token is read-only"),
+    },
+    securitySchemes: {
+      cookieAuth: { type: "apiKey", in: "cookie", name: "igfa.sid" },
+      bearerAuth: { type: "http", scheme: "bearer", description: "Personal access token (ifa_…)" },
+    },
+  },
+};
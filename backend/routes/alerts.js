@@ -0,0 +1,118 @@
+const express = require("express");
+const { database } = require("../models/database");
+const requireAuth = require("../middleware/requireAuth");
+const { AlertRuleError, normalizeAlertRule } = require("../utils/alerts");
+
+const router = express.Router();
+router.use(requireAuth);
+
+const MAX_RULES_PER_USER = 50;
+
+const formatRule = (rule) => ({
+  id: rule.id,
+  ruleType: rule.rule_type,
+  params: rule.params,
+  enabled: rule.enabled,
+  createdAt: rule.created_at,
+});
+
+const parseId = (value) => {
+  const id = parseInt(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+router.get("/", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const rows = await database.getAlerts(req.userId, limit);
+    res.json({
+      alerts: rows.map((row) => ({
+        id: row.id,
+        ruleId: row.rule_id,
+        sessionId: row.session_id,
+        message: row.message,
+        usernames: row.usernames || [],
+        read: row.read,
+        createdAt: row.created_at,
+      })),
+      unreadCount: rows[0] ? parseInt(rows[0].unread_count) : 0,
+    });
+  } catch (error) {
+    console.error("Get alerts error:", error);
+    res.status(500).json({ error: "Failed to fetch alerts" });
+  }
+});
+
+// Mark the given alerts (or all of them when no ids are sent) as read
+router.post("/read", async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some((id) => !parseId(id)))) {
+      return res.status(400).json({ error: "ids must be an array of alert IDs" });
+    }
+    await database.markAlertsRead(req.userId, ids ? ids.map(parseId) : null);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Mark alerts read error:", error);
+    res.status(500).json({ error: "Failed to update alerts" });
+  }
+});
+
+router.get("/rules", async (req, res) => {
+  try {
+    const rules = await database.getAlertRules(req.userId);
+    res.json({ rules: rules.map(formatRule) });
+  } catch (error) {
+    console.error("Get alert rules error:", error);
+    res.status(500).json({ error: "Failed to fetch alert rules" });
+  }
+});
+
+router.post("/rules", async (req, res) => {
+  try {
+    const { ruleType, params } = normalizeAlertRule(req.body.ruleType, req.body.params);
+    const existing = await database.getAlertRules(req.userId);
+    if (existing.length >= MAX_RULES_PER_USER) {
+      return res.status(400).json({ error: `You can create up to ${MAX_RULES_PER_USER} alert rules` });
+    }
+    const rule = await database.createAlertRule(req.userId, ruleType, params);
+    res.status(201).json(formatRule(rule));
+  } catch (error) {
+    if (error instanceof AlertRuleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Create alert rule error:", error);
+    res.status(500).json({ error: "Failed to create alert rule" });
+  }
+});
+
+router.patch("/rules/:ruleId", async (req, res) => {
+  try {
+    const ruleId = parseId(req.params.ruleId);
+    if (!ruleId) return res.status(400).json({ error: "Invalid rule ID" });
+    if (typeof req.body.enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be a boolean" });
+    }
+    const rule = await database.setAlertRuleEnabled(ruleId, req.userId, req.body.enabled);
+    if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+    res.json(formatRule(rule));
+  } catch (error) {
+    console.error("Update alert rule error:", error);
+    res.status(500).json({ error: "Failed to update alert rule" });
+  }
+});
+
+router.delete("/rules/:ruleId", async (req, res) => {
+  try {
+    const ruleId = parseId(req.params.ruleId);
+    if (!ruleId) return res.status(400).json({ error: "Invalid rule ID" });
+    const deleted = await database.deleteAlertRule(ruleId, req.userId);
+    if (!deleted) return res.status(404).json({ error: "Alert rule not found" });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Delete alert rule error:", error);
+    res.status(500).json({ error: "Failed to delete alert rule" });
+  }
+});
+
+module.exports = router;
@@ -4,16 +4,51 @@ const path = require("path");
 const fs = require("fs").promises;
 const requireAuth = require("../middleware/requireAuth");
 const requireSessionOwner = require("../middleware/requireSessionOwner");
+const { buildFollowerHistory } = require("../utils/followerHistory");
+const { sendSessionDigest } = require("../utils/digest");
+const { evaluateAlertRules } = require("../utils/alerts");
+const {
+  EXPORT_LISTS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  USER_LISTS,
+  RELATIONSHIP_LISTS,
+  formatExport,
+} = require("../utils/exporter");
+const {
+  USER_SORTS,
+  SORT_ORDERS,
+  DEFAULT_USER_PAGE_SIZE,
+  MAX_USER_PAGE_SIZE,
+  decodeCursor,
+  cursorPagination,
+} = require("../utils/pagination");
+const {
+  INTERACTION_TYPES,
+  DEFAULT_KEEP_TAGS,
+  normalizeWeights,
+  rankUnfollowCandidates,
+} = require("instagram-export-parser");
 
 const router = express.Router();
 
 const MAX_USERS_PER_CATEGORY = 250000;
 const MAX_RELATIONSHIP_PROFILES = 250000;
+const MAX_INTERACTIONS = 500000;
+const MAX_EXPORT_REPORT_BYTES = 1024 * 1024;
+const MAX_HISTORY_SESSIONS = 500;
 
 function validArray(value, maxLength) {
   return Array.isArray(value) && value.length <= maxLength;
 }
 
+// Adds per-type interaction counts (likes, comments, story interactions, messages) to each entry
+async function withInteractions(sessionId, entries) {
+  const counts = await database.getInteractionCounts(sessionId, entries.map((e) => e.username));
+  return entries.map((entry) => ({ ...entry, interactions: counts[entry.username] || {} }));
+}
+
 
 // Add input validation middleware
 const validateSessionId = (req, res, next) => {
@@ -34,6 +69,33 @@ const validatePagination = (req, res, next) => {
   next();
 };
 
+// Keyset pagination and sorting for the user listings (see utils/pagination.js)
+const validateUserListQuery = (req, res, next) => {
+  const { sort = "username", order = "asc", cursor } = req.query;
+  const limit = req.query.limit === undefined ? DEFAULT_USER_PAGE_SIZE : parseInt(req.query.limit);
+  if (!USER_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Must be one of: ${USER_SORTS.join(", ")}` });
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    return res.status(400).json({ error: `Invalid order. Must be one of: ${SORT_ORDERS.join(", ")}` });
+  }
+  if (!(limit >= 1 && limit <= MAX_USER_PAGE_SIZE)) {
+    return res.status(400).json({ error: "Invalid pagination parameters" });
+  }
+  const after = cursor ? decodeCursor(cursor, sort) : null;
+  if (cursor && !after) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+  req.listQuery = { sort, order, limit, after };
+  next();
+};
+
+// ?tags=brand,friend keeps accounts the owner has tagged with any of them
+const parseTagFilter = (query) => {
+  const tags = query.tags ? String(query.tags).split(",").map((t) => t.trim()).filter(Boolean) : [];
+  return tags.length > 0 ? tags : null;
+};
+
 const validateAnalysisData = (req, res, next) => {
   const { followers, following } = req.body;
   if (!Array.isArray(followers) || !Array.isArray(following)) {
@@ -45,7 +107,7 @@ const validateAnalysisData = (req, res, next) => {
 // Session history - list all past sessions (must be before /:sessionId routes)
 router.get("/", requireAuth, async (req, res) => {
   try {
-    const sessions = await database.getAnalysisSessions(50, req.session.userId);
+    const sessions = await database.getAnalysisSessions(50, req.userId);
     res.json({
       sessions: sessions.map((s) => ({
         id: s.id,
@@ -79,15 +141,16 @@ router.get("/compare", requireAuth, async (req, res) => {
     if (
       !sessionA ||
       !sessionB ||
-      sessionA.user_id !== req.session.userId ||
-      sessionB.user_id !== req.session.userId
+      sessionA.user_id !== req.userId ||
+      sessionB.user_id !== req.userId
     ) {
       return res.status(404).json({ error: "One or both sessions not found" });
     }
 
+    const tags = parseTagFilter(req.query);
     const [usersA, usersB] = await Promise.all([
-      database.getUsers(a),
-      database.getUsers(b),
+      database.getUsers(a, null, tags),
+      database.getUsers(b, null, tags),
     ]);
 
     const hrefA = new Map(usersA.map((u) => [u.username, u.href]));
@@ -131,6 +194,55 @@ router.get("/compare", requireAuth, async (req, res) => {
   }
 });
 
+// Follower history across every saved session (must be before /:sessionId routes)
+const HISTORY_FILTERS = ["all", "changed", "dropped", "returned", "lost"];
+
+router.get("/history", requireAuth, validatePagination, async (req, res) => {
+  try {
+    const { page, limit } = req.pagination;
+    const filter = req.query.filter || "changed";
+    const search = (req.query.search || "").trim() || null;
+
+    if (!HISTORY_FILTERS.includes(filter)) {
+      return res.status(400).json({
+        error: `Invalid filter. Must be one of: ${HISTORY_FILTERS.join(", ")}`,
+      });
+    }
+
+    const { sessions, usernames, counts } = await database.getFollowerHistoryPage(req.userId, {
+      filter,
+      search,
+      limit,
+      offset: (page - 1) * limit,
+    });
+    // Only the accounts on this page need their dropped and returned sessions
+    const memberships = await database.getFollowerMemberships(sessions.map((s) => s.id), usernames);
+    const history = buildFollowerHistory(sessions, memberships);
+    const entries = new Map(history.users.map((u) => [u.username, u]));
+
+    res.json({
+      sessions: history.sessions,
+      users: usernames.map((username) => entries.get(username)),
+      summary: {
+        totalUsers: counts.total_users,
+        changedCount: counts.changed_count,
+        returnedCount: counts.returned_count,
+        lostCount: counts.lost_count,
+      },
+      pagination: {
+        page,
+        limit,
+        totalItems: counts.total,
+        totalPages: Math.ceil(counts.total / limit),
+      },
+      filter,
+    });
+  } catch (error) {
+    console.error("Follower history error:", error);
+    res.status(500).json({ error: "Failed to build follower history" });
+  }
+});
+
 // Rename a session
 router.patch("/:sessionId/name", validateSessionId, requireSessionOwner, async (req, res) => {
   try {
@@ -139,7 +251,7 @@ router.patch("/:sessionId/name", validateSessionId, requireSessionOwner, async (
     if (typeof name !== "string") {
       return res.status(400).json({ error: "name must be a string" });
     }
-    await database.updateSessionName(sessionId, req.session.userId, name.trim().slice(0, 120));
+    await database.updateSessionName(sessionId, req.userId, name.trim().slice(0, 120));
     res.json({ success: true });
   } catch (error) {
     console.error("Rename session error:", error);
@@ -150,7 +262,7 @@ router.patch("/:sessionId/name", validateSessionId, requireSessionOwner, async (
 // Delete one saved analysis and all of its associated records
 router.delete("/:sessionId", validateSessionId, requireSessionOwner, async (req, res) => {
   try {
-    await database.deleteAnalysisSession(req.params.sessionId, req.session.userId);
+    await database.deleteAnalysisSession(req.params.sessionId, req.userId);
     res.json({ success: true });
   } catch (error) {
     console.error("Delete session error:", error);
@@ -158,25 +270,41 @@ router.delete("/:sessionId", validateSessionId, requireSessionOwner, async (req,
   }
 });
 
-// Unfollow candidates — following_only sorted by oldest-followed-first
+// Unfollow candidates — following_only scored by follow age, past follow-backs,
+// relationship lists, "keep" tags and interactions. Weights come from the query.
 router.get("/:sessionId/unfollow-candidates", validateSessionId, requireSessionOwner, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const analysis = await database.getAnalysis(sessionId);
     if (!analysis) return res.status(404).json({ error: "Analysis session not found" });
 
-    const { rows } = await database.queryRaw(
-      `SELECT u.username, u.href,
-              fe.event_timestamp as followed_at
-       FROM users u
-       LEFT JOIN follower_events fe
-         ON fe.session_id = u.session_id AND fe.username = u.username AND fe.direction = 'following'
-       WHERE u.session_id = $1 AND u.category = 'following_only'
-       ORDER BY fe.event_timestamp ASC NULLS LAST, u.username ASC`,
-      [sessionId]
+    const weights = normalizeWeights(req.query);
+    const keepTags = req.query.keepTags
+      ? String(req.query.keepTags).split(",").map((t) => t.trim()).filter(Boolean)
+      : DEFAULT_KEEP_TAGS;
+
+    const rows = await database.getUnfollowCandidates(sessionId, req.userId, parseTagFilter(req.query));
+    const interactionCounts = (await database.hasInteractions(sessionId))
+      ? await database.getInteractionCounts(sessionId, rows.map((r) => r.username))
+      : null;
+
+    const candidates = rankUnfollowCandidates(
+      rows.map((row) => ({
+        username: row.username,
+        href: row.href,
+        followed_at: row.followed_at,
+        signals: {
+          followAgeDays: row.follow_age_days === null ? null : Number(row.follow_age_days),
+          formerFollower: row.has_earlier_sessions ? row.former_follower : null,
+          lists: row.lists,
+          tags: row.tags,
+          interactions: interactionCounts ? interactionCounts[row.username] || {} : null,
+        },
+      })),
+      { weights, keepTags }
     );
 
-    res.json({ candidates: rows });
+    res.json({ weights, keepTags, candidates });
   } catch (error) {
     console.error("Unfollow candidates error:", error);
     res.status(500).json({ error: "Failed to fetch unfollow candidates" });
@@ -200,7 +328,7 @@ router.get(
 
       // Get both pending requests and following users
       const [pendingRequests, followingUsers, mutualUsers] = await Promise.all([
-        database.getPendingRequests(sessionId),
+        database.getPendingRequests(sessionId, parseTagFilter(req.query)),
         database.getUsers(sessionId, "following_only"),
         database.getUsers(sessionId, "mutual"),
       ]);
@@ -247,9 +375,10 @@ router.get("/:sessionId", validateSessionId, requireSessionOwner, async (req, re
       return res.status(404).json({ error: "Analysis session not found" });
     }
 
-    const [unfollowedCount, relationshipCounts] = await Promise.all([
+    const [unfollowedCount, relationshipCounts, tagCounts] = await Promise.all([
       database.getUnfollowedCount(sessionId),
       database.getRelationshipProfileCounts(sessionId),
+      database.getTagCountsByCategory(sessionId),
     ]);
 
     res.json({
@@ -267,8 +396,10 @@ router.get("/:sessionId", validateSessionId, requireSessionOwner, async (req, re
         followersOnlyCount: analysis.followers_only_count,
         followingOnlyCount: analysis.following_only_count,
         unfollowedCount,
+        tagCounts: Object.fromEntries(USER_LISTS.map((list) => [list, tagCounts[list] || {}])),
       },
       relationshipCounts,
+      exportReport: analysis.export_report || null,
     });
   } catch (error) {
     console.error("Analysis retrieval error:", error);
@@ -374,50 +505,61 @@ function calculateGrowthForPeriod(events, startDate) {
 router.get("/:sessionId/export", validateSessionId, requireSessionOwner, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { category } = req.query;
-
-    let users;
-    let filename;
+    const format = req.query.format || "csv";
+    // `category` is the original single-list parameter and is still accepted
+    const lists = req.query.lists
+      ? String(req.query.lists).split(",")
+      : req.query.category
+      ? [req.query.category]
+      : USER_LISTS;
+    const columns = req.query.columns ? String(req.query.columns).split(",") : DEFAULT_COLUMNS;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+    }
+    if (lists.length === 0 || !lists.every((l) => EXPORT_LISTS.includes(l))) {
+      return res.status(400).json({ error: "Invalid list selection" });
+    }
+    if (columns.length === 0 || !columns.every((c) => EXPORT_COLUMNS[c])) {
+      return res.status(400).json({ error: "Invalid column selection" });
+    }
 
-    if (
-      category &&
-      ["mutual", "followers_only", "following_only"].includes(category)
-    ) {
-      users = await database.getUsers(sessionId, category);
-      filename = `instagram_${category}_${sessionId.slice(0, 8)}.csv`;
-    } else {
-      // Export all users
-      const mutual = await database.getUsers(sessionId, "mutual");
-      const followersOnly = await database.getUsers(
+    const rows = (
+      await database.getExportRows(
         sessionId,
-        "followers_only"
-      );
-      const followingOnly = await database.getUsers(
-        sessionId,
-        "following_only"
+        lists.filter((l) => USER_LISTS.includes(l)),
+        lists.filter((l) => RELATIONSHIP_LISTS.includes(l)),
+        lists.includes("pending_requests"),
+        lists.includes("unfollowed")
+      )
+    ).map((r) => ({
+      username: r.username,
+      list: r.list,
+      profileUrl: r.profile_url || `https://www.instagram.com/${r.username}/`,
+      displayName: r.display_name,
+      followedYouAt: r.followed_you_at,
+      youFollowedAt: r.you_followed_at,
+      listDate: r.list_date,
+    }));
+
+    if (columns.includes("note") || columns.includes("tags")) {
+      const annotations = await database.getAnnotations(
+        req.userId,
+        [...new Set(rows.map((r) => r.username))]
       );
-
-      users = [
-        ...mutual.map((u) => ({ ...u, category: "Mutual" })),
-        ...followersOnly.map((u) => ({ ...u, category: "Followers Only" })),
-        ...followingOnly.map((u) => ({ ...u, category: "Following Only" })),
-      ];
-      filename = `instagram_analysis_${sessionId.slice(0, 8)}.csv`;
+      for (const row of rows) {
+        row.note = annotations[row.username]?.note || null;
+        row.tags = annotations[row.username]?.tags || [];
+      }
     }
 
-    // Generate CSV
-    const csvHeader = "Username,Category,Profile URL\n";
-    const csvRows = users
-      .map(
-        (user) => `"${user.username}","${user.category}","${user.href || ""}"`
-      )
-      .join("\n");
-
-    const csv = csvHeader + csvRows;
+    const { body, contentType, extension } = await formatExport(rows, { format, columns });
+    const label = lists.length === 1 ? lists[0] : "analysis";
+    const filename = `instagram_${label}_${sessionId.slice(0, 8)}.${extension}`;
 
-    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Type", contentType);
     res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.send(csv);
+    res.send(body);
   } catch (error) {
     console.error("Export error:", error);
     res.status(500).json({ error: "Export failed" });
@@ -498,7 +640,7 @@ router.get("/:sessionId/relationships", validateSessionId, requireSessionOwner,
     const analysis = await database.getAnalysis(sessionId);
     if (!analysis) return res.status(404).json({ error: "Analysis session not found" });
 
-    const counts = await database.getRelationshipProfileCounts(sessionId);
+    const counts = await database.getRelationshipProfileCounts(sessionId, parseTagFilter(req.query));
     res.json({ sessionId, counts });
   } catch (error) {
     console.error("Relationships error:", error);
@@ -521,15 +663,16 @@ router.get("/:sessionId/relationships/:listType", validateSessionId, requireSess
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const search = req.query.search || null;
+    const tags = parseTagFilter(req.query);
     const offset = (page - 1) * limit;
 
     const [profiles, totalCount] = await Promise.all([
-      database.getRelationshipProfiles(sessionId, listType, limit, offset, search),
-      database.getRelationshipProfileCount(sessionId, listType, search),
+      database.getRelationshipProfiles(sessionId, listType, limit, offset, search, tags),
+      database.getRelationshipProfileCount(sessionId, listType, search, tags),
     ]);
 
     res.json({
-      profiles,
+      profiles: await withInteractions(sessionId, profiles),
       pagination: {
         page, limit,
         totalItems: totalCount,
@@ -549,32 +692,7 @@ router.get("/:sessionId/insights", validateSessionId, requireSessionOwner, async
     const analysis = await database.getAnalysis(sessionId);
     if (!analysis) return res.status(404).json({ error: "Analysis session not found" });
 
-    const insights = await database.queryRaw(
-      `WITH followers AS (
-          SELECT username FROM users WHERE session_id = $1 AND category IN ('mutual', 'followers_only')
-        ),
-        following AS (
-          SELECT username FROM users WHERE session_id = $2 AND category IN ('mutual', 'following_only')
-        ),
-        mutual AS (
-          SELECT username FROM users WHERE session_id = $3 AND category = 'mutual'
-        )
-        SELECT
-          rp.list_type,
-          rp.username,
-          rp.display_name,
-          rp.profile_url,
-          rp.timestamp,
-          CASE WHEN f.username IS NOT NULL THEN 1 ELSE 0 END as is_follower,
-          CASE WHEN fw.username IS NOT NULL THEN 1 ELSE 0 END as is_following,
-          CASE WHEN m.username IS NOT NULL THEN 1 ELSE 0 END as is_mutual
-        FROM relationship_profiles rp
-        LEFT JOIN followers f ON f.username = rp.username
-        LEFT JOIN following fw ON fw.username = rp.username
-        LEFT JOIN mutual m ON m.username = rp.username
-        WHERE rp.session_id = $4`,
-      [sessionId, sessionId, sessionId, sessionId]
-    );
+    const insights = await database.getRelationshipCrossReference(sessionId);
 
     const result = {
       closeFriendsNotFollowingBack: [],
@@ -633,115 +751,117 @@ router.get("/:sessionId/insights", validateSessionId, requireSessionOwner, async
   }
 });
 
-// 4. Search Route
-router.get("/:sessionId/search/:query", validateSessionId, requireSessionOwner, async (req, res) => {
+// 4. Search Route — usernames starting with the query, in one category or all of them
+router.get("/:sessionId/search/:query", validateSessionId, requireSessionOwner, validateUserListQuery, async (req, res) => {
   try {
     const { sessionId, query } = req.params;
-    const { page = 1, limit = 50, category = null } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-
-    if (category) {
-      // Search within a specific category with proper pagination
-      const allResults = await database.getUsers(sessionId, category, query);
-      const startIndex = (pageNum - 1) * limitNum;
-      const endIndex = startIndex + limitNum;
-      const paginatedResults = allResults.slice(startIndex, endIndex);
-
-      res.json({
-        query,
-        category,
-        results: {
-          [category === "followers_only"
-            ? "followersOnly"
-            : category === "following_only"
-            ? "followingOnly"
-            : category]: paginatedResults,
-        },
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total: allResults.length,
-          totalPages: Math.ceil(allResults.length / limitNum),
-          totalFound: allResults.length,
-        },
-      });
-    } else {
-      // Search across all categories (legacy behavior)
-      const startIndex = (pageNum - 1) * limitNum;
-      const endIndex = startIndex + limitNum;
-
-      const results = {
-        mutual: await database.getUsers(sessionId, "mutual", query),
-        followersOnly: await database.getUsers(
-          sessionId,
-          "followers_only",
-          query
-        ),
-        followingOnly: await database.getUsers(
-          sessionId,
-          "following_only",
-          query
-        ),
-      };
+    const category = req.query.category || null;
+    if (category && !USER_LISTS.includes(category)) {
+      return res.status(400).json({ error: "Invalid category" });
+    }
 
-      // Paginate each category
-      const paginatedResults = {};
-      Object.keys(results).forEach((key) => {
-        paginatedResults[key] = results[key].slice(startIndex, endIndex);
-      });
+    const page = await database.listUsers(sessionId, {
+      ...req.listQuery,
+      categories: category ? [category] : USER_LISTS,
+      search: query,
+      tags: parseTagFilter(req.query),
+    });
 
-      res.json({
-        query,
-        results: paginatedResults,
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total: {
-            mutual: results.mutual.length,
-            followersOnly: results.followersOnly.length,
-            followingOnly: results.followingOnly.length,
-          },
-          totalFound:
-            results.mutual.length +
-            results.followersOnly.length +
-            results.followingOnly.length,
-        },
-      });
-    }
+    res.json({
+      query,
+      category,
+      users: await withInteractions(sessionId, page.users),
+      totals: page.counts,
+      pagination: cursorPagination(page, req.listQuery),
+    });
   } catch (error) {
     console.error("Search error:", error);
     res.status(500).json({ error: "Search failed" });
   }
 });
 
+// Everything known about one account across all of the owner's sessions
+router.get("/:sessionId/profile/:username", validateSessionId, requireSessionOwner, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const userId = req.userId;
+
+    const sessions = (await database.getAnalysisSessions(MAX_HISTORY_SESSIONS, userId))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const [records, annotation] = await Promise.all([
+      database.getProfileRecords(sessions.map((s) => s.id), username),
+      database.getAnnotation(userId, username),
+    ]);
+
+    const categoryBySession = new Map(records.memberships.map((m) => [m.session_id, m.category]));
+    const href =
+      records.memberships.find((m) => m.href)?.href ||
+      records.relationships.find((r) => r.profile_url)?.profile_url ||
+      null;
+
+    res.json({
+      username,
+      href,
+      annotation: annotation ? { note: annotation.note, tags: annotation.tags || [], updatedAt: annotation.updated_at } : null,
+      snapshots: sessions.map((s) => {
+        const category = categoryBySession.get(s.id) || null;
+        return {
+          sessionId: s.id,
+          name: s.name,
+          createdAt: s.created_at,
+          category,
+          followsYou: category === "mutual" || category === "followers_only",
+          youFollow: category === "mutual" || category === "following_only",
+        };
+      }),
+      followEvents: records.events.map((e) => ({
+        sessionId: e.session_id,
+        direction: e.direction,
+        timestamp: e.event_timestamp,
+      })),
+      relationships: records.relationships.map((r) => ({
+        sessionId: r.session_id,
+        listType: r.list_type,
+        displayName: r.display_name,
+        timestamp: r.timestamp,
+      })),
+      pendingRequests: records.pending.map((p) => ({
+        sessionId: p.session_id,
+        requestDate: p.request_date,
+        status: p.status,
+      })),
+      unfollowed: records.unfollowed.map((u) => ({
+        sessionId: u.session_id,
+        unfollowedAt: u.unfollowed_at,
+        lastSeenCategory: u.last_seen_category,
+        source: u.source,
+      })),
+    });
+  } catch (error) {
+    console.error("Profile lifecycle error:", error);
+    res.status(500).json({ error: "Failed to fetch profile history" });
+  }
+});
+
 // 5. Category Route (MUST be last)
-router.get("/:sessionId/:category", validateSessionId, requireSessionOwner, async (req, res) => {
+router.get("/:sessionId/:category", validateSessionId, requireSessionOwner, validateUserListQuery, async (req, res) => {
   try {
     const { sessionId, category } = req.params;
-    const { search, page = 1, limit = 50 } = req.query;
 
-    // Validate category
-    const validCategories = ["mutual", "followers_only", "following_only"];
-    if (!validCategories.includes(category)) {
+    if (!USER_LISTS.includes(category)) {
       return res.status(400).json({ error: "Invalid category" });
     }
 
-    const users = await database.getUsers(sessionId, category, search);
-
-    // Implement pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedUsers = users.slice(startIndex, endIndex);
+    const page = await database.listUsers(sessionId, {
+      ...req.listQuery,
+      categories: [category],
+      search: req.query.search ? String(req.query.search) : null,
+      tags: parseTagFilter(req.query),
+    });
 
     res.json({
-      users: paginatedUsers,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: users.length,
-        totalPages: Math.ceil(users.length / limit),
-      },
+      users: await withInteractions(sessionId, page.users),
+      pagination: cursorPagination(page, req.listQuery),
     });
   } catch (error) {
     console.error("Users retrieval error:", error);
@@ -871,7 +991,7 @@ function getWeekNumber(date) {
 router.delete("/:sessionId", validateSessionId, requireSessionOwner, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const deleted = await database.deleteAnalysisSession(sessionId, req.session.userId);
+    const deleted = await database.deleteAnalysisSession(sessionId, req.userId);
     if (deleted) {
       res.json({ success: true, message: "Session deleted." });
     } else {
@@ -894,6 +1014,8 @@ router.post("/", requireAuth, async (req, res) => {
       pendingRequests = [],
       unfollowedProfiles = [],
       relationshipProfiles = [],
+      interactions = [],
+      exportReport = null,
     } = req.body;
 
     if (!sessionId || typeof sessionId !== "string" || !summary || typeof summary !== "object") {
@@ -905,38 +1027,43 @@ router.post("/", requireAuth, async (req, res) => {
       !validArray(followingOnly, MAX_USERS_PER_CATEGORY) ||
       !validArray(pendingRequests, MAX_USERS_PER_CATEGORY) ||
       !validArray(unfollowedProfiles, MAX_USERS_PER_CATEGORY) ||
-      !validArray(relationshipProfiles, MAX_RELATIONSHIP_PROFILES)
+      !validArray(relationshipProfiles, MAX_RELATIONSHIP_PROFILES) ||
+      !validArray(interactions, MAX_INTERACTIONS)
     ) {
       return res.status(400).json({ error: "Invalid or oversized analysis data" });
     }
+    if (
+      exportReport !== null &&
+      (typeof exportReport !== "object" ||
+        Array.isArray(exportReport) ||
+        JSON.stringify(exportReport).length > MAX_EXPORT_REPORT_BYTES)
+    ) {
+      return res.status(400).json({ error: "Invalid or oversized export report" });
+    }
 
     const existing = await database.getAnalysis(sessionId);
     if (existing) {
-      if (existing.user_id !== req.session.userId) {
+      if (existing.user_id !== req.userId) {
         return res.status(409).json({ error: "Session ID is already in use" });
       }
       return res.json({ sessionId, saved: true });
     }
 
-    await database.pool.query(
-      `INSERT INTO analysis_sessions
-       (id, followers_count, following_count, mutual_count, followers_only_count, following_only_count,
-        export_followers_count, export_following_count, deleted_followers_count, deleted_following_count,
-        processed_at, user_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), $11)`,
-      [
-        sessionId,
-        summary.totalFollowers,
-        summary.totalFollowing,
-        summary.mutualCount,
-        summary.followersOnlyCount,
-        summary.followingOnlyCount,
-        summary.exportFollowersCount ?? summary.totalFollowers,
-        summary.exportFollowingCount ?? summary.totalFollowing,
-        summary.deletedFollowersCount ?? 0,
-        summary.deletedFollowingCount ?? 0,
-        req.session.userId,
-      ]
+    await database.createAnalysisSession(
+      sessionId,
+      {
+        followersCount: summary.totalFollowers,
+        followingCount: summary.totalFollowing,
+        mutualCount: summary.mutualCount,
+        followersOnlyCount: summary.followersOnlyCount,
+        followingOnlyCount: summary.followingOnlyCount,
+        exportFollowersCount: summary.exportFollowersCount ?? summary.totalFollowers,
+        exportFollowingCount: summary.exportFollowingCount ?? summary.totalFollowing,
+        deletedFollowersCount: summary.deletedFollowersCount ?? 0,
+        deletedFollowingCount: summary.deletedFollowingCount ?? 0,
+        exportReport,
+      },
+      req.userId
     );
 
     const allEvents = [];
@@ -967,11 +1094,7 @@ router.post("/", requireAuth, async (req, res) => {
       const timestamp = request.requestDate
         ? Math.floor(new Date(request.requestDate).getTime() / 1000)
         : null;
-      await database.pool.query(
-        `INSERT INTO pending_requests (session_id, username, profile_url, request_timestamp)
-         VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`,
-        [sessionId, request.username, request.profileUrl || null, timestamp]
-      );
+      await database.addPendingRequest(sessionId, request.username, request.profileUrl || null, timestamp);
     }
 
     for (const profile of unfollowedProfiles) {
@@ -989,7 +1112,26 @@ router.post("/", requireAuth, async (req, res) => {
       await database.saveRelationshipProfiles(sessionId, relationshipProfiles);
     }
 
+    await database.saveInteractions(
+      sessionId,
+      interactions.filter(
+        (i) =>
+          i &&
+          typeof i.username === "string" &&
+          INTERACTION_TYPES.includes(i.type) &&
+          Number.isInteger(i.count) &&
+          i.count > 0
+      )
+    );
+
     res.status(201).json({ sessionId, saved: true });
+
+    sendSessionDigest(req.userId, sessionId).catch((error) => {
+      console.error("Digest email error:", error);
+    });
+    evaluateAlertRules(req.userId, sessionId).catch((error) => {
+      console.error("Alert rule evaluation error:", error);
+    });
   } catch (error) {
     console.error("Session save error:", error);
     res.status(500).json({ error: "Failed to save session" });
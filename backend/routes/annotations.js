@@ -5,13 +5,112 @@ const requireAuth = require("../middleware/requireAuth");
 const router = express.Router();
 router.use(requireAuth);
 
+const MAX_NOTE_LENGTH = 500;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 20;
+const MAX_BULK_USERNAMES = 500;
+
+const cleanTag = (tag) => String(tag).trim().slice(0, MAX_TAG_LENGTH);
+
+// The usernames of a bulk request, or null when the body doesn't have them
+const bulkUsernames = (body) => {
+  const { usernames } = body || {};
+  if (!Array.isArray(usernames) || usernames.length === 0 || usernames.length > MAX_BULK_USERNAMES) {
+    return null;
+  }
+  if (!usernames.every((u) => typeof u === "string" && u.length > 0)) return null;
+  return usernames;
+};
+const BULK_USERNAMES_ERROR = `usernames must be an array of 1 to ${MAX_BULK_USERNAMES} usernames`;
+
+router.get("/", async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "Invalid pagination parameters" });
+    }
+    const tag = typeof req.query.tag === "string" && req.query.tag.trim() ? req.query.tag.trim() : null;
+    const search = typeof req.query.search === "string" && req.query.search.trim() ? req.query.search.trim() : null;
+
+    const [{ annotations, total }, tags] = await Promise.all([
+      database.listAnnotations(req.userId, { tag, search, limit, offset: (page - 1) * limit }),
+      database.getAnnotationTagCounts(req.userId),
+    ]);
+    res.json({
+      annotations: annotations.map(({ username, note, tags, updated_at }) => ({
+        username,
+        note,
+        tags,
+        updatedAt: updated_at,
+      })),
+      tags,
+      pagination: { page, limit, totalItems: total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("List annotations error:", error);
+    res.status(500).json({ error: "Failed to fetch annotations" });
+  }
+});
+
+router.post("/lookup", async (req, res) => {
+  try {
+    const usernames = bulkUsernames(req.body);
+    if (!usernames) return res.status(400).json({ error: BULK_USERNAMES_ERROR });
+    const annotations = await database.getAnnotations(req.userId, usernames);
+    res.json({ annotations });
+  } catch (error) {
+    console.error("Lookup annotations error:", error);
+    res.status(500).json({ error: "Failed to fetch annotations" });
+  }
+});
+
+router.post("/delete", async (req, res) => {
+  try {
+    const usernames = bulkUsernames(req.body);
+    if (!usernames) return res.status(400).json({ error: BULK_USERNAMES_ERROR });
+    const deleted = await database.deleteAnnotations(req.userId, usernames);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error("Delete annotations error:", error);
+    res.status(500).json({ error: "Failed to delete annotations" });
+  }
+});
+
+router.post("/tags", async (req, res) => {
+  try {
+    const usernames = bulkUsernames(req.body);
+    if (!usernames) return res.status(400).json({ error: BULK_USERNAMES_ERROR });
+    const tag = typeof req.body.tag === "string" ? cleanTag(req.body.tag) : "";
+    if (!tag) return res.status(400).json({ error: "tag must be a non-empty string" });
+    const updated = await database.addTagToAnnotations(req.userId, usernames, tag, MAX_TAGS);
+    res.json({ success: true, tag, updated });
+  } catch (error) {
+    console.error("Tag annotations error:", error);
+    res.status(500).json({ error: "Failed to tag annotations" });
+  }
+});
+
+router.put("/tags/:tag", async (req, res) => {
+  try {
+    const { tag } = req.params;
+    const name = typeof req.body.name === "string" ? cleanTag(req.body.name) : "";
+    if (!name) return res.status(400).json({ error: "name must be a non-empty string" });
+    const updated = name === tag ? 0 : await database.renameAnnotationTag(req.userId, tag, name);
+    res.json({ success: true, tag: name, updated });
+  } catch (error) {
+    console.error("Rename tag error:", error);
+    res.status(500).json({ error: "Failed to rename tag" });
+  }
+});
+
 router.get("/:username", async (req, res) => {
   try {
     const { username } = req.params;
     if (!username || typeof username !== "string") {
       return res.status(400).json({ error: "Invalid username" });
     }
-    const annotation = await database.getAnnotation(req.session.userId, username);
+    const annotation = await database.getAnnotation(req.userId, username);
     res.json({ username, note: annotation?.note || null, tags: annotation?.tags || [] });
   } catch (error) {
     console.error("Get annotation error:", error);
@@ -32,12 +131,12 @@ router.put("/:username", async (req, res) => {
     if (tags !== undefined && !Array.isArray(tags)) {
       return res.status(400).json({ error: "tags must be an array" });
     }
-    const cleanNote = typeof note === "string" ? note.trim().slice(0, 500) : null;
+    const cleanNote = typeof note === "string" ? note.trim().slice(0, MAX_NOTE_LENGTH) : null;
     const cleanTags = Array.isArray(tags)
-      ? tags.map((tag) => String(tag).trim().slice(0, 50)).filter(Boolean).slice(0, 20)
+      ? tags.map(cleanTag).filter(Boolean).slice(0, MAX_TAGS)
       : [];
     await database.upsertAnnotation(
-      req.session.userId,
+      req.userId,
       username,
       cleanNote,
       cleanTags
@@ -4,6 +4,7 @@ const crypto = require("crypto");
 const { database } = require("../models/database");
 const { sendOtpEmail, sendPasswordResetEmail } = require("../utils/email");
 const requireAuth = require("../middleware/requireAuth");
+const requireCookieSession = require("../middleware/requireCookieSession");
 
 const router = express.Router();
 const SALT_ROUNDS = 12;
@@ -193,8 +194,34 @@ router.get("/me", (req, res) => {
   res.json({ id: req.session.userId, email: req.session.email });
 });
 
+router.get("/preferences", requireAuth, async (req, res) => {
+  try {
+    const user = await database.getUserById(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: "User not found" });
+    }
+    res.json({ digestOptIn: !!user.digest_opt_in });
+  } catch (error) {
+    console.error("Get preferences error:", error);
+    res.status(500).json({ error: "Failed to load preferences." });
+  }
+});
+
+router.put("/preferences", requireAuth, async (req, res) => {
+  try {
+    const { digestOptIn } = req.body;
+    if (typeof digestOptIn !== "boolean") {
+      return res.status(400).json({ error: "digestOptIn must be a boolean" });
+    }
+    await database.setDigestOptIn(req.userId, digestOptIn);
+    res.json({ digestOptIn });
+  } catch (error) {
+    console.error("Update preferences error:", error);
+    res.status(500).json({ error: "Failed to update preferences." });
+  }
+});
 
-router.post("/delete-account", requireAuth, async (req, res) => {
+router.post("/delete-account", requireCookieSession, async (req, res) => {
   try {
     const { password } = req.body;
     if (!password) {
@@ -0,0 +1,58 @@
+const express = require("express");
+const multer = require("multer");
+const { database } = require("../models/database");
+const requireAuth = require("../middleware/requireAuth");
+const { BACKUP_TABLES, BackupError, packBackup, unpackBackup } = require("../utils/backup");
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 512 * 1024 * 1024, // 512MB limit
+  },
+});
+
+// Download every saved analysis and annotation as a portable archive
+router.get("/export", requireAuth, async (req, res) => {
+  try {
+    const data = await database.getAccountBackupData(req.userId, BACKUP_TABLES);
+    const archive = await packBackup(data);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="instagram-analyzer-backup-${date}.zip"`);
+    res.send(archive);
+  } catch (error) {
+    console.error("Backup export error:", error);
+    res.status(500).json({ error: "Failed to export account data" });
+  }
+});
+
+// Restore a backup into the current account. Sessions get new IDs, so the
+// same archive can be imported alongside existing data.
+router.post("/import", requireAuth, upload.single("backup"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Backup file is required" });
+    }
+
+    const { manifest, data } = await unpackBackup(req.file.buffer);
+    await database.importAccountBackupData(req.userId, BACKUP_TABLES, data);
+
+    res.json({
+      message: "Backup imported",
+      version: manifest.version,
+      exportedAt: manifest.exportedAt,
+      imported: Object.fromEntries(Object.keys(BACKUP_TABLES).map((t) => [t, data[t].length])),
+    });
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Backup import error:", error);
+    res.status(500).json({ error: "Failed to import backup" });
+  }
+});
+
+module.exports = router;
@@ -66,7 +66,7 @@ router.get("/auth-url", requireAuth, (req, res) => {
     redirect_uri: REDIRECT_URI,
     scope: SCOPES,
     response_type: "code",
-    state: String(req.session.userId),
+    state: String(req.userId),
   });
   res.json({ url: `https://api.instagram.com/oauth/authorize?${params.toString()}` });
 });
@@ -195,14 +195,14 @@ router.get("/status", async (req, res) => {
 
 // Disconnect
 router.delete("/disconnect", requireAuth, async (req, res) => {
-  await database.deleteInstagramToken(req.session.userId);
+  await database.deleteInstagramToken(req.userId);
   res.json({ success: true });
 });
 
 // Account overview metrics
 router.get("/insights/overview", requireAuth, async (req, res) => {
   try {
-    const token = await getValidToken(req.session.userId);
+    const token = await getValidToken(req.userId);
     if (!token) return res.status(404).json({ error: "No Instagram account connected" });
     if (!token.instagram_user_id) return res.status(422).json({ error: "No Instagram account linked" });
 
@@ -219,7 +219,7 @@ router.get("/insights/overview", requireAuth, async (req, res) => {
 // Reach (last 30 days)
 router.get("/insights/reach", requireAuth, async (req, res) => {
   try {
-    const token = await getValidToken(req.session.userId);
+    const token = await getValidToken(req.userId);
     if (!token) return res.status(404).json({ error: "No Instagram account connected" });
     if (!token.instagram_user_id) return res.status(422).json({ error: "No Instagram account linked" });
 
@@ -238,7 +238,7 @@ router.get("/insights/reach", requireAuth, async (req, res) => {
 // Online followers by hour (best time to post)
 router.get("/insights/activity", requireAuth, async (req, res) => {
   try {
-    const token = await getValidToken(req.session.userId);
+    const token = await getValidToken(req.userId);
     if (!token) return res.status(404).json({ error: "No Instagram account connected" });
     if (!token.instagram_user_id) return res.status(422).json({ error: "No Instagram account linked" });
 
@@ -255,7 +255,7 @@ router.get("/insights/activity", requireAuth, async (req, res) => {
 // Audience demographics
 router.get("/insights/audience", requireAuth, async (req, res) => {
   try {
-    const token = await getValidToken(req.session.userId);
+    const token = await getValidToken(req.userId);
     if (!token) return res.status(404).json({ error: "No Instagram account connected" });
     if (!token.instagram_user_id) return res.status(422).json({ error: "No Instagram account linked" });
 
@@ -0,0 +1,44 @@
+const express = require("express");
+const { database } = require("../models/database");
+const requireAuth = require("../middleware/requireAuth");
+
+const router = express.Router();
+router.use(requireAuth);
+
+const JOB_STATUSES = ["pending", "running", "done", "error"];
+
+// Background jobs (e.g. server-side upload processing) started by the current user
+router.get("/", async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const jobs = await database.getJobsForUser(req.userId, { status, limit });
+
+    res.json({
+      jobs: jobs.map((job) => {
+        const lastProgress = [...job.messages].reverse().find((msg) => msg.event === "progress");
+        return {
+          id: job.id,
+          type: job.job_type,
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.max_attempts,
+          lastMessage: lastProgress ? lastProgress.data.message : null,
+          result: job.result,
+          error: job.error,
+          createdAt: job.created_at,
+          updatedAt: job.updated_at,
+          finishedAt: job.finished_at,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("List jobs error:", error);
+    res.status(500).json({ error: "Failed to fetch jobs" });
+  }
+});
+
+module.exports = router;
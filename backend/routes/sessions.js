@@ -1,17 +1,14 @@
 const express = require("express");
 const { database } = require("../models/database");
-const requireAuth = require("../middleware/requireAuth");
+const requireCookieSession = require("../middleware/requireCookieSession");
 
 const router = express.Router();
 
 // Get all active sessions for the current user
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireCookieSession, async (req, res) => {
   try {
     const { userId } = req.session;
-    const { rows } = await database.queryRaw(
-      `SELECT sid, sess, expire FROM user_sessions WHERE (sess ->> 'userId')::int = $1 ORDER BY expire DESC`,
-      [userId]
-    );
+    const rows = await database.getUserSessions(userId);
 
     const sessions = rows.map(row => {
       const sessionData = row.sess;
@@ -33,29 +30,23 @@ router.get("/", requireAuth, async (req, res) => {
 });
 
 // Revoke a specific session
-router.delete("/:sid", requireAuth, async (req, res) => {
+router.delete("/:sid", requireCookieSession, async (req, res) => {
   try {
     const { sid } = req.params;
     const { userId } = req.session;
 
     // To be safe, ensure the session being deleted belongs to the current user
-    const { rows } = await database.queryRaw(
-      `SELECT sess->>'userId' as "ownerId" FROM user_sessions WHERE sid = $1`,
-      [sid]
-    );
+    const userSession = await database.getUserSession(sid);
 
-    if (rows.length === 0) {
+    if (!userSession) {
       return res.status(404).json({ error: "Session not found." });
     }
 
-    if (rows[0].ownerId !== String(userId)) {
+    if (String(userSession.sess.userId) !== String(userId)) {
       return res.status(403).json({ error: "You can only delete your own sessions." });
     }
 
-    await database.queryRaw(
-      `DELETE FROM user_sessions WHERE sid = $1`,
-      [sid]
-    );
+    await database.deleteUserSession(sid);
 
     res.status(200).json({ success: true, message: "Session revoked." });
   } catch (error) {
@@ -0,0 +1,85 @@
+const express = require("express");
+const { database } = require("../models/database");
+const requireCookieSession = require("../middleware/requireCookieSession");
+const { TOKEN_SCOPES, generateApiToken } = require("../utils/apiTokens");
+
+const router = express.Router();
+router.use(requireCookieSession);
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_TOKEN_DAYS = 365;
+
+const formatToken = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.display_prefix,
+  scopes: row.scopes,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  createdAt: row.created_at,
+});
+
+router.get("/", async (req, res) => {
+  try {
+    const tokens = await database.getApiTokens(req.userId);
+    res.json({ tokens: tokens.map(formatToken) });
+  } catch (error) {
+    console.error("List tokens error:", error);
+    res.status(500).json({ error: "Failed to fetch access tokens" });
+  }
+});
+
+// The raw token is only returned here; afterwards only its hash is kept
+router.post("/", async (req, res) => {
+  try {
+    const { name, scopes = ["read"], expiresInDays = null } = req.body;
+    const cleanName = typeof name === "string" ? name.trim().slice(0, 100) : "";
+    if (!cleanName) {
+      return res.status(400).json({ error: "Token name is required" });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !TOKEN_SCOPES.includes(s))) {
+      return res.status(400).json({ error: `scopes must contain: ${TOKEN_SCOPES.join(", ")}` });
+    }
+    const days = expiresInDays === null ? null : parseInt(expiresInDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_DAYS)) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_TOKEN_DAYS}` });
+    }
+
+    const existing = await database.getApiTokens(req.userId);
+    if (existing.length >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You can have up to ${MAX_TOKENS_PER_USER} access tokens` });
+    }
+
+    // write implies read
+    const grantedScopes = scopes.includes("write") ? ["read", "write"] : ["read"];
+    const { token, tokenHash, displayPrefix } = generateApiToken();
+    const row = await database.createApiToken(req.userId, {
+      name: cleanName,
+      tokenHash,
+      displayPrefix,
+      scopes: grantedScopes,
+      expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+    });
+    res.status(201).json({ ...formatToken(row), token });
+  } catch (error) {
+    console.error("Create token error:", error);
+    res.status(500).json({ error: "Failed to create access token" });
+  }
+});
+
+router.delete("/:tokenId", async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.tokenId);
+    if (!Number.isInteger(tokenId) || tokenId < 1) {
+      return res.status(400).json({ error: "Invalid token ID" });
+    }
+    const deleted = await database.deleteApiToken(tokenId, req.userId);
+    if (!deleted) return res.status(404).json({ error: "Access token not found" });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Revoke token error:", error);
+    res.status(500).json({ error: "Failed to revoke access token" });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,34 @@
 const express = require("express");
 const multer = require("multer");
-const JSZip = require("jszip");
 const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const path = require("path");
 const { database } = require("../models/database");
 const { analyzeFollowers } = require("../utils/analyzer");
-const { filterDeletedAccounts, isDeletedAccount } = require("../utils/instagramExport");
+const { ExportFormatError, extractUsername, extractTimestamp } = require("instagram-export-parser");
+const { parseInstagramExport } = require("../utils/exportParser");
 const StreamZip = require("node-stream-zip");
 const jobQueue = require("../utils/jobQueue");
-const optionalAuth = require("../middleware/optionalAuth");
+const { sendSessionDigest } = require("../utils/digest");
+const { evaluateAlertRules } = require("../utils/alerts");
+const requireAuth = require("../middleware/requireAuth");
 
 const router = express.Router();
 
+const UPLOAD_DIR = "uploads";
+const MAX_UPLOAD_SIZE = 1024 * 1024 * 1024; // 1GB limit
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const STALE_UPLOAD_HOURS = 24;
+
+fs.mkdir(UPLOAD_DIR, { recursive: true }).catch((error) => {
+  console.error("Failed to create upload directory:", error);
+});
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, "uploads/");
+    cb(null, `${UPLOAD_DIR}/`);
   },
   filename: (req, file, cb) => {
     cb(null, `${Date.now()}-${file.originalname}`);
@@ -26,7 +38,7 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 1024 * 1024 * 1024, // 1GB limit
+    fileSize: MAX_UPLOAD_SIZE,
   },
   fileFilter: (req, file, cb) => {
     if (
@@ -41,159 +53,300 @@ const upload = multer({
   },
 });
 
-router.post("/", optionalAuth, upload.single("instagramData"), async (req, res) => {
-  const sessionId = uuidv4();
-  const uploadPath = req.file.path;
-  const userId = req.session.userId;
+const PROCESS_UPLOAD_JOB = "process-upload";
+const PROCESS_UPLOAD_ATTEMPTS = 3;
+
+// Processing runs on the job queue worker so it survives restarts and is
+// retried on transient failures. The uploaded ZIP is kept until the job
+// finally settles.
+jobQueue.register(
+  PROCESS_UPLOAD_JOB,
+  async (job, progress) => {
+    const sessionId = job.id;
+    const { uploadPath, userId } = job.payload;
 
-  // Create job and return immediately so the client isn't blocked
-  jobQueue.create(sessionId);
-  res.status(202).json({ sessionId });
+    // Clear anything a previous, interrupted attempt saved
+    if (job.attempts > 1) await database.deleteAnalysisSession(sessionId, userId);
 
-  // Run processing in background
-  setImmediate(async () => {
+    progress("Reading ZIP file…");
+    let processedData;
     try {
-      jobQueue.progress(sessionId, "Reading ZIP file…");
-      const processedData = await processInstagramDataOptimized(sessionId, uploadPath, userId, (msg) => {
-        jobQueue.progress(sessionId, msg);
-      });
-      jobQueue.complete(sessionId, {
-        sessionId,
-        summary: {
-          totalFollowers: processedData.followersCount,
-          totalFollowing: processedData.followingCount,
-          exportFollowersCount: processedData.exportFollowersCount,
-          exportFollowingCount: processedData.exportFollowingCount,
-          deletedFollowersCount: processedData.deletedFollowersCount,
-          deletedFollowingCount: processedData.deletedFollowingCount,
-          mutualCount: processedData.mutualCount,
-          followersOnlyCount: processedData.followersOnlyCount,
-          followingOnlyCount: processedData.followingOnlyCount,
-          pendingRequestsCount: processedData.pendingRequestsCount,
-        },
-      });
+      processedData = await processInstagramDataOptimized(sessionId, uploadPath, userId, progress);
     } catch (error) {
-      console.error("Upload processing error:", error);
-      jobQueue.fail(sessionId, error.message || "Failed to process Instagram data");
-    } finally {
-      try { await fs.unlink(uploadPath); } catch {}
+      // Send the report along with the failure
+      if (error instanceof ExportFormatError) {
+        error.details = { exportReport: error.report };
+      }
+      throw error;
     }
+    try { await fs.unlink(uploadPath); } catch {}
+
+    sendSessionDigest(userId, sessionId).catch((error) => {
+      console.error("Digest email error:", error);
+    });
+    evaluateAlertRules(userId, sessionId).catch((error) => {
+      console.error("Alert rule evaluation error:", error);
+    });
+
+    return {
+      sessionId,
+      summary: {
+        totalFollowers: processedData.followersCount,
+        totalFollowing: processedData.followingCount,
+        exportFollowersCount: processedData.exportFollowersCount,
+        exportFollowingCount: processedData.exportFollowingCount,
+        deletedFollowersCount: processedData.deletedFollowersCount,
+        deletedFollowingCount: processedData.deletedFollowingCount,
+        mutualCount: processedData.mutualCount,
+        followersOnlyCount: processedData.followersOnlyCount,
+        followingOnlyCount: processedData.followingOnlyCount,
+        pendingRequestsCount: processedData.pendingRequestsCount,
+      },
+      exportReport: processedData.exportReport,
+    };
+  },
+  {
+    onFailure: async (job) => {
+      try { await fs.unlink(job.payload.uploadPath); } catch {}
+    },
+  }
+);
+
+function startProcessing(sessionId, uploadPath, userId) {
+  return jobQueue.create(sessionId, {
+    userId,
+    type: PROCESS_UPLOAD_JOB,
+    payload: { uploadPath, userId },
+    maxAttempts: PROCESS_UPLOAD_ATTEMPTS,
   });
-});
+}
 
-// SSE status endpoint
-router.get("/status/:sessionId", (req, res) => {
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.flushHeaders();
-  jobQueue.subscribe(req.params.sessionId, res);
+router.post("/", requireAuth, upload.single("instagramData"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
+  const sessionId = uuidv4();
+
+  // Return immediately so the client isn't blocked; progress is streamed over SSE
+  try {
+    await startProcessing(sessionId, req.file.path, req.userId);
+    res.status(202).json({ sessionId });
+  } catch (error) {
+    console.error("Queue upload error:", error);
+    try { await fs.unlink(req.file.path); } catch {}
+    res.status(500).json({ error: "Failed to queue upload for processing" });
+  }
 });
 
-// Optimized processing function
-async function processInstagramDataOptimized(sessionId, zipPath, userId, onProgress = () => {}) {
-  console.log(`🚀 Starting optimized processing for session: ${sessionId}`);
+// Resumable uploads: the client creates an upload, PUTs fixed-size chunks in
+// order with a SHA-256 of each chunk, then completes it with a SHA-256 over the
+// concatenated chunk digests so the assembled file can be verified end to end.
 
-  const processedData = {
-    followers: [],
-    following: [],
-    pendingRequests: [],
-    unfollowedProfiles: [],
-    relationshipProfiles: [],
-  };
+const chunkPath = (uploadId) => path.join(UPLOAD_DIR, `${uploadId}.part`);
 
-  onProgress("Extracting ZIP contents…");
+const formatChunkedUpload = (row) => ({
+  uploadId: row.id,
+  fileName: row.file_name,
+  fileSize: Number(row.file_size),
+  chunkSize: row.chunk_size,
+  receivedBytes: Number(row.received_bytes),
+});
 
-  // Process ZIP file efficiently
-  const zip = new JSZip();
-  const zipData = await fs.readFile(zipPath);
-  const zipContents = await zip.loadAsync(zipData);
+async function removeChunkedUpload(uploadId) {
+  await database.deleteChunkedUpload(uploadId);
+  try { await fs.unlink(chunkPath(uploadId)); } catch {}
+}
 
-  onProgress("Parsing follower data files…");
+// SHA-256 over the digests of each chunkSize slice of the file
+async function computeChunkedChecksum(filePath, chunkSize) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const outer = crypto.createHash("sha256");
+    const buffer = Buffer.alloc(chunkSize);
+    let position = 0;
+    for (;;) {
+      const { bytesRead } = await handle.read(buffer, 0, chunkSize, position);
+      if (bytesRead === 0) break;
+      outer.update(crypto.createHash("sha256").update(buffer.subarray(0, bytesRead)).digest());
+      position += bytesRead;
+    }
+    return outer.digest("hex");
+  } finally {
+    await handle.close();
+  }
+}
 
-  // Process all files in parallel where possible
-  const fileProcessingPromises = [];
+const validateUploadId = (req, res, next) => {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.uploadId)) {
+    return res.status(400).json({ error: "Invalid upload ID" });
+  }
+  next();
+};
 
-  for (const [filename, file] of Object.entries(zipContents.files)) {
-    if (!file.dir) {
-      fileProcessingPromises.push(
-        processFileContent(filename, file, processedData)
-      );
+// Start a new upload, or resume the caller's unfinished upload of the same file
+router.post("/chunked", requireAuth, async (req, res) => {
+  try {
+    const { fileName, fileSize, fingerprint } = req.body;
+    if (typeof fileName !== "string" || !fileName.toLowerCase().endsWith(".zip")) {
+      return res.status(400).json({ error: "Only ZIP files are allowed" });
     }
-  }
+    if (!Number.isInteger(fileSize) || fileSize <= 0 || fileSize > MAX_UPLOAD_SIZE) {
+      return res.status(400).json({ error: "File size must be between 1 byte and 1GB" });
+    }
+    if (typeof fingerprint !== "string" || !fingerprint || fingerprint.length > 500) {
+      return res.status(400).json({ error: "fingerprint is required" });
+    }
+
+    const stale = await database.deleteStaleChunkedUploads(STALE_UPLOAD_HOURS);
+    await Promise.all(stale.map((id) => fs.unlink(chunkPath(id)).catch(() => {})));
 
-  await Promise.all(fileProcessingPromises);
-
-  onProgress("Normalizing data…");
-
-  // Normalization: multiple files in the ZIP may each contain followers/following
-  // fragments. We append during parsing which can create duplicates or unsorted
-  // arrays — normalize by deduplicating (by username/value) and sorting by
-  // timestamp (fallback to 0). This ensures the final arrays reflect all
-  // fragments in a deterministic way.
-  const normalizeList = (list) => {
-    const seen = new Map();
-    (list || []).forEach((item) => {
-      const username = extractUsername(item);
-      const timestamp = extractTimestamp(item) || 0;
-      if (!username) return;
-      // Keep the earliest timestamped entry for that username
-      if (
-        !seen.has(username) ||
-        (seen.get(username).timestamp || 0) > timestamp
-      ) {
-        seen.set(username, { item, timestamp });
+    const existing = await database.findChunkedUpload(req.userId, fingerprint);
+    if (existing && Number(existing.file_size) === fileSize) {
+      // The part file may have been cleaned up; only resume what is really on disk
+      const onDisk = await fs.stat(chunkPath(existing.id)).then((st) => st.size, () => 0);
+      if (onDisk >= Number(existing.received_bytes)) {
+        return res.json({ ...formatChunkedUpload(existing), resumed: true });
       }
+      await removeChunkedUpload(existing.id);
+    }
+
+    const uploadId = uuidv4();
+    await fs.writeFile(chunkPath(uploadId), "");
+    const created = await database.createChunkedUpload(uploadId, req.userId, {
+      fileName: path.basename(fileName),
+      fileSize,
+      chunkSize: CHUNK_SIZE,
+      fingerprint,
     });
+    res.status(201).json({ ...formatChunkedUpload(created), resumed: false });
+  } catch (error) {
+    console.error("Create chunked upload error:", error);
+    res.status(500).json({ error: "Failed to start upload" });
+  }
+});
 
-    // Convert back to array and sort by timestamp
-    return Array.from(seen.values())
-      .map((v) => v.item)
-      .sort((a, b) => {
-        const ta = extractTimestamp(a) || 0;
-        const tb = extractTimestamp(b) || 0;
-        return ta - tb;
-      });
-  };
+router.get("/chunked/:uploadId", requireAuth, validateUploadId, async (req, res) => {
+  try {
+    const row = await database.getChunkedUpload(req.params.uploadId, req.userId);
+    if (!row) return res.status(404).json({ error: "Upload not found" });
+    res.json(formatChunkedUpload(row));
+  } catch (error) {
+    console.error("Get chunked upload error:", error);
+    res.status(500).json({ error: "Failed to fetch upload status" });
+  }
+});
 
-  processedData.followers = normalizeList(processedData.followers);
-  processedData.following = normalizeList(processedData.following);
-  processedData.pendingRequests = normalizeList(processedData.pendingRequests);
-
-  const exportFollowersCount = processedData.followers.length;
-  const exportFollowingCount = processedData.following.length;
-  const followersFiltered = filterDeletedAccounts(processedData.followers, extractUsername, extractUrl);
-  const followingFiltered = filterDeletedAccounts(processedData.following, extractUsername, extractUrl);
-  processedData.followers = followersFiltered.active;
-  processedData.following = followingFiltered.active;
-  processedData.unfollowedProfiles = processedData.unfollowedProfiles.filter(
-    (p) => !isDeletedAccount(p.username, p.href)
-  );
-  processedData.exportFollowersCount = exportFollowersCount;
-  processedData.exportFollowingCount = exportFollowingCount;
-  processedData.deletedFollowersCount = followersFiltered.deletedCount;
-  processedData.deletedFollowingCount = followingFiltered.deletedCount;
-
-  // (use global helpers extractUsername/extractTimestamp)
-
-  // Verify we have data
-  if (
-    !processedData.followers.length &&
-    !processedData.following.length &&
-    !processedData.pendingRequests.length &&
-    !processedData.relationshipProfiles.length
-  ) {
-    throw new Error("No valid data found in the upload");
+router.put(
+  "/chunked/:uploadId",
+  requireAuth,
+  validateUploadId,
+  express.raw({ type: "application/octet-stream", limit: CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const row = await database.getChunkedUpload(req.params.uploadId, req.userId);
+      if (!row) return res.status(404).json({ error: "Upload not found" });
+
+      const state = formatChunkedUpload(row);
+      const offset = Number(req.query.offset);
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      // Out-of-order chunks are rejected with the offset the client should resume from
+      if (offset !== state.receivedBytes) {
+        return res.status(409).json({ error: "Unexpected chunk offset", receivedBytes: state.receivedBytes });
+      }
+      const expectedLength = Math.min(state.chunkSize, state.fileSize - offset);
+      if (chunk.length !== expectedLength) {
+        return res.status(400).json({ error: `Chunk must be ${expectedLength} bytes` });
+      }
+      const digest = crypto.createHash("sha256").update(chunk).digest("hex");
+      if (digest !== String(req.get("X-Chunk-SHA256") || "").toLowerCase()) {
+        return res.status(422).json({ error: "Chunk checksum mismatch", receivedBytes: state.receivedBytes });
+      }
+
+      // Writing at an explicit position keeps retries of the same chunk idempotent
+      const handle = await fs.open(chunkPath(state.uploadId), "r+");
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+
+      const advanced = await database.advanceChunkedUpload(state.uploadId, offset, offset + chunk.length);
+      if (!advanced) {
+        const latest = await database.getChunkedUpload(state.uploadId, req.userId);
+        return res.status(409).json({
+          error: "Chunk was already received",
+          receivedBytes: latest ? Number(latest.received_bytes) : 0,
+        });
+      }
+      res.json({ receivedBytes: offset + chunk.length });
+    } catch (error) {
+      console.error("Chunk upload error:", error);
+      res.status(500).json({ error: "Failed to store chunk" });
+    }
   }
+);
 
-  console.log(
-    `📊 Found ${processedData.followers.length} followers, ${processedData.following.length} following, and ${processedData.pendingRequests.length} pending requests`
-  );
+// Verify the assembled file and hand it to the processing pipeline
+router.post("/chunked/:uploadId/complete", requireAuth, validateUploadId, async (req, res) => {
+  try {
+    const row = await database.getChunkedUpload(req.params.uploadId, req.userId);
+    if (!row) return res.status(404).json({ error: "Upload not found" });
+
+    const state = formatChunkedUpload(row);
+    if (state.receivedBytes !== state.fileSize) {
+      return res.status(409).json({ error: "Upload is incomplete", receivedBytes: state.receivedBytes });
+    }
+
+    const checksum = await computeChunkedChecksum(chunkPath(state.uploadId), state.chunkSize);
+    if (checksum !== String(req.body.checksum || "").toLowerCase()) {
+      await removeChunkedUpload(state.uploadId);
+      return res.status(422).json({ error: "File checksum mismatch. Please upload the file again." });
+    }
+
+    const sessionId = uuidv4();
+    const zipPath = path.join(UPLOAD_DIR, `${sessionId}.zip`);
+    await fs.rename(chunkPath(state.uploadId), zipPath);
+    await database.deleteChunkedUpload(state.uploadId);
 
-  // Get previous session for comparison
-  const previousSessions = await database.getAnalysisSessions(1);
-  const previousSessionId =
-    previousSessions.length > 0 ? previousSessions[0].id : null;
+    await startProcessing(sessionId, zipPath, req.userId);
+    res.status(202).json({ sessionId });
+  } catch (error) {
+    console.error("Complete chunked upload error:", error);
+    res.status(500).json({ error: "Failed to complete upload" });
+  }
+});
+
+router.delete("/chunked/:uploadId", requireAuth, validateUploadId, async (req, res) => {
+  try {
+    const row = await database.getChunkedUpload(req.params.uploadId, req.userId);
+    if (!row) return res.status(404).json({ error: "Upload not found" });
+    await removeChunkedUpload(row.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Cancel chunked upload error:", error);
+    res.status(500).json({ error: "Failed to cancel upload" });
+  }
+});
+
+// SSE status endpoint
+router.get("/status/:sessionId", requireAuth, (req, res) => {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+  jobQueue.subscribe(req.params.sessionId, res, req.userId);
+});
+
+// Optimized processing function
+async function processInstagramDataOptimized(sessionId, zipPath, userId, onProgress = () => {}) {
+  console.log(`🚀 Starting optimized processing for session: ${sessionId}`);
+
+  const processedData = await parseInstagramExport(zipPath, onProgress);
+
+  // Get this user's previous session for comparison
+  const previousSession = await database.getPreviousAnalysisSession(sessionId, userId);
+  const previousSessionId = previousSession ? previousSession.id : null;
 
   onProgress(`Analyzing ${processedData.followers.length} followers and ${processedData.following.length} following…`);
 
@@ -213,17 +366,20 @@ async function processInstagramDataOptimized(sessionId, zipPath, userId, onProgr
 
   onProgress("Saving to database…");
 
+  // The session row goes first: every other table references it
+  await database.saveAnalysis(sessionId, {
+    ...analysisResult,
+    followers: processedData.followers,
+    following: processedData.following,
+    exportFollowersCount: processedData.exportFollowersCount,
+    exportFollowingCount: processedData.exportFollowingCount,
+    deletedFollowersCount: processedData.deletedFollowersCount,
+    deletedFollowingCount: processedData.deletedFollowingCount,
+    exportReport: processedData.exportReport,
+  }, userId);
+
   // Batch save all data using transactions
   await Promise.all([
-    database.saveAnalysis(sessionId, {
-      ...analysisResult,
-      followers: processedData.followers,
-      following: processedData.following,
-      exportFollowersCount: processedData.exportFollowersCount,
-      exportFollowingCount: processedData.exportFollowingCount,
-      deletedFollowersCount: processedData.deletedFollowersCount,
-      deletedFollowingCount: processedData.deletedFollowingCount,
-    }, userId),
     database.saveBatchUsers(sessionId, analysisResult.mutual, "mutual"),
     database.saveBatchUsers(
       sessionId,
@@ -253,10 +409,22 @@ async function processInstagramDataOptimized(sessionId, zipPath, userId, onProgr
         Math.floor(profile.timestamp)
       )
     ),
+    ...analysisResult.detectedUnfollows.map((profile) =>
+      database.addUnfollowedProfile(
+        sessionId,
+        profile.username,
+        "following",
+        profile.href,
+        profile.timestamp,
+        "detected"
+      )
+    ),
     // Save relationship profiles
     processedData.relationshipProfiles.length > 0
       ? database.saveRelationshipProfiles(sessionId, processedData.relationshipProfiles)
       : Promise.resolve(),
+    // Save interaction counts
+    database.saveInteractions(sessionId, processedData.interactions),
   ]);
 
   console.log(`✅ Optimized processing complete for session: ${sessionId}`);
@@ -272,314 +440,10 @@ async function processInstagramDataOptimized(sessionId, zipPath, userId, onProgr
     followersOnlyCount: analysisResult.followersOnly.length,
     followingOnlyCount: analysisResult.followingOnly.length,
     pendingRequestsCount: processedData.pendingRequests.length,
+    exportReport: processedData.exportReport,
   };
 }
 
-// Process individual file content
-async function processFileContent(filename, file, processedData) {
-  console.log(`📄 Processing file: ${filename}`);
-
-  try {
-    const content = await file.async("string");
-
-    // Skip binary files early (images, fonts, etc.)
-    const ext = path.extname(filename).toLowerCase();
-    const binaryExts = [
-      ".png",
-      ".jpg",
-      ".jpeg",
-      ".gif",
-      ".webp",
-      ".svg",
-      ".ico",
-      ".woff",
-      ".woff2",
-      ".ttf",
-    ];
-
-    if (binaryExts.includes(ext)) {
-      // Not JSON — skip silently
-      console.log(`⏭ Skipping binary file: ${filename}`);
-      return;
-    }
-
-    // Try to robustly extract JSON from the content. The Instagram export
-    // may include raw JSON files, or HTML files that embed JSON inside a
-    // <script> tag or similar. tryExtractJson will attempt several strategies
-    // and return a parsed object or null.
-    const data = tryExtractJson(content);
-
-    if (!data) {
-      console.log(`⏭ No JSON found in ${filename}; skipping`);
-      return;
-    }
-
-    const basename = path.basename(filename).toLowerCase();
-
-    if (basename.startsWith("followers_") && basename.endsWith(".json")) {
-      console.log("✅ Processing followers data");
-      let rawEntries = [];
-      if (Array.isArray(data)) {
-        rawEntries = data;
-      } else if (data && typeof data === "object") {
-        const arrayVal = Object.values(data).find((v) => Array.isArray(v));
-        rawEntries = arrayVal || [];
-      }
-      const entries = rawEntries.filter((item) => extractUsername(item));
-      if (entries.length > 0) {
-        processedData.followers.push(...entries);
-        console.log(`➕ Appended ${entries.length} followers from ${filename}`);
-      }
-    }
-
-    if (basename === "following.json") {
-      console.log("✅ Processing following data");
-      // Accept multiple shapes:
-      // - { relationships_following: [...] }
-      // - [ ... ] (an array at root)
-      // - { following: [...] }
-      let rawEntries = [];
-
-      if (Array.isArray(data)) {
-        rawEntries = data;
-      } else if (
-        data?.relationships_following &&
-        Array.isArray(data.relationships_following)
-      ) {
-        rawEntries = data.relationships_following;
-      } else if (data?.following && Array.isArray(data.following)) {
-        rawEntries = data.following;
-      } else if (
-        data?.relationships &&
-        Array.isArray(data.relationships?.following)
-      ) {
-        // defensive: nested shape
-        rawEntries = data.relationships.following;
-      }
-
-      const entries = (rawEntries || []).filter((item) =>
-        extractUsername(item)
-      );
-
-      if (entries.length > 0) {
-        processedData.following.push(...entries);
-        console.log(
-          `➕ Appended ${entries.length} following entries from ${filename}`
-        );
-
-        // Log a small sample to help debug format differences between exports
-        try {
-          const sample = entries.slice(0, 5).map((it) => ({
-            username: extractUsername(it),
-            timestamp: extractTimestamp(it) || null,
-          }));
-          console.log(
-            `🔎 Sample following parsed from ${filename}: ${JSON.stringify(
-              sample
-            )}`
-          );
-        } catch (e) {
-          // non-fatal
-        }
-      } else {
-        console.log(
-          `➖ No following entries detected in ${filename} (raw entries: ${
-            (rawEntries || []).length
-          })`
-        );
-      }
-    }
-
-    if (basename === "pending_follow_requests.json") {
-      console.log("✅ Processing pending requests data");
-      let rawEntries = [];
-      if (Array.isArray(data)) {
-        rawEntries = data;
-      } else if (data?.relationships_follow_requests_sent) {
-        rawEntries = data.relationships_follow_requests_sent;
-      }
-      const entries = rawEntries.filter((item) => extractUsername(item));
-      if (entries.length > 0) {
-        processedData.pendingRequests.push(...entries);
-        console.log(
-          `➕ Appended ${entries.length} pending requests from ${filename}`
-        );
-      }
-    }
-
-    if (basename === "recently_unfollowed_profiles.json") {
-      console.log("✅ Processing recently unfollowed profiles data");
-      let rawEntries = [];
-      if (Array.isArray(data)) {
-        rawEntries = data;
-      } else if (data?.relationships_unfollowed_users) {
-        rawEntries = data.relationships_unfollowed_users;
-      }
-      const unfollowedProfiles = rawEntries
-        .filter((item) => extractUsername(item))
-        .map((item) => ({
-          username: extractUsername(item),
-          href: extractUrl(item),
-          timestamp: extractTimestamp(item),
-        }));
-
-      if (unfollowedProfiles.length > 0) {
-        processedData.unfollowedProfiles.push(...unfollowedProfiles);
-      }
-      console.log(
-        `✅ Found ${unfollowedProfiles.length} unfollowed profiles in ${filename}`
-      );
-    }
-    // Relationship list files — map basename to list_type
-    // Normalize curly apostrophes (’) to straight ones so both export
-    // variants match — Instagram uses ’ in filenames like "profiles_you’ve_favorited.json"
-    const normalizedBasename = basename.replace(/’/g, "'");
-    const relationshipFileMap = {
-      "close_friends.json": "close_friend",
-      "blocked_profiles.json": "blocked",
-      "hide_story_from.json": "hidden_story",
-      "restricted_profiles.json": "restricted",
-      "profiles_you've_favorited.json": "favorited",
-      "removed_suggestions.json": "removed_suggestion",
-      "follow_requests_you've_received.json": "received_request",
-      "recent_follow_requests.json": "recent_request",
-    };
-
-    const listType = relationshipFileMap[normalizedBasename];
-    if (listType) {
-      console.log(`✅ Processing relationship list: ${basename} → ${listType}`);
-      // Instagram export may wrap the list in an object, e.g.
-      // { "relationships_close_friends": [...] }
-      // Extract the first array value if data is not already an array.
-      let rawEntries;
-      if (Array.isArray(data)) {
-        rawEntries = data;
-      } else if (data && typeof data === "object") {
-        const arrayVal = Object.values(data).find((v) => Array.isArray(v));
-        rawEntries = arrayVal || [data];
-      } else {
-        rawEntries = [data];
-      }
-      const profiles = rawEntries
-        .filter((item) => item && typeof item === "object" && extractUsername(item))
-        .map((item) => ({
-          username: extractUsername(item),
-          displayName: extractDisplayName(item),
-          listType,
-          profileUrl: extractUrl(item),
-          fbid: item.fbid || null,
-          timestamp: extractTimestamp(item),
-        }));
-      if (profiles.length > 0) {
-        processedData.relationshipProfiles.push(...profiles);
-        console.log(`➕ Appended ${profiles.length} ${listType} profiles from ${filename}`);
-      }
-    }
-  } catch (parseError) {
-    console.error(`Error parsing ${filename}:`, parseError);
-  }
-}
-
-// Global helper: extract display name from label_values
-function extractDisplayName(item) {
-  if (!item || typeof item !== "object") return null;
-  if (Array.isArray(item.label_values)) {
-    const entry = item.label_values.find((lv) => lv.label === "Name");
-    if (entry && entry.value) return entry.value;
-  }
-  return null;
-}
-
-// Global helper: extract username from common shapes
-function extractUsername(item) {
-  if (!item || typeof item !== "object") return null;
-  const sld = item.string_list_data && item.string_list_data[0];
-  if (sld && sld.value) return sld.value;
-  if (item.title) return item.title;
-  if (Array.isArray(item.label_values)) {
-    const entry = item.label_values.find((lv) => lv.label === "Username");
-    if (entry && entry.value) return entry.value;
-  }
-  if (item.value) return item.value;
-  if (item.username) return item.username;
-  return null;
-}
-
-// Global helper: extract timestamp (usually Unix seconds)
-function extractTimestamp(item) {
-  if (!item || typeof item !== "object") return null;
-  const sld = item.string_list_data && item.string_list_data[0];
-  if (sld && (sld.timestamp || sld.timestamp === 0)) return sld.timestamp;
-  if (item.timestamp || item.timestamp === 0) return item.timestamp;
-  return null;
-}
-
-// Global helper: extract profile URL from common shapes
-function extractUrl(item) {
-  if (!item || typeof item !== "object") return null;
-  const sld = item.string_list_data && item.string_list_data[0];
-  if (sld && sld.href) return sld.href;
-  if (item.href) return item.href;
-  if (Array.isArray(item.label_values)) {
-    const entry = item.label_values.find((lv) => lv.label === "URL");
-    if (entry && entry.value) return entry.value;
-  }
-  return null;
-}
-
-// Helper: robust JSON extractor
-function tryExtractJson(content) {
-  const s = content && typeof content === "string" ? content.trim() : "";
-  if (!s) return null;
-
-  // Direct JSON
-  try {
-    return JSON.parse(s);
-  } catch (e) {
-    // continue to other strategies
-  }
-
-  // Look for JSON-like start
-  const firstBracket = s.search(/[\{\[]/);
-  if (firstBracket !== -1) {
-    // Attempt to find a valid JSON substring starting at firstBracket
-    // This is a best-effort approach for HTML files that may contain a JSON blob.
-    for (let end = s.length; end > firstBracket; end--) {
-      const substr = s.slice(firstBracket, end);
-      try {
-        return JSON.parse(substr);
-      } catch (e) {
-        // keep trying
-      }
-    }
-  }
-
-  // Extract from <script> tags
-  const scriptMatch = s.match(/<script[^>]*>([\s\S]*?)<\/script>/i);
-  if (scriptMatch) {
-    const inside = scriptMatch[1];
-    // Look for assignment like: window._sharedData = { ... };
-    const objMatch = inside.match(/=\s*({[\s\S]*})\s*;?/);
-    if (objMatch) {
-      try {
-        return JSON.parse(objMatch[1]);
-      } catch (e) {
-        // fallthrough
-      }
-    }
-    const arrMatch = inside.match(/=\s*(\[[\s\S]*\])\s*;?/);
-    if (arrMatch) {
-      try {
-        return JSON.parse(arrMatch[1]);
-      } catch (e) {
-        // fallthrough
-      }
-    }
-  }
-
-  return null;
-}
-
 // Function to create timeline events with progressive counts
 function createProgressiveTimelineEvents(followers, following) {
   const allEvents = [];
@@ -0,0 +1,200 @@
+/**
+ * Generates frontend/src/utils/apiClient.js from the OpenAPI document: one
+ * function per operation plus JSDoc typedefs for the component schemas.
+ *
+ *   node scripts/generate-api-client.js          write the client
+ *   node scripts/generate-api-client.js --check  exit 1 if it is out of date
+ */
+const fs = require("fs");
+const path = require("path");
+const openapi = require("../openapi");
+
+const OUTPUT = path.join(__dirname, "..", "..", "frontend", "src", "utils", "apiClient.js");
+const METHODS = ["get", "post", "put", "patch", "delete"];
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const refName = (ref) => ref.split("/").pop();
+const key = (name) => (IDENTIFIER.test(name) ? name : JSON.stringify(name));
+const access = (object, name) => (IDENTIFIER.test(name) ? `${object}.${name}` : `${object}[${JSON.stringify(name)}]`);
+const camelCase = (name) => name.replace(/[^A-Za-z0-9]+(.)/g, (_, c) => c.toUpperCase()).replace(/^./, (c) => c.toLowerCase());
+
+// JSDoc type expression for a schema
+function typeOf(schema) {
+  if (!schema) return "*";
+  if (schema.$ref) return refName(schema.$ref);
+  if (schema.allOf) return schema.allOf.map(typeOf).join(" & ");
+  if (schema.oneOf) return schema.oneOf.map(typeOf).join("|");
+
+  let type;
+  if (schema.enum) {
+    type = schema.enum.filter((v) => v !== null).map((v) => JSON.stringify(v)).join("|");
+  } else if (schema.type === "string") {
+    type = schema.format === "binary" ? "Blob" : "string";
+  } else if (schema.type === "integer" || schema.type === "number") {
+    type = "number";
+  } else if (schema.type === "boolean") {
+    type = "boolean";
+  } else if (schema.type === "array") {
+    type = `Array<${typeOf(schema.items)}>`;
+  } else if (schema.type === "object" && schema.properties) {
+    const required = new Set(schema.required || []);
+    const fields = Object.entries(schema.properties).map(
+      ([name, prop]) => `${key(name)}${required.has(name) ? "" : "?"}: ${typeOf(prop)}`
+    );
+    type = `{ ${fields.join(", ")} }`;
+  } else if (schema.type === "object" && schema.additionalProperties) {
+    type = `Object<string, ${typeOf(schema.additionalProperties)}>`;
+  } else if (schema.type === "object") {
+    type = "Object";
+  } else {
+    type = "*";
+  }
+  return schema.nullable ? `(${type}|null)` : type;
+}
+
+function typedef(name, schema) {
+  const lines = ["/**"];
+  if (schema.description) lines.push(` * ${schema.description}`);
+  if (schema.type === "object" && schema.properties) {
+    const required = new Set(schema.required || []);
+    lines.push(` * @typedef {Object} ${name}`);
+    for (const [prop, propSchema] of Object.entries(schema.properties)) {
+      const label = required.has(prop) ? prop : `[${prop}]`;
+      const description = propSchema.description ? ` - ${propSchema.description}` : "";
+      lines.push(` * @property {${typeOf(propSchema)}} ${label}${description}`);
+    }
+  } else {
+    lines.push(` * @typedef {${typeOf(schema)}} ${name}`);
+  }
+  lines.push(" */");
+  return lines.join("\n");
+}
+
+const resolve = (node) =>
+  node && node.$ref ? node.$ref.split("/").slice(1).reduce((acc, k) => acc[k], openapi) : node;
+
+function successResponse(operation) {
+  const [, response] =
+    Object.entries(operation.responses).find(([status]) => status.startsWith("2")) || [];
+  if (!response) return null;
+  const content = resolve(response).content || {};
+  const [contentType, media] = Object.entries(content)[0] || [];
+  return { contentType, schema: media && media.schema };
+}
+
+const urlTemplate = (template) =>
+  template.replace(/\{(\w+)\}/g, (_, name) => `\${encodeURIComponent(${camelCase(name)})}`);
+
+const urlExpression = (template) =>
+  template.includes("{") ? `\`${urlTemplate(template)}\`` : JSON.stringify(template);
+
+function operationFunction(template, method, operation) {
+  const success = successResponse(operation);
+  // Redirect-only routes (e.g. the OAuth callback) aren't called from the app
+  if (!success) return null;
+
+  const parameters = operation.parameters || [];
+  const pathParams = parameters.filter((p) => p.in === "path");
+  const otherParams = parameters.filter((p) => p.in === "query" || p.in === "header");
+  const headerParams = otherParams.filter((p) => p.in === "header");
+  const queryParams = otherParams.filter((p) => p.in === "query");
+  const [bodyType, bodyMedia] = Object.entries((operation.requestBody || {}).content || {})[0] || [];
+
+  const doc = ["/**"];
+  if (operation.summary) doc.push(` * ${operation.summary}`);
+  const args = [];
+  for (const p of pathParams) {
+    doc.push(` * @param {${typeOf(p.schema)}} ${camelCase(p.name)}`);
+    args.push(camelCase(p.name));
+  }
+
+  if (success.contentType === "text/event-stream") {
+    doc.push(" * @returns {EventSource}", " */");
+    return [
+      ...doc,
+      `export function ${operation.operationId}(${args.join(", ")}) {`,
+      `  return new EventSource(\`\${axios.defaults.baseURL || ""}${urlTemplate(template)}\`, {`,
+      "    withCredentials: true,",
+      "  });",
+      "}",
+    ].join("\n");
+  }
+
+  if (otherParams.length > 0) {
+    const required = otherParams.some((p) => p.required);
+    const fields = otherParams.map((p) => `${key(p.name)}${p.required ? "" : "?"}: ${typeOf(p.schema)}`);
+    doc.push(` * @param {{ ${fields.join(", ")} }} ${required ? "params" : "[params]"}`);
+    args.push(required ? "params" : "params = {}");
+  }
+  if (bodyType) {
+    const type = bodyType === "application/json" ? typeOf(bodyMedia.schema)
+      : bodyType === "multipart/form-data" ? "FormData"
+      : "ArrayBuffer|Blob";
+    const required = operation.requestBody.required;
+    doc.push(` * @param {${type}} ${required ? "body" : "[body]"}`);
+    args.push("body");
+  }
+  doc.push(' * @param {import("axios").AxiosRequestConfig} [options]');
+  args.push("options = {}");
+
+  const binary = success.contentType !== "application/json";
+  const returned = binary ? "Blob" : typeOf(success.schema);
+  doc.push(` * @returns {Promise<import("axios").AxiosResponse<${returned}>>}`, " */");
+
+  const config = [];
+  if (binary) config.push('    responseType: "blob",');
+  config.push("    ...options,", `    method: "${method}",`, `    url: ${urlExpression(template)},`);
+  if (headerParams.length === 0 && queryParams.length > 0) {
+    config.push("    params,");
+  } else if (queryParams.length > 0) {
+    config.push(`    params: { ${queryParams.map((p) => `${key(p.name)}: ${access("params", p.name)}`).join(", ")} },`);
+  }
+  const headers = headerParams.map((p) => `${JSON.stringify(p.name)}: ${access("params", p.name)}`);
+  if (bodyType && bodyType !== "application/json" && bodyType !== "multipart/form-data") {
+    headers.push(`"Content-Type": ${JSON.stringify(bodyType)}`);
+  }
+  if (headers.length > 0) config.push(`    headers: { ...options.headers, ${headers.join(", ")} },`);
+  if (bodyType) config.push("    data: body,");
+
+  return [
+    ...doc,
+    `export function ${operation.operationId}(${args.join(", ")}) {`,
+    "  return axios.request({",
+    ...config,
+    "  });",
+    "}",
+  ].join("\n");
+}
+
+function generate() {
+  const sections = [
+    [
+      "// Generated from the backend OpenAPI document by backend/scripts/generate-api-client.js.",
+      "// Do not edit by hand: change backend/openapi/index.js and run `npm run generate:client` in backend/.",
+      'import axios from "axios";',
+    ].join("\n"),
+    ...Object.entries(openapi.components.schemas).map(([name, schema]) => typedef(name, schema)),
+  ];
+
+  for (const [template, item] of Object.entries(openapi.paths)) {
+    for (const method of METHODS) {
+      if (!item[method]) continue;
+      const fn = operationFunction(template, method, item[method]);
+      if (fn) sections.push(fn);
+    }
+  }
+  return `${sections.join("\n\n")}\n`;
+}
+
+const output = generate();
+if (process.argv.includes("--check")) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, "utf8") : "";
+  if (current !== output) {
+    console.error(`${path.relative(process.cwd(), OUTPUT)} is out of date. Run npm run generate:client.`);
+    process.exit(1);
+  }
+  console.log("API client is up to date");
+} else {
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
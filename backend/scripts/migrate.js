@@ -0,0 +1,134 @@
+/**
+ * Applies, reverts and lists the schema migrations in backend/migrations
+ * against the configured database (DATABASE_CLIENT, see models/database.js).
+ *
+ *   npm run migrate                         apply all pending migrations
+ *   npm run migrate -- up [--to 3]          apply pending migrations up to version 3
+ *   npm run migrate -- down [--steps 2]     revert the newest applied migration(s)
+ *   npm run migrate -- down --to 1          revert everything above version 1
+ *   npm run migrate -- status               list migrations and whether they are applied
+ *   npm run migrate -- create add_widgets   add an empty migration with the next version
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { database } = require("../models/database");
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+} = require("../models/migrations");
+
+const USAGE = `Usage: npm run migrate -- [command] [options]
+
+Commands:
+  up                 Apply pending migrations (default)
+  down               Revert applied migrations, newest first (default: one)
+  status             List migrations and whether they are applied
+  create <name>      Add an empty migration file with the next version
+
+Options:
+  --to <version>     up: stop after this version; down: revert everything above it
+  --steps <n>        down: number of migrations to revert
+  --help             Show this help`;
+
+class UsageError extends Error {}
+
+const toInteger = (value, option) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new UsageError(`--${option} must be a whole number`);
+  return number;
+};
+
+async function up(options) {
+  const applied = await migrate(database.pool, { to: options.to ?? Infinity });
+  console.log(applied.length ? `Applied ${applied.length} migration(s)` : "Schema is up to date");
+}
+
+async function down(options) {
+  if (options.to !== undefined && options.steps !== undefined) {
+    throw new UsageError("Use either --to or --steps, not both");
+  }
+  const reverted = await rollback(database.pool, { steps: options.steps ?? 1, to: options.to ?? null });
+  console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : "Nothing to revert");
+}
+
+async function status() {
+  const { current, latest, migrations, unknown } = await getMigrationStatus(database.pool);
+  for (const m of migrations) {
+    const applied = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : "pending";
+    console.log(`${String(m.version).padStart(3, "0")}  ${m.name.padEnd(32)}  ${applied}`);
+  }
+  for (const m of unknown) {
+    console.log(`${String(m.version).padStart(3, "0")}  ${m.name.padEnd(32)}  applied, but no file here`);
+  }
+  console.log(`\nDatabase is at version ${current}; latest is ${latest}`);
+}
+
+function create(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new UsageError("create takes a name in snake_case, e.g. add_widgets");
+  }
+  const migrations = loadMigrations();
+  const version = (migrations.length ? migrations[migrations.length - 1].version : 0) + 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, "0")}_${name}.js`);
+  const template = [
+    "module.exports = {",
+    "  up: `\n  `,",
+    "",
+    "  down: `\n  `,",
+    "",
+    "  sqlite: {",
+    "    up: `\n    `,",
+    "",
+    "    down: `\n    `,",
+    "  },",
+    "};",
+    "",
+  ].join("\n");
+  fs.writeFileSync(file, template, { flag: "wx" });
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      to: { type: "string" },
+      steps: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command = "up", ...args] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (command === "create") return create(args[0]);
+
+  const commands = { up, down, status };
+  if (!commands[command]) throw new UsageError(`Unknown command: ${command}`);
+  const options = { to: toInteger(values.to, "to"), steps: toInteger(values.steps, "steps") };
+
+  await database.connect();
+  try {
+    await commands[command](options);
+  } finally {
+    await database.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+  if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+    console.error(`migrate: ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  console.error(`migrate: ${error.message}`);
+  process.exit(1);
+});
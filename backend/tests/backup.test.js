@@ -0,0 +1,41 @@
+const { v4: uuidv4 } = require("uuid");
+const { ADAPTERS, openStorage, closeStorage, createTestUser, seedSession } = require("./helpers/storage");
+
+const exportReport = {
+  files: [{ name: "followers_1.json", status: "parsed", records: 2 }],
+  warnings: ["pending_follow_requests.json was not found"],
+};
+
+describe.each(ADAPTERS)("account backup on %s", (client) => {
+  let database;
+  let backup;
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    database = await openStorage(client);
+    backup = require("../utils/backup");
+  });
+
+  afterAll(async () => {
+    await closeStorage(database);
+    console.log.mockRestore();
+  });
+
+  it("restores a session with its lists and export report", async () => {
+    const ownerId = await createTestUser(database);
+    const sessionId = uuidv4();
+    await seedSession(database, ownerId, sessionId, { exportReport });
+
+    const archive = await backup.packBackup(await database.getAccountBackupData(ownerId, backup.BACKUP_TABLES));
+    const { data } = await backup.unpackBackup(archive);
+    const restorerId = await createTestUser(database, "restorer@example.com");
+    await database.importAccountBackupData(restorerId, backup.BACKUP_TABLES, data);
+
+    const [restored] = await database.getAnalysisSessions(10, restorerId);
+    expect(restored.id).not.toBe(sessionId);
+    expect(restored).toMatchObject({ followers_count: 2, following_count: 2, mutual_count: 1 });
+    expect(restored.export_report).toEqual(exportReport);
+    expect((await database.getUsers(restored.id, "mutual")).map((u) => u.username)).toEqual(["alice"]);
+    expect((await database.getPendingRequests(restored.id)).map((r) => r.username)).toEqual(["dave"]);
+  });
+});
@@ -0,0 +1,40 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JSZip = require("jszip");
+const { buildAnalysis } = require("instagram-export-parser");
+const {
+  loadFixtures,
+  zipFixture,
+  describeAnalysis,
+  fileStatuses,
+  fileSizes,
+  fixtureSizes,
+} = require("instagram-export-parser/test/fixtures");
+const { parseInstagramExport } = require("../utils/exportParser");
+
+// The frontend runs the same fixtures through its ZIP readers
+// (frontend/src/utils/browserAnalyzer.test.js)
+describe("parseInstagramExport", () => {
+  let directory;
+
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "ifa-fixtures-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it.each(loadFixtures().map((fixture) => [fixture.name, fixture]))("parses the %s export", async (name, fixture) => {
+    const zipPath = path.join(directory, `${name}.zip`);
+    fs.writeFileSync(zipPath, await zipFixture(JSZip, fixture));
+
+    const data = await parseInstagramExport(zipPath);
+    expect(describeAnalysis(buildAnalysis(data))).toEqual(fixture.expected);
+    expect(fileStatuses(data.exportReport)).toEqual(fixture.files.map((file) => `${file.name}: parsed`).sort());
+    expect(fileSizes(data.exportReport)).toEqual(fixtureSizes(fixture));
+  });
+});
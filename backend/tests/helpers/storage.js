@@ -0,0 +1,98 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Suites run against SQLite, and against PostgreSQL too when TEST_DATABASE_URL
+// names a scratch database. Its public schema is dropped and rebuilt.
+const ADAPTERS = ["sqlite", ...(process.env.TEST_DATABASE_URL ? ["postgres"] : [])];
+
+/**
+ * Points DATABASE_CLIENT at a fresh, fully migrated database and returns the
+ * storage. Modules are reset first, so require the code under test afterwards
+ * and it shares this storage.
+ */
+async function openStorage(client) {
+  jest.resetModules();
+  process.env.DATABASE_CLIENT = client;
+  let directory = null;
+  if (client === "sqlite") {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "ifa-test-"));
+    process.env.SQLITE_PATH = path.join(directory, "test.sqlite");
+  } else {
+    process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+  }
+
+  const { database } = require("../../models/database");
+  const { migrate } = require("../../models/migrations");
+  await database.connect();
+  if (client === "postgres") {
+    await database.pool.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public");
+  }
+  await migrate(database.pool, { log: () => {} });
+  database.testDirectory = directory;
+  return database;
+}
+
+async function closeStorage(database) {
+  await database.close();
+  if (database.testDirectory) fs.rmSync(database.testDirectory, { recursive: true, force: true });
+}
+
+async function createTestUser(database, email = "tester@example.com") {
+  const user = await database.createUser(email, "not-a-real-hash");
+  return user.id;
+}
+
+const record = (username, timestamp = 1700000000) => ({
+  value: username,
+  href: `https://www.instagram.com/${username}`,
+  timestamp,
+});
+
+/**
+ * Saves a small analysis session with a row in every list: alice is mutual,
+ * bob only follows back, carol is only followed, dave has a pending request,
+ * erin was unfollowed and frank is a close friend
+ */
+async function seedSession(database, userId, sessionId, { exportReport = null } = {}) {
+  const mutual = [record("alice")];
+  const followersOnly = [record("bob")];
+  const followingOnly = [record("carol")];
+  await database.saveAnalysis(
+    sessionId,
+    {
+      followers: [...mutual, ...followersOnly],
+      following: [...mutual, ...followingOnly],
+      mutual,
+      followersOnly,
+      followingOnly,
+      exportReport,
+    },
+    userId
+  );
+  await database.saveBatchUsers(sessionId, mutual, "mutual");
+  await database.saveBatchUsers(sessionId, followersOnly, "followers_only");
+  await database.saveBatchUsers(sessionId, followingOnly, "following_only");
+  await database.saveBatchFollowerEvents(sessionId, [
+    { timestamp: 1700000000, followersCount: 2, followingCount: 2, direction: "follower", username: "alice" },
+    { timestamp: 1700000100, followersCount: 2, followingCount: 2, direction: "following", username: "alice" },
+  ]);
+  await database.savePendingRequests(sessionId, [{ string_list_data: [record("dave", 1700000200)] }]);
+  await database.addUnfollowedProfile(sessionId, "erin", "imported", null, 1700000300);
+  await database.saveRelationshipProfiles(sessionId, [
+    { username: "frank", listType: "close_friend", timestamp: 1700000400 },
+  ]);
+}
+
+// Resolves once check() returns something truthy
+async function waitFor(check, { timeout = 10000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = { ADAPTERS, openStorage, closeStorage, createTestUser, seedSession, waitFor };
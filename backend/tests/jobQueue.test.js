@@ -0,0 +1,113 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JSZip = require("jszip");
+const { ADAPTERS, openStorage, closeStorage, createTestUser, waitFor } = require("./helpers/storage");
+
+const entry = (username) => ({
+  string_list_data: [{ href: `https://www.instagram.com/${username}`, value: username, timestamp: 1700000000 }],
+});
+
+async function writeExport(directory, name, { followers, following }) {
+  const zip = new JSZip();
+  const folder = "connections/followers_and_following";
+  zip.file(`${folder}/followers_1.json`, JSON.stringify(followers.map(entry)));
+  zip.file(`${folder}/following.json`, JSON.stringify({ relationships_following: following.map(entry) }));
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, await zip.generateAsync({ type: "nodebuffer" }));
+  return file;
+}
+
+describe.each(ADAPTERS)("job queue on %s", (client) => {
+  let database;
+  let jobQueue;
+  let userId;
+  let directory;
+
+  const settled = (id) =>
+    waitFor(async () => {
+      const job = await database.getJob(id);
+      return ["done", "error"].includes(job.status) && job;
+    });
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    database = await openStorage(client);
+    jobQueue = require("../utils/jobQueue");
+    require("../routes/upload");
+    userId = await createTestUser(database);
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "ifa-uploads-"));
+
+    jobQueue.register("test-transient", async () => {
+      throw Object.assign(new Error("Connection terminated unexpectedly"), { code: "ECONNRESET" });
+    });
+    jobQueue.register("test-broken", async () => {
+      throw new Error("Cannot read properties of undefined");
+    });
+    jobQueue.start({ concurrency: 1 });
+  });
+
+  afterAll(async () => {
+    jobQueue.stop();
+    await closeStorage(database);
+    fs.rmSync(directory, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it("completes an upload on its first attempt", async () => {
+    const uploadPath = await writeExport(directory, "first.zip", {
+      followers: ["alice", "bob"],
+      following: ["alice", "carol"],
+    });
+    await jobQueue.create("upload-1", { userId, type: "process-upload", payload: { uploadPath, userId }, maxAttempts: 3 });
+
+    const job = await settled("upload-1");
+    expect(job.status).toBe("done");
+    expect(job.attempts).toBe(1);
+    expect(job.messages.map((m) => m.data.message).join("\n")).not.toMatch(/Retrying|failed/);
+    expect(job.result.summary).toMatchObject({ totalFollowers: 2, totalFollowing: 2, mutualCount: 1 });
+    expect(await database.getUsers("upload-1", "mutual")).toEqual([expect.objectContaining({ username: "alice" })]);
+    expect(fs.existsSync(uploadPath)).toBe(false);
+  });
+
+  it("compares a later upload with the same user's previous session", async () => {
+    const otherUserId = await createTestUser(database, "other@example.com");
+    const otherPath = await writeExport(directory, "other.zip", { followers: [], following: ["mallory"] });
+    await jobQueue.create("upload-other", {
+      userId: otherUserId,
+      type: "process-upload",
+      payload: { uploadPath: otherPath, userId: otherUserId },
+      maxAttempts: 3,
+    });
+    expect((await settled("upload-other")).status).toBe("done");
+
+    const uploadPath = await writeExport(directory, "second.zip", { followers: ["alice"], following: ["alice"] });
+    await jobQueue.create("upload-2", { userId, type: "process-upload", payload: { uploadPath, userId }, maxAttempts: 3 });
+
+    const job = await settled("upload-2");
+    expect(job.status).toBe("done");
+    expect(job.attempts).toBe(1);
+    const unfollowed = await database.getUnfollowedProfiles("upload-2");
+    expect(unfollowed.map((p) => p.username)).toEqual(["carol"]);
+  });
+
+  it("retries a job that fails with a transient error", async () => {
+    await jobQueue.create("transient", { type: "test-transient", maxAttempts: 3 });
+
+    const job = await waitFor(async () => {
+      const row = await database.getJob("transient");
+      return row.status === "pending" && row.attempts === 1 && row;
+    });
+    expect(job.error).toBe("Connection terminated unexpectedly");
+    expect(new Date(job.run_after).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("fails a job with a deterministic error without retrying", async () => {
+    await jobQueue.create("broken", { type: "test-broken", maxAttempts: 3 });
+
+    const job = await settled("broken");
+    expect(job.status).toBe("error");
+    expect(job.attempts).toBe(1);
+    expect(job.error).toBe("Cannot read properties of undefined");
+  });
+});
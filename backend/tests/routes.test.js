@@ -0,0 +1,229 @@
+const { v4: uuidv4 } = require("uuid");
+const { ADAPTERS, openStorage, closeStorage, createTestUser, seedSession } = require("./helpers/storage");
+
+describe.each(ADAPTERS)("API routes on %s", (client) => {
+  const sessionId = uuidv4();
+  let database;
+  let server;
+  let baseUrl;
+  let writeToken;
+  let readToken;
+  // The development validator warns when traffic doesn't match the OpenAPI document
+  let specWarnings;
+
+  const request = async (path, { token = writeToken, method = "GET", body } = {}) => {
+    const res = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const json = (res.headers.get("content-type") || "").includes("application/json") ? JSON.parse(text) : null;
+    return { status: res.status, headers: res.headers, text, json };
+  };
+
+  async function createToken(userId, scopes) {
+    const { generateApiToken } = require("../utils/apiTokens");
+    const { token, tokenHash, displayPrefix } = generateApiToken();
+    await database.createApiToken(userId, { name: scopes.join("+"), tokenHash, displayPrefix, scopes });
+    return token;
+  }
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation((...args) => {
+      if (String(args[0]).includes("[openapi]")) specWarnings.push(args.map(String).join(" "));
+    });
+    database = await openStorage(client);
+    const app = require("../app");
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const userId = await createTestUser(database);
+    writeToken = await createToken(userId, ["read", "write"]);
+    readToken = await createToken(userId, ["read"]);
+    await seedSession(database, userId, sessionId);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await closeStorage(database);
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  beforeEach(() => {
+    specWarnings = [];
+  });
+
+  afterEach(() => {
+    expect(specWarnings).toEqual([]);
+  });
+
+  it("requires authentication", async () => {
+    const res = await request("/analysis", { token: null });
+    expect(res.status).toBe(401);
+    expect(res.json).toEqual({ error: "Authentication required" });
+  });
+
+  it("refuses writes with a read-only token", async () => {
+    const res = await request("/annotations/alice", { token: readToken, method: "PUT", body: { note: "hi", tags: [] } });
+    expect(res.status).toBe(403);
+    expect(res.json).toEqual({ error: "This access token is read-only" });
+  });
+
+  it("lists the caller's sessions", async () => {
+    const res = await request("/analysis", { token: readToken });
+    expect(res.status).toBe(200);
+    expect(res.json.sessions).toEqual([
+      expect.objectContaining({ id: sessionId, followersCount: 2, followingCount: 2, mutualCount: 1 }),
+    ]);
+  });
+
+  it("returns a session summary", async () => {
+    const res = await request(`/analysis/${sessionId}`);
+    expect(res.status).toBe(200);
+    expect(res.json.summary).toMatchObject({ mutualCount: 1, followersOnlyCount: 1, followingOnlyCount: 1 });
+  });
+
+  it("pages a category listing", async () => {
+    const res = await request(`/analysis/${sessionId}/mutual`);
+    expect(res.status).toBe(200);
+    expect(res.json.users.map((u) => u.username)).toEqual(["alice"]);
+  });
+
+  it("returns pending requests with ISO dates", async () => {
+    const res = await request(`/analysis/${sessionId}/pending-requests`);
+    expect(res.status).toBe(200);
+    expect(res.json.pendingRequests).toEqual([
+      expect.objectContaining({ username: "dave", requestDate: "2023-11-14T22:16:40.000Z" }),
+    ]);
+  });
+
+  it("returns relationship profiles with string timestamps", async () => {
+    const res = await request(`/analysis/${sessionId}/relationships/close_friend`);
+    expect(res.status).toBe(200);
+    expect(res.json.profiles).toEqual([expect.objectContaining({ username: "frank", timestamp: "1700000400" })]);
+  });
+
+  it("returns an account's lifecycle", async () => {
+    const res = await request(`/analysis/${sessionId}/profile/frank`);
+    expect(res.status).toBe(200);
+    expect(res.json.relationships).toEqual([
+      expect.objectContaining({ listType: "close_friend", timestamp: "1700000400" }),
+    ]);
+  });
+
+  it("exports every list, sorted by list and username", async () => {
+    const lists = ["mutual", "followers_only", "following_only", "pending_requests", "unfollowed", "close_friend"];
+    const res = await request(
+      `/analysis/${sessionId}/export?format=json&lists=${lists.join(",")}&columns=username,list,listDate`
+    );
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.text)).toEqual([
+      { username: "frank", list: "close_friend", listDate: "2023-11-14T22:20:00.000Z" },
+      { username: "bob", list: "followers_only", listDate: null },
+      { username: "carol", list: "following_only", listDate: null },
+      { username: "alice", list: "mutual", listDate: null },
+      { username: "dave", list: "pending_requests", listDate: "2023-11-14T22:16:40.000Z" },
+      { username: "erin", list: "unfollowed", listDate: "2023-11-14T22:18:20.000Z" },
+    ]);
+  });
+
+  it("exports notes and tags as CSV", async () => {
+    const saved = await request("/annotations/alice", { method: "PUT", body: { note: "Met at work", tags: ["work"] } });
+    expect(saved.status).toBe(200);
+
+    const res = await request(`/analysis/${sessionId}/export?format=csv&lists=mutual&columns=username,note,tags`);
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toMatch(/^text\/csv/);
+    expect(res.text.replace(/^﻿/, "").split("\r\n")).toEqual([
+      '"Username","Note","Tags"',
+      '"alice","Met at work","work"',
+    ]);
+  });
+
+  it("filters a listing by annotation tags", async () => {
+    const res = await request(`/analysis/${sessionId}/following_only?tags=work`);
+    expect(res.status).toBe(200);
+    expect(res.json.users).toEqual([]);
+
+    const tagged = await request(`/analysis/${sessionId}/mutual?tags=work`);
+    expect(tagged.json.users.map((u) => u.username)).toEqual(["alice"]);
+  });
+
+  describe("follower history", () => {
+    let historyToken;
+    const sessionIds = [uuidv4(), uuidv4(), uuidv4(), uuidv4()];
+
+    // alice follows throughout; bob leaves, comes back and leaves again;
+    // carol arrives in the third session and leaves in the fourth
+    beforeAll(async () => {
+      const userId = await createTestUser(database, "history@example.com");
+      historyToken = await createToken(userId, ["read"]);
+      const snapshots = [["alice", "bob"], ["alice"], ["alice", "bob", "carol"], ["alice"]];
+      for (const [index, followers] of snapshots.entries()) {
+        const users = followers.map((username) => ({ value: username, href: `https://www.instagram.com/${username}` }));
+        await database.saveAnalysis(
+          sessionIds[index],
+          { followers: users, following: [], mutual: [], followersOnly: users, followingOnly: [] },
+          userId
+        );
+        await database.saveBatchUsers(sessionIds[index], users, "followers_only");
+        await database.pool.query("UPDATE analysis_sessions SET created_at = $1 WHERE id = $2", [
+          new Date(Date.UTC(2024, 0, index + 1)).toISOString(),
+          sessionIds[index],
+        ]);
+      }
+    });
+
+    const history = (query = "") => request(`/analysis/history${query}`, { token: historyToken });
+
+    it("lists followers that changed, most changes first", async () => {
+      const res = await history();
+      expect(res.status).toBe(200);
+      expect(res.json.sessions.map((s) => s.id)).toEqual(sessionIds);
+      expect(res.json.users).toEqual([
+        {
+          username: "bob",
+          href: "https://www.instagram.com/bob",
+          firstSeen: sessionIds[0],
+          dropped: [sessionIds[1], sessionIds[3]],
+          returned: [sessionIds[2]],
+          presentCount: 2,
+          currentlyFollowing: false,
+        },
+        expect.objectContaining({ username: "carol", dropped: [sessionIds[3]], returned: [] }),
+      ]);
+      expect(res.json.summary).toEqual({ totalUsers: 3, changedCount: 2, returnedCount: 1, lostCount: 2 });
+      expect(res.json.pagination).toEqual({ page: 1, limit: 20, totalItems: 2, totalPages: 1 });
+    });
+
+    it("filters, searches and pages in the query", async () => {
+      const all = await history("?filter=all&limit=2&page=2");
+      expect(all.json.users).toEqual([expect.objectContaining({ username: "alice", dropped: [], currentlyFollowing: true })]);
+      expect(all.json.pagination).toEqual({ page: 2, limit: 2, totalItems: 3, totalPages: 2 });
+
+      const returned = await history("?filter=returned");
+      expect(returned.json.users.map((u) => u.username)).toEqual(["bob"]);
+
+      const searched = await history("?filter=lost&search=CAR");
+      expect(searched.json.users.map((u) => u.username)).toEqual(["carol"]);
+      expect(searched.json.pagination.totalItems).toBe(1);
+
+      const wildcard = await history("?filter=all&search=%25");
+      expect(wildcard.json.users).toEqual([]);
+    });
+  });
+
+  it("hides other users' sessions", async () => {
+    const otherToken = await createToken(await createTestUser(database, "other@example.com"), ["read"]);
+    const res = await request(`/analysis/${sessionId}`, { token: otherToken });
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,122 @@
+const { database } = require("../models/database");
+const { computeDigest } = require("./digest");
+
+// Singular noun used in alert messages for each relationship list
+const RELATIONSHIP_LIST_NOUNS = {
+  close_friend: "close friend",
+  blocked: "blocked account",
+  hidden_story: "account you hide stories from",
+  restricted: "restricted account",
+  favorited: "favorite",
+  removed_suggestion: "removed suggestion",
+  received_request: "account that requested to follow you",
+  recent_request: "account you requested to follow",
+};
+const MAX_ALERT_USERNAMES = 100;
+
+class AlertRuleError extends Error {}
+
+// Each rule type validates its params and, given the changes between two
+// sessions, returns the usernames that triggered it (or null when it didn't fire)
+const ALERT_RULE_TYPES = {
+  list_unfollowed: {
+    normalize({ listType }) {
+      if (!RELATIONSHIP_LIST_NOUNS[listType]) throw new AlertRuleError("Unknown relationship list");
+      return { listType };
+    },
+    evaluate({ listType }, changes) {
+      const matched = changes.crossReference
+        .filter((row) => row.list_type === listType && !row.is_follower && changes.lostFollowers.has(row.username))
+        .map((row) => row.username);
+      if (matched.length === 0) return null;
+      const noun = RELATIONSHIP_LIST_NOUNS[listType];
+      return {
+        usernames: matched,
+        message: matched.length === 1
+          ? `A ${noun} stopped following you: @${matched[0]}`
+          : `${matched.length} of your ${listType.replace(/_/g, " ")} list stopped following you`,
+      };
+    },
+  },
+  tag_unfollowed: {
+    normalize({ tag }) {
+      const value = typeof tag === "string" ? tag.trim() : "";
+      if (!value || value.length > 50) throw new AlertRuleError("Tag is required");
+      return { tag: value };
+    },
+    evaluate({ tag }, changes) {
+      const matched = changes.taggedUsers
+        .filter((row) => row.tags.includes(tag) && changes.lostFollowers.has(row.username))
+        .map((row) => row.username);
+      if (matched.length === 0) return null;
+      return {
+        usernames: matched,
+        message: `${matched.length} account${matched.length === 1 ? "" : "s"} tagged "${tag}" stopped following you`,
+      };
+    },
+  },
+  followers_lost: {
+    normalize({ threshold }) {
+      const value = parseInt(threshold);
+      if (!Number.isInteger(value) || value < 0) throw new AlertRuleError("Threshold must be a non-negative number");
+      return { threshold: value };
+    },
+    evaluate({ threshold }, changes) {
+      if (changes.lostFollowers.size <= threshold) return null;
+      return {
+        usernames: [...changes.lostFollowers],
+        message: `You lost ${changes.lostFollowers.size} followers since your previous analysis (threshold ${threshold})`,
+      };
+    },
+  },
+};
+
+/**
+ * Validates a rule definition from the API
+ * @returns {{ruleType: string, params: Object}}
+ */
+function normalizeAlertRule(ruleType, params = {}) {
+  const definition = ALERT_RULE_TYPES[ruleType];
+  if (!definition) throw new AlertRuleError("Unknown rule type");
+  return { ruleType, params: definition.normalize(params || {}) };
+}
+
+/**
+ * Runs a user's enabled rules against a newly saved session and stores any matches
+ * @returns {Promise<Object[]>} Alerts that were created
+ */
+async function evaluateAlertRules(userId, sessionId) {
+  if (!userId) return [];
+  const rules = (await database.getAlertRules(userId)).filter((rule) => rule.enabled && ALERT_RULE_TYPES[rule.rule_type]);
+  if (rules.length === 0) return [];
+
+  const previous = await database.getPreviousAnalysisSession(sessionId, userId);
+  if (!previous) return [];
+
+  const tags = rules.filter((rule) => rule.rule_type === "tag_unfollowed").map((rule) => rule.params.tag);
+  const [previousUsers, currentUsers, crossReference, taggedUsers] = await Promise.all([
+    database.getUsers(previous.id),
+    database.getUsers(sessionId),
+    database.getRelationshipCrossReference(sessionId),
+    database.getAnnotationsByTags(userId, tags),
+  ]);
+
+  const changes = {
+    lostFollowers: new Set(computeDigest(previousUsers, currentUsers).lostFollowers),
+    crossReference,
+    taggedUsers,
+  };
+
+  const alerts = [];
+  for (const rule of rules) {
+    const match = ALERT_RULE_TYPES[rule.rule_type].evaluate(rule.params, changes);
+    if (match) {
+      alerts.push({ ruleId: rule.id, message: match.message, usernames: match.usernames.slice(0, MAX_ALERT_USERNAMES) });
+    }
+  }
+
+  await database.saveAlerts(userId, sessionId, alerts);
+  return alerts;
+}
+
+module.exports = { ALERT_RULE_TYPES, AlertRuleError, normalizeAlertRule, evaluateAlertRules };
@@ -1,4 +1,5 @@
 const { database } = require("../models/database");
+const { entriesOf, extractUsername, toUserRecord } = require("instagram-export-parser");
 
 /**
  * Analyzes Instagram followers and following data
@@ -138,33 +139,27 @@ async function analyzeFollowers(
       )
   );
 
-  // Detect unfollowed profiles
+  // Detect unfollowed profiles; the caller saves them once the session exists
+  const detectedUnfollows = [];
   if (previousSessionId && currentSessionId) {
     const currentFollowingSet = new Set(
       following.map((f) => f.value || f.username)
     );
 
-    // Get previous session users with their details
-    const previousUsers = await database.getUsers(
-      previousSessionId,
-      "following"
+    // Get previous session users with their details; the accounts followed
+    // then are stored as mutual or following_only
+    const previousUsers = (await database.getUsers(previousSessionId)).filter(
+      (u) => u.category === "mutual" || u.category === "following_only"
     );
 
     for (const prevUser of previousUsers) {
       if (!currentFollowingSet.has(prevUser.username)) {
         // This user was in previous following list but not in current, means they were unfollowed
-        try {
-          await database.addUnfollowedProfile(
-            currentSessionId,
-            prevUser.username,
-            "following",
-            prevUser.href,
-            Math.floor(Date.now() / 1000),
-            "detected"
-          );
-        } catch (error) {
-          console.error("Error saving unfollowed profile:", error);
-        }
+        detectedUnfollows.push({
+          username: prevUser.username,
+          href: prevUser.href,
+          timestamp: Math.floor(Date.now() / 1000),
+        });
       }
     }
   }
@@ -215,96 +210,18 @@ async function analyzeFollowers(
     followersOnly,
     followingOnly,
     timeline,
+    detectedUnfollows,
   };
 }
 
 function extractUsers(data) {
   // Handle different Instagram export formats
-  if (Array.isArray(data)) {
-    return flattenStringListData(data);
-  }
-
-  // Some exports have the data nested under different keys
-  if (data.relationships_followers) {
-    return flattenStringListData(data.relationships_followers);
-  }
-
-  if (data.relationships_following) {
-    return flattenStringListData(data.relationships_following);
-  }
-
-  // Look for any array property
-  for (const key in data) {
-    if (Array.isArray(data[key])) {
-      return flattenStringListData(data[key]);
-    }
-  }
-
-  console.warn("Unexpected data structure:", data);
-  return [];
-}
-
-function flattenStringListData(userArray) {
-  if (!Array.isArray(userArray)) {
+  const entries = entriesOf(data, ["relationships_followers", "relationships_following"]);
+  if (!entries) {
+    console.warn("Unexpected data structure:", data);
     return [];
   }
-
-  return userArray
-    .map((user) => {
-      if (!user || typeof user !== "object") {
-        return null;
-      }
-
-      // Handle format with string_list_data (older exports)
-      if (user.string_list_data && Array.isArray(user.string_list_data)) {
-        const stringData = user.string_list_data[0] || {};
-        const username = user.title || stringData.value || null;
-        if (!username) return null;
-
-        return {
-          value: username,
-          username: username,
-          href: stringData.href || null,
-          timestamp: stringData.timestamp || null,
-        };
-      }
-
-      // Handle label_values format (newer exports: {timestamp, label_values: [{label, value}], fbid})
-      if (Array.isArray(user.label_values)) {
-        const usernameEntry = user.label_values.find((lv) => lv.label === "Username");
-        const urlEntry = user.label_values.find((lv) => lv.label === "URL");
-        const username = usernameEntry?.value || null;
-        if (!username) return null;
-
-        return {
-          value: username,
-          username: username,
-          href: urlEntry?.value || null,
-          timestamp: user.timestamp || null,
-        };
-      }
-
-      if (user.title) {
-        return {
-          value: user.title,
-          username: user.title,
-          href: user.href || null,
-          timestamp: user.timestamp || null,
-        };
-      }
-
-      if (user.value || user.username) {
-        return {
-          value: user.value || user.username,
-          username: user.value || user.username,
-          href: user.href || null,
-          timestamp: user.timestamp || null,
-        };
-      }
-
-      return null;
-    })
-    .filter((user) => user !== null);
+  return entries.filter((user) => extractUsername(user)).map(toUserRecord);
 }
 
 // Add this helper function to convert Unix timestamp to Date object
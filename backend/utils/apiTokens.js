@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const { database } = require("../models/database");
+
+const TOKEN_PREFIX = "ifa_";
+const TOKEN_SCOPES = ["read", "write"];
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+// Avoid a write on every request; last_used_at only needs to be roughly right
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashApiToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Creates a new random token. Only the hash is stored; the raw value is shown once.
+ * @returns {{token: string, tokenHash: string, displayPrefix: string}}
+ */
+function generateApiToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { token, tokenHash: hashApiToken(token), displayPrefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+}
+
+/**
+ * Resolves the caller from the cookie session or an `Authorization: Bearer`
+ * personal access token and sets req.userId (and req.apiToken for tokens)
+ * @returns {Promise<{status: number, error: string}|null>} An error to send, or null when authenticated
+ */
+async function authenticateRequest(req) {
+  if (req.session?.userId) {
+    req.userId = req.session.userId;
+    req.apiToken = null;
+    return null;
+  }
+
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return { status: 401, error: "Authentication required" };
+  }
+
+  const record = await database.getApiTokenByHash(hashApiToken(token));
+  if (!record || (record.expires_at && new Date(record.expires_at) < new Date())) {
+    return { status: 401, error: "Invalid or expired access token" };
+  }
+  if (!READ_METHODS.includes(req.method) && !record.scopes.includes("write")) {
+    return { status: 403, error: "This access token is read-only" };
+  }
+
+  if (!record.last_used_at || Date.now() - new Date(record.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+    database.touchApiToken(record.id).catch((error) => console.error("Token touch error:", error));
+  }
+  req.userId = record.user_id;
+  req.apiToken = record;
+  return null;
+}
+
+module.exports = { TOKEN_SCOPES, generateApiToken, hashApiToken, authenticateRequest };
@@ -0,0 +1,97 @@
+const JSZip = require("jszip");
+const { v4: uuidv4 } = require("uuid");
+
+const BACKUP_FORMAT = "instagram-follower-analyzer-backup";
+const BACKUP_VERSION = 1;
+
+// Columns copied for each table. Primary keys and user_id are never exported;
+// session_id is always included for per-session tables and remapped on import.
+const BACKUP_TABLES = {
+  analysis_sessions: [
+    "created_at", "processed_at", "name",
+    "followers_count", "following_count", "mutual_count", "followers_only_count", "following_only_count",
+    "export_followers_count", "export_following_count", "deleted_followers_count", "deleted_following_count",
+    "export_report",
+  ],
+  users: ["username", "category", "href", "created_at"],
+  follower_events: ["event_timestamp", "followers_count", "following_count", "direction", "username", "created_at"],
+  pending_requests: ["username", "profile_url", "request_timestamp", "status", "created_at"],
+  unfollowed_profiles: ["username", "unfollowed_at", "last_seen_category", "profile_url", "source"],
+  relationship_profiles: ["username", "display_name", "list_type", "profile_url", "fbid", "timestamp", "created_at"],
+  interactions: ["username", "interaction_type", "interaction_count", "last_interaction_at", "created_at"],
+  user_annotations: ["username", "note", "tags", "updated_at"],
+};
+
+class BackupError extends Error {}
+
+/**
+ * Packs account data into a versioned ZIP archive
+ * @param {Object} data - Rows per table, as returned by database.getAccountBackupData
+ * @returns {Promise<Buffer>}
+ */
+async function packBackup(data) {
+  const zip = new JSZip();
+  const counts = {};
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    const rows = data[table] || [];
+    counts[table] = rows.length;
+    zip.file(`data/${table}.json`, JSON.stringify(rows));
+  }
+  zip.file(
+    "manifest.json",
+    JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), counts }, null, 2)
+  );
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/**
+ * Reads a backup archive and gives every session a fresh ID so it can be
+ * restored next to existing data on any instance
+ * @param {Buffer} buffer - Archive produced by packBackup
+ * @returns {Promise<Object>} Rows per table with remapped session IDs
+ */
+async function unpackBackup(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw new BackupError("Backup file is not a valid archive");
+  }
+
+  const manifestFile = zip.file("manifest.json");
+  if (!manifestFile) throw new BackupError("Backup archive is missing its manifest");
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestFile.async("string"));
+  } catch {
+    throw new BackupError("Backup manifest is not valid JSON");
+  }
+  if (manifest.format !== BACKUP_FORMAT) throw new BackupError("Unrecognised backup format");
+  if (!Number.isInteger(manifest.version) || manifest.version > BACKUP_VERSION) {
+    throw new BackupError(`Unsupported backup version ${manifest.version}`);
+  }
+
+  const data = {};
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    const file = zip.file(`data/${table}.json`);
+    try {
+      data[table] = file ? JSON.parse(await file.async("string")) : [];
+    } catch {
+      data[table] = null;
+    }
+    if (!Array.isArray(data[table])) throw new BackupError(`Corrupt backup table: ${table}`);
+  }
+
+  const idMap = new Map(data.analysis_sessions.map((s) => [s.id, uuidv4()]));
+  data.analysis_sessions = data.analysis_sessions.map((s) => ({ ...s, id: idMap.get(s.id) }));
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    if (table === "analysis_sessions" || table === "user_annotations") continue;
+    data[table] = data[table]
+      .filter((row) => idMap.has(row.session_id))
+      .map((row) => ({ ...row, session_id: idMap.get(row.session_id) }));
+  }
+
+  return { manifest, data };
+}
+
+module.exports = { BACKUP_TABLES, BACKUP_VERSION, BackupError, packBackup, unpackBackup };
@@ -0,0 +1,70 @@
+const { database } = require("../models/database");
+const { sendDigestEmail } = require("./email");
+
+const FOLLOWER_CATEGORIES = ["mutual", "followers_only"];
+const FOLLOWING_CATEGORIES = ["mutual", "following_only"];
+
+/**
+ * Computes what changed between two saved sessions
+ * @param {Object[]} previousUsers - users rows of the earlier session
+ * @param {Object[]} currentUsers - users rows of the newer session
+ * @param {Object[]} previousPending - pending_requests rows of the earlier session
+ * @returns {Object} Usernames per change type
+ */
+function computeDigest(previousUsers, currentUsers, previousPending = []) {
+  const usernames = (users, categories) =>
+    new Set(users.filter((u) => categories.includes(u.category)).map((u) => u.username));
+
+  const prevFollowers = usernames(previousUsers, FOLLOWER_CATEGORIES);
+  const currFollowers = usernames(currentUsers, FOLLOWER_CATEGORIES);
+  const prevNonFollowbacks = usernames(previousUsers, ["following_only"]);
+  const currNonFollowbacks = usernames(currentUsers, ["following_only"]);
+  const currFollowing = usernames(currentUsers, FOLLOWING_CATEGORIES);
+
+  return {
+    newFollowers: [...currFollowers].filter((u) => !prevFollowers.has(u)).sort(),
+    lostFollowers: [...prevFollowers].filter((u) => !currFollowers.has(u)).sort(),
+    newNonFollowbacks: [...currNonFollowbacks].filter((u) => !prevNonFollowbacks.has(u)).sort(),
+    convertedRequests: previousPending
+      .map((r) => r.username)
+      .filter((u) => currFollowing.has(u))
+      .sort(),
+  };
+}
+
+function hasChanges(digest) {
+  return Object.values(digest).some((list) => list.length > 0);
+}
+
+/**
+ * Emails the owner of a newly saved session a summary of changes since
+ * their previous session, if they have opted in
+ */
+async function sendSessionDigest(userId, sessionId) {
+  if (!userId) return;
+  const user = await database.getUserById(userId);
+  if (!user || !user.digest_opt_in) return;
+
+  const previous = await database.getPreviousAnalysisSession(sessionId, userId);
+  if (!previous) return;
+
+  const [previousUsers, currentUsers, previousPending, current] = await Promise.all([
+    database.getUsers(previous.id),
+    database.getUsers(sessionId),
+    database.getPendingRequests(previous.id),
+    database.getAnalysis(sessionId),
+  ]);
+
+  const digest = computeDigest(previousUsers, currentUsers, previousPending);
+  if (!hasChanges(digest)) return;
+
+  await sendDigestEmail(user.email, {
+    ...digest,
+    sessionId,
+    sessionName: current?.name || null,
+    previousName: previous.name || null,
+    previousDate: previous.created_at,
+  });
+}
+
+module.exports = { computeDigest, sendSessionDigest };
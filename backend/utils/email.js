@@ -223,4 +223,103 @@ async function sendPasswordResetEmail(toEmail, resetLink) {
   });
 }
 
-module.exports = { sendOtpEmail, sendPasswordResetEmail, sendContactEmail };
+const DIGEST_SECTIONS = [
+  ["newFollowers", "New followers"],
+  ["lostFollowers", "Lost followers"],
+  ["newNonFollowbacks", "New accounts not following you back"],
+  ["convertedRequests", "Pending requests now followed"],
+];
+const DIGEST_LIST_LIMIT = 25;
+
+// Build the plain-text and HTML bodies for a follower digest
+function buildDigestContent(digest) {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  const link = `${frontendUrl}/dashboard/${digest.sessionId}`;
+  const since = digest.previousName || new Date(digest.previousDate).toLocaleDateString("en-US");
+
+  const text = [
+    `Changes since ${since}:`,
+    ...DIGEST_SECTIONS.map(([key, label]) => {
+      const list = digest[key];
+      const shown = list.slice(0, DIGEST_LIST_LIMIT).map((u) => `  @${u}`).join("\n");
+      const more = list.length > DIGEST_LIST_LIMIT ? `\n  …and ${list.length - DIGEST_LIST_LIMIT} more` : "";
+      return `\n${label} (${list.length})${list.length ? `\n${shown}${more}` : ""}`;
+    }),
+    `\nView the full analysis: ${link}`,
+  ].join("\n");
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:600px;margin:0 auto">
+      <h2 style="color:#7c3aed">Your follower digest</h2>
+      <p style="color:#6b7280">Changes since ${since}</p>
+      ${DIGEST_SECTIONS.map(([key, label]) => {
+        const list = digest[key];
+        const more = list.length > DIGEST_LIST_LIMIT ? `<li>…and ${list.length - DIGEST_LIST_LIMIT} more</li>` : "";
+        return `
+          <h3 style="color:#1f2937;margin-bottom:4px">${label} (${list.length})</h3>
+          ${list.length ? `<ul style="margin-top:0">${list.slice(0, DIGEST_LIST_LIMIT).map((u) => `<li>@${u}</li>`).join("")}${more}</ul>` : ""}
+        `;
+      }).join("")}
+      <a href="${link}" style="display:inline-block;margin:16px 0;padding:12px 24px;background:#7c3aed;color:#fff;border-radius:8px;text-decoration:none;font-weight:600">View Analysis</a>
+      <p style="color:#6b7280;font-size:14px">You can turn off these emails from your account page.</p>
+    </div>
+  `;
+
+  return { text, html };
+}
+
+// Send follower change digest
+async function sendDigestEmail(toEmail, digest) {
+  const transporter = createTransporter();
+  const { text, html } = buildDigestContent(digest);
+  const subject = `Follower digest: +${digest.newFollowers.length} / -${digest.lostFollowers.length}`;
+
+  if (transporter === "brevo") {
+    try {
+      const res = await fetch("https://api.brevo.com/v3/smtp/email", {
+        method: "POST",
+        headers: {
+          "api-key": process.env.BREVO_API_KEY,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          sender: {
+            name: process.env.BREVO_SENDER_NAME || "Instagram Follower Analyzer",
+            email: process.env.BREVO_SENDER_EMAIL,
+          },
+          to: [{ email: toEmail }],
+          subject,
+          htmlContent: html,
+          textContent: text,
+        }),
+      });
+
+      if (!res.ok) {
+        const errorBody = await res.text();
+        console.error(`Brevo API error ${res.status}:`, errorBody);
+        throw new Error(`Brevo API error ${res.status}: ${errorBody}`);
+      }
+      return;
+    } catch (error) {
+      console.error("Failed to send digest via Brevo:", error.message);
+      // Fallback to console logging in development
+      console.log(`\n📊 Digest Email: ${toEmail}\nSubject: ${subject}\n${text}\n`);
+      return;
+    }
+  }
+
+  if (!transporter) {
+    console.log(`\n📊 Digest Email: ${toEmail}\nSubject: ${subject}\n${text}\n`);
+    return;
+  }
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM || `"Instagram Follower Tracker" <${process.env.SMTP_USER}>`,
+    to: toEmail,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = { sendOtpEmail, sendPasswordResetEmail, sendContactEmail, sendDigestEmail };
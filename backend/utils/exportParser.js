@@ -0,0 +1,78 @@
+const JSZip = require("jszip");
+const fs = require("fs").promises;
+const {
+  createExportData,
+  createExportReport,
+  isRecognisedFile,
+  shouldInspectFile,
+  processFile,
+  finalizeExport,
+  reportUnrecognisedFile,
+  reportFileError,
+  readZipDirectory,
+} = require("instagram-export-parser");
+
+// JSZip doesn't expose entry sizes, so they come from the central directory
+async function readEntrySizes(zipPath) {
+  const handle = await fs.open(zipPath, "r");
+  try {
+    const { size } = await handle.stat();
+    const entries = await readZipDirectory(size, async (start, length) => {
+      const { buffer } = await handle.read(Buffer.alloc(length), 0, length, start);
+      return new DataView(buffer.buffer, buffer.byteOffset, length);
+    });
+    return new Map(entries.map((entry) => [entry.name, entry.uncompressedSize]));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Reads an Instagram export ZIP from disk and returns its normalized
+ * relationship data. Deleted accounts are filtered out and counted.
+ * @param {string} zipPath - Path to the export archive
+ * @param {Function} onProgress - Called with a status message as parsing advances
+ * @param {Function} log - Called with a line per parsed file and a final count
+ * @returns {Promise<Object>} { followers, following, pendingRequests, unfollowedProfiles, relationshipProfiles, exportReport, ...counts }
+ * @throws {ExportFormatError} When nothing usable was found; its `report` says why
+ */
+async function parseInstagramExport(zipPath, onProgress = () => {}, log = console.log) {
+  const processedData = createExportData();
+  const report = createExportReport();
+
+  onProgress("Extracting ZIP contents…");
+  const sizes = await readEntrySizes(zipPath);
+  const zipContents = await new JSZip().loadAsync(await fs.readFile(zipPath));
+
+  onProgress("Parsing follower data files…");
+  // Media is never decompressed; other JSON and HTML files are only read to
+  // report ones that look like relationship data
+  await Promise.all(
+    Object.entries(zipContents.files)
+      .filter(([, file]) => !file.dir)
+      .map(async ([filename, file]) => {
+        const size = sizes.get(filename) ?? null;
+        if (!isRecognisedFile(filename) && !shouldInspectFile(filename, size)) {
+          reportUnrecognisedFile(report, filename, { size });
+          return;
+        }
+        try {
+          const result = processFile(filename, await file.async("string"), processedData, { report, size });
+          if (result) log(`📄 ${filename}: ${result.added} ${result.format.id} entries`);
+        } catch (parseError) {
+          console.error(`Error parsing ${filename}:`, parseError);
+          reportFileError(report, filename, parseError, { size });
+        }
+      })
+  );
+
+  onProgress("Normalizing data…");
+  const data = finalizeExport(processedData, report);
+
+  log(
+    `📊 Found ${data.followers.length} followers, ${data.following.length} following, and ${data.pendingRequests.length} pending requests`
+  );
+  return { ...data, exportReport: report };
+}
+
+module.exports = { parseInstagramExport };
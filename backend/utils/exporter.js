@@ -0,0 +1,179 @@
+const JSZip = require("jszip");
+
+const USER_LISTS = ["mutual", "followers_only", "following_only"];
+const RELATIONSHIP_LISTS = [
+  "close_friend", "blocked", "hidden_story", "restricted",
+  "favorited", "removed_suggestion", "received_request", "recent_request",
+];
+const EXPORT_LISTS = [...USER_LISTS, "pending_requests", "unfollowed", ...RELATIONSHIP_LISTS];
+
+const EXPORT_COLUMNS = {
+  username: "Username",
+  list: "List",
+  profileUrl: "Profile URL",
+  displayName: "Display Name",
+  followedYouAt: "Followed You At",
+  youFollowedAt: "You Followed At",
+  listDate: "List Date",
+  note: "Note",
+  tags: "Tags",
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json", extension: "json" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+const DEFAULT_COLUMNS = ["username", "list", "profileUrl"];
+
+function cellValue(row, column) {
+  const value = row[column];
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas
+function neutralizeFormula(value) {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function toCsv(rows, columns) {
+  const escape = (value) => `"${neutralizeFormula(value).replace(/"/g, '""')}"`;
+  const lines = [columns.map((c) => escape(EXPORT_COLUMNS[c])).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escape(cellValue(row, c))).join(","));
+  }
+  // BOM so Excel detects UTF-8 usernames and notes
+  return "\uFEFF" + lines.join("\r\n");
+}
+
+function toJson(rows, columns) {
+  return JSON.stringify(
+    rows.map((row) => Object.fromEntries(columns.map((c) => [c, row[c] ?? null]))),
+    null,
+    2
+  );
+}
+
+function xmlEscape(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function columnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+function sheetXml(rows, columns) {
+  const cell = (value, col, rowNum) =>
+    `<c r="${columnLetter(col)}${rowNum}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+  const xmlRows = [
+    `<row r="1">${columns.map((c, i) => cell(EXPORT_COLUMNS[c], i, 1)).join("")}</row>`,
+    ...rows.map(
+      (row, r) => `<row r="${r + 2}">${columns.map((c, i) => cell(cellValue(row, c), i, r + 2)).join("")}</row>`
+    ),
+  ];
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${xmlRows.join("")}</sheetData></worksheet>`
+  );
+}
+
+/**
+ * Builds an XLSX workbook with one worksheet per list
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(rows, columns) {
+  const byList = new Map();
+  for (const row of rows) {
+    if (!byList.has(row.list)) byList.set(row.list, []);
+    byList.get(row.list).push(row);
+  }
+  if (byList.size === 0) byList.set("export", []);
+
+  const sheets = Array.from(byList.entries());
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      sheets
+        .map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+        .join("") +
+      "</Types>"
+  );
+  zip.file(
+    "_rels/.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>"
+  );
+  zip.file(
+    "xl/workbook.xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      sheets
+        .map(([name], i) => `<sheet name="${xmlEscape(name.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+        .join("") +
+      "</sheets></workbook>"
+  );
+  zip.file(
+    "xl/_rels/workbook.xml.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets
+        .map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+        .join("") +
+      "</Relationships>"
+  );
+  sheets.forEach(([, sheetRows], i) => {
+    zip.file(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheetRows, columns));
+  });
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/**
+ * Serialises export rows in the requested format
+ * @param {Array} rows - Flat rows keyed by EXPORT_COLUMNS ids
+ * @param {Object} options - { format, columns }
+ * @returns {Promise<Object>} { body, contentType, extension }
+ */
+async function formatExport(rows, { format = "csv", columns = DEFAULT_COLUMNS } = {}) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  let body;
+  if (format === "json") body = toJson(rows, columns);
+  else if (format === "xlsx") body = await toXlsx(rows, columns);
+  else body = toCsv(rows, columns);
+  return { body, contentType, extension };
+}
+
+module.exports = {
+  EXPORT_LISTS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  USER_LISTS,
+  RELATIONSHIP_LISTS,
+  formatExport,
+};
@@ -0,0 +1,69 @@
+/**
+ * Builds a per-username follower history across a user's saved sessions
+ * @param {Array} sessions - analysis_sessions rows, in any order
+ * @param {Array} memberships - { session_id, username, href } rows for every follower in those sessions
+ * @returns {Object} Chronological session list and one history entry per username
+ */
+function buildFollowerHistory(sessions, memberships) {
+  const ordered = [...sessions].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  );
+
+  const followersBySession = new Map(ordered.map((s) => [s.id, new Set()]));
+  const hrefs = new Map();
+  for (const row of memberships) {
+    const set = followersBySession.get(row.session_id);
+    if (!set) continue;
+    set.add(row.username);
+    if (row.href && !hrefs.has(row.username)) hrefs.set(row.username, row.href);
+  }
+
+  const entries = new Map();
+  let previous = null;
+
+  ordered.forEach((session, index) => {
+    const current = followersBySession.get(session.id);
+
+    for (const username of current) {
+      let entry = entries.get(username);
+      if (!entry) {
+        entry = {
+          username,
+          href: hrefs.get(username) || null,
+          firstSeen: session.id,
+          dropped: [],
+          returned: [],
+          presentCount: 0,
+          currentlyFollowing: false,
+        };
+        entries.set(username, entry);
+      } else if (previous && !previous.has(username)) {
+        entry.returned.push(session.id);
+      }
+      entry.presentCount++;
+    }
+
+    if (previous) {
+      for (const username of previous) {
+        if (!current.has(username)) entries.get(username).dropped.push(session.id);
+      }
+    }
+
+    if (index === ordered.length - 1) {
+      for (const username of current) entries.get(username).currentlyFollowing = true;
+    }
+    previous = current;
+  });
+
+  return {
+    sessions: ordered.map((s) => ({
+      id: s.id,
+      name: s.name || null,
+      createdAt: s.created_at,
+      followersCount: s.followers_count,
+    })),
+    users: Array.from(entries.values()),
+  };
+}
+
+module.exports = { buildFollowerHistory };
@@ -1,92 +1,249 @@
 const EventEmitter = require("events");
+const os = require("os");
+const { v4: uuidv4 } = require("uuid");
+const { database } = require("../models/database");
 
+const POLL_INTERVAL = 2000; // ms
+const HEARTBEAT_INTERVAL = 30 * 1000; // ms
+const STALE_JOB_SECONDS = 120;
+const RETRY_BASE_DELAY_SECONDS = 30;
+const FINISHED_JOB_RETENTION_DAYS = 7;
+
+// Errors that another attempt can get past: dropped or refused connections,
+// PostgreSQL serialization failures, deadlocks, shutdowns and resource limits,
+// and a busy SQLite file. Anything else would fail the same way again.
+const TRANSIENT_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "40001",
+  "40P01",
+  "57P01",
+  "57P02",
+  "57P03",
+  "SQLITE_BUSY",
+  "SQLITE_LOCKED",
+]);
+const TRANSIENT_SQLSTATE_CLASSES = ["08", "53"];
+
+// Handlers can decide for themselves by setting error.retryable
+function isRetryable(error) {
+  if (typeof error.retryable === "boolean") return error.retryable;
+  const code = String(error.code || "");
+  return TRANSIENT_ERROR_CODES.has(code) || (code.length === 5 && TRANSIENT_SQLSTATE_CLASSES.includes(code.slice(0, 2)));
+}
+
+/**
+ * Postgres-backed job queue. Jobs, their progress messages and results live in
+ * the jobs table so they survive restarts; SSE subscribers attached to this
+ * process are notified as events are recorded.
+ *
+ * Jobs created with a type are run by the worker loop (see register/start) and
+ * retried when they fail with a transient error. Jobs created without one are
+ * driven by the caller through progress/complete/fail.
+ */
 class JobQueue extends EventEmitter {
   constructor() {
     super();
-    // Map<sessionId, { status, messages, error, result, listeners }>
-    this.jobs = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    // Map<jobId, Set<res>> of SSE connections on this process
+    this.listeners = new Map();
+    // Map<jobId, Promise> so writes for one job are applied in order
+    this.writes = new Map();
+    this.handlers = new Map();
+    this.running = new Set();
+    this.timers = [];
   }
 
-  create(sessionId) {
-    this.jobs.set(sessionId, {
-      status: "pending",
-      messages: [],
-      error: null,
-      result: null,
-      listeners: new Set(),
+  create(sessionId, { userId = null, type = null, payload = {}, maxAttempts = 1 } = {}) {
+    return this._write(sessionId, () => database.createJob(sessionId, { userId, type, payload, maxAttempts }), {
+      rethrow: true,
     });
   }
 
-  subscribe(sessionId, res) {
-    const job = this.jobs.get(sessionId);
-    if (!job) {
+  /**
+   * Registers the function that runs jobs of a type. It receives the job row and
+   * a progress callback and resolves to the job result.
+   * @param {Object} options - { onFailure(job, error) } called once retries are exhausted
+   */
+  register(type, handler, { onFailure = async () => {} } = {}) {
+    this.handlers.set(type, { handler, onFailure });
+  }
+
+  async subscribe(sessionId, res, userId = null) {
+    // Listen before reading so nothing recorded during the lookup is missed;
+    // clients ignore progress messages they have already seen
+    if (!this.listeners.has(sessionId)) this.listeners.set(sessionId, new Set());
+    const listeners = this.listeners.get(sessionId);
+    const detach = () => {
+      listeners.delete(res);
+      if (listeners.size === 0 && this.listeners.get(sessionId) === listeners) this.listeners.delete(sessionId);
+    };
+    listeners.add(res);
+    res.on("close", detach);
+
+    let job;
+    try {
+      job = await this._settled(sessionId).then(() => database.getJob(sessionId));
+    } catch (error) {
+      console.error("Job lookup error:", error);
+    }
+    if (!listeners.has(res)) return;
+    if (!job || (userId !== null && job.user_id !== null && job.user_id !== userId)) {
+      detach();
       res.write(`event: error\ndata: ${JSON.stringify({ message: "Job not found" })}\n\n`);
       res.end();
       return;
     }
 
-    // Replay buffered messages so a reconnecting client catches up
+    // Replay stored messages so a reconnecting client catches up
     for (const msg of job.messages) {
       res.write(`event: ${msg.event}\ndata: ${JSON.stringify(msg.data)}\n\n`);
     }
 
     // If already finished, close immediately
-    if (job.status === "done") {
-      res.write(`event: done\ndata: ${JSON.stringify(job.result)}\n\n`);
-      res.end();
-      return;
-    }
-    if (job.status === "error") {
-      res.write(`event: error\ndata: ${JSON.stringify({ message: job.error })}\n\n`);
+    if (job.status === "done" || job.status === "error") {
+      detach();
+      const [event, data] =
+        job.status === "done" ? ["done", job.result] : ["error", { message: job.error, ...job.result }];
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
       res.end();
-      return;
     }
-
-    job.listeners.add(res);
-    res.on("close", () => job.listeners.delete(res));
   }
 
   progress(sessionId, message) {
-    this._emit(sessionId, "progress", { message });
+    return this._emit(sessionId, "progress", { message });
   }
 
   complete(sessionId, result) {
-    const job = this.jobs.get(sessionId);
-    if (!job) return;
-    job.status = "done";
-    job.result = result;
-    this._emit(sessionId, "done", result);
-    // Close all SSE connections
-    for (const res of job.listeners) {
-      try { res.end(); } catch {}
+    this._write(sessionId, () => database.finishJob(sessionId, "done", { result }));
+    return this._finish(sessionId, "done", result);
+  }
+
+  // `details` are stored as the job result and sent along with the message
+  fail(sessionId, error, details = null) {
+    this._write(sessionId, () => database.finishJob(sessionId, "error", { error, result: details }));
+    return this._finish(sessionId, "error", { message: error, ...details });
+  }
+
+  /**
+   * Starts the worker loop on this process
+   * @param {Object} options - { concurrency }
+   */
+  start({ concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2 } = {}) {
+    if (this.timers.length > 0) return;
+    this.concurrency = concurrency;
+    this.timers.push(
+      setInterval(() => this._poll(), POLL_INTERVAL),
+      setInterval(() => this._heartbeat(), HEARTBEAT_INTERVAL)
+    );
+    this._heartbeat();
+    this._poll();
+    console.log(`🧵 Job worker ${this.workerId} started (concurrency ${concurrency})`);
+  }
+
+  stop() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+
+  async _poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const types = [...this.handlers.keys()];
+      while (types.length > 0 && this.running.size < this.concurrency) {
+        const job = await database.claimNextJob(types, this.workerId);
+        if (!job) break;
+        this.running.add(job.id);
+        this._run(job).finally(() => this.running.delete(job.id));
+      }
+    } catch (error) {
+      console.error("Job poll error:", error);
+    } finally {
+      this.polling = false;
     }
-    job.listeners.clear();
-    // Clean up after 5 minutes
-    setTimeout(() => this.jobs.delete(sessionId), 5 * 60 * 1000);
-  }
-
-  fail(sessionId, error) {
-    const job = this.jobs.get(sessionId);
-    if (!job) return;
-    job.status = "error";
-    job.error = error;
-    this._emit(sessionId, "error", { message: error });
-    for (const res of job.listeners) {
-      try { res.end(); } catch {}
+  }
+
+  async _run(job) {
+    const { handler, onFailure } = this.handlers.get(job.job_type);
+    try {
+      if (job.attempts > job.max_attempts) {
+        throw new Error("Job was interrupted too many times");
+      }
+      if (job.attempts > 1) {
+        await this.progress(job.id, `Retrying (attempt ${job.attempts} of ${job.max_attempts})…`);
+      }
+      const result = await handler(job, (message) => this.progress(job.id, message));
+      await this.complete(job.id, result);
+    } catch (error) {
+      console.error(`Job ${job.id} failed (attempt ${job.attempts}):`, error);
+      const message = error.message || "Job failed";
+      if (job.attempts < job.max_attempts && isRetryable(error)) {
+        const delay = RETRY_BASE_DELAY_SECONDS * 2 ** (job.attempts - 1);
+        await this.progress(job.id, `Attempt ${job.attempts} failed: ${message}. Retrying in ${delay}s…`);
+        await this._write(job.id, () => database.retryJob(job.id, delay, message));
+        return;
+      }
+      await this.fail(job.id, message, error.details || null);
+      await onFailure(job, error).catch((err) => console.error(`Job ${job.id} failure hook error:`, err));
     }
-    job.listeners.clear();
-    setTimeout(() => this.jobs.delete(sessionId), 5 * 60 * 1000);
+  }
+
+  async _heartbeat() {
+    try {
+      await database.touchJobs([...this.running]);
+      const released = await database.releaseStaleJobs(STALE_JOB_SECONDS);
+      if (released.length > 0) console.log(`♻️  Requeued ${released.length} interrupted job(s)`);
+      await database.deleteFinishedJobs(FINISHED_JOB_RETENTION_DAYS);
+    } catch (error) {
+      console.error("Job heartbeat error:", error);
+    }
+  }
+
+  _finish(sessionId, event, data) {
+    const listeners = this.listeners.get(sessionId);
+    if (listeners) {
+      const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      // Close all SSE connections
+      for (const res of listeners) {
+        try { res.write(payload); res.end(); } catch {}
+      }
+      this.listeners.delete(sessionId);
+    }
+    return this._settled(sessionId);
   }
 
   _emit(sessionId, event, data) {
-    const job = this.jobs.get(sessionId);
-    if (!job) return;
     const msg = { event, data };
-    job.messages.push(msg);
-    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-    for (const res of job.listeners) {
-      try { res.write(payload); } catch {}
+    const listeners = this.listeners.get(sessionId);
+    if (listeners) {
+      const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const res of listeners) {
+        try { res.write(payload); } catch {}
+      }
     }
+    return this._write(sessionId, () => database.appendJobMessage(sessionId, msg));
+  }
+
+  // Progress writes are best effort; only create() reports failures to the caller
+  _write(sessionId, fn, { rethrow = false } = {}) {
+    const previous = this.writes.get(sessionId) || Promise.resolve();
+    const attempt = previous.then(fn);
+    const next = attempt.catch((error) => {
+      if (!rethrow) console.error(`Job ${sessionId} write error:`, error);
+    });
+    this.writes.set(sessionId, next);
+    next.then(() => {
+      if (this.writes.get(sessionId) === next) this.writes.delete(sessionId);
+    });
+    return rethrow ? attempt : next;
+  }
+
+  _settled(sessionId) {
+    return this.writes.get(sessionId) || Promise.resolve();
   }
 }
 
@@ -0,0 +1,55 @@
+// Keyset pagination for the user listings. Instead of an offset, clients pass
+// back the cursor from the previous page: the sort key and ID of its last row,
+// base64url-encoded so it stays opaque.
+
+const USER_SORTS = ["username", "followed_at"];
+const SORT_ORDERS = ["asc", "desc"];
+const DEFAULT_USER_PAGE_SIZE = 50;
+const MAX_USER_PAGE_SIZE = 100;
+
+function encodeCursor(row, sort) {
+  const value = row[sort] instanceof Date ? row[sort].toISOString() : row[sort] ?? null;
+  return Buffer.from(JSON.stringify([sort, value, row.id])).toString("base64url");
+}
+
+/**
+ * @returns {{ value: string|null, id: number }|null} Null when the cursor is
+ *   malformed or was issued for a different sort
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const [cursorSort, value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (cursorSort !== sort || !Number.isInteger(id)) return null;
+    if (value !== null && typeof value !== "string") return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The pagination envelope returned by every user listing
+ * @param {Object} page - Result of database.listUsers
+ * @param {Object} listQuery - { sort, order, limit }
+ */
+function cursorPagination(page, { sort, order, limit }) {
+  const last = page.users[page.users.length - 1];
+  return {
+    limit,
+    sort,
+    order,
+    totalItems: Object.values(page.counts).reduce((sum, count) => sum + count, 0),
+    hasMore: page.hasMore,
+    nextCursor: page.hasMore && last ? encodeCursor(last, sort) : null,
+  };
+}
+
+module.exports = {
+  USER_SORTS,
+  SORT_ORDERS,
+  DEFAULT_USER_PAGE_SIZE,
+  MAX_USER_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  cursorPagination,
+};
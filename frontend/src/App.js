@@ -10,6 +10,9 @@ import { PendingRequests } from "./components/PendingRequests";
 import { RelationshipLists } from "./components/RelationshipLists";
 import { Insights } from "./components/Insights";
 import { SessionHistory } from "./components/SessionHistory";
+import { ProfileLifecycle } from "./components/ProfileLifecycle";
+import { LocalHistory } from "./components/LocalHistory";
+import { LocalCompare } from "./components/LocalCompare";
 import { Processing } from "./components/Processing";
 import { Login } from "./components/Login";
 import { Register } from "./components/Register";
@@ -17,6 +20,7 @@ import { ForgotPassword } from "./components/ForgotPassword";
 import { ResetPassword } from "./components/ResetPassword";
 import { UnfollowHelper } from "./components/UnfollowHelper";
 import { Account } from "./components/Account";
+import { Annotations } from "./components/Annotations";
 import { ErrorBoundary } from "./components/ErrorBoundary";
 import { NotFound } from "./components/NotFound";
 import { AuthProvider, useAuth } from "./context/AuthContext";
@@ -63,11 +67,15 @@ function App() {
                 <Route path="/" element={<Upload />} />
                 <Route path="/processing/:sessionId" element={<Processing />} />
                 <Route path="/history" element={<ProtectedRoute><SessionHistory /></ProtectedRoute>} />
+                <Route path="/local-history" element={<LocalHistory />} />
+                <Route path="/local-compare" element={<LocalCompare />} />
                 <Route path="/dashboard/:sessionId" element={<Dashboard />} />
                 <Route path="/unfollow/:sessionId" element={<UnfollowHelper />} />
                 <Route path="/pending-requests/:sessionId" element={<PendingRequests />} />
                 <Route path="/relationships/:sessionId" element={<RelationshipLists />} />
                 <Route path="/insights/:sessionId" element={<Insights />} />
+                <Route path="/profile/:sessionId/:username" element={<ProtectedRoute><ProfileLifecycle /></ProtectedRoute>} />
+                <Route path="/annotations" element={<ProtectedRoute><Annotations /></ProtectedRoute>} />
                 <Route path="/account" element={<ProtectedRoute><Account /></ProtectedRoute>} />
                 <Route path="*" element={<NotFound />} />
               </Routes>
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from "react";
+import { KeyRound, Copy, Trash2, Plus } from "lucide-react";
+import * as api from "../utils/apiClient";
+import { toast } from "react-hot-toast";
+import config from "../config";
+
+const inputClass =
+  "px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm";
+
+export function AccessTokens() {
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [write, setWrite] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState("90");
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  useEffect(() => {
+    api
+      .listApiTokens()
+      .then(({ data }) => setTokens(data.tokens))
+      .catch((error) => console.error("Failed to load access tokens:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const { data } = await api.createApiToken({
+        name,
+        scopes: write ? ["read", "write"] : ["read"],
+        expiresInDays: expiresInDays ? parseInt(expiresInDays) : null,
+      });
+      const { token, ...meta } = data;
+      setTokens((previous) => [meta, ...previous]);
+      setNewToken(token);
+      setName("");
+      setWrite(false);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to create access token.");
+      console.error(error);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await api.revokeApiToken(token.id);
+      setTokens((previous) => previous.filter((t) => t.id !== token.id));
+      toast.success("Access token revoked.");
+    } catch (error) {
+      toast.error("Failed to revoke access token.");
+      console.error(error);
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success("Copied to clipboard.");
+    } catch {
+      toast.error("Copy failed. Select the token and copy it manually.");
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8 mb-8">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2 flex items-center gap-2">
+        <KeyRound className="w-5 h-5" />
+        Personal Access Tokens
+      </h2>
+      <p className="text-gray-600 dark:text-gray-400 mb-6">
+        Use a token to call the API from scripts by sending{" "}
+        <code className="text-sm bg-gray-100 dark:bg-gray-700 px-1 rounded">Authorization: Bearer &lt;token&gt;</code>{" "}
+        to endpoints such as <code className="text-sm bg-gray-100 dark:bg-gray-700 px-1 rounded">{config.apiUrl}/api/analysis</code>.
+        Read-only tokens can only make GET requests.
+      </p>
+
+      {newToken && (
+        <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg">
+          <p className="text-sm font-semibold text-green-800 dark:text-green-300 mb-2">
+            Copy your new token now. You won't be able to see it again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 text-sm break-all bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 px-3 py-2 rounded border dark:border-gray-700">
+              {newToken}
+            </code>
+            <button onClick={copyToken} className="p-2 text-gray-500 hover:text-purple-600" aria-label="Copy token">
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <button onClick={() => setNewToken(null)} className="mt-2 text-xs text-gray-600 dark:text-gray-400 hover:underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500 dark:text-gray-400 mb-6">Loading tokens...</p>
+      ) : tokens.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400 mb-6">You have no access tokens.</p>
+      ) : (
+        <ul className="divide-y dark:divide-gray-700 mb-6">
+          {tokens.map((token) => (
+            <li key={token.id} className="flex items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800 dark:text-gray-200 truncate">
+                  {token.name}{" "}
+                  <span className="ml-1 text-xs font-normal px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                    {token.scopes.includes("write") ? "read & write" : "read only"}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  <code>{token.prefix}…</code> · Created {new Date(token.createdAt).toLocaleDateString()} ·{" "}
+                  {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleDateString()}` : "Never used"} ·{" "}
+                  {token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : "No expiry"}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                className="text-gray-400 hover:text-red-600 flex-shrink-0"
+                aria-label={`Revoke ${token.name}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Token name, e.g. nightly sync"
+          maxLength={100}
+          required
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} className={inputClass}>
+          <option value="30">30 days</option>
+          <option value="90">90 days</option>
+          <option value="365">1 year</option>
+          <option value="">No expiry</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={write}
+            onChange={(e) => setWrite(e.target.checked)}
+            className="w-4 h-4 accent-purple-600"
+          />
+          Allow write
+        </label>
+        <button
+          type="submit"
+          disabled={creating}
+          className="px-4 py-2 bg-purple-600 text-white font-semibold rounded-lg hover:bg-purple-700 transition-colors inline-flex items-center gap-2 disabled:opacity-50 text-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Create Token
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
-import { AlertCircle, Trash2 } from "lucide-react";
-import axios from "axios";
+import { AlertCircle, Trash2, Download, Upload as UploadIcon, Mail } from "lucide-react";
+import * as api from "../utils/apiClient";
 import { toast } from "react-hot-toast";
+import { AlertRules } from "./AlertRules";
+import { AccessTokens } from "./AccessTokens";
 
 export function Account() {
   const { user, logout } = useAuth();
@@ -21,7 +23,7 @@ export function Account() {
   const fetchSessions = async () => {
     try {
       setLoadingSessions(true);
-      const { data } = await axios.get("/api/sessions");
+      const { data } = await api.listLoginSessions();
       setSessions(data);
     } catch (error) {
       toast.error("Failed to load active sessions.");
@@ -34,7 +36,7 @@ export function Account() {
   const handleRevokeSession = async (sid) => {
     if (!window.confirm("Are you sure you want to revoke this session? This will sign out the selected device.")) return;
     try {
-      await axios.delete(`/api/sessions/${sid}`);
+      await api.revokeLoginSession(sid);
       toast.success("Session revoked successfully.");
       fetchSessions(); // Refresh the list
     } catch (error) {
@@ -47,7 +49,7 @@ export function Account() {
     e.preventDefault();
     setError(null);
     try {
-      await axios.post("/api/auth/delete-account", { password });
+      await api.deleteAccount({ password });
       await logout();
       toast.success("Account deleted successfully.");
     } catch (err) {
@@ -126,6 +128,14 @@ export function Account() {
         )}
       </div>
 
+      <EmailDigest />
+
+      <AlertRules />
+
+      <AccessTokens />
+
+      <DataBackup />
+
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8 border-2 border-red-200 dark:border-red-800">
         <h2 className="text-xl font-bold text-red-600 dark:text-red-400 mb-2">Danger Zone</h2>
         <p className="text-gray-600 dark:text-gray-400 mb-6">
@@ -179,3 +189,129 @@ export function Account() {
     </div>
   );
 }
+
+function EmailDigest() {
+  const [digestOptIn, setDigestOptIn] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api
+      .getPreferences()
+      .then(({ data }) => setDigestOptIn(data.digestOptIn))
+      .catch((error) => console.error("Failed to load preferences:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleToggle = async () => {
+    setSaving(true);
+    try {
+      const { data } = await api.updatePreferences({ digestOptIn: !digestOptIn });
+      setDigestOptIn(data.digestOptIn);
+      toast.success(data.digestOptIn ? "Digest emails turned on." : "Digest emails turned off.");
+    } catch (error) {
+      toast.error("Failed to update email preferences.");
+      console.error(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8 mb-8">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2 flex items-center gap-2">
+        <Mail className="w-5 h-5" />
+        Email Digest
+      </h2>
+      <p className="text-gray-600 dark:text-gray-400 mb-6">
+        Each time you save a new analysis, get an email summarising what changed since your previous one: new and
+        lost followers, new accounts not following you back, and pending requests that were accepted.
+      </p>
+      <label className={`inline-flex items-center gap-3 cursor-pointer ${loading || saving ? "opacity-50 pointer-events-none" : ""}`}>
+        <input
+          type="checkbox"
+          checked={digestOptIn}
+          onChange={handleToggle}
+          disabled={loading || saving}
+          className="w-4 h-4 accent-purple-600"
+        />
+        <span className="text-gray-800 dark:text-gray-200 font-medium">Email me a digest of follower changes</span>
+      </label>
+    </div>
+  );
+}
+
+function DataBackup() {
+  const [exporting, setExporting] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await api.exportBackup();
+      const disposition = response.headers["content-disposition"] || "";
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || "instagram-analyzer-backup.zip";
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+    } catch (error) {
+      toast.error("Failed to export your data.");
+      console.error(error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const formData = new FormData();
+      formData.append("backup", file);
+      const { data } = await api.importBackup(formData);
+      toast.success(`Imported ${data.imported.analysis_sessions} saved analyses.`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to import backup.");
+      console.error(error);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8 mb-8">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">Your Data</h2>
+      <p className="text-gray-600 dark:text-gray-400 mb-6">
+        Download every saved analysis, follower history and note as a single backup file, or restore a backup
+        taken on another server. Imported analyses are added alongside your existing ones.
+      </p>
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="px-6 py-2 bg-purple-600 text-white font-semibold rounded-lg hover:bg-purple-700 transition-colors inline-flex items-center gap-2 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          {exporting ? "Preparing…" : "Download Backup"}
+        </button>
+        <label
+          className={`px-6 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 font-semibold rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors inline-flex items-center gap-2 cursor-pointer ${
+            importing ? "opacity-50 pointer-events-none" : ""
+          }`}
+        >
+          <UploadIcon className="w-4 h-4" />
+          {importing ? "Importing…" : "Import Backup"}
+          <input type="file" accept=".zip" className="hidden" onChange={handleImport} disabled={importing} />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from "react";
+import { Bell, Plus, Trash2 } from "lucide-react";
+import * as api from "../utils/apiClient";
+import { toast } from "react-hot-toast";
+import { LIST_TYPE_META } from "./RelationshipLists";
+
+export const ALERT_RULE_TYPES = {
+  list_unfollowed: {
+    label: "Someone on a list stops following me",
+    describe: ({ listType }) => `Someone on ${LIST_TYPE_META[listType]?.label || listType} stops following me`,
+  },
+  tag_unfollowed: {
+    label: "Someone with a tag stops following me",
+    describe: ({ tag }) => `Someone tagged "${tag}" stops following me`,
+  },
+  followers_lost: {
+    label: "I lose more than N followers",
+    describe: ({ threshold }) => `More than ${threshold} followers lost between analyses`,
+  },
+};
+
+const DEFAULT_PARAMS = {
+  list_unfollowed: { listType: "close_friend" },
+  tag_unfollowed: { tag: "" },
+  followers_lost: { threshold: 20 },
+};
+
+const inputClass =
+  "px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm";
+
+export function AlertRules() {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [ruleType, setRuleType] = useState("list_unfollowed");
+  const [params, setParams] = useState(DEFAULT_PARAMS.list_unfollowed);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api
+      .listAlertRules()
+      .then(({ data }) => setRules(data.rules))
+      .catch((error) => console.error("Failed to load alert rules:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleTypeChange = (value) => {
+    setRuleType(value);
+    setParams(DEFAULT_PARAMS[value]);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { data } = await api.createAlertRule({ ruleType, params });
+      setRules((previous) => [...previous, data]);
+      setParams(DEFAULT_PARAMS[ruleType]);
+      toast.success("Alert rule added.");
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to add alert rule.");
+      console.error(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      const { data } = await api.updateAlertRule(rule.id, { enabled: !rule.enabled });
+      setRules((previous) => previous.map((r) => (r.id === rule.id ? data : r)));
+    } catch (error) {
+      toast.error("Failed to update alert rule.");
+      console.error(error);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      await api.deleteAlertRule(rule.id);
+      setRules((previous) => previous.filter((r) => r.id !== rule.id));
+    } catch (error) {
+      toast.error("Failed to delete alert rule.");
+      console.error(error);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8 mb-8">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2 flex items-center gap-2">
+        <Bell className="w-5 h-5" />
+        Alert Rules
+      </h2>
+      <p className="text-gray-600 dark:text-gray-400 mb-6">
+        Rules are checked every time you save a new analysis. Matches show up in the notification bell at the top of
+        the page.
+      </p>
+
+      {loading ? (
+        <p className="text-gray-500 dark:text-gray-400 mb-6">Loading rules...</p>
+      ) : rules.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400 mb-6">You have no alert rules yet.</p>
+      ) : (
+        <ul className="divide-y dark:divide-gray-700 mb-6">
+          {rules.map((rule) => (
+            <li key={rule.id} className="flex items-center justify-between gap-4 py-3">
+              <label className="flex items-center gap-3 cursor-pointer text-gray-800 dark:text-gray-200">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => handleToggle(rule)}
+                  className="w-4 h-4 accent-purple-600"
+                />
+                <span className={rule.enabled ? "" : "text-gray-400 dark:text-gray-500"}>
+                  {ALERT_RULE_TYPES[rule.ruleType]?.describe(rule.params) || rule.ruleType}
+                </span>
+              </label>
+              <button
+                onClick={() => handleDelete(rule)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label="Delete rule"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <select value={ruleType} onChange={(e) => handleTypeChange(e.target.value)} className={inputClass}>
+          {Object.entries(ALERT_RULE_TYPES).map(([type, meta]) => (
+            <option key={type} value={type}>{meta.label}</option>
+          ))}
+        </select>
+
+        {ruleType === "list_unfollowed" && (
+          <select
+            value={params.listType}
+            onChange={(e) => setParams({ listType: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(LIST_TYPE_META).map(([type, meta]) => (
+              <option key={type} value={type}>{meta.label}</option>
+            ))}
+          </select>
+        )}
+        {ruleType === "tag_unfollowed" && (
+          <input
+            type="text"
+            value={params.tag}
+            onChange={(e) => setParams({ tag: e.target.value })}
+            placeholder="Tag, e.g. client"
+            maxLength={50}
+            required
+            className={inputClass}
+          />
+        )}
+        {ruleType === "followers_lost" && (
+          <input
+            type="number"
+            min={0}
+            value={params.threshold}
+            onChange={(e) => setParams({ threshold: e.target.value })}
+            required
+            className={`${inputClass} w-24`}
+          />
+        )}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-purple-600 text-white font-semibold rounded-lg hover:bg-purple-700 transition-colors inline-flex items-center gap-2 disabled:opacity-50 text-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Add Rule
+        </button>
+      </form>
+    </div>
+  );
+}
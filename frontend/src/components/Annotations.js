@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { AlertCircle, Search, Tag, Pencil, Trash2, StickyNote } from "lucide-react";
+import * as api from "../utils/apiClient";
+import { UserRow } from "./UserRow";
+
+const PAGE_SIZE = 20;
+
+export function Annotations() {
+  const [annotations, setAnnotations] = useState([]);
+  const [tagCounts, setTagCounts] = useState([]);
+  const [totalItems, setTotalItems] = useState(0);
+  const [page, setPage] = useState(1);
+  const [activeTag, setActiveTag] = useState(null);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(new Set());
+  const [bulkTag, setBulkTag] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const latestRequest = useRef(0);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  useEffect(() => {
+    setPage(1);
+  }, [activeTag, search]);
+
+  const load = useCallback(async () => {
+    const request = ++latestRequest.current;
+    try {
+      const res = await api.listAnnotations({
+        page,
+        limit: PAGE_SIZE,
+        ...(activeTag && { tag: activeTag }),
+        ...(search && { search }),
+      });
+      if (request !== latestRequest.current) return;
+      setAnnotations(res.data.annotations);
+      setTagCounts(res.data.tags);
+      setTotalItems(res.data.pagination.totalItems);
+      setError(null);
+    } catch (err) {
+      if (request === latestRequest.current) setError(err.response?.data?.error || "Failed to load annotations");
+    } finally {
+      if (request === latestRequest.current) setLoading(false);
+    }
+  }, [page, activeTag, search]);
+
+  useEffect(() => {
+    load();
+    setSelected(new Set());
+  }, [load]);
+
+  const toggleSelected = (username) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(username)) next.delete(username);
+      else next.add(username);
+      return next;
+    });
+
+  const allSelected = annotations.length > 0 && annotations.every((a) => selected.has(a.username));
+  const toggleAll = () => setSelected(allSelected ? new Set() : new Set(annotations.map((a) => a.username)));
+
+  // Runs a bulk change, then reloads the page and the tag counts
+  const runBulk = async (action, failure) => {
+    setWorking(true);
+    try {
+      await action();
+      setSelected(new Set());
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || failure);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const tagSelected = () => {
+    const tag = bulkTag.trim();
+    if (!tag || selected.size === 0) return;
+    runBulk(async () => {
+      await api.tagAnnotations({ usernames: [...selected], tag });
+      setBulkTag("");
+    }, "Failed to tag annotations");
+  };
+
+  const deleteSelected = () => {
+    if (selected.size === 0) return;
+    if (!window.confirm(`Delete the notes and tags of ${selected.size} account(s)?`)) return;
+    runBulk(() => api.deleteAnnotations({ usernames: [...selected] }), "Failed to delete annotations");
+  };
+
+  const renameTag = (tag) => {
+    const name = window.prompt(`Rename the tag "${tag}" on every account to:`, tag)?.trim();
+    if (!name || name === tag) return;
+    runBulk(async () => {
+      await api.renameAnnotationTag(tag, { name });
+      if (activeTag === tag) setActiveTag(name);
+    }, "Failed to rename tag");
+  };
+
+  const totalPages = Math.ceil(totalItems / PAGE_SIZE) || 1;
+  const filtered = Boolean(activeTag || search);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[50vh]">
+        <div className="text-center">
+          <div className="spinner mb-4"></div>
+          <p className="text-gray-600 dark:text-gray-400">Loading annotations...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <div className="text-center mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white mb-2">Notes & Tags</h1>
+        <p className="text-gray-600 dark:text-gray-400">
+          {totalItems} {filtered ? "matching" : "annotated"} account{totalItems === 1 ? "" : "s"}
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center gap-2 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 mb-6">
+        <div className="relative mb-4">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search notes…"
+            className="w-full pl-9 pr-3 py-2 text-sm border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-1 focus:ring-purple-400 dark:bg-gray-700 dark:text-gray-200"
+          />
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setActiveTag(null)}
+            className={`text-xs px-2.5 py-1 rounded-full ${
+              activeTag === null
+                ? "bg-purple-600 text-white"
+                : "bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+            }`}
+          >
+            All tags
+          </button>
+          {tagCounts.map(({ tag, count }) => (
+            <span
+              key={tag}
+              className={`flex items-center gap-1 text-xs pl-2.5 pr-1 py-1 rounded-full ${
+                activeTag === tag
+                  ? "bg-purple-600 text-white"
+                  : "bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300"
+              }`}
+            >
+              <button onClick={() => setActiveTag(activeTag === tag ? null : tag)} className="flex items-center gap-1">
+                <Tag className="w-3 h-3" />
+                {tag}
+                <span className="opacity-70">{count}</span>
+              </button>
+              <button
+                onClick={() => renameTag(tag)}
+                disabled={working}
+                title={`Rename "${tag}"`}
+                className="p-0.5 rounded-full opacity-60 hover:opacity-100 disabled:opacity-30"
+              >
+                <Pencil className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {annotations.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-12 text-center">
+          <StickyNote className="w-10 h-10 text-gray-300 dark:text-gray-600 mx-auto mb-3" />
+          <p className="text-gray-500 dark:text-gray-400">
+            {filtered
+              ? "No annotations match."
+              : "No notes or tags yet. Add them from any list of accounts in a saved analysis."}
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6">
+          <div className="flex flex-wrap items-center gap-2 pb-3 mb-2 border-b dark:border-gray-700">
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400 cursor-pointer mr-auto">
+              <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+              {selected.size > 0 ? `${selected.size} selected` : "Select all"}
+            </label>
+            <div className="flex items-center gap-1 border dark:border-gray-600 rounded-lg px-2">
+              <Tag className="w-3 h-3 text-gray-400" />
+              <input
+                value={bulkTag}
+                onChange={(e) => setBulkTag(e.target.value)}
+                onKeyDown={(e) => { if (e.key === "Enter") tagSelected(); }}
+                placeholder="Tag"
+                maxLength={50}
+                className="text-sm w-28 py-1.5 focus:outline-none dark:bg-transparent dark:text-gray-200"
+              />
+            </div>
+            <button
+              onClick={tagSelected}
+              disabled={working || selected.size === 0 || !bulkTag.trim()}
+              className="text-xs px-3 py-1.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              Add tag
+            </button>
+            <button
+              onClick={deleteSelected}
+              disabled={working || selected.size === 0}
+              className="flex items-center gap-1 text-xs px-3 py-1.5 text-red-600 dark:text-red-400 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+            >
+              <Trash2 className="w-3 h-3" />
+              Delete
+            </button>
+          </div>
+
+          <div className="divide-y dark:divide-gray-700">
+            {annotations.map((a) => (
+              <div key={a.username} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={selected.has(a.username)}
+                  onChange={() => toggleSelected(a.username)}
+                  aria-label={`Select @${a.username}`}
+                />
+                <div className="flex-1 min-w-0">
+                  <UserRow
+                    username={a.username}
+                    annotationsEnabled
+                    annotation={a}
+                    onAnnotationSaved={load}
+                  />
+                </div>
+                {a.updatedAt && (
+                  <span className="hidden sm:inline text-xs text-gray-400 whitespace-nowrap">
+                    {new Date(a.updatedAt).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" })}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {totalPages > 1 && (
+            <div className="flex justify-center items-center mt-6 gap-2">
+              <button
+                className="px-3 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm dark:text-gray-300"
+                disabled={page === 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Prev
+              </button>
+              <span className="text-sm text-gray-600 dark:text-gray-400">
+                Page {page} of {totalPages}
+              </span>
+              <button
+                className="px-3 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm dark:text-gray-300"
+                disabled={page >= totalPages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
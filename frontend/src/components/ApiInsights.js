@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { Users, Eye, TrendingUp, Clock, AlertCircle, Loader } from "lucide-react";
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 
 export function ApiInsights() {
   const [overview, setOverview] = useState(null);
@@ -13,8 +13,8 @@ export function ApiInsights() {
     const load = async () => {
       try {
         const [ovRes, actRes] = await Promise.allSettled([
-          axios.get("/api/instagram/insights/overview"),
-          axios.get("/api/instagram/insights/activity"),
+          api.getInstagramOverview(),
+          api.getInstagramActivity(),
         ]);
         if (ovRes.status === "fulfilled") setOverview(ovRes.value.data);
         if (actRes.status === "fulfilled") setActivity(actRes.value.data);
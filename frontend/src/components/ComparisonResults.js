@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+import { TrendingUp, TrendingDown, ChevronUp, ChevronDown, ExternalLink } from "lucide-react";
+
+export function ComparisonResults({ comparison }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6 text-center">Comparison Results</h2>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-6">
+        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 text-center">
+          <p className="text-xs text-gray-500 dark:text-gray-400 uppercase mb-1">Session A</p>
+          {comparison.sessionA.name && (
+            <p className="text-sm font-semibold text-purple-600 mb-1">{comparison.sessionA.name}</p>
+          )}
+          <p className="text-sm font-medium dark:text-gray-200">{new Date(comparison.sessionA.createdAt).toLocaleDateString()}</p>
+          <p className="text-lg font-bold text-purple-600">{comparison.sessionA.followersCount} followers</p>
+        </div>
+        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 text-center">
+          <p className="text-xs text-gray-500 dark:text-gray-400 uppercase mb-1">Session B</p>
+          {comparison.sessionB.name && (
+            <p className="text-sm font-semibold text-purple-600 mb-1">{comparison.sessionB.name}</p>
+          )}
+          <p className="text-sm font-medium dark:text-gray-200">{new Date(comparison.sessionB.createdAt).toLocaleDateString()}</p>
+          <p className="text-lg font-bold text-purple-600">{comparison.sessionB.followersCount} followers</p>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <DiffCard label="New Followers" count={comparison.summary.newFollowersCount} positive />
+        <DiffCard label="Lost Followers" count={comparison.summary.lostFollowersCount} positive={false} />
+        <DiffCard label="New Following" count={comparison.summary.newFollowingCount} positive />
+        <DiffCard label="Stopped Following" count={comparison.summary.removedFollowingCount} positive={false} />
+      </div>
+
+      <div className="space-y-4">
+        <UserDiffList title="New Followers" users={comparison.diff.newFollowers} color="green" />
+        <UserDiffList title="Lost Followers" users={comparison.diff.lostFollowers} color="red" />
+        <UserDiffList title="New Following" users={comparison.diff.newFollowing} color="green" />
+        <UserDiffList title="Stopped Following" users={comparison.diff.removedFollowing} color="red" />
+      </div>
+    </div>
+  );
+}
+
+function DiffCard({ label, count, positive }) {
+  const Icon = positive ? TrendingUp : TrendingDown;
+  const color = count === 0 ? "text-gray-400" : positive ? "text-green-600" : "text-red-600";
+  const bg = count === 0 ? "bg-gray-50 dark:bg-gray-700" : positive ? "bg-green-50 dark:bg-green-900/20" : "bg-red-50 dark:bg-red-900/20";
+
+  return (
+    <div className={`${bg} rounded-lg p-4 text-center`}>
+      <Icon className={`w-5 h-5 mx-auto mb-1 ${color}`} />
+      <p className={`text-2xl font-bold ${color}`}>{count}</p>
+      <p className="text-xs text-gray-600 dark:text-gray-400">{label}</p>
+    </div>
+  );
+}
+
+function UserDiffList({ title, users, color }) {
+  const [expanded, setExpanded] = useState(false);
+  if (!users || users.length === 0) return null;
+
+  return (
+    <div className={`border rounded-lg border-${color}-200 dark:border-${color}-800`}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-3 hover:bg-gray-50 dark:hover:bg-gray-700"
+      >
+        <span className="font-medium text-sm text-gray-900 dark:text-gray-200">{title}</span>
+        <div className="flex items-center gap-2">
+          <span className={`text-sm font-bold text-${color}-600`}>{users.length}</span>
+          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </div>
+      </button>
+      {expanded && (
+        <div className="border-t dark:border-gray-700 px-3 pb-3 max-h-60 overflow-y-auto">
+          {users.map((u, i) => {
+            const username = typeof u === "string" ? u : u.username;
+            const href = typeof u === "object" ? u.href : null;
+            const profileUrl = href || `https://www.instagram.com/${username}/`;
+            return (
+              <div key={i} className="py-1.5 text-sm text-gray-700 dark:text-gray-300 flex items-center gap-1">
+                <a
+                  href={profileUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="hover:text-purple-600 dark:hover:text-purple-400 flex items-center gap-1"
+                >
+                  @{username}
+                  <ExternalLink className="w-3 h-3 opacity-60" />
+                </a>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
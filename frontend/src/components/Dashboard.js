@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useParams } from "react-router-dom";
 import {
   Users,
@@ -13,13 +13,18 @@ import {
   Save,
   CheckCircle,
 } from "lucide-react";
-import axios from "axios";
+import { countInteractions } from "instagram-export-parser";
+import * as api from "../utils/apiClient";
 import { TimelineChart } from "./TimelineChart";
 import RecentlyUnfollowed from "./RecentlyUnfollowed";
 import { UserRow } from "./UserRow";
+import { TagFilter } from "./TagFilter";
 import { InstagramConnect } from "./InstagramConnect";
 import { ApiInsights } from "./ApiInsights";
+import { ExportDialog, exportAnalysis } from "./ExportDialog";
+import { ExportReport } from "./ExportReport";
 import { useAuth } from "../context/AuthContext";
+import { getLocalAnalysis, getLocalAnalysisMeta, LOCAL_ANALYSIS_TTL_DAYS } from "../utils/localAnalysis";
 
 function ExportCountNote({ summary }) {
   const exportFollowing = summary.exportFollowingCount ?? summary.totalFollowing;
@@ -75,22 +80,30 @@ export function Dashboard() {
   const [users, setUsers] = useState({});
   const [activeTab, setActiveTab] = useState("mutual");
   const [searchQuery, setSearchQuery] = useState("");
-  const [searchResults, setSearchResults] = useState(null);
+  const [tagFilter, setTagFilter] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showUnfollowed, setShowUnfollowed] = useState(false);
   const [error, setError] = useState(null);
   const [page, setPage] = useState(1);
   const [limit] = useState(20); // You can make this adjustable if you want
   const [totalUsers, setTotalUsers] = useState(0);
-  const [totalPages, setTotalPages] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  // cursors[n] fetches page n + 1; the server pages by cursor rather than offset
+  const [cursors, setCursors] = useState([null]);
+  const [sortOption, setSortOption] = useState("username:asc");
+  const latestUsersRequest = useRef(0);
   const [timelineView, setTimelineView] = useState("all");
   const [loadingUsers, setLoadingUsers] = useState(false);
-  const [loadingSearch, setLoadingSearch] = useState(false);
   const [loadingExport, setLoadingExport] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
   const [igApiConnected, setIgApiConnected] = useState(false);
   const [savingSession, setSavingSession] = useState(false);
   const [sessionSaved, setSessionSaved] = useState(false);
   const [saveError, setSaveError] = useState(null);
+  // Annotations of the listed accounts by username, null for none
+  const [annotations, setAnnotations] = useState({});
+  const lookedUpAnnotations = useRef(new Set());
+  const annotationsEnabled = Boolean(authUser && analysis && !analysis._local);
 
   useEffect(() => {
     const loadTimelineData = async () => {
@@ -99,7 +112,7 @@ export function Dashboard() {
       try {
         // For browser-only sessions, build timeline from local data
         if (analysis?._local) {
-          const local = getLocalData();
+          const local = await getLocalData();
           if (local) {
             const allEvents = [];
 
@@ -159,12 +172,7 @@ export function Dashboard() {
         }
 
         // For saved sessions, fetch from backend
-        const response = await axios.get(
-          `/api/analysis/${sessionId}/timeline`,
-          {
-            params: { timeframe: timelineView },
-          }
-        );
+        const response = await api.getTimeline(sessionId, { timeframe: timelineView });
 
         if (response.data && response.data.timelineData) {
           setAnalysis((prev) => ({
@@ -191,15 +199,16 @@ export function Dashboard() {
         setLoading(true);
         setError(null);
 
-        // Check sessionStorage first (fresh upload processed in browser)
-        const cached = sessionStorage.getItem(`session_${sessionId}`);
-        if (cached) {
-          const parsed = JSON.parse(cached);
+        // Check the local store first (analysis processed in this browser)
+        const localMeta = await getLocalAnalysisMeta(sessionId);
+        if (localMeta) {
+          const local = await getLocalAnalysis(sessionId);
           setAnalysis({
             sessionId,
-            summary: parsed.summary,
-            createdAt: new Date().toISOString(),
-            processedAt: new Date().toISOString(),
+            summary: localMeta.summary,
+            createdAt: localMeta.createdAt,
+            processedAt: localMeta.createdAt,
+            exportReport: local?.exportReport || null,
             _local: true,
           });
           setLoading(false);
@@ -207,7 +216,7 @@ export function Dashboard() {
         }
 
         // Fallback: load from backend (returning to an old session)
-        const response = await axios.get(`/api/analysis/${sessionId}`);
+        const response = await api.getAnalysis(sessionId);
         if (!response.data) throw new Error("No analysis data received");
         setAnalysis(response.data);
       } catch (error) {
@@ -221,126 +230,118 @@ export function Dashboard() {
     loadAnalysis();
   }, [sessionId]);
 
-  // Reset page and clear search results when tab changes
+  // Clear the search when the tab changes
   useEffect(() => {
-    setPage(1);
-    setSearchResults(null);
-    setSearchQuery(""); // Optional: clear search when switching tabs
+    setSearchQuery("");
   }, [activeTab]);
 
-  // Reset page when search query changes
+  // Start again from the first page whenever the list being viewed changes
   useEffect(() => {
     setPage(1);
-  }, [searchQuery]);
-
-  // Update the search handling
-  const handleSearch = async (pageNum = 1) => {
-    if (!searchQuery.trim()) {
-      setSearchResults(null);
-      loadUsers(activeTab, 1);
-      setPage(1);
-      return;
-    }
-
-    try {
-      setLoadingSearch(true);
-
-      const local = getLocalData();
-      if (local) {
-        const categoryMap = { mutual: local.mutual, followers_only: local.followersOnly, following_only: local.followingOnly };
-        const all = categoryMap[activeTab] || [];
-        const q = searchQuery.toLowerCase();
-        const filtered = all.filter((u) => u.username.toLowerCase().includes(q));
-        const start = (pageNum - 1) * limit;
-        setSearchResults({
-          category: activeTab,
-          results: { [activeTab]: filtered.slice(start, start + limit) },
-          pagination: { page: pageNum, limit, totalItems: filtered.length, totalPages: Math.ceil(filtered.length / limit) || 1 },
-          page: pageNum,
-          limit,
-          totalPages: Math.ceil(filtered.length / limit) || 1,
-        });
-        return;
-      }
-
-      const response = await axios.get(
-        `/api/analysis/${sessionId}/search/${encodeURIComponent(searchQuery)}`,
-        { params: { page: pageNum, limit, category: activeTab !== "unfollowed" ? activeTab : null } }
-      );
-      const searchData = response.data;
-      const totalPages = searchData.category
-        ? searchData.pagination.totalPages
-        : Math.ceil(searchData.pagination.totalFound / limit);
-      setSearchResults({ ...searchData, page: pageNum, limit, totalPages });
-    } catch (error) {
-      console.error("Search failed:", error);
-      setError("Search failed. Please try again.");
-    } finally {
-      setLoadingSearch(false);
+    setCursors([null]);
+    if (activeTab && activeTab !== "unfollowed") {
+      loadUsers(activeTab, 1, null);
     }
-  };
+  }, [activeTab, sessionId, searchQuery, sortOption, tagFilter]);
 
-  // Fetch users or search results when page, tab, search, or session changes
+  // Fetch the tags and notes of a page of users in one request, so the rows
+  // show them without each looking up its own
+  const listedUsers = users[activeTab];
   useEffect(() => {
-    if (searchQuery.trim()) {
-      handleSearch(page);
-    } else if (activeTab && activeTab !== "unfollowed") {
-      loadUsers(activeTab, page);
-    }
-  }, [page, activeTab, sessionId]); // Removed searchQuery from dependencies
+    if (!annotationsEnabled || !listedUsers) return;
+    const missing = listedUsers.map((u) => u.username).filter((name) => name && !lookedUpAnnotations.current.has(name));
+    if (missing.length === 0) return;
+    missing.forEach((name) => lookedUpAnnotations.current.add(name));
+    api
+      .lookupAnnotations({ usernames: missing })
+      .then((res) => {
+        const found = res.data.annotations;
+        setAnnotations((prev) => ({
+          ...prev,
+          ...Object.fromEntries(missing.map((name) => [name, found[name] || null])),
+        }));
+      })
+      .catch((error) => {
+        missing.forEach((name) => lookedUpAnnotations.current.delete(name));
+        console.error("Failed to load annotations:", error);
+      });
+  }, [annotationsEnabled, listedUsers]);
 
-  // Handle search query changes separately
-  useEffect(() => {
-    if (searchQuery.trim()) {
-      handleSearch(1); // Always start from page 1 when search query changes
-    } else if (activeTab && activeTab !== "unfollowed") {
-      loadUsers(activeTab, 1); // Load first page when search is cleared
-    }
-  }, [searchQuery]);
+  const saveListedAnnotation = ({ username, note, tags }) =>
+    setAnnotations((prev) => ({ ...prev, [username]: { note, tags } }));
 
-  const getLocalData = () => {
-    const cached = sessionStorage.getItem(`session_${sessionId}`);
-    return cached ? JSON.parse(cached) : null;
+  const getLocalData = () => getLocalAnalysis(sessionId);
+
+  // Server lists come with interaction counts; add them to locally analyzed ones
+  const withLocalInteractions = (local, list) => {
+    const counts = countInteractions(local.interactions);
+    return list.map((user) => ({ ...user, interactions: counts[user.username] || {} }));
   };
 
-  // Update the loadUsers function
-  const loadUsers = async (category, pageNum = 1) => {
+  const loadUsers = async (category, pageNum, cursor) => {
+    const request = ++latestUsersRequest.current;
+    const [sort, order] = sortOption.split(":");
+    const search = searchQuery.trim();
     try {
       setLoadingUsers(true);
 
-      const local = getLocalData();
+      const local = await getLocalData();
       if (local) {
         const categoryMap = { mutual: local.mutual, followers_only: local.followersOnly, following_only: local.followingOnly };
         const all = categoryMap[category] || [];
-        const filtered = searchQuery.trim()
-          ? all.filter((u) => u.username.toLowerCase().includes(searchQuery.toLowerCase()))
+        const filtered = search
+          ? all.filter((u) => u.username.toLowerCase().startsWith(search.toLowerCase()))
           : all;
+        // Same order as the server: by username or follow date, undated users last
+        const key = (u) => (sort === "followed_at" ? u.timestamp || null : u.username);
+        const sorted = [...filtered].sort((a, b) => {
+          if (key(a) === key(b)) return 0;
+          if (key(a) === null) return 1;
+          if (key(b) === null) return -1;
+          return (key(a) < key(b) ? -1 : 1) * (order === "desc" ? -1 : 1);
+        });
         const start = (pageNum - 1) * limit;
-        setUsers((prev) => ({ ...prev, [category]: filtered.slice(start, start + limit) }));
-        setTotalUsers(filtered.length);
-        setTotalPages(Math.ceil(filtered.length / limit) || 1);
+        if (request !== latestUsersRequest.current) return;
+        setUsers((prev) => ({ ...prev, [category]: withLocalInteractions(local, sorted.slice(start, start + limit)) }));
+        setTotalUsers(sorted.length);
+        setHasMore(start + limit < sorted.length);
         return;
       }
 
-      const response = await axios.get(`/api/analysis/${sessionId}/${category}?page=${pageNum}&limit=${limit}`);
+      const response = await api.getUsersByCategory(sessionId, category, {
+        limit,
+        sort,
+        order,
+        ...(search && { search }),
+        ...(tagFilter.length > 0 && { tags: tagFilter.join(",") }),
+        ...(cursor && { cursor }),
+      });
+      if (request !== latestUsersRequest.current) return;
+      const { pagination } = response.data;
       setUsers((prev) => ({ ...prev, [category]: response.data.users }));
-      setTotalUsers(response.data.total);
-      setTotalPages(response.data.pagination.totalPages || 1);
+      setTotalUsers(pagination.totalItems);
+      setHasMore(pagination.hasMore);
+      setCursors((prev) => [...prev.slice(0, pageNum), pagination.nextCursor]);
     } catch (error) {
       console.error(`Failed to load ${category} users:`, error);
     } finally {
-      setLoadingUsers(false);
+      if (request === latestUsersRequest.current) setLoadingUsers(false);
     }
   };
 
+  const goToPage = (pageNum) => {
+    setPage(pageNum);
+    loadUsers(activeTab, pageNum, cursors[pageNum - 1]);
+  };
+
   const saveAnalysis = async () => {
-    const local = getLocalData();
+    const local = await getLocalData();
     if (!local || !authUser) return;
 
     setSavingSession(true);
     setSaveError(null);
     try {
-      await axios.post("/api/sessions", {
+      await api.saveAnalysis({
         sessionId,
         summary: local.summary,
         mutual: local.mutual,
@@ -349,6 +350,8 @@ export function Dashboard() {
         pendingRequests: local.pendingRequests,
         unfollowedProfiles: local.unfollowedProfiles,
         relationshipProfiles: local.relationshipProfiles,
+        interactions: local.interactions,
+        exportReport: local.exportReport,
       });
       setSessionSaved(true);
       setAnalysis((previous) => ({ ...previous, _saved: true }));
@@ -362,53 +365,12 @@ export function Dashboard() {
   // Clear search function
   const clearSearch = () => {
     setSearchQuery("");
-    setSearchResults(null);
-    setPage(1);
-    loadUsers(activeTab, 1);
   };
 
-  const exportData = async (category = null) => {
+  const exportData = async (category) => {
     try {
       setLoadingExport(true);
-
-      const local = getLocalData();
-      if (local) {
-        const categoryMap = { mutual: local.mutual, followers_only: local.followersOnly, following_only: local.followingOnly };
-        let rows = [];
-        if (category && categoryMap[category]) {
-          rows = categoryMap[category].map((u) => ({ ...u, category }));
-        } else {
-          rows = [
-            ...local.mutual.map((u) => ({ ...u, category: "mutual" })),
-            ...local.followersOnly.map((u) => ({ ...u, category: "followers_only" })),
-            ...local.followingOnly.map((u) => ({ ...u, category: "following_only" })),
-          ];
-        }
-        const csv = "Username,Category,Profile URL\n" + rows.map((u) => `"${u.username}","${u.category}","${u.href || ""}"`).join("\n");
-        const blob = new Blob([csv], { type: "text/csv" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = category ? `instagram_${category}.csv` : "instagram_analysis.csv";
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        setTimeout(() => URL.revokeObjectURL(url), 100);
-        return;
-      }
-
-      const url = category
-        ? `/api/analysis/${sessionId}/export?category=${category}`
-        : `/api/analysis/${sessionId}/export`;
-      const response = await axios.get(url, { responseType: "blob" });
-      const downloadUrl = window.URL.createObjectURL(response.data);
-      const link = document.createElement("a");
-      link.setAttribute("href", downloadUrl);
-      link.setAttribute("download", category ? `instagram_${category}_analysis.csv` : "instagram_full_analysis.csv");
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      setTimeout(() => window.URL.revokeObjectURL(downloadUrl), 100);
+      await exportAnalysis({ sessionId, isLocal: Boolean(analysis?._local), lists: [category] });
     } catch (error) {
       console.error("Export failed:", error);
     } finally {
@@ -491,27 +453,14 @@ export function Dashboard() {
     },
   ];
 
-  const searchResultKeyMap = {
-    mutual: "mutual",
-    followers_only: "followersOnly",
-    following_only: "followingOnly",
-  };
-
-  // Use paginated results for current page
-  const currentUsers = searchResults
-    ? searchResults.results[searchResultKeyMap[activeTab]] || []
-    : users[activeTab] || [];
-
-  // Use appropriate pagination values based on search state
-  const currentTotalPages = searchResults
-    ? searchResults.totalPages
-    : totalPages;
-
-  const currentTotalUsers = searchResults
-    ? searchResults.category
-      ? searchResults.pagination.total
-      : searchResults.pagination.totalFound
-    : totalUsers;
+  const currentUsers = users[activeTab] || [];
+  const totalPages = Math.ceil(totalUsers / limit) || 1;
+  const searching = Boolean(searchQuery.trim());
+  const filtering = searching || tagFilter.length > 0;
+  const tabTagCounts = Object.entries(analysis?.summary.tagCounts?.[activeTab] || {}).map(([tag, count]) => ({
+    tag,
+    count,
+  }));
   // Helper function to filter timeline events by timeframe
   const filterTimelineEvents = (events, timeframe) => {
     if (!events || events.length === 0) return [];
@@ -592,6 +541,14 @@ export function Dashboard() {
 
   return (
     <div className="max-w-6xl mx-auto">
+      {showExportDialog && (
+        <ExportDialog
+          sessionId={sessionId}
+          isLocal={Boolean(analysis?._local)}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
+
       {/* Header */}
       <div className="text-center mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white mb-3">
@@ -611,10 +568,10 @@ export function Dashboard() {
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
             <div>
               <h2 className="font-semibold text-blue-900 dark:text-blue-100">
-                This analysis is stored only in this browser tab
+                This analysis is stored only in this browser
               </h2>
               <p className="mt-1 text-sm text-blue-800 dark:text-blue-200">
-                Your ZIP and results were not uploaded. {authUser
+                Your ZIP and results were not uploaded and are kept here for {LOCAL_ANALYSIS_TTL_DAYS} days. {authUser
                   ? "You can explicitly save the derived results to your account for history and snapshot comparisons."
                   : "Sign in if you want to save derived results for history and snapshot comparisons."}
               </p>
@@ -727,6 +684,13 @@ export function Dashboard() {
       {/* Growth Statistics */}
       {analysis?.statistics && <GrowthStats statistics={analysis.statistics} />}
 
+      {/* Parser diagnostics */}
+      {analysis?.exportReport && (
+        <div className="mb-8">
+          <ExportReport report={analysis.exportReport} />
+        </div>
+      )}
+
       {/* Instagram Graph API — optional Pro account integration */}
       <div className="mb-8 space-y-4">
         <InstagramConnect onStatusChange={(s) => setIgApiConnected(s?.connected || false)} />
@@ -765,11 +729,11 @@ export function Dashboard() {
               Export Current
             </button>
             <button
-              onClick={() => exportData()}
+              onClick={() => setShowExportDialog(true)}
               className="inline-flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
             >
               <Download className="w-4 h-4 mr-2" />
-              Export All
+              Export…
             </button>
           </div>
         </div>
@@ -779,20 +743,29 @@ export function Dashboard() {
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
         <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
           <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white">
-            {searchResults
-              ? `Search Results (${
-                  searchResults.category
-                    ? searchResults.pagination.total
-                    : searchResults.pagination.totalFound
-                } found)`
+            {searching
+              ? `Search Results (${totalUsers} found)`
               : tabs.find((t) => t.id === activeTab)?.label}
           </h2>
           {activeTab !== "unfollowed" && (
-            <span className="text-gray-500 dark:text-gray-400 text-sm">
-              {searchResults
-                ? `${currentUsers.length} of ${currentTotalUsers} users`
-                : `${currentUsers.length} users`}
-            </span>
+            <div className="flex items-center gap-3">
+              <span className="text-gray-500 dark:text-gray-400 text-sm">
+                {filtering
+                  ? `${currentUsers.length} of ${totalUsers} users`
+                  : `${currentUsers.length} users`}
+              </span>
+              <select
+                value={sortOption}
+                onChange={(e) => setSortOption(e.target.value)}
+                className="border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200 rounded-lg px-2 py-1 text-sm"
+                aria-label="Sort users"
+              >
+                <option value="username:asc">Username A–Z</option>
+                <option value="username:desc">Username Z–A</option>
+                <option value="followed_at:desc">Newest follow first</option>
+                <option value="followed_at:asc">Oldest follow first</option>
+              </select>
+            </div>
           )}
           {activeTab === "unfollowed" && (
             <span className="text-gray-500 dark:text-gray-400 text-sm">
@@ -801,6 +774,10 @@ export function Dashboard() {
           )}
         </div>
 
+        {annotationsEnabled && activeTab !== "unfollowed" && (
+          <TagFilter tags={tabTagCounts} selected={tagFilter} onChange={setTagFilter} className="mb-4" />
+        )}
+
         {activeTab === "unfollowed" ? (
           <RecentlyUnfollowed
             sessionId={sessionId}
@@ -815,7 +792,11 @@ export function Dashboard() {
                   key={index}
                   username={user.username || "?"}
                   href={user.href}
-                  annotationsEnabled={Boolean(authUser && !analysis?._local)}
+                  interactions={user.interactions}
+                  sessionId={sessionId}
+                  annotationsEnabled={annotationsEnabled}
+                  annotation={annotationsEnabled ? annotations[user.username] : undefined}
+                  onAnnotationSaved={saveListedAnnotation}
                 />
               ))}
             </div>
@@ -823,18 +804,18 @@ export function Dashboard() {
             <div className="flex justify-center items-center mt-6 gap-2">
               <button
                 className="px-3 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm dark:text-gray-300"
-                disabled={page === 1}
-                onClick={() => setPage(page > 1 ? page - 1 : 1)}
+                disabled={page === 1 || loadingUsers}
+                onClick={() => goToPage(page - 1)}
               >
                 Prev
               </button>
               <span className="text-sm text-gray-600 dark:text-gray-400">
-                Page {page} of {currentTotalPages}
+                Page {page} of {totalPages}
               </span>
               <button
                 className="px-3 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm dark:text-gray-300"
-                disabled={page >= currentTotalPages}
-                onClick={() => setPage(page < currentTotalPages ? page + 1 : currentTotalPages)}
+                disabled={!hasMore || loadingUsers}
+                onClick={() => goToPage(page + 1)}
               >
                 Next
               </button>
@@ -844,7 +825,7 @@ export function Dashboard() {
           <div className="text-center py-12">
             <Users className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
             <p className="text-gray-500 dark:text-gray-400">
-              {searchQuery ? "No users found matching your search." : "No users in this category."}
+              {filtering ? "No users found matching your filters." : "No users in this category."}
             </p>
           </div>
         )}
@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { Download, X } from "lucide-react";
+import * as api from "../utils/apiClient";
+import {
+  EXPORT_LISTS,
+  EXPORT_LIST_LABELS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  USER_LISTS,
+  formatExport,
+  buildLocalExportRows,
+} from "../utils/exporter";
+import { getLocalAnalysis } from "../utils/localAnalysis";
+
+const ANNOTATION_COLUMNS = ["note", "tags"];
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
+/** Downloads an export either from the API or, for guest analyses, built in the browser. */
+export async function exportAnalysis({ sessionId, isLocal, format = "csv", lists = USER_LISTS, columns = DEFAULT_COLUMNS }) {
+  const label = lists.length === 1 ? lists[0] : "analysis";
+  const filename = `instagram_${label}_${sessionId.slice(0, 8)}.${EXPORT_FORMATS[format].extension}`;
+
+  if (isLocal) {
+    const local = await getLocalAnalysis(sessionId);
+    if (!local) throw new Error("This analysis is no longer stored in this browser");
+    const { body, contentType } = await formatExport(buildLocalExportRows(local, lists), { format, columns });
+    downloadBlob(body instanceof Blob ? body : new Blob([body], { type: contentType }), filename);
+    return;
+  }
+
+  const response = await api.exportAnalysis(sessionId, {
+    format,
+    lists: lists.join(","),
+    columns: columns.join(","),
+  });
+  downloadBlob(response.data, filename);
+}
+
+export function ExportDialog({ sessionId, isLocal, onClose }) {
+  const [format, setFormat] = useState("csv");
+  const [lists, setLists] = useState(USER_LISTS);
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const availableColumns = Object.keys(EXPORT_COLUMNS).filter(
+    (c) => !isLocal || !ANNOTATION_COLUMNS.includes(c)
+  );
+
+  const toggle = (setter) => (value) =>
+    setter((previous) =>
+      previous.includes(value) ? previous.filter((v) => v !== value) : [...previous, value]
+    );
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      // Keep the column order stable regardless of click order
+      const orderedColumns = availableColumns.filter((c) => columns.includes(c));
+      await exportAnalysis({ sessionId, isLocal, format, lists, columns: orderedColumns });
+      onClose();
+    } catch (err) {
+      console.error("Export failed:", err);
+      setError(err.message || "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Export Data</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-2">Format</p>
+        <div className="flex gap-2 mb-5">
+          {Object.keys(EXPORT_FORMATS).map((f) => (
+            <button
+              key={f}
+              onClick={() => setFormat(f)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium uppercase ${
+                format === f
+                  ? "bg-purple-600 text-white"
+                  : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+              }`}
+            >
+              {f}
+            </button>
+          ))}
+        </div>
+
+        <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-2">Lists</p>
+        <div className="grid grid-cols-2 gap-1 mb-5">
+          {EXPORT_LISTS.map((l) => (
+            <label key={l} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={lists.includes(l)}
+                onChange={() => toggle(setLists)(l)}
+                className="accent-purple-600"
+              />
+              {EXPORT_LIST_LABELS[l]}
+            </label>
+          ))}
+        </div>
+
+        <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-2">Columns</p>
+        <div className="grid grid-cols-2 gap-1 mb-5">
+          {availableColumns.map((c) => (
+            <label key={c} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={columns.includes(c)}
+                onChange={() => toggle(setColumns)(c)}
+                className="accent-purple-600"
+              />
+              {EXPORT_COLUMNS[c]}
+            </label>
+          ))}
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-800"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={exporting || lists.length === 0 || columns.length === 0}
+            className="inline-flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 text-sm"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            {exporting ? "Exporting…" : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { AlertTriangle, ChevronDown, ChevronUp, FileSearch } from "lucide-react";
+
+const STATUS_STYLES = {
+  parsed: "bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300",
+  unrecognised: "bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300",
+  unreadable: "bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300",
+  failed: "bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300",
+};
+
+const NORMALIZATION_LABELS = {
+  followers: "Followers",
+  following: "Following",
+  pendingRequests: "Pending requests",
+  unfollowedProfiles: "Recently unfollowed",
+};
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Collapsible parser diagnostics for an export: which handler read each file,
+ * what it produced, and which files looked like relationship data but were
+ * not recognised.
+ */
+export function ExportReport({ report, defaultExpanded = false }) {
+  const [expanded, setExpanded] = useState(defaultExpanded);
+  if (!report?.totals) return null;
+
+  const { totals } = report;
+  const listed = report.files.filter((f) => f.status !== "ignored");
+  const ignoredCount = report.files.length - listed.length + (report.omittedFiles || 0);
+  const problems = totals.unrecognised + totals.unreadable + totals.failed;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow overflow-hidden">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-4 sm:p-5 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+      >
+        <div className="flex items-center gap-3 text-left">
+          <FileSearch className="w-5 h-5 text-gray-500 dark:text-gray-400 shrink-0" />
+          <div>
+            <h2 className="font-semibold text-gray-900 dark:text-white">Export report</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {totals.parsed} of {totals.files} files parsed · {totals.records} records
+              {totals.rejected > 0 && ` · ${totals.rejected} rejected`}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          {problems > 0 && (
+            <span className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300">
+              <AlertTriangle className="w-3.5 h-3.5" />
+              {problems} to check
+            </span>
+          )}
+          {expanded
+            ? <ChevronUp className="w-5 h-5 text-gray-400 dark:text-gray-500" />
+            : <ChevronDown className="w-5 h-5 text-gray-400 dark:text-gray-500" />}
+        </div>
+      </button>
+
+      {expanded && (
+        <div className="border-t border-gray-200 dark:border-gray-700 p-4 sm:p-5 space-y-5 text-sm">
+          {totals.unrecognised > 0 && (
+            <p className="rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 px-3 py-2 text-amber-900 dark:text-amber-100">
+              Some files look like follower data but were not recognised. Instagram may have changed its
+              export format; please report the file names so support can be added.
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-left">
+              <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                <tr>
+                  <th className="py-2 pr-4 font-medium">File</th>
+                  <th className="py-2 pr-4 font-medium">Handler</th>
+                  <th className="py-2 pr-4 font-medium text-right">Records</th>
+                  <th className="py-2 pr-4 font-medium text-right">Rejected</th>
+                  <th className="py-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                {listed.map((file) => (
+                  <tr key={file.name} className="align-top">
+                    <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">
+                      <span className="break-all">{file.name}</span>
+                      {file.size !== null && (
+                        <span className="ml-2 text-xs text-gray-400 dark:text-gray-500">{formatSize(file.size)}</span>
+                      )}
+                      {file.message && <p className="text-xs text-gray-500 dark:text-gray-400">{file.message}</p>}
+                      {file.samples?.length > 0 && (
+                        <ul className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                          {file.samples.map((sample) => (
+                            <li key={sample.index}>
+                              Entry {sample.index + 1}: {sample.reason}
+                            </li>
+                          ))}
+                          {file.rejected > file.samples.length && (
+                            <li>…and {file.rejected - file.samples.length} more</li>
+                          )}
+                        </ul>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600 dark:text-gray-300 font-mono text-xs">{file.handler || "—"}</td>
+                    <td className="py-2 pr-4 text-right text-gray-900 dark:text-gray-100">{file.records}</td>
+                    <td className="py-2 pr-4 text-right text-gray-900 dark:text-gray-100">{file.rejected}</td>
+                    <td className="py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[file.status] || ""}`}>
+                        {file.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {ignoredCount > 0 && (
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                {ignoredCount} other {ignoredCount === 1 ? "file was" : "files were"} ignored (media, messages and other data).
+              </p>
+            )}
+          </div>
+
+          {report.normalization && (
+            <div>
+              <h3 className="font-medium text-gray-900 dark:text-white mb-2">Normalization</h3>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {Object.entries(report.normalization).map(([key, counts]) => (
+                  <div key={key} className="rounded-lg bg-gray-50 dark:bg-gray-900/40 p-3">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{NORMALIZATION_LABELS[key] || key}</p>
+                    <p className="text-gray-900 dark:text-gray-100">{counts.entries} entries</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {counts.duplicates} duplicates · {counts.deleted} deleted
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
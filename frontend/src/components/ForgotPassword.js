@@ -1,7 +1,7 @@
 import React, { useState } from "react";
 import { Link } from "react-router-dom";
 import { Instagram, AlertCircle, CheckCircle } from "lucide-react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 
 export function ForgotPassword() {
   const [email, setEmail] = useState("");
@@ -14,7 +14,7 @@ export function ForgotPassword() {
     setError(null);
     setLoading(true);
     try {
-      await axios.post("/api/auth/forgot-password", { email });
+      await api.forgotPassword({ email });
       setSuccess(true);
     } catch (err) {
       setError(
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from "react";
-import { Instagram, Linkedin, Moon, Sun, LogOut, User } from "lucide-react";
+import { Instagram, Linkedin, Moon, Sun, LogOut, User, StickyNote } from "lucide-react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { NotificationMenu } from "./NotificationMenu";
 
 export function Header() {
   const [dark, setDark] = useState(() => {
@@ -62,6 +63,15 @@ export function Header() {
 
             {user ? (
               <div className="flex items-center gap-2">
+                <NotificationMenu />
+                <Link
+                  to="/annotations"
+                  title="Notes & Tags"
+                  className="flex items-center gap-1.5 px-2 sm:px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:text-purple-600 dark:hover:text-purple-400 hover:bg-purple-50 dark:hover:bg-purple-900/20 rounded-lg transition-colors"
+                >
+                  <StickyNote className="w-4 h-4" />
+                  <span className="hidden sm:inline">Notes & Tags</span>
+                </Link>
                 <Link
                   to="/account"
                   title="My Account"
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { useParams } from "react-router-dom";
 import { AlertCircle, ChevronDown, ChevronUp, ExternalLink } from "lucide-react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 import { getLocalAnalysis } from "../utils/localAnalysis";
 
 const INSIGHT_CONFIG = [
@@ -131,7 +131,7 @@ export function Insights() {
     const load = async () => {
       try {
         // Check for local data first
-        const local = getLocalAnalysis(sessionId);
+        const local = await getLocalAnalysis(sessionId);
         if (local) {
           // Build insights from local data
           const insights = computeLocalInsights(local);
@@ -141,7 +141,7 @@ export function Insights() {
         }
 
         // Fetch from backend for saved sessions
-        const res = await axios.get(`/api/analysis/${sessionId}/insights`);
+        const res = await api.getInsights(sessionId);
         setData(res.data);
       } catch (err) {
         setError("Failed to load insights");
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { Link2, Link2Off, ExternalLink, AlertCircle, Loader } from "lucide-react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 
 export function InstagramConnect({ onStatusChange }) {
   const [status, setStatus] = useState(null); // null = loading
@@ -10,7 +10,7 @@ export function InstagramConnect({ onStatusChange }) {
 
   const loadStatus = async () => {
     try {
-      const res = await axios.get("/api/instagram/status");
+      const res = await api.getInstagramStatus();
       setStatus(res.data);
       onStatusChange?.(res.data);
     } catch {
@@ -36,7 +36,7 @@ export function InstagramConnect({ onStatusChange }) {
     setConnecting(true);
     setError(null);
     try {
-      const res = await axios.get("/api/instagram/auth-url");
+      const res = await api.getInstagramAuthUrl();
       window.location.href = res.data.url;
     } catch (err) {
       setError(err.response?.data?.error || "Failed to start connection.");
@@ -47,7 +47,7 @@ export function InstagramConnect({ onStatusChange }) {
   const handleDisconnect = async () => {
     setDisconnecting(true);
     try {
-      await axios.delete("/api/instagram/disconnect");
+      await api.disconnectInstagram();
       setStatus({ connected: false });
       onStatusChange?.({ connected: false });
     } catch {
@@ -0,0 +1,29 @@
+import React from "react";
+import { Heart, MessageCircle, CircleDot, Send } from "lucide-react";
+
+const INTERACTION_META = {
+  like: { icon: Heart, label: "post likes" },
+  comment: { icon: MessageCircle, label: "comments" },
+  story: { icon: CircleDot, label: "story interactions" },
+  message: { icon: Send, label: "messages" },
+};
+
+/** Compact per-type interaction counts, e.g. likes and messages, for one account */
+export function InteractionCounts({ interactions }) {
+  const entries = Object.entries(interactions || {}).filter(([type, count]) => INTERACTION_META[type] && count > 0);
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+      {entries.map(([type, count]) => {
+        const { icon: Icon, label } = INTERACTION_META[type];
+        return (
+          <span key={type} className="inline-flex items-center gap-0.5" title={`${count} ${label}`}>
+            <Icon className="w-3 h-3" />
+            {count}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
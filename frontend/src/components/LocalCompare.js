@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
+import { ArrowRight, FileArchive, ShieldCheck, X } from "lucide-react";
+import { ComparisonResults } from "./ComparisonResults";
+import { analyzeInWorker, AnalysisCancelledError } from "../utils/analyzeInWorker";
+import { compareAnalyses } from "../utils/browserAnalyzer";
+import { listLocalAnalyses, getLocalAnalysis } from "../utils/localAnalysis";
+
+export function LocalCompare() {
+  const [stored, setStored] = useState([]);
+  const [snapshotA, setSnapshotA] = useState(null);
+  const [snapshotB, setSnapshotB] = useState(null);
+  const [comparison, setComparison] = useState(null);
+
+  useEffect(() => {
+    listLocalAnalyses()
+      .then(setStored)
+      .catch((err) => console.error("Failed to read local analyses:", err));
+  }, []);
+
+  const runComparison = () => {
+    if (!snapshotA || !snapshotB) return;
+    const result = compareAnalyses(snapshotA.result, snapshotB.result);
+    setComparison({ ...result, sessionA: snapshotA.info, sessionB: snapshotB.info });
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <div className="text-center mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white mb-2">Compare Snapshots</h1>
+        <p className="text-gray-600 dark:text-gray-400 inline-flex items-center gap-1.5">
+          <ShieldCheck className="w-4 h-4 text-green-500" />
+          Runs entirely in your browser. Nothing is uploaded.
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-8">
+        <SnapshotPicker
+          label="Snapshot A (older)"
+          stored={stored}
+          onChange={(snapshot) => { setSnapshotA(snapshot); setComparison(null); }}
+        />
+        <SnapshotPicker
+          label="Snapshot B (newer)"
+          stored={stored}
+          onChange={(snapshot) => { setSnapshotB(snapshot); setComparison(null); }}
+        />
+      </div>
+
+      {snapshotA && snapshotB && (
+        <div className="text-center mb-8">
+          <button
+            onClick={runComparison}
+            className="inline-flex items-center px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            Compare Snapshots
+            <ArrowRight className="w-4 h-4 ml-2" />
+          </button>
+        </div>
+      )}
+
+      {comparison && <ComparisonResults comparison={comparison} />}
+
+      <p className="mt-8 text-center text-sm">
+        <Link to="/local-history" className="text-purple-600 hover:text-purple-700 font-medium">
+          Manage analyses saved in this browser
+        </Link>
+      </p>
+    </div>
+  );
+}
+
+function SnapshotPicker({ label, stored, onChange }) {
+  const [selectedId, setSelectedId] = useState("");
+  const [fileName, setFileName] = useState(null);
+  const [progressMsg, setProgressMsg] = useState("");
+  const [analyzing, setAnalyzing] = useState(false);
+  const [error, setError] = useState(null);
+  const analysisRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => () => analysisRef.current?.cancel(), []);
+
+  const reset = () => {
+    analysisRef.current?.cancel();
+    setSelectedId("");
+    setFileName(null);
+    setError(null);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    onChange(null);
+  };
+
+  const pickStored = async (id) => {
+    reset();
+    if (!id) return;
+    setSelectedId(id);
+    const meta = stored.find((s) => s.id === id);
+    const result = await getLocalAnalysis(id);
+    if (!result) {
+      setError("This analysis is no longer stored in this browser.");
+      return;
+    }
+    onChange({
+      result,
+      info: { id, name: meta?.fileName || null, createdAt: meta?.createdAt, followersCount: result.summary.totalFollowers },
+    });
+  };
+
+  const pickFile = async (file) => {
+    reset();
+    if (!file) return;
+    if (!file.name.toLowerCase().endsWith(".zip")) {
+      setError("Please choose a ZIP file containing your Instagram data export.");
+      return;
+    }
+
+    setFileName(file.name);
+    setAnalyzing(true);
+    try {
+      const analysis = analyzeInWorker(file, { onProgress: (message) => setProgressMsg(message) });
+      analysisRef.current = analysis;
+      const result = await analysis.promise;
+      onChange({
+        result,
+        info: { id: null, name: file.name, createdAt: new Date(file.lastModified).toISOString(), followersCount: result.summary.totalFollowers },
+      });
+    } catch (err) {
+      if (err instanceof AnalysisCancelledError) return;
+      setError(err.message || "Failed to process this export.");
+      setFileName(null);
+    } finally {
+      setAnalyzing(false);
+      setProgressMsg("");
+      analysisRef.current = null;
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+      <h2 className="font-semibold text-gray-900 dark:text-white mb-4">{label}</h2>
+
+      {stored.length > 0 && (
+        <>
+          <select
+            value={selectedId}
+            onChange={(e) => pickStored(e.target.value)}
+            disabled={analyzing}
+            className="w-full text-sm border rounded-lg px-3 py-2 mb-3 focus:outline-none focus:ring-1 focus:ring-purple-400 dark:bg-gray-700 dark:border-gray-500 dark:text-white"
+          >
+            <option value="">Choose a stored analysis…</option>
+            {stored.map((s) => (
+              <option key={s.id} value={s.id}>
+                {new Date(s.createdAt).toLocaleString()} — {s.summary?.totalFollowers ?? 0} followers
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-center text-gray-500 dark:text-gray-400 uppercase mb-3">or</p>
+        </>
+      )}
+
+      <label className="flex items-center justify-center gap-2 w-full px-4 py-3 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg cursor-pointer hover:border-purple-400 text-sm text-gray-600 dark:text-gray-300">
+        <FileArchive className="w-4 h-4" />
+        {fileName || "Choose an export ZIP"}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".zip"
+          className="hidden"
+          disabled={analyzing}
+          onChange={(e) => pickFile(e.target.files[0])}
+        />
+      </label>
+
+      {analyzing && (
+        <div className="mt-3 flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>{progressMsg || "Processing…"}</span>
+          <button onClick={reset} className="text-gray-400 hover:text-red-600" title="Cancel">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
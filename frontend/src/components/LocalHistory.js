@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { AlertCircle, Trash2 } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { listLocalAnalyses, deleteLocalAnalysis } from "../utils/localAnalysis";
+
+export function LocalHistory() {
+  const [analyses, setAnalyses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setAnalyses(await listLocalAnalyses());
+      } catch (err) {
+        console.error("Failed to read local analyses:", err);
+        setError("This browser does not allow local storage of analyses.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Delete this analysis from this browser?")) return;
+    try {
+      await deleteLocalAnalysis(id);
+      setAnalyses((previous) => previous.filter((a) => a.id !== id));
+    } catch (err) {
+      setError("Failed to delete analysis");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[50vh]">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-2xl mx-auto text-center py-16">
+        <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+        <p className="text-gray-600 dark:text-gray-400">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <div className="text-center mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white mb-2">Analyses in This Browser</h1>
+        <p className="text-gray-600 dark:text-gray-400">
+          Stored locally on this device only. Each analysis is removed automatically when it expires.
+        </p>
+        <Link to="/local-compare" className="inline-block mt-3 text-purple-600 hover:text-purple-700 font-medium">
+          Compare two snapshots
+        </Link>
+      </div>
+
+      {analyses.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-12 text-center">
+          <p className="text-gray-500 dark:text-gray-400 mb-4">No analyses stored in this browser.</p>
+          <Link to="/" className="text-purple-600 hover:text-purple-700 font-medium">
+            Analyze an Instagram export
+          </Link>
+        </div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs sm:text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700 border-b dark:border-gray-600">
+                <tr>
+                  <th className="px-3 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Analyzed</th>
+                  <th className="hidden sm:table-cell px-3 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">File</th>
+                  <th className="px-3 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Followers</th>
+                  <th className="hidden sm:table-cell px-3 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Following</th>
+                  <th className="hidden md:table-cell px-3 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Expires</th>
+                  <th className="px-3 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y dark:divide-gray-700">
+                {analyses.map((a) => (
+                  <tr key={a.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <td className="px-3 sm:px-4 py-3 text-gray-900 dark:text-gray-200 whitespace-nowrap">
+                      {new Date(a.createdAt).toLocaleString(undefined, {
+                        year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit",
+                      })}
+                    </td>
+                    <td className="hidden sm:table-cell px-3 sm:px-4 py-3 text-gray-600 dark:text-gray-400 truncate max-w-[200px]">
+                      {a.fileName || "—"}
+                    </td>
+                    <td className="px-3 sm:px-4 py-3 text-center font-medium dark:text-gray-200">{a.summary?.totalFollowers ?? 0}</td>
+                    <td className="hidden sm:table-cell px-3 sm:px-4 py-3 text-center font-medium dark:text-gray-200">{a.summary?.totalFollowing ?? 0}</td>
+                    <td className="hidden md:table-cell px-3 sm:px-4 py-3 text-center text-gray-500 dark:text-gray-400">
+                      {formatDistanceToNow(new Date(a.expiresAt), { addSuffix: true })}
+                    </td>
+                    <td className="px-3 sm:px-4 py-3 text-center">
+                      <div className="flex items-center justify-center gap-3">
+                        <Link
+                          to={`/dashboard/${a.id}`}
+                          className="text-purple-600 hover:text-purple-700 text-sm font-medium"
+                        >
+                          View
+                        </Link>
+                        <button
+                          onClick={() => handleDelete(a.id)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Delete from this browser"
+                          aria-label="Delete analysis"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
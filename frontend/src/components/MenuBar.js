@@ -22,6 +22,7 @@ export function MenuBar() {
     { name: "Insights", path: `/insights/${sessionId}`, icon: "💡" },
     { name: "Pending Requests", path: `/pending-requests/${sessionId}`, icon: "⏳" },
     { name: "History", path: "/history", icon: "📅" },
+    { name: "Browser History", path: "/local-history", icon: "💾" },
   ];
 
   return (
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Bell } from "lucide-react";
+import { Link, useLocation } from "react-router-dom";
+import * as api from "../utils/apiClient";
+import { formatDistanceToNow } from "date-fns";
+
+export function NotificationMenu() {
+  const [alerts, setAlerts] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const location = useLocation();
+
+  // Refresh on navigation so alerts from a just-saved analysis appear
+  useEffect(() => {
+    api
+      .listAlerts()
+      .then(({ data }) => {
+        setAlerts(data.alerts);
+        setUnreadCount(data.unreadCount);
+      })
+      .catch((error) => console.error("Failed to load alerts:", error));
+  }, [location.pathname]);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const markAllRead = async () => {
+    try {
+      await api.markAlertsRead();
+      setAlerts((previous) => previous.map((a) => ({ ...a, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error("Failed to mark alerts read:", error);
+    }
+  };
+
+  const handleOpenAlert = (alert) => {
+    setOpen(false);
+    if (alert.read) return;
+    api.markAlertsRead({ ids: [alert.id] }).catch((error) => console.error(error));
+    setAlerts((previous) => previous.map((a) => (a.id === alert.id ? { ...a, read: true } : a)));
+    setUnreadCount((count) => Math.max(0, count - 1));
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-label="Notifications"
+        className="relative p-2 rounded-lg text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white dark:bg-gray-800 rounded-xl shadow-xl border dark:border-gray-700 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b dark:border-gray-700">
+            <span className="font-semibold text-gray-900 dark:text-white text-sm">Alerts</span>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-purple-600 hover:text-purple-700">
+                Mark all read
+              </button>
+            )}
+          </div>
+          {alerts.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 dark:text-gray-400 text-center">
+              No alerts yet. <Link to="/account" onClick={() => setOpen(false)} className="text-purple-600">Set up rules</Link>
+            </p>
+          ) : (
+            <ul className="divide-y dark:divide-gray-700">
+              {alerts.map((alert) => (
+                <li key={alert.id}>
+                  <Link
+                    to={alert.sessionId ? `/dashboard/${alert.sessionId}` : "/account"}
+                    onClick={() => handleOpenAlert(alert)}
+                    className={`block px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 ${
+                      alert.read ? "" : "bg-purple-50 dark:bg-purple-900/20"
+                    }`}
+                  >
+                    <p className="text-sm text-gray-800 dark:text-gray-200">{alert.message}</p>
+                    {alert.usernames.length > 1 && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {alert.usernames.slice(0, 5).map((u) => `@${u}`).join(", ")}
+                        {alert.usernames.length > 5 ? ` +${alert.usernames.length - 5} more` : ""}
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {formatDistanceToNow(new Date(alert.createdAt), { addSuffix: true })}
+                    </p>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,29 +1,35 @@
 import React, { useState, useEffect } from "react";
 import { useParams, Link } from "react-router-dom";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 import { getLocalAnalysis } from "../utils/localAnalysis";
+import { TagFilter, useAnnotationTags } from "./TagFilter";
 
 export function PendingRequests() {
   const [pendingRequests, setPendingRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [totalCount, setTotalCount] = useState(0);
+  const [isLocal, setIsLocal] = useState(false);
+  const [tagFilter, setTagFilter] = useState([]);
   const { sessionId } = useParams();
+  const annotationTags = useAnnotationTags(!loading && !isLocal && Boolean(sessionId));
 
   useEffect(() => {
     const fetchPendingRequests = async () => {
       try {
-        const local = getLocalAnalysis(sessionId);
+        const local = await getLocalAnalysis(sessionId);
         if (local) {
           setPendingRequests(local.pendingRequests || []);
           setTotalCount(local.summary?.pendingRequestsCount || 0);
+          setIsLocal(true);
           setError(null);
           setLoading(false);
           return;
         }
 
-        const response = await axios.get(
-          `/api/analysis/${sessionId}/pending-requests`
+        const response = await api.getPendingRequests(
+          sessionId,
+          tagFilter.length > 0 ? { tags: tagFilter.join(",") } : {}
         );
 
         if (!response.data) {
@@ -57,7 +63,7 @@ export function PendingRequests() {
       );
       setLoading(false);
     }
-  }, [sessionId]);
+  }, [sessionId, tagFilter]);
 
   if (loading) {
     return (
@@ -76,6 +82,10 @@ export function PendingRequests() {
         </span>
       </div>
 
+      {!isLocal && !error && (
+        <TagFilter tags={annotationTags} selected={tagFilter} onChange={setTagFilter} className="mb-4" />
+      )}
+
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 sm:p-6">
         {error ? (
           <div className="text-red-500 p-4 bg-red-50 dark:bg-red-900/20 rounded-lg">
@@ -90,7 +100,11 @@ export function PendingRequests() {
             )}
           </div>
         ) : pendingRequests.length === 0 ? (
-          <p className="text-gray-600 dark:text-gray-400">No pending follow requests found.</p>
+          <p className="text-gray-600 dark:text-gray-400">
+            {tagFilter.length > 0
+              ? "No pending follow requests to accounts with these tags."
+              : "No pending follow requests found."}
+          </p>
         ) : (
           <div className="grid gap-4">
             {pendingRequests.map((request, index) => (
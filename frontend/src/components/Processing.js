@@ -1,9 +1,8 @@
 import React, { useEffect, useRef, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { CheckCircle, AlertCircle, Loader } from "lucide-react";
-import config from "../config";
-
-const POLL_INTERVAL = 1500; // ms
+import * as api from "../utils/apiClient";
+import { ExportReport } from "./ExportReport";
 
 export function Processing() {
   const { sessionId } = useParams();
@@ -11,51 +10,48 @@ export function Processing() {
   const [messages, setMessages] = useState([]);
   const [status, setStatus] = useState("connecting");
   const [errorMsg, setErrorMsg] = useState(null);
-  const timerRef = useRef(null);
+  const [exportReport, setExportReport] = useState(null);
   const seenMessages = useRef(new Set());
 
   useEffect(() => {
     if (!sessionId) return;
 
-    async function poll() {
-      try {
-        const res = await fetch(`${config.apiUrl}/api/upload/status/${sessionId}`, { credentials: "include" });
-        if (!res.ok) throw new Error("Status check failed");
-        const data = await res.json();
+    // The server replays buffered progress on (re)connect, so duplicates are skipped
+    const source = api.subscribeUploadStatus(sessionId);
 
-        if (data.message && !seenMessages.current.has(data.message)) {
-          seenMessages.current.add(data.message);
-          setMessages((prev) => [...prev, data.message]);
-        }
+    source.onopen = () => setStatus("running");
 
-        if (data.status === "done") {
-          setStatus("done");
-          clearInterval(timerRef.current);
-          setTimeout(() => navigate(`/dashboard/${sessionId}`), 800);
-          return;
-        }
+    source.addEventListener("progress", (e) => {
+      const { message } = JSON.parse(e.data);
+      if (message && !seenMessages.current.has(message)) {
+        seenMessages.current.add(message);
+        setMessages((prev) => [...prev, message]);
+      }
+    });
 
-        if (data.status === "error") {
-          setStatus("error");
-          setErrorMsg(data.error || "An error occurred.");
-          clearInterval(timerRef.current);
-          return;
-        }
+    source.addEventListener("done", () => {
+      source.close();
+      setStatus("done");
+      setTimeout(() => navigate(`/dashboard/${sessionId}`), 800);
+    });
 
-        setStatus("running");
-      } catch (err) {
+    source.addEventListener("error", (e) => {
+      if (e.data) {
+        // Processing failed on the server
+        source.close();
+        const data = JSON.parse(e.data);
+        setStatus("error");
+        setErrorMsg(data.message || "An error occurred.");
+        setExportReport(data.exportReport || null);
+      } else if (source.readyState === EventSource.CLOSED) {
         setStatus("error");
         setErrorMsg("Lost connection to server. Please try again.");
-        clearInterval(timerRef.current);
       }
-    }
+      // Otherwise the browser is reconnecting on its own
+    });
 
-    setStatus("running");
-    poll();
-    timerRef.current = setInterval(poll, POLL_INTERVAL);
-
-    return () => clearInterval(timerRef.current);
-  }, [sessionId]);
+    return () => source.close();
+  }, [sessionId, navigate]);
 
   return (
     <div className="max-w-xl mx-auto mt-16 px-4">
@@ -106,6 +102,12 @@ export function Processing() {
           </div>
         )}
       </div>
+
+      {status === "error" && exportReport && (
+        <div className="mt-6">
+          <ExportReport report={exportReport} defaultExpanded />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { AlertCircle, ArrowLeft, ExternalLink, StickyNote, UserCheck, UserX } from "lucide-react";
+import * as api from "../utils/apiClient";
+import { LIST_TYPE_META } from "./RelationshipLists";
+
+const CATEGORY_LABELS = {
+  mutual: "Mutual",
+  followers_only: "Follows you",
+  following_only: "You follow",
+};
+
+export function ProfileLifecycle() {
+  const { sessionId, username } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const res = await api.getProfileLifecycle(sessionId, username);
+        setProfile(res.data);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.error || "Failed to load profile history");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [sessionId, username]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[50vh]">
+        <div className="text-center">
+          <div className="spinner mb-4"></div>
+          <p className="text-gray-600 dark:text-gray-400">Loading profile history...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-2xl mx-auto text-center py-16">
+        <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+        <p className="text-gray-600 dark:text-gray-400">{error}</p>
+      </div>
+    );
+  }
+
+  const sessionLabel = (id) => {
+    const snapshot = profile.snapshots.find((s) => s.sessionId === id);
+    if (!snapshot) return "Unknown session";
+    return snapshot.name || new Date(snapshot.createdAt).toLocaleDateString();
+  };
+
+  const current = profile.snapshots.find((s) => s.sessionId === sessionId);
+  const profileUrl = profile.href || `https://www.instagram.com/${profile.username}/`;
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <Link
+        to={`/dashboard/${sessionId}`}
+        className="inline-flex items-center text-sm text-purple-600 hover:text-purple-700 mb-4"
+      >
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        Back to dashboard
+      </Link>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 mb-6">
+        <div className="flex items-center gap-4">
+          <div className="w-14 h-14 bg-gradient-to-br from-purple-400 to-blue-400 rounded-full flex items-center justify-center flex-shrink-0">
+            <span className="text-white text-xl font-bold">{profile.username.charAt(0).toUpperCase()}</span>
+          </div>
+          <div className="min-w-0">
+            <a
+              href={profileUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-xl sm:text-2xl font-bold text-gray-900 dark:text-white hover:text-purple-600 flex items-center gap-2"
+            >
+              @{profile.username}
+              <ExternalLink className="w-4 h-4 opacity-60" />
+            </a>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {current?.category ? CATEGORY_LABELS[current.category] : "Not in your follower lists"} in this session
+            </p>
+          </div>
+        </div>
+
+        {profile.annotation && (profile.annotation.note || profile.annotation.tags.length > 0) && (
+          <div className="mt-4 p-3 bg-purple-50 dark:bg-purple-900/20 rounded-lg">
+            <div className="flex items-center gap-1 text-xs font-semibold text-purple-700 dark:text-purple-300 uppercase mb-1">
+              <StickyNote className="w-3 h-3" /> Your note
+            </div>
+            {profile.annotation.note && (
+              <p className="text-sm text-gray-700 dark:text-gray-300">{profile.annotation.note}</p>
+            )}
+            {profile.annotation.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {profile.annotation.tags.map((t) => (
+                  <span
+                    key={t}
+                    className="text-xs px-1.5 py-0.5 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded"
+                  >
+                    {t}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Status per snapshot */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden mb-6">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white p-4 border-b dark:border-gray-700">Status Per Session</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs sm:text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Session</th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Follows You</th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">You Follow</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y dark:divide-gray-700">
+              {profile.snapshots.map((s) => (
+                <tr key={s.sessionId} className={s.sessionId === sessionId ? "bg-purple-50 dark:bg-purple-900/10" : ""}>
+                  <td className="px-4 py-2 text-gray-900 dark:text-gray-200">{sessionLabel(s.sessionId)}</td>
+                  <td className="px-4 py-2 text-center"><StatusIcon active={s.followsYou} /></td>
+                  <td className="px-4 py-2 text-center"><StatusIcon active={s.youFollow} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <RecordCard title="Follow Dates" empty="No follow timestamps recorded.">
+          {profile.followEvents.map((e, i) => (
+            <RecordItem
+              key={i}
+              label={e.direction === "follower" ? "Started following you" : "You started following"}
+              date={e.timestamp}
+              session={sessionLabel(e.sessionId)}
+            />
+          ))}
+        </RecordCard>
+
+        <RecordCard title="Relationship Lists" empty="Not on any of your relationship lists.">
+          {profile.relationships.map((r, i) => (
+            <RecordItem
+              key={i}
+              label={`${LIST_TYPE_META[r.listType]?.icon || ""} ${LIST_TYPE_META[r.listType]?.label || r.listType}`}
+              date={r.timestamp ? r.timestamp * 1000 : null}
+              session={sessionLabel(r.sessionId)}
+            />
+          ))}
+        </RecordCard>
+
+        <RecordCard title="Pending Requests" empty="No pending follow requests.">
+          {profile.pendingRequests.map((p, i) => (
+            <RecordItem
+              key={i}
+              label={`Request ${p.status.toLowerCase()}`}
+              date={p.requestDate}
+              session={sessionLabel(p.sessionId)}
+            />
+          ))}
+        </RecordCard>
+
+        <RecordCard title="Unfollow Records" empty="No unfollows recorded.">
+          {profile.unfollowed.map((u, i) => (
+            <RecordItem
+              key={i}
+              label={`Unfollowed${u.lastSeenCategory ? ` (was ${CATEGORY_LABELS[u.lastSeenCategory] || u.lastSeenCategory})` : ""}`}
+              date={u.unfollowedAt}
+              session={sessionLabel(u.sessionId)}
+            />
+          ))}
+        </RecordCard>
+      </div>
+    </div>
+  );
+}
+
+function StatusIcon({ active }) {
+  return active ? (
+    <UserCheck className="w-4 h-4 text-green-600 mx-auto" />
+  ) : (
+    <UserX className="w-4 h-4 text-gray-300 dark:text-gray-600 mx-auto" />
+  );
+}
+
+function RecordCard({ title, empty, children }) {
+  const items = React.Children.toArray(children);
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4">
+      <h3 className="font-semibold text-gray-900 dark:text-white mb-3">{title}</h3>
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{empty}</p>
+      ) : (
+        <div className="divide-y dark:divide-gray-700">{items}</div>
+      )}
+    </div>
+  );
+}
+
+function RecordItem({ label, date, session }) {
+  return (
+    <div className="py-2 flex items-center justify-between gap-2 text-sm">
+      <span className="text-gray-800 dark:text-gray-200">{label}</span>
+      <span className="text-xs text-gray-500 dark:text-gray-400 text-right">
+        {date ? new Date(date).toLocaleDateString() : "Unknown date"}
+        <br />
+        {session}
+      </span>
+    </div>
+  );
+}
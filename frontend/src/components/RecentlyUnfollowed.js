@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useMemo } from "react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 import { formatDistanceToNow } from "date-fns";
 import { getLocalAnalysis, paginate } from "../utils/localAnalysis";
 
@@ -47,7 +47,7 @@ const RecentlyUnfollowed = ({ sessionId, searchQuery, onSearchChange }) => {
       try {
         setLoading(true);
 
-        const local = getLocalAnalysis(sessionId);
+        const local = await getLocalAnalysis(sessionId);
         if (local) {
           const query = search ? search.trim().toLowerCase() : "";
           const all = (local.unfollowedProfiles || [])
@@ -77,10 +77,7 @@ const RecentlyUnfollowed = ({ sessionId, searchQuery, onSearchChange }) => {
           params.search = search.trim();
         }
 
-        const response = await axios.get(
-          `/api/analysis/${sessionId}/unfollowed`,
-          { params }
-        );
+        const response = await api.getUnfollowedProfiles(sessionId, params);
 
         if (response.data && response.data.data) {
           const profiles = response.data.data;
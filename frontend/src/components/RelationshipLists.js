@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from "react";
 import { useParams } from "react-router-dom";
 import { AlertCircle, ChevronDown, ChevronUp, ExternalLink } from "lucide-react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 import { formatDistanceToNow } from "date-fns";
+import { countInteractions } from "instagram-export-parser";
 import { getLocalAnalysis } from "../utils/localAnalysis";
+import { InteractionCounts } from "./InteractionCounts";
+import { TagFilter, useAnnotationTags } from "./TagFilter";
 
-const LIST_TYPE_META = {
+export const LIST_TYPE_META = {
   close_friend: { label: "Close Friends", icon: "💚", description: "Your close friends list" },
   blocked: { label: "Blocked Profiles", icon: "🚫", description: "Accounts you've blocked" },
   hidden_story: { label: "Hidden Story From", icon: "👁️", description: "People you hide stories from" },
@@ -16,7 +19,8 @@ const LIST_TYPE_META = {
   recent_request: { label: "Recent Follow Requests", icon: "📤", description: "Your recent follow requests" },
 };
 
-function RelationshipCard({ sessionId, listType, count }) {
+// tags is a comma-separated tag filter for saved sessions, or null
+function RelationshipCard({ sessionId, listType, count, tags }) {
   const [expanded, setExpanded] = useState(false);
   const [profiles, setProfiles] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -24,13 +28,17 @@ function RelationshipCard({ sessionId, listType, count }) {
   const [totalPages, setTotalPages] = useState(1);
   const meta = LIST_TYPE_META[listType];
 
+  useEffect(() => {
+    setPage(1);
+  }, [tags]);
+
   useEffect(() => {
     if (!expanded) return;
     const loadProfiles = async () => {
       setLoading(true);
       try {
         // Check for local data first
-        const local = getLocalAnalysis(sessionId);
+        const local = await getLocalAnalysis(sessionId);
         if (local) {
           const relationshipProfiles = local.relationshipProfiles || [];
           const filtered = relationshipProfiles.filter(p => p.listType === listType);
@@ -41,12 +49,14 @@ function RelationshipCard({ sessionId, listType, count }) {
           const paged = filtered.slice(start, start + limit);
 
           // Convert to expected format
+          const interactions = countInteractions(local.interactions);
           const formatted = paged.map(p => ({
             id: p.username,
             username: p.username,
             display_name: p.display_name || null,
             profile_url: p.profile_url || `https://www.instagram.com/${p.username}/`,
             timestamp: p.timestamp,
+            interactions: interactions[p.username] || {},
           }));
 
           setProfiles(formatted);
@@ -56,10 +66,7 @@ function RelationshipCard({ sessionId, listType, count }) {
         }
 
         // Fetch from backend for saved sessions
-        const res = await axios.get(
-          `/api/analysis/${sessionId}/relationships/${listType}`,
-          { params: { page, limit: 20 } }
-        );
+        const res = await api.getRelationshipProfiles(sessionId, listType, { page, limit: 20, ...(tags && { tags }) });
         setProfiles(res.data.profiles);
         setTotalPages(res.data.pagination.totalPages);
       } catch (err) {
@@ -69,7 +76,7 @@ function RelationshipCard({ sessionId, listType, count }) {
       }
     };
     loadProfiles();
-  }, [expanded, page, sessionId, listType]);
+  }, [expanded, page, sessionId, listType, tags]);
 
   if (!meta) return null;
 
@@ -120,6 +127,7 @@ function RelationshipCard({ sessionId, listType, count }) {
                         {p.display_name && (
                           <p className="text-xs text-gray-500 dark:text-gray-400">{p.display_name}</p>
                         )}
+                        <InteractionCounts interactions={p.interactions} />
                       </div>
                     </div>
                     <div className="flex items-center space-x-3 text-sm text-gray-400 dark:text-gray-500">
@@ -163,12 +171,16 @@ export function RelationshipLists() {
   const [counts, setCounts] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [isLocal, setIsLocal] = useState(false);
+  const [tagFilter, setTagFilter] = useState([]);
+  const tags = tagFilter.length > 0 ? tagFilter.join(",") : null;
+  const annotationTags = useAnnotationTags(!loading && !isLocal);
 
   useEffect(() => {
     const load = async () => {
       try {
         // Check for local data first
-        const local = getLocalAnalysis(sessionId);
+        const local = await getLocalAnalysis(sessionId);
         if (local) {
           const relationshipProfiles = local.relationshipProfiles || [];
 
@@ -179,12 +191,13 @@ export function RelationshipLists() {
           });
 
           setCounts(countsMap);
+          setIsLocal(true);
           setLoading(false);
           return;
         }
 
         // Fetch from backend for saved sessions
-        const res = await axios.get(`/api/analysis/${sessionId}/relationships`);
+        const res = await api.getRelationshipCounts(sessionId, tags ? { tags } : {});
         setCounts(res.data.counts);
       } catch (err) {
         setError("Failed to load relationship data");
@@ -193,7 +206,7 @@ export function RelationshipLists() {
       }
     };
     load();
-  }, [sessionId]);
+  }, [sessionId, tags]);
 
   if (loading) {
     return (
@@ -225,6 +238,10 @@ export function RelationshipLists() {
         <p className="text-gray-600 dark:text-gray-400">{totalProfiles} profiles across {Object.keys(counts).length} lists</p>
       </div>
 
+      {!isLocal && (
+        <TagFilter tags={annotationTags} selected={tagFilter} onChange={setTagFilter} className="justify-center mb-6" />
+      )}
+
       <div className="space-y-4">
         {listTypes.map((lt) => (
           <RelationshipCard
@@ -232,6 +249,7 @@ export function RelationshipLists() {
             sessionId={sessionId}
             listType={lt}
             count={counts[lt] || 0}
+            tags={tags}
           />
         ))}
       </div>
@@ -1,7 +1,7 @@
 import React, { useState } from "react";
 import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { Instagram, AlertCircle, CheckCircle } from "lucide-react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 
 export function ResetPassword() {
   const [searchParams] = useSearchParams();
@@ -27,7 +27,7 @@ export function ResetPassword() {
 
     setLoading(true);
     try {
-      await axios.post("/api/auth/reset-password", { token, password });
+      await api.resetPassword({ token, password });
       setSuccess(true);
       setTimeout(() => navigate("/login"), 2500);
     } catch (err) {
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
-import { AlertCircle, ArrowRight, TrendingUp, TrendingDown, ChevronUp, ChevronDown, Pencil, Check, X, ExternalLink, Trash2 } from "lucide-react";
-import axios from "axios";
+import { AlertCircle, ArrowRight, Pencil, Check, X, ExternalLink, Trash2, History } from "lucide-react";
+import * as api from "../utils/apiClient";
+import { ComparisonResults } from "./ComparisonResults";
+import { TagFilter, useAnnotationTags } from "./TagFilter";
 
 export function SessionHistory() {
   const [sessions, setSessions] = useState([]);
@@ -11,11 +13,13 @@ export function SessionHistory() {
   const [compareB, setCompareB] = useState(null);
   const [comparison, setComparison] = useState(null);
   const [comparing, setComparing] = useState(false);
+  const [tagFilter, setTagFilter] = useState([]);
+  const annotationTags = useAnnotationTags();
 
   useEffect(() => {
     const load = async () => {
       try {
-        const res = await axios.get("/api/analysis");
+        const res = await api.listAnalyses();
         setSessions(res.data.sessions || []);
       } catch (err) {
         setError("Failed to load session history");
@@ -26,13 +30,15 @@ export function SessionHistory() {
     load();
   }, []);
 
-  const runComparison = async () => {
+  const runComparison = async (tags = tagFilter) => {
     if (!compareA || !compareB || compareA === compareB) return;
     setComparing(true);
     setComparison(null);
     try {
-      const res = await axios.get("/api/analysis/compare", {
-        params: { a: compareA, b: compareB },
+      const res = await api.compareAnalyses({
+        a: compareA,
+        b: compareB,
+        ...(tags.length > 0 && { tags: tags.join(",") }),
       });
       setComparison(res.data);
     } catch (err) {
@@ -42,9 +48,15 @@ export function SessionHistory() {
     }
   };
 
+  // Filtering an open comparison runs it again
+  const changeTagFilter = (tags) => {
+    setTagFilter(tags);
+    if (comparison) runComparison(tags);
+  };
+
   const handleRename = async (sessionId, newName) => {
     try {
-      await axios.patch(`/api/analysis/${sessionId}/name`, { name: newName });
+      await api.renameAnalysis(sessionId, { name: newName });
       setSessions((prev) =>
         prev.map((s) => (s.id === sessionId ? { ...s, name: newName } : s))
       );
@@ -56,7 +68,7 @@ export function SessionHistory() {
   const handleDelete = async (sessionId) => {
     if (!window.confirm("Delete this saved analysis and all of its stored profile data?")) return;
     try {
-      await axios.delete(`/api/analysis/${sessionId}`);
+      await api.deleteAnalysis(sessionId);
       setSessions((previous) => previous.filter((session) => session.id !== sessionId));
       if (compareA === sessionId) setCompareA(null);
       if (compareB === sessionId) setCompareB(null);
@@ -191,8 +203,14 @@ export function SessionHistory() {
           {/* Compare Button */}
           {compareA && compareB && compareA !== compareB && (
             <div className="text-center mb-8">
+              <TagFilter
+                tags={annotationTags}
+                selected={tagFilter}
+                onChange={changeTagFilter}
+                className="justify-center mb-4"
+              />
               <button
-                onClick={runComparison}
+                onClick={() => runComparison()}
                 disabled={comparing}
                 className="inline-flex items-center px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
               >
@@ -203,45 +221,164 @@ export function SessionHistory() {
           )}
 
           {/* Comparison Results */}
-          {comparison && (
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
-              <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6 text-center">Comparison Results</h2>
+          {comparison && <ComparisonResults comparison={comparison} />}
 
-              <div className="grid md:grid-cols-2 gap-6 mb-6">
-                <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 text-center">
-                  <p className="text-xs text-gray-500 dark:text-gray-400 uppercase mb-1">Session A</p>
-                  {comparison.sessionA.name && (
-                    <p className="text-sm font-semibold text-purple-600 mb-1">{comparison.sessionA.name}</p>
-                  )}
-                  <p className="text-sm font-medium dark:text-gray-200">{new Date(comparison.sessionA.createdAt).toLocaleDateString()}</p>
-                  <p className="text-lg font-bold text-purple-600">{comparison.sessionA.followersCount} followers</p>
-                </div>
-                <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 text-center">
-                  <p className="text-xs text-gray-500 dark:text-gray-400 uppercase mb-1">Session B</p>
-                  {comparison.sessionB.name && (
-                    <p className="text-sm font-semibold text-purple-600 mb-1">{comparison.sessionB.name}</p>
-                  )}
-                  <p className="text-sm font-medium dark:text-gray-200">{new Date(comparison.sessionB.createdAt).toLocaleDateString()}</p>
-                  <p className="text-lg font-bold text-purple-600">{comparison.sessionB.followersCount} followers</p>
-                </div>
-              </div>
+          {sessions.length > 1 && <FollowerHistoryPanel />}
+        </>
+      )}
+    </div>
+  );
+}
 
-              <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-                <DiffCard label="New Followers" count={comparison.summary.newFollowersCount} positive />
-                <DiffCard label="Lost Followers" count={comparison.summary.lostFollowersCount} positive={false} />
-                <DiffCard label="New Following" count={comparison.summary.newFollowingCount} positive />
-                <DiffCard label="Stopped Following" count={comparison.summary.removedFollowingCount} positive={false} />
-              </div>
+const HISTORY_FILTERS = [
+  { id: "changed", label: "Changed" },
+  { id: "dropped", label: "Dropped" },
+  { id: "returned", label: "Returned" },
+  { id: "lost", label: "Not Following" },
+  { id: "all", label: "All" },
+];
+
+function FollowerHistoryPanel() {
+  const [history, setHistory] = useState(null);
+  const [filter, setFilter] = useState("changed");
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const res = await api.getFollowerHistory({ filter, search: search || undefined, page, limit: 25 });
+        setHistory(res.data);
+      } catch (err) {
+        console.error("Failed to load follower history:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [filter, search, page]);
+
+  const sessionLabel = (sessionId) => {
+    const session = history?.sessions.find((s) => s.id === sessionId);
+    if (!session) return "Unknown";
+    return session.name || new Date(session.createdAt).toLocaleDateString();
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 mt-8">
+      <div className="flex items-center gap-2 mb-4">
+        <History className="w-5 h-5 text-purple-600" />
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">Follower History</h2>
+      </div>
+
+      {history && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-purple-600">{history.summary.totalUsers}</p>
+            <p className="text-xs text-gray-600 dark:text-gray-400">Accounts Seen</p>
+          </div>
+          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-purple-600">{history.summary.changedCount}</p>
+            <p className="text-xs text-gray-600 dark:text-gray-400">Changed</p>
+          </div>
+          <div className="bg-green-50 dark:bg-green-900/20 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-green-600">{history.summary.returnedCount}</p>
+            <p className="text-xs text-gray-600 dark:text-gray-400">Returned</p>
+          </div>
+          <div className="bg-red-50 dark:bg-red-900/20 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-red-600">{history.summary.lostCount}</p>
+            <p className="text-xs text-gray-600 dark:text-gray-400">Not Following Now</p>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-4">
+        <div className="flex flex-wrap gap-2">
+          {HISTORY_FILTERS.map((f) => (
+            <button
+              key={f.id}
+              onClick={() => { setFilter(f.id); setPage(1); }}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                filter === f.id
+                  ? "bg-purple-600 text-white"
+                  : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+              }`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          placeholder="Search username..."
+          className="sm:ml-auto text-sm border rounded-lg px-3 py-1.5 focus:outline-none focus:ring-1 focus:ring-purple-400 dark:bg-gray-700 dark:border-gray-500 dark:text-white"
+        />
+      </div>
 
-              <div className="space-y-4">
-                <UserDiffList title="New Followers" users={comparison.diff.newFollowers} color="green" />
-                <UserDiffList title="Lost Followers" users={comparison.diff.lostFollowers} color="red" />
-                <UserDiffList title="New Following" users={comparison.diff.newFollowing} color="green" />
-                <UserDiffList title="Stopped Following" users={comparison.diff.removedFollowing} color="red" />
+      {loading && !history ? (
+        <div className="spinner mx-auto my-8"></div>
+      ) : !history || history.users.length === 0 ? (
+        <p className="text-center text-sm text-gray-500 dark:text-gray-400 py-8">No accounts match this filter.</p>
+      ) : (
+        <div className="divide-y dark:divide-gray-700">
+          {history.users.map((u) => (
+            <div key={u.username} className="py-3 flex flex-col sm:flex-row sm:items-center gap-2">
+              <a
+                href={u.href || `https://www.instagram.com/${u.username}/`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm font-medium text-gray-900 dark:text-gray-200 hover:text-purple-600 dark:hover:text-purple-400 flex items-center gap-1 sm:w-48"
+              >
+                @{u.username}
+                <ExternalLink className="w-3 h-3 opacity-60" />
+              </a>
+              <div className="flex flex-wrap gap-1.5 text-xs">
+                <span className="px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                  First seen {sessionLabel(u.firstSeen)}
+                </span>
+                {u.dropped.map((id) => (
+                  <span key={`d-${id}`} className="px-2 py-0.5 rounded bg-red-50 dark:bg-red-900/20 text-red-600">
+                    Dropped {sessionLabel(id)}
+                  </span>
+                ))}
+                {u.returned.map((id) => (
+                  <span key={`r-${id}`} className="px-2 py-0.5 rounded bg-green-50 dark:bg-green-900/20 text-green-600">
+                    Returned {sessionLabel(id)}
+                  </span>
+                ))}
               </div>
+              <span className={`sm:ml-auto text-xs font-medium ${u.currentlyFollowing ? "text-green-600" : "text-red-600"}`}>
+                {u.currentlyFollowing ? "Following" : "Not following"}
+              </span>
             </div>
-          )}
-        </>
+          ))}
+        </div>
+      )}
+
+      {history && history.pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <button
+            onClick={() => setPage((p) => p - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600 dark:text-gray-400">
+            Page {history.pagination.page} of {history.pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage((p) => p + 1)}
+            disabled={page >= history.pagination.totalPages}
+            className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
       )}
     </div>
   );
@@ -291,59 +428,3 @@ function InlineNameEditor({ sessionId, name, onSave }) {
     </button>
   );
 }
-
-function DiffCard({ label, count, positive }) {
-  const Icon = positive ? TrendingUp : TrendingDown;
-  const color = count === 0 ? "text-gray-400" : positive ? "text-green-600" : "text-red-600";
-  const bg = count === 0 ? "bg-gray-50 dark:bg-gray-700" : positive ? "bg-green-50 dark:bg-green-900/20" : "bg-red-50 dark:bg-red-900/20";
-
-  return (
-    <div className={`${bg} rounded-lg p-4 text-center`}>
-      <Icon className={`w-5 h-5 mx-auto mb-1 ${color}`} />
-      <p className={`text-2xl font-bold ${color}`}>{count}</p>
-      <p className="text-xs text-gray-600 dark:text-gray-400">{label}</p>
-    </div>
-  );
-}
-
-function UserDiffList({ title, users, color }) {
-  const [expanded, setExpanded] = useState(false);
-  if (!users || users.length === 0) return null;
-
-  return (
-    <div className={`border rounded-lg border-${color}-200 dark:border-${color}-800`}>
-      <button
-        onClick={() => setExpanded(!expanded)}
-        className="w-full flex items-center justify-between p-3 hover:bg-gray-50 dark:hover:bg-gray-700"
-      >
-        <span className="font-medium text-sm text-gray-900 dark:text-gray-200">{title}</span>
-        <div className="flex items-center gap-2">
-          <span className={`text-sm font-bold text-${color}-600`}>{users.length}</span>
-          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
-        </div>
-      </button>
-      {expanded && (
-        <div className="border-t dark:border-gray-700 px-3 pb-3 max-h-60 overflow-y-auto">
-          {users.map((u, i) => {
-            const username = typeof u === "string" ? u : u.username;
-            const href = typeof u === "object" ? u.href : null;
-            const profileUrl = href || `https://www.instagram.com/${username}/`;
-            return (
-              <div key={i} className="py-1.5 text-sm text-gray-700 dark:text-gray-300 flex items-center gap-1">
-                <a
-                  href={profileUrl}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="hover:text-purple-600 dark:hover:text-purple-400 flex items-center gap-1"
-                >
-                  @{username}
-                  <ExternalLink className="w-3 h-3 opacity-60" />
-                </a>
-              </div>
-            );
-          })}
-        </div>
-      )}
-    </div>
-  );
-}
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from "react";
+import { Tag, X } from "lucide-react";
+import * as api from "../utils/apiClient";
+
+// The signed-in user's annotation tags as [{ tag, count }], most used first;
+// empty while disabled (browser-only sessions have no annotations)
+export function useAnnotationTags(enabled = true) {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    api
+      .listAnnotations({ limit: 1 })
+      .then((res) => {
+        if (!cancelled) setTags(res.data.tags);
+      })
+      .catch((error) => console.error("Failed to load annotation tags:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled]);
+
+  return tags;
+}
+
+// Chips that filter a list to accounts tagged with any of the selected tags.
+// Renders nothing when there are no tags to choose from.
+export function TagFilter({ tags, selected, onChange, className = "" }) {
+  if (tags.length === 0 && selected.length === 0) return null;
+
+  const toggle = (tag) =>
+    onChange(selected.includes(tag) ? selected.filter((t) => t !== tag) : [...selected, tag]);
+  // Keep selected tags visible even when the current list has none of them
+  const options = [
+    ...tags,
+    ...selected.filter((tag) => !tags.some((t) => t.tag === tag)).map((tag) => ({ tag, count: 0 })),
+  ];
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 ${className}`}>
+      <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+        <Tag className="w-3.5 h-3.5" />
+        Tagged
+      </span>
+      {options.map(({ tag, count }) => (
+        <button
+          key={tag}
+          onClick={() => toggle(tag)}
+          className={`text-xs px-2.5 py-1 rounded-full transition-colors ${
+            selected.includes(tag)
+              ? "bg-purple-600 text-white"
+              : "bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 hover:bg-purple-200 dark:hover:bg-purple-900/50"
+          }`}
+        >
+          {tag}
+          <span className="ml-1 opacity-70">{count}</span>
+        </button>
+      ))}
+      {selected.length > 0 && (
+        <button
+          onClick={() => onChange([])}
+          className="flex items-center gap-0.5 text-xs text-gray-500 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-400"
+        >
+          <X className="w-3 h-3" />
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,69 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { useParams } from "react-router-dom";
-import { UserMinus, Download, Copy, Check, ExternalLink, AlertCircle } from "lucide-react";
-import axios from "axios";
+import { UserMinus, Download, Copy, Check, ExternalLink, AlertCircle, SlidersHorizontal, RotateCcw } from "lucide-react";
+import * as api from "../utils/apiClient";
 import { formatDistanceToNow } from "date-fns";
+import { getLocalAnalysis, getLocalAnalysisMeta } from "../utils/localAnalysis";
+import { InteractionCounts } from "./InteractionCounts";
+import { TagFilter, useAnnotationTags } from "./TagFilter";
+import {
+  UNFOLLOW_SCORE_WEIGHTS,
+  countInteractions,
+  normalizeWeights,
+  rankUnfollowCandidates,
+} from "instagram-export-parser";
+
+const WEIGHTS_KEY = "unfollow-weights";
+
+const WEIGHT_LABELS = {
+  followAge: "Followed a long time",
+  formerFollower: "Used to follow you",
+  noInteractions: "No interactions",
+  closeFriend: "Close friend",
+  favorited: "Favorite",
+  keepTag: "Tagged \"keep\"",
+};
+
+const loadWeights = () => {
+  try {
+    return normalizeWeights(JSON.parse(localStorage.getItem(WEIGHTS_KEY)) || {});
+  } catch {
+    return { ...UNFOLLOW_SCORE_WEIGHTS };
+  }
+};
+
+// Same signals the backend derives, minus what only saved sessions know:
+// earlier snapshots and annotation tags
+const localCandidates = (local, createdAt) => {
+  const exportedAt = createdAt ? new Date(createdAt).getTime() : Date.now();
+  const lists = {};
+  for (const { username, listType } of local.relationshipProfiles || []) {
+    (lists[username] = lists[username] || []).push(listType);
+  }
+  const counts = local.interactions?.length ? countInteractions(local.interactions) : null;
+
+  return (local.followingOnly || []).map((user) => {
+    const username = user.username || user.value;
+    return {
+      username,
+      href: user.href || `https://www.instagram.com/${username}/`,
+      followed_at: user.timestamp ? new Date(user.timestamp * 1000).toISOString() : null,
+      signals: {
+        followAgeDays: user.timestamp ? Math.max(0, (exportedAt - user.timestamp * 1000) / 86400000) : null,
+        formerFollower: null,
+        lists: lists[username] || [],
+        tags: [],
+        interactions: counts ? counts[username] || {} : null,
+      },
+    };
+  });
+};
+
+const scoreStyle = (score) => {
+  if (score >= 50) return "bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300";
+  if (score > 0) return "bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300";
+  return "bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300";
+};
 
 export function UnfollowHelper() {
   const { sessionId } = useParams();
@@ -11,37 +72,29 @@ export function UnfollowHelper() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [copied, setCopied] = useState(false);
+  const [weights, setWeights] = useState(loadWeights);
+  const [minScore, setMinScore] = useState(0);
+  const [showWeights, setShowWeights] = useState(false);
+  const [isLocal, setIsLocal] = useState(false);
+  const [tagFilter, setTagFilter] = useState([]);
+  const annotationTags = useAnnotationTags(!loading && !isLocal);
 
   useEffect(() => {
     const load = async () => {
       try {
         // Check for browser-only session data
-        const cached = sessionStorage.getItem(`session_${sessionId}`);
-
-        if (cached) {
-          // Build candidates from local data
-          const local = JSON.parse(cached);
-          const followingOnly = local.followingOnly || [];
-
-          // Sort by oldest-followed-first (if timestamp exists)
-          const sorted = followingOnly
-            .map(user => ({
-              username: user.username || user.value,
-              href: user.href || `https://www.instagram.com/${user.username || user.value}/`,
-              followed_at: user.timestamp ? new Date(user.timestamp * 1000).toISOString() : null
-            }))
-            .sort((a, b) => {
-              // Put users with no timestamp at the end
-              if (!a.followed_at && !b.followed_at) return 0;
-              if (!a.followed_at) return 1;
-              if (!b.followed_at) return -1;
-              return new Date(a.followed_at) - new Date(b.followed_at);
-            });
-
-          setCandidates(sorted);
+        const local = await getLocalAnalysis(sessionId);
+
+        if (local) {
+          const meta = await getLocalAnalysisMeta(sessionId);
+          setCandidates(localCandidates(local, meta?.createdAt));
+          setIsLocal(true);
         } else {
-          // Fetch from backend for saved sessions
-          const res = await axios.get(`/api/analysis/${sessionId}/unfollow-candidates`);
+          // Saved sessions come with signals; scores are recomputed here as weights change
+          const res = await api.getUnfollowCandidates(
+            sessionId,
+            tagFilter.length > 0 ? { tags: tagFilter.join(",") } : {}
+          );
           setCandidates(res.data.candidates || []);
         }
 
@@ -58,7 +111,7 @@ export function UnfollowHelper() {
       }
     };
     load();
-  }, [sessionId]);
+  }, [sessionId, tagFilter]);
 
   const toggleChecked = (username) => {
     setChecked((prev) => {
@@ -68,8 +121,26 @@ export function UnfollowHelper() {
     });
   };
 
-  const uncheckedCandidates = candidates.filter((c) => !checked[c.username]);
-  const checkedCount = candidates.filter((c) => checked[c.username]).length;
+  const updateWeight = (factor, value) => {
+    setWeights((prev) => {
+      const next = { ...prev, [factor]: value };
+      localStorage.setItem(WEIGHTS_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const resetWeights = () => {
+    localStorage.removeItem(WEIGHTS_KEY);
+    setWeights({ ...UNFOLLOW_SCORE_WEIGHTS });
+  };
+
+  const ranked = useMemo(() => rankUnfollowCandidates(candidates, { weights }), [candidates, weights]);
+  const maxScore = ranked.reduce((max, c) => Math.max(max, c.score), 0);
+  const visible = ranked.filter((c) => c.score >= minScore);
+  const hasInteractionData = candidates.some((c) => c.signals.interactions);
+
+  const uncheckedCandidates = visible.filter((c) => !checked[c.username]);
+  const checkedCount = visible.filter((c) => checked[c.username]).length;
 
   const copyUsernames = async () => {
     const text = uncheckedCandidates.map((c) => c.username).join("\n");
@@ -79,11 +150,12 @@ export function UnfollowHelper() {
   };
 
   const exportCSV = () => {
-    const header = "Username,Profile URL,Following Since\n";
-    const rows = candidates.map((c) => {
+    const header = "Username,Profile URL,Following Since,Score,Reasons\n";
+    const rows = visible.map((c) => {
       const url = c.href || `https://www.instagram.com/${c.username}/`;
       const since = c.followed_at ? new Date(c.followed_at).toLocaleDateString() : "";
-      return `"${c.username}","${url}","${since}"`;
+      const reasons = c.reasons.map((r) => r.detail).join("; ").replace(/"/g, '""');
+      return `"${c.username}","${url}","${since}",${c.score},"${reasons}"`;
     });
     const csv = header + rows.join("\n");
     const blob = new Blob([csv], { type: "text/csv" });
@@ -116,21 +188,90 @@ export function UnfollowHelper() {
       <div className="text-center mb-8">
         <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">Unfollow Helper</h1>
         <p className="text-gray-600 dark:text-gray-400">
-          {candidates.length} people you follow who don't follow you back, sorted by oldest-followed-first.
+          {candidates.length} people you follow who don't follow you back, ranked by how strong the case for
+          unfollowing is.
         </p>
       </div>
 
+      {!isLocal && (
+        <TagFilter tags={annotationTags} selected={tagFilter} onChange={setTagFilter} className="justify-center mb-4" />
+      )}
+
       {candidates.length === 0 ? (
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-12 text-center">
           <UserMinus className="w-14 h-14 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
-          <p className="text-gray-500 dark:text-gray-400">No one-sided follows found.</p>
+          <p className="text-gray-500 dark:text-gray-400">
+            {tagFilter.length > 0 ? "No one-sided follows have these tags." : "No one-sided follows found."}
+          </p>
         </div>
       ) : (
         <>
+          {/* Scoring weights + score filter */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4 mb-4">
+            <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-center justify-between">
+              <label className="flex items-center gap-3 text-sm text-gray-600 dark:text-gray-400">
+                Minimum score
+                <input
+                  type="range"
+                  min={0}
+                  max={Math.max(maxScore, 1)}
+                  value={Math.min(minScore, Math.max(maxScore, 1))}
+                  onChange={(e) => setMinScore(Number(e.target.value))}
+                  className="w-40 accent-purple-600"
+                />
+                <span className="w-8 font-medium text-gray-900 dark:text-gray-100">{minScore}</span>
+              </label>
+              <button
+                onClick={() => setShowWeights(!showWeights)}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 text-sm transition-colors"
+              >
+                <SlidersHorizontal className="w-4 h-4" />
+                {showWeights ? "Hide weights" : "Tune weights"}
+              </button>
+            </div>
+
+            {showWeights && (
+              <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+                  {Object.keys(UNFOLLOW_SCORE_WEIGHTS).map((factor) => (
+                    <label key={factor} className="flex items-center gap-3 text-sm text-gray-600 dark:text-gray-400">
+                      <span className="w-40 shrink-0">{WEIGHT_LABELS[factor]}</span>
+                      <input
+                        type="range"
+                        min={0}
+                        max={100}
+                        value={weights[factor]}
+                        onChange={(e) => updateWeight(factor, Number(e.target.value))}
+                        className="flex-1 accent-purple-600"
+                      />
+                      <span className="w-8 text-right font-medium text-gray-900 dark:text-gray-100">{weights[factor]}</span>
+                    </label>
+                  ))}
+                </div>
+                <div className="mt-3 flex items-center justify-between gap-3">
+                  <p className="text-xs text-gray-400 dark:text-gray-500">
+                    Close friends, favorites and "keep" tags lower the score.
+                    {!hasInteractionData && " This export has no activity data, so interactions are not scored."}
+                  </p>
+                  <button
+                    onClick={resetWeights}
+                    className="inline-flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-400"
+                  >
+                    <RotateCcw className="w-3.5 h-3.5" />
+                    Reset
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
           {/* Stats + actions bar */}
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4 mb-4 flex flex-col sm:flex-row gap-3 items-start sm:items-center justify-between">
             <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-400">
-              <span>{candidates.length} total</span>
+              <span>
+                {visible.length}
+                {visible.length !== candidates.length && ` of ${candidates.length}`} shown
+              </span>
               {checkedCount > 0 && (
                 <span className="flex items-center gap-1 text-green-600 dark:text-green-400">
                   <Check className="w-4 h-4" /> {checkedCount} done
@@ -158,7 +299,12 @@ export function UnfollowHelper() {
 
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden">
             <div className="divide-y dark:divide-gray-700">
-              {candidates.map((c) => {
+              {visible.length === 0 && (
+                <p className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                  No one scores {minScore} or more.
+                </p>
+              )}
+              {visible.map((c) => {
                 const isDone = checked[c.username];
                 const profileUrl = c.href || `https://www.instagram.com/${c.username}/`;
                 return (
@@ -199,8 +345,22 @@ export function UnfollowHelper() {
                           Following since {formatDistanceToNow(new Date(c.followed_at), { addSuffix: true })}
                         </p>
                       )}
+                      {c.reasons.length > 0 && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {c.reasons.map((r) => `${r.detail} (${r.points > 0 ? "+" : ""}${r.points})`).join(" · ")}
+                        </p>
+                      )}
                     </div>
 
+                    <InteractionCounts interactions={c.signals.interactions} />
+
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium flex-shrink-0 ${scoreStyle(c.score)}`}
+                      title="Unfollow score"
+                    >
+                      {c.score}
+                    </span>
+
                     {isDone && (
                       <span className="text-xs text-green-600 dark:text-green-400 flex items-center gap-1">
                         <Check className="w-3.5 h-3.5" /> Done
@@ -1,6 +1,11 @@
-import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useRef, useEffect } from "react";
+import { useNavigate, Link } from "react-router-dom";
 import { useDropzone } from "react-dropzone";
+import { analyzeInWorker, AnalysisCancelledError } from "../utils/analyzeInWorker";
+import { saveLocalAnalysis } from "../utils/localAnalysis";
+import { uploadInChunks, UploadCancelledError } from "../utils/chunkedUpload";
+import { useAuth } from "../context/AuthContext";
+import { ExportReport } from "./ExportReport";
 import {
   Upload as UploadIcon,
   FileText,
@@ -24,7 +29,7 @@ function DownloadGuideModal({ onClose }) {
       text: 'Click "Customize information" → unselect all → select only "Followers and Following"',
     },
     { num: 4, text: 'Set date range to "All time"' },
-    { num: 5, text: "Select format: JSON (not HTML)" },
+    { num: 5, text: "Select format: JSON (HTML also works)" },
     { num: 6, text: 'Click "Export" and wait minutes or longer' },
     { num: 7, text: "Come back to this page and download the file when ready" },
   ];
@@ -103,9 +108,23 @@ function DownloadGuideModal({ onClose }) {
 export function Upload() {
   const [processing, setProcessing] = useState(false);
   const [progressMsg, setProgressMsg] = useState("");
+  const [progressBytes, setProgressBytes] = useState(null);
+  const [partialCounts, setPartialCounts] = useState(null);
   const [error, setError] = useState(null);
+  const [errorReport, setErrorReport] = useState(null);
   const [showGuide, setShowGuide] = useState(false);
+  const [uploadToServer, setUploadToServer] = useState(false);
   const navigate = useNavigate();
+  const analysisRef = useRef(null);
+  const auth = useAuth();
+  const user = auth?.user;
+
+  // Stop a running worker if the user navigates away mid-analysis
+  useEffect(() => () => analysisRef.current?.cancel(), []);
+
+  const cancelAnalysis = () => {
+    analysisRef.current?.cancel();
+  };
 
   const onDrop = async (acceptedFiles) => {
     const file = acceptedFiles[0];
@@ -119,27 +138,64 @@ export function Upload() {
     }
 
     setError(null);
+    setErrorReport(null);
     setProcessing(true);
 
-    try {
-      const { parseAndAnalyzeZip } = await import("../utils/browserAnalyzer");
-      const result = await parseAndAnalyzeZip(file, setProgressMsg);
-
-      // Generate a session ID locally
-      const sessionId = crypto.randomUUID();
+    if (user && uploadToServer) {
+      try {
+        const upload = uploadInChunks(file, {
+          onProgress: (message, bytes) => {
+            setProgressMsg(message);
+            if (bytes) setProgressBytes(bytes);
+          },
+        });
+        analysisRef.current = upload;
+        const sessionId = await upload.promise;
+        navigate(`/processing/${sessionId}`);
+      } catch (err) {
+        if (err instanceof UploadCancelledError) return;
+        console.error("Upload error:", err);
+        setError(
+          err.response?.data?.error ||
+            "Upload failed. Drop the same file again to resume where it stopped.",
+        );
+      } finally {
+        setProcessing(false);
+        setProgressMsg("");
+        setProgressBytes(null);
+        analysisRef.current = null;
+      }
+      return;
+    }
 
-      // Guest analysis stays in this browser tab. Nothing is uploaded automatically.
-      sessionStorage.setItem(`session_${sessionId}`, JSON.stringify(result));
+    try {
+      const analysis = analyzeInWorker(file, {
+        onProgress: (message, bytes) => {
+          setProgressMsg(message);
+          setProgressBytes(bytes || null);
+        },
+        onPartial: setPartialCounts,
+      });
+      analysisRef.current = analysis;
+      const result = await analysis.promise;
+
+      // Guest analysis stays in this browser. Nothing is uploaded automatically.
+      const sessionId = await saveLocalAnalysis(result, { fileName: file.name });
       navigate(`/dashboard/${sessionId}`);
     } catch (err) {
+      if (err instanceof AnalysisCancelledError) return;
       console.error("Analysis error:", err);
       setError(
         err.message ||
           "Failed to process your Instagram data. Please try again.",
       );
+      setErrorReport(err.report || null);
     } finally {
       setProcessing(false);
       setProgressMsg("");
+      setProgressBytes(null);
+      setPartialCounts(null);
+      analysisRef.current = null;
     }
   };
 
@@ -245,6 +301,25 @@ export function Upload() {
                 <p className="text-sm text-gray-600 dark:text-gray-400">
                   {progressMsg || "Processing…"}
                 </p>
+                {progressBytes && progressBytes.totalBytes > 0 && (
+                  <div className="mt-2 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-purple-600 transition-all"
+                      style={{ width: `${Math.min(100, (progressBytes.loadedBytes / progressBytes.totalBytes) * 100)}%` }}
+                    />
+                  </div>
+                )}
+                {partialCounts && (
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    Found {partialCounts.followers} followers, {partialCounts.following} following so far
+                  </p>
+                )}
+                <button
+                  onClick={(e) => { e.stopPropagation(); cancelAnalysis(); }}
+                  className="mt-3 px-4 py-1.5 text-sm text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+                >
+                  Cancel
+                </button>
               </div>
             )}
           </div>
@@ -256,6 +331,34 @@ export function Upload() {
             <p className="text-red-700 dark:text-red-400">{error}</p>
           </div>
         )}
+
+        {error && errorReport && (
+          <div className="mt-4">
+            <ExportReport report={errorReport} defaultExpanded />
+          </div>
+        )}
+
+        {user && (
+          <label className="mt-4 flex items-start gap-3 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={uploadToServer}
+              onChange={(e) => setUploadToServer(e.target.checked)}
+              disabled={processing}
+              className="mt-0.5 w-4 h-4 accent-purple-600"
+            />
+            <span>
+              Upload to the server and save to my account. Large exports are sent in small pieces and resume
+              automatically if your connection drops.
+            </span>
+          </label>
+        )}
+
+        <p className="mt-4 text-center text-sm">
+          <Link to="/local-history" className="text-purple-600 hover:text-purple-700 font-medium">
+            View analyses saved in this browser
+          </Link>
+        </p>
       </div>
 
       {/* How It Works — 60 second flow */}
@@ -289,7 +392,7 @@ export function Upload() {
             </h3>
             <p className="text-sm text-gray-600 dark:text-gray-400">
               Drag and drop the ZIP file above. Guest analysis stays in this
-              browser tab and is not uploaded to our servers.
+              browser and is not uploaded to our servers.
             </p>
           </div>
           <div className="text-center">
@@ -485,9 +588,9 @@ export function Upload() {
           <strong>Instagram follower tracker online free</strong> tool works
           differently. You simply download your own data export directly from
           Instagram — a ZIP file containing your followers and following lists
-          in JSON format — and choose it here. The ZIP is parsed in your browser,
+          in JSON or HTML format — and choose it here. The ZIP is parsed in your browser,
           without an Instagram password or automated login. Guest results stay in
-          this browser tab; signed-in users can explicitly save derived results.
+          this browser; signed-in users can explicitly save derived results.
         </p>
         <p className="text-gray-700 dark:text-gray-300 mb-4">
           Once uploaded, the dashboard instantly categorizes every account:
@@ -760,7 +863,7 @@ export function Upload() {
               </h3>
             </div>
             <p className="text-gray-700 dark:text-gray-300">
-              Select <span className="font-semibold">JSON</span> (not HTML).
+              Select <span className="font-semibold">JSON</span>. HTML exports work too, so there's no need to request a new export if you picked HTML.
             </p>
           </div>
 
@@ -1,8 +1,20 @@
 import React, { useState, useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
 import { ExternalLink, StickyNote, X, Tag } from "lucide-react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
+import { InteractionCounts } from "./InteractionCounts";
 
-export function UserRow({ username, href, annotationsEnabled = false }) {
+// annotation is the account's { note, tags } when the parent has already
+// fetched it (null for none); left undefined, it is fetched on first open
+export function UserRow({
+  username,
+  href,
+  interactions = null,
+  sessionId = null,
+  annotationsEnabled = false,
+  annotation,
+  onAnnotationSaved,
+}) {
   const [open, setOpen] = useState(false);
   const [note, setNote] = useState("");
   const [tags, setTags] = useState([]);
@@ -13,10 +25,16 @@ export function UserRow({ username, href, annotationsEnabled = false }) {
 
   const profileUrl = href || `https://www.instagram.com/${username}/`;
 
+  useEffect(() => {
+    setNote(annotation?.note || "");
+    setTags(annotation?.tags || []);
+    setLoaded(annotation !== undefined);
+  }, [username, annotation]);
+
   const loadAnnotation = async () => {
     if (loaded) return;
     try {
-      const res = await axios.get(`/api/annotations/${encodeURIComponent(username)}`);
+      const res = await api.getAnnotation(username);
       setNote(res.data.note || "");
       setTags(res.data.tags || []);
       setLoaded(true);
@@ -34,7 +52,8 @@ export function UserRow({ username, href, annotationsEnabled = false }) {
   const save = async () => {
     setSaving(true);
     try {
-      await axios.put(`/api/annotations/${encodeURIComponent(username)}`, { note, tags });
+      const res = await api.saveAnnotation(username, { note, tags });
+      if (onAnnotationSaved) onAnnotationSaved({ username, note: res.data.note, tags: res.data.tags });
     } catch {
       // silent — annotation is best-effort
     } finally {
@@ -74,15 +93,30 @@ export function UserRow({ username, href, annotationsEnabled = false }) {
           </span>
         </div>
         <div className="min-w-0">
-          <a
-            href={profileUrl}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="text-sm font-medium text-gray-900 dark:text-gray-200 hover:text-purple-600 dark:hover:text-purple-400 flex items-center gap-1"
-          >
-            @{username}
-            <ExternalLink className="w-3 h-3 opacity-0 group-hover:opacity-60 transition-opacity" />
-          </a>
+          {annotationsEnabled && sessionId ? (
+            <div className="flex items-center gap-1">
+              <Link
+                to={`/profile/${sessionId}/${encodeURIComponent(username)}`}
+                className="text-sm font-medium text-gray-900 dark:text-gray-200 hover:text-purple-600 dark:hover:text-purple-400"
+              >
+                @{username}
+              </Link>
+              <a href={profileUrl} target="_blank" rel="noopener noreferrer" title="Open on Instagram">
+                <ExternalLink className="w-3 h-3 opacity-0 group-hover:opacity-60 transition-opacity" />
+              </a>
+            </div>
+          ) : (
+            <a
+              href={profileUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-sm font-medium text-gray-900 dark:text-gray-200 hover:text-purple-600 dark:hover:text-purple-400 flex items-center gap-1"
+            >
+              @{username}
+              <ExternalLink className="w-3 h-3 opacity-0 group-hover:opacity-60 transition-opacity" />
+            </a>
+          )}
+          <InteractionCounts interactions={interactions} />
           {tags.length > 0 && (
             <div className="flex flex-wrap gap-1 mt-0.5">
               {tags.map((t) => (
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
-import axios from "axios";
+import * as api from "../utils/apiClient";
 
 const AuthContext = createContext(null);
 
@@ -7,34 +7,34 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(undefined); // undefined = loading, null = logged out
 
   useEffect(() => {
-    axios.get("/api/auth/me")
+    api.getCurrentUser()
       .then((res) => setUser(res.data))
       .catch(() => setUser(null));
   }, []);
 
   const login = async (email, password) => {
-    const res = await axios.post("/api/auth/login", { email, password });
+    const res = await api.login({ email, password });
     setUser(res.data);
     return res.data;
   };
 
   const sendOtp = async (email) => {
-    await axios.post("/api/auth/send-otp", { email });
+    await api.sendOtp({ email });
   };
 
   const register = async (email, password, otp) => {
-    const res = await axios.post("/api/auth/register", { email, password, otp });
+    const res = await api.register({ email, password, otp });
     setUser(res.data);
     return res.data;
   };
 
   const logout = async () => {
-    await axios.post("/api/auth/logout");
+    await api.logout();
     setUser(null);
   };
 
   const deleteAccount = async (password) => {
-    await axios.post("/api/auth/delete-account", { password });
+    await api.deleteAccount({ password });
     setUser(null);
   };
 
@@ -0,0 +1,25 @@
+import { parseAndAnalyzeZip } from "./browserAnalyzer";
+
+// Message protocol (worker → page):
+//   { type: "progress", message, bytes }
+//   { type: "partial", counts }
+//   { type: "result", result }
+//   { type: "error", error, report }
+// globalThis is the worker's global scope, the one `self` names
+globalThis.onmessage = async (event) => {
+  const { file } = event.data;
+  try {
+    const result = await parseAndAnalyzeZip(
+      file,
+      (message, bytes) => globalThis.postMessage({ type: "progress", message, bytes: bytes || null }),
+      (counts) => globalThis.postMessage({ type: "partial", counts })
+    );
+    globalThis.postMessage({ type: "result", result });
+  } catch (err) {
+    globalThis.postMessage({
+      type: "error",
+      error: err.message || "Failed to analyze export",
+      report: err.report || null,
+    });
+  }
+};
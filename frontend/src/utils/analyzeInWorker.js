@@ -0,0 +1,66 @@
+export class AnalysisCancelledError extends Error {
+  constructor() {
+    super("Analysis cancelled");
+    this.name = "AnalysisCancelledError";
+  }
+}
+
+/**
+ * Runs parseAndAnalyzeZip in a dedicated worker so the page stays responsive.
+ * Falls back to the main thread when workers are unavailable.
+ * @param {File} file - Export archive
+ * @param {Object} handlers - { onProgress(message, bytes), onPartial(counts) }
+ * @returns {{ promise: Promise<Object>, cancel: Function }} Errors carry the export report, if any, as `report`
+ */
+export function analyzeInWorker(file, { onProgress = () => {}, onPartial = () => {} } = {}) {
+  if (typeof Worker === "undefined") {
+    let cancelled = false;
+    const promise = import("./browserAnalyzer")
+      .then(({ parseAndAnalyzeZip }) => parseAndAnalyzeZip(file, onProgress, onPartial))
+      .then((result) => {
+        if (cancelled) throw new AnalysisCancelledError();
+        return result;
+      });
+    return { promise, cancel: () => { cancelled = true; } };
+  }
+
+  const worker = new Worker(new URL("./analysisWorker.js", import.meta.url));
+  let rejectPromise;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case "progress":
+          onProgress(data.message, data.bytes);
+          break;
+        case "partial":
+          onPartial(data.counts);
+          break;
+        case "result":
+          worker.terminate();
+          resolve(data.result);
+          break;
+        case "error":
+          worker.terminate();
+          reject(Object.assign(new Error(data.error), { report: data.report }));
+          break;
+        default:
+          break;
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "Analysis worker crashed"));
+    };
+    worker.postMessage({ file });
+  });
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      rejectPromise(new AnalysisCancelledError());
+    },
+  };
+}
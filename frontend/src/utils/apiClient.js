@@ -0,0 +1,1314 @@
+// Generated from the backend OpenAPI document by backend/scripts/generate-api-client.js.
+// Do not edit by hand: change backend/openapi/index.js and run `npm run generate:client` in backend/.
+import axios from "axios";
+
+/**
+ * @typedef {Object} ApiError
+ * @property {string} error
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} Success
+ * @property {true} success
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} Message
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Pagination
+ * @property {number} page
+ * @property {number} limit
+ * @property {number} totalItems
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} CursorPagination
+ * @property {number} limit
+ * @property {"username"|"followed_at"} sort
+ * @property {"asc"|"desc"} order
+ * @property {number} totalItems
+ * @property {boolean} hasMore
+ * @property {(string|null)} nextCursor - Pass as cursor to get the next page; null on the last page
+ */
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {number} id
+ * @property {string} email
+ */
+
+/**
+ * @typedef {Object} Preferences
+ * @property {boolean} digestOptIn
+ */
+
+/**
+ * @typedef {Object} LoginSession
+ * @property {string} sid
+ * @property {(string|null)} [ip]
+ * @property {(string|null)} [userAgent]
+ * @property {(string|null)} [createdAt]
+ * @property {string} expiresAt
+ * @property {boolean} isCurrent
+ */
+
+/**
+ * @typedef {"mutual"|"followers_only"|"following_only"} UserCategory
+ */
+
+/**
+ * @typedef {"close_friend"|"blocked"|"hidden_story"|"restricted"|"favorited"|"removed_suggestion"|"received_request"|"recent_request"} RelationshipListType
+ */
+
+/**
+ * @typedef {Object} AnalysisSessionSummary
+ * @property {string} id
+ * @property {(string|null)} name
+ * @property {string} createdAt
+ * @property {(string|null)} processedAt
+ * @property {number} followersCount
+ * @property {number} followingCount
+ * @property {number} mutualCount
+ * @property {number} followersOnlyCount
+ * @property {number} followingOnlyCount
+ */
+
+/**
+ * @typedef {Object} Analysis
+ * @property {string} sessionId
+ * @property {string} createdAt
+ * @property {(string|null)} processedAt
+ * @property {{ totalFollowers: number, totalFollowing: number, exportFollowersCount: number, exportFollowingCount: number, deletedFollowersCount: number, deletedFollowingCount: number, mutualCount: number, followersOnlyCount: number, followingOnlyCount: number, unfollowedCount: number, tagCounts: { mutual?: Object<string, number>, followers_only?: Object<string, number>, following_only?: Object<string, number> } }} summary
+ * @property {RelationshipCounts} relationshipCounts
+ * @property {ExportReport} exportReport
+ */
+
+/**
+ * Parser diagnostics: how each file in the export was handled; null for analyses saved before reports existed
+ * @typedef {Object} ExportReport
+ * @property {Array<{ name: string, size?: (number|null), status: "parsed"|"unreadable"|"unrecognised"|"ignored"|"failed", handler?: (string|null), records?: number, rejected?: number, rejections?: Object<string, number>, samples?: Array<{ index: number, reason: string }>, message?: (string|null) }>} files
+ * @property {number} omittedFiles - Ignored files left out of the list
+ * @property {(Object<string, { entries: number, duplicates: number, deleted: number }>|null)} [normalization]
+ * @property {({ files: number, parsed: number, unreadable: number, unrecognised: number, failed: number, records: number, rejected: number }|null)} [totals]
+ */
+
+/**
+ * Number of profiles per relationship list; lists with no profiles are omitted
+ * @typedef {Object<string, number>} RelationshipCounts
+ */
+
+/**
+ * An analysis computed in the browser
+ * @typedef {Object} AnalysisUpload
+ * @property {string} sessionId
+ * @property {{ totalFollowers: number, totalFollowing: number, mutualCount: number, followersOnlyCount: number, followingOnlyCount: number, exportFollowersCount?: number, exportFollowingCount?: number, deletedFollowersCount?: number, deletedFollowingCount?: number }} summary
+ * @property {Array<UploadedUser>} [mutual]
+ * @property {Array<UploadedUser>} [followersOnly]
+ * @property {Array<UploadedUser>} [followingOnly]
+ * @property {Array<{ username?: string, profileUrl?: (string|null), requestDate?: (string|null) }>} [pendingRequests]
+ * @property {Array<{ username: string, href?: (string|null), timestamp?: (number|null) }>} [unfollowedProfiles]
+ * @property {Array<{ username: string, listType: RelationshipListType, displayName?: (string|null), profileUrl?: (string|null), fbid?: (string|null), timestamp?: (number|null) }>} [relationshipProfiles]
+ * @property {Array<{ username: string, type: "like"|"comment"|"story"|"message", count: number, timestamp?: (number|null) }>} [interactions]
+ * @property {ExportReport} [exportReport]
+ */
+
+/**
+ * @typedef {Object} UploadedUser
+ * @property {string} [username]
+ * @property {string} [value]
+ * @property {(string|null)} [href]
+ * @property {(number|null)} [timestamp]
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} [id]
+ * @property {string} [session_id]
+ * @property {string} username
+ * @property {UserCategory} category
+ * @property {(string|null)} [href]
+ * @property {(string|null)} [followed_at]
+ * @property {string} [created_at]
+ * @property {InteractionCounts} [interactions]
+ */
+
+/**
+ * Number of interactions with the account in the export, per type; types without interactions are omitted
+ * @typedef {Object} InteractionCounts
+ * @property {number} [like]
+ * @property {number} [comment]
+ * @property {number} [story]
+ * @property {number} [message]
+ */
+
+/**
+ * @typedef {Object} DiffUser
+ * @property {string} username
+ * @property {(string|null)} href
+ */
+
+/**
+ * @typedef {Object} ComparedSession
+ * @property {string} id
+ * @property {string} createdAt
+ * @property {(string|null)} name
+ * @property {number} followersCount
+ * @property {number} followingCount
+ * @property {number} mutualCount
+ */
+
+/**
+ * @typedef {Object} FollowerHistoryEntry
+ * @property {string} username
+ * @property {(string|null)} href
+ * @property {string} firstSeen
+ * @property {Array<string>} dropped
+ * @property {Array<string>} returned
+ * @property {number} presentCount
+ * @property {boolean} currentlyFollowing
+ */
+
+/**
+ * @typedef {Object} FollowEvent
+ * @property {string} timestamp
+ * @property {string} username
+ * @property {"follower"|"following"} direction
+ * @property {number} followersCount
+ * @property {number} followingCount
+ * @property {(string|null)} href
+ */
+
+/**
+ * @typedef {Object} GrowthStatistics
+ * @property {number} dailyGrowth
+ * @property {number} weeklyGrowth
+ * @property {number} monthlyGrowth
+ */
+
+/**
+ * @typedef {Object} UnfollowedProfile
+ * @property {number} id
+ * @property {string} username
+ * @property {string} unfollowed_at
+ * @property {(string|null)} last_seen_category
+ * @property {(string|null)} profile_url
+ * @property {"detected"|"imported"} source
+ * @property {string} unfollowed_date
+ */
+
+/**
+ * @typedef {Object} RelationshipProfile
+ * @property {number} [id]
+ * @property {string} [session_id]
+ * @property {string} username
+ * @property {(string|null)} [display_name]
+ * @property {RelationshipListType} list_type
+ * @property {(string|null)} [profile_url]
+ * @property {(string|null)} [fbid]
+ * @property {(string|null)} [timestamp] - Unix timestamp in seconds
+ * @property {string} [created_at]
+ * @property {InteractionCounts} [interactions]
+ */
+
+/**
+ * @typedef {Object} InsightProfile
+ * @property {string} username
+ * @property {(string|null)} displayName
+ * @property {(string|null)} profileUrl
+ * @property {(string|null)} timestamp - Unix timestamp in seconds
+ */
+
+/**
+ * @typedef {Object} PendingRequest
+ * @property {string} username
+ * @property {(string|null)} profileUrl
+ * @property {(string|null)} requestDate
+ * @property {(string|null)} status
+ */
+
+/**
+ * @typedef {Object} UnfollowCandidate
+ * @property {string} username
+ * @property {(string|null)} href
+ * @property {(string|null)} followed_at
+ * @property {number} score - Higher means a stronger case for unfollowing
+ * @property {Array<{ factor: UnfollowScoreFactor, points: number, detail: string }>} reasons
+ * @property {{ followAgeDays: (number|null), formerFollower: (boolean|null), lists: Array<RelationshipListType>, tags: Array<string>, interactions: ({ like?: number, comment?: number, story?: number, message?: number }|null) }} signals
+ */
+
+/**
+ * @typedef {"followAge"|"formerFollower"|"noInteractions"|"closeFriend"|"favorited"|"keepTag"} UnfollowScoreFactor
+ */
+
+/**
+ * @typedef {Object} UnfollowScoreWeights
+ * @property {number} followAge
+ * @property {number} formerFollower
+ * @property {number} noInteractions
+ * @property {number} closeFriend
+ * @property {number} favorited
+ * @property {number} keepTag
+ */
+
+/**
+ * @typedef {Object} ProfileLifecycle
+ * @property {string} username
+ * @property {(string|null)} href
+ * @property {({ note: (string|null), tags: Array<string>, updatedAt: string }|null)} annotation
+ * @property {Array<{ sessionId: string, name: (string|null), createdAt: string, category: ("mutual"|"followers_only"|"following_only"|null), followsYou: boolean, youFollow: boolean }>} snapshots
+ * @property {Array<{ sessionId: string, direction: string, timestamp: string }>} followEvents
+ * @property {Array<{ sessionId: string, listType: RelationshipListType, displayName: (string|null), timestamp: (string|null) }>} relationships
+ * @property {Array<{ sessionId: string, requestDate: (string|null), status: (string|null) }>} pendingRequests
+ * @property {Array<{ sessionId: string, unfollowedAt: string, lastSeenCategory: (string|null), source: string }>} unfollowed
+ */
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} username
+ * @property {(string|null)} note
+ * @property {Array<string>} tags
+ */
+
+/**
+ * @typedef {Object} AnnotationUpdate
+ * @property {(string|null)} [note] - Trimmed to 500 characters
+ * @property {Array<string>} [tags] - Up to 20 tags of 50 characters each
+ */
+
+/**
+ * @typedef {Object} ListedAnnotation
+ * @property {string} username
+ * @property {(string|null)} note
+ * @property {Array<string>} tags
+ * @property {(string|null)} updatedAt
+ */
+
+/**
+ * @typedef {Object} TagCount
+ * @property {string} tag
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} BulkUsernames
+ * @property {Array<string>} usernames
+ */
+
+/**
+ * @typedef {"list_unfollowed"|"tag_unfollowed"|"followers_lost"} AlertRuleType
+ */
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {number} id
+ * @property {AlertRuleType} ruleType
+ * @property {Object} params - list_unfollowed: { listType }, tag_unfollowed: { tag }, followers_lost: { threshold }
+ * @property {boolean} enabled
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} Alert
+ * @property {number} id
+ * @property {(number|null)} ruleId
+ * @property {(string|null)} sessionId
+ * @property {string} message
+ * @property {Array<string>} usernames
+ * @property {boolean} read
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} ApiToken
+ * @property {number} id
+ * @property {string} name
+ * @property {string} prefix
+ * @property {Array<"read"|"write">} scopes
+ * @property {(string|null)} expiresAt
+ * @property {(string|null)} lastUsedAt
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {(string|null)} type
+ * @property {"pending"|"running"|"done"|"error"} status
+ * @property {number} attempts
+ * @property {number} maxAttempts
+ * @property {(string|null)} lastMessage
+ * @property {*} result - Handler result, e.g. { sessionId, summary, exportReport } for process-upload. Failed jobs may carry details, e.g. { exportReport } when an export has no usable data
+ * @property {(string|null)} error
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {(string|null)} finishedAt
+ */
+
+/**
+ * @typedef {Object} ChunkedUpload
+ * @property {string} uploadId
+ * @property {string} fileName
+ * @property {number} fileSize
+ * @property {number} chunkSize
+ * @property {number} receivedBytes
+ */
+
+/**
+ * @typedef {Object} UploadOffset
+ * @property {string} [error]
+ * @property {number} receivedBytes
+ */
+
+/**
+ * @typedef {Object} QueuedUpload
+ * @property {string} sessionId
+ */
+
+/**
+ * Instagram Graph API response, passed through unchanged
+ * @typedef {Object} InstagramGraphResponse
+ */
+
+/**
+ * Health check
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ status: string, timestamp: string }>>}
+ */
+export function getHealth(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/health",
+  });
+}
+
+/**
+ * The OpenAPI document describing this API
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Object>>}
+ */
+export function getOpenApiDocument(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/openapi.json",
+  });
+}
+
+/**
+ * Email a registration verification code
+ * @param {{ email: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Message>>}
+ */
+export function sendOtp(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/auth/send-otp",
+    data: body,
+  });
+}
+
+/**
+ * Create an account and log in
+ * @param {{ email: string, password: string, otp: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<AuthUser>>}
+ */
+export function register(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/auth/register",
+    data: body,
+  });
+}
+
+/**
+ * @param {{ email: string, password: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<AuthUser>>}
+ */
+export function login(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/auth/login",
+    data: body,
+  });
+}
+
+/**
+ * Email a password reset link
+ * @param {{ email: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Message>>}
+ */
+export function forgotPassword(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/auth/forgot-password",
+    data: body,
+  });
+}
+
+/**
+ * @param {{ token: string, password: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Message>>}
+ */
+export function resetPassword(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/auth/reset-password",
+    data: body,
+  });
+}
+
+/**
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function logout(options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/auth/logout",
+  });
+}
+
+/**
+ * The logged-in user
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<AuthUser>>}
+ */
+export function getCurrentUser(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/auth/me",
+  });
+}
+
+/**
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Preferences>>}
+ */
+export function getPreferences(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/auth/preferences",
+  });
+}
+
+/**
+ * @param {Preferences} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Preferences>>}
+ */
+export function updatePreferences(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "put",
+    url: "/api/auth/preferences",
+    data: body,
+  });
+}
+
+/**
+ * Delete the account and all of its data
+ * @param {{ password: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function deleteAccount(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/auth/delete-account",
+    data: body,
+  });
+}
+
+/**
+ * Active login sessions for the current user
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Array<LoginSession>>>}
+ */
+export function listLoginSessions(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/sessions",
+  });
+}
+
+/**
+ * @param {string} sid
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function revokeLoginSession(sid, options = {}) {
+  return axios.request({
+    ...options,
+    method: "delete",
+    url: `/api/sessions/${encodeURIComponent(sid)}`,
+  });
+}
+
+/**
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ tokens: Array<ApiToken> }>>}
+ */
+export function listApiTokens(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/tokens",
+  });
+}
+
+/**
+ * Create a personal access token; the raw token is only returned here
+ * @param {{ name: string, scopes?: Array<"read"|"write">, expiresInDays?: (number|null) }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<ApiToken & { token: string }>>}
+ */
+export function createApiToken(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/tokens",
+    data: body,
+  });
+}
+
+/**
+ * @param {number} tokenId
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function revokeApiToken(tokenId, options = {}) {
+  return axios.request({
+    ...options,
+    method: "delete",
+    url: `/api/tokens/${encodeURIComponent(tokenId)}`,
+  });
+}
+
+/**
+ * The 50 most recent saved analyses
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ sessions: Array<AnalysisSessionSummary> }>>}
+ */
+export function listAnalyses(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/analysis",
+  });
+}
+
+/**
+ * Save an analysis computed in the browser
+ * @param {AnalysisUpload} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ sessionId: string, saved: boolean }>>}
+ */
+export function saveAnalysis(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/analysis",
+    data: body,
+  });
+}
+
+/**
+ * Follower and following changes between two saved analyses
+ * @param {{ a: string, b: string, tags?: string }} params
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ sessionA: ComparedSession, sessionB: ComparedSession, diff: { newFollowers: Array<DiffUser>, lostFollowers: Array<DiffUser>, newFollowing: Array<DiffUser>, removedFollowing: Array<DiffUser> }, summary: { newFollowersCount: number, lostFollowersCount: number, newFollowingCount: number, removedFollowingCount: number } }>>}
+ */
+export function compareAnalyses(params, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/analysis/compare",
+    params,
+  });
+}
+
+/**
+ * Per-follower history across every saved analysis
+ * @param {{ page?: number, limit?: number, filter?: "all"|"changed"|"dropped"|"returned"|"lost", search?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ sessions: Array<{ id: string, name: (string|null), createdAt: string, followersCount: number }>, users: Array<FollowerHistoryEntry>, summary: { totalUsers: number, changedCount: number, returnedCount: number, lostCount: number }, pagination: Pagination, filter: string }>>}
+ */
+export function getFollowerHistory(params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/analysis/history",
+    params,
+  });
+}
+
+/**
+ * Summary counts for a saved analysis
+ * @param {string} sessionId
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Analysis>>}
+ */
+export function getAnalysis(sessionId, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}`,
+  });
+}
+
+/**
+ * @param {string} sessionId
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function deleteAnalysis(sessionId, options = {}) {
+  return axios.request({
+    ...options,
+    method: "delete",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}`,
+  });
+}
+
+/**
+ * @param {string} sessionId
+ * @param {{ name: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function renameAnalysis(sessionId, body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "patch",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/name`,
+    data: body,
+  });
+}
+
+/**
+ * Accounts you follow that don't follow back, scored and sorted highest score first
+ * @param {string} sessionId
+ * @param {{ followAge?: number, formerFollower?: number, noInteractions?: number, closeFriend?: number, favorited?: number, keepTag?: number, keepTags?: string, tags?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ weights: UnfollowScoreWeights, keepTags: Array<string>, candidates: Array<UnfollowCandidate> }>>}
+ */
+export function getUnfollowCandidates(sessionId, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/unfollow-candidates`,
+    params,
+  });
+}
+
+/**
+ * Sent follow requests that are still pending
+ * @param {string} sessionId
+ * @param {{ tags?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ sessionId: string, pendingRequests: Array<PendingRequest>, summary: { totalCount: number, filteredCount: number } }>>}
+ */
+export function getPendingRequests(sessionId, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/pending-requests`,
+    params,
+  });
+}
+
+/**
+ * @param {string} sessionId
+ * @param {{ timeframe?: "all"|"week"|"month"|"year" }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ timelineData: { followEvents: Array<FollowEvent>, statistics: { totalFollowers: number, totalFollowing: number } }, statistics: GrowthStatistics }>>}
+ */
+export function getTimeline(sessionId, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/timeline`,
+    params,
+  });
+}
+
+/**
+ * Download lists from an analysis as a file
+ * @param {string} sessionId
+ * @param {{ format?: "csv"|"json"|"xlsx", lists?: string, columns?: string, category?: "mutual"|"followers_only"|"following_only"|"pending_requests"|"unfollowed"|"close_friend"|"blocked"|"hidden_story"|"restricted"|"favorited"|"removed_suggestion"|"received_request"|"recent_request" }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Blob>>}
+ */
+export function exportAnalysis(sessionId, params = {}, options = {}) {
+  return axios.request({
+    responseType: "blob",
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/export`,
+    params,
+  });
+}
+
+/**
+ * @param {string} sessionId
+ * @param {{ page?: number, limit?: number, search?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ success: boolean, data: Array<UnfollowedProfile>, pagination: Pagination, search: (string|null) }>>}
+ */
+export function getUnfollowedProfiles(sessionId, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/unfollowed`,
+    params,
+  });
+}
+
+/**
+ * @param {string} sessionId
+ * @param {{ tags?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ sessionId: string, counts: RelationshipCounts }>>}
+ */
+export function getRelationshipCounts(sessionId, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/relationships`,
+    params,
+  });
+}
+
+/**
+ * @param {string} sessionId
+ * @param {RelationshipListType} listType
+ * @param {{ page?: number, limit?: number, search?: string, tags?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ profiles: Array<RelationshipProfile>, pagination: Pagination }>>}
+ */
+export function getRelationshipProfiles(sessionId, listType, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/relationships/${encodeURIComponent(listType)}`,
+    params,
+  });
+}
+
+/**
+ * Relationship lists cross-referenced with followers and following
+ * @param {string} sessionId
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ sessionId: string, insights: { closeFriendsNotFollowingBack: Array<InsightProfile>, closeFriendsYouDontFollow: Array<InsightProfile>, blockedStillInFollowers: Array<InsightProfile>, hiddenStoryMutual: Array<InsightProfile>, requestConversions: Array<InsightProfile>, receivedNotAccepted: Array<InsightProfile>, removedSuggestionsNowFollowing: Array<InsightProfile> }, conversionRate: number }>>}
+ */
+export function getInsights(sessionId, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/insights`,
+  });
+}
+
+/**
+ * Usernames starting with the query, in one category or in all of them when category is omitted
+ * @param {string} sessionId
+ * @param {string} query
+ * @param {{ category?: UserCategory, tags?: string, sort?: "username"|"followed_at", order?: "asc"|"desc", limit?: number, cursor?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ query: string, category: ("mutual"|"followers_only"|"following_only"|null), users: Array<User>, totals: Object<string, number>, pagination: CursorPagination }>>}
+ */
+export function searchUsers(sessionId, query, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/search/${encodeURIComponent(query)}`,
+    params,
+  });
+}
+
+/**
+ * Everything known about one account across all saved analyses
+ * @param {string} sessionId
+ * @param {string} username
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<ProfileLifecycle>>}
+ */
+export function getProfileLifecycle(sessionId, username, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/profile/${encodeURIComponent(username)}`,
+  });
+}
+
+/**
+ * @param {string} sessionId
+ * @param {UserCategory} category
+ * @param {{ search?: string, tags?: string, sort?: "username"|"followed_at", order?: "asc"|"desc", limit?: number, cursor?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ users: Array<User>, pagination: CursorPagination }>>}
+ */
+export function getUsersByCategory(sessionId, category, params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/analysis/${encodeURIComponent(sessionId)}/${encodeURIComponent(category)}`,
+    params,
+  });
+}
+
+/**
+ * The user's annotations, most recently edited first, with how often each tag is used
+ * @param {{ page?: number, limit?: number, tag?: string, search?: string }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ annotations: Array<ListedAnnotation>, tags: Array<TagCount>, pagination: Pagination }>>}
+ */
+export function listAnnotations(params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/annotations",
+    params,
+  });
+}
+
+/**
+ * Annotations of many accounts at once, keyed by username; unannotated accounts are left out
+ * @param {BulkUsernames} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ annotations: Object<string, { note: (string|null), tags: (Array<string>|null) }> }>>}
+ */
+export function lookupAnnotations(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/annotations/lookup",
+    data: body,
+  });
+}
+
+/**
+ * @param {BulkUsernames} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ success: boolean, deleted: number }>>}
+ */
+export function deleteAnnotations(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/annotations/delete",
+    data: body,
+  });
+}
+
+/**
+ * Add a tag to many accounts, annotating those without an annotation yet
+ * @param {BulkUsernames & { tag: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ success: boolean, tag: string, updated: number }>>}
+ */
+export function tagAnnotations(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/annotations/tags",
+    data: body,
+  });
+}
+
+/**
+ * Rename a tag on every annotation that has it
+ * @param {string} tag
+ * @param {{ name: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ success: boolean, tag: string, updated: number }>>}
+ */
+export function renameAnnotationTag(tag, body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "put",
+    url: `/api/annotations/tags/${encodeURIComponent(tag)}`,
+    data: body,
+  });
+}
+
+/**
+ * @param {string} username
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Annotation>>}
+ */
+export function getAnnotation(username, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/annotations/${encodeURIComponent(username)}`,
+  });
+}
+
+/**
+ * @param {string} username
+ * @param {AnnotationUpdate} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Annotation & { success: boolean }>>}
+ */
+export function saveAnnotation(username, body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "put",
+    url: `/api/annotations/${encodeURIComponent(username)}`,
+    data: body,
+  });
+}
+
+/**
+ * @param {{ limit?: number }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ alerts: Array<Alert>, unreadCount: number }>>}
+ */
+export function listAlerts(params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/alerts",
+    params,
+  });
+}
+
+/**
+ * Mark the given alerts, or all of them when ids is omitted, as read
+ * @param {{ ids?: Array<number> }} [body]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function markAlertsRead(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/alerts/read",
+    data: body,
+  });
+}
+
+/**
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ rules: Array<AlertRule> }>>}
+ */
+export function listAlertRules(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/alerts/rules",
+  });
+}
+
+/**
+ * @param {{ ruleType: AlertRuleType, params?: Object }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<AlertRule>>}
+ */
+export function createAlertRule(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/alerts/rules",
+    data: body,
+  });
+}
+
+/**
+ * @param {number} ruleId
+ * @param {{ enabled: boolean }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<AlertRule>>}
+ */
+export function updateAlertRule(ruleId, body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "patch",
+    url: `/api/alerts/rules/${encodeURIComponent(ruleId)}`,
+    data: body,
+  });
+}
+
+/**
+ * @param {number} ruleId
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function deleteAlertRule(ruleId, options = {}) {
+  return axios.request({
+    ...options,
+    method: "delete",
+    url: `/api/alerts/rules/${encodeURIComponent(ruleId)}`,
+  });
+}
+
+/**
+ * Download every saved analysis and annotation as a ZIP archive
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Blob>>}
+ */
+export function exportBackup(options = {}) {
+  return axios.request({
+    responseType: "blob",
+    ...options,
+    method: "get",
+    url: "/api/backup/export",
+  });
+}
+
+/**
+ * Restore a backup archive into the current account
+ * @param {FormData} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ message: string, version: number, exportedAt: string, imported: Object<string, number> }>>}
+ */
+export function importBackup(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/backup/import",
+    data: body,
+  });
+}
+
+/**
+ * @param {{ name: string, email: string, subject: "general"|"bug"|"feature"|"privacy"|"account"|"other", message: string, website?: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Message>>}
+ */
+export function sendContactMessage(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/contact",
+    data: body,
+  });
+}
+
+/**
+ * URL to start connecting an Instagram account
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ url: string }>>}
+ */
+export function getInstagramAuthUrl(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/instagram/auth-url",
+  });
+}
+
+/**
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ connected: boolean, username?: (string|null), expiresAt?: (string|null) }>>}
+ */
+export function getInstagramStatus(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/instagram/status",
+  });
+}
+
+/**
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function disconnectInstagram(options = {}) {
+  return axios.request({
+    ...options,
+    method: "delete",
+    url: "/api/instagram/disconnect",
+  });
+}
+
+/**
+ * Account overview metrics
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<InstagramGraphResponse>>}
+ */
+export function getInstagramOverview(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/instagram/insights/overview",
+  });
+}
+
+/**
+ * Daily reach for the last 30 days
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<InstagramGraphResponse>>}
+ */
+export function getInstagramReach(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/instagram/insights/reach",
+  });
+}
+
+/**
+ * Online followers by hour
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<InstagramGraphResponse>>}
+ */
+export function getInstagramActivity(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/instagram/insights/activity",
+  });
+}
+
+/**
+ * Audience demographics
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<InstagramGraphResponse>>}
+ */
+export function getInstagramAudience(options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/instagram/insights/audience",
+  });
+}
+
+/**
+ * Background jobs started by the current user
+ * @param {{ status?: "pending"|"running"|"done"|"error", limit?: number }} [params]
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ jobs: Array<Job> }>>}
+ */
+export function listJobs(params = {}, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: "/api/jobs",
+    params,
+  });
+}
+
+/**
+ * Upload an export ZIP in one request and queue it for processing
+ * @param {FormData} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<QueuedUpload>>}
+ */
+export function uploadExport(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/upload",
+    data: body,
+  });
+}
+
+/**
+ * Start a resumable upload, or resume the caller's unfinished upload of the same file
+ * @param {{ fileName: string, fileSize: number, fingerprint: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<ChunkedUpload & { resumed: boolean }>>}
+ */
+export function createChunkedUpload(body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: "/api/upload/chunked",
+    data: body,
+  });
+}
+
+/**
+ * @param {string} uploadId
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<ChunkedUpload>>}
+ */
+export function getChunkedUpload(uploadId, options = {}) {
+  return axios.request({
+    ...options,
+    method: "get",
+    url: `/api/upload/chunked/${encodeURIComponent(uploadId)}`,
+  });
+}
+
+/**
+ * Append the chunk starting at offset
+ * @param {string} uploadId
+ * @param {{ offset: number, "X-Chunk-SHA256": string }} params
+ * @param {ArrayBuffer|Blob} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<{ receivedBytes: number }>>}
+ */
+export function uploadChunk(uploadId, params, body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "put",
+    url: `/api/upload/chunked/${encodeURIComponent(uploadId)}`,
+    params: { offset: params.offset },
+    headers: { ...options.headers, "X-Chunk-SHA256": params["X-Chunk-SHA256"], "Content-Type": "application/octet-stream" },
+    data: body,
+  });
+}
+
+/**
+ * @param {string} uploadId
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<Success>>}
+ */
+export function cancelChunkedUpload(uploadId, options = {}) {
+  return axios.request({
+    ...options,
+    method: "delete",
+    url: `/api/upload/chunked/${encodeURIComponent(uploadId)}`,
+  });
+}
+
+/**
+ * Verify the assembled file and queue it for processing
+ * @param {string} uploadId
+ * @param {{ checksum: string }} body
+ * @param {import("axios").AxiosRequestConfig} [options]
+ * @returns {Promise<import("axios").AxiosResponse<QueuedUpload>>}
+ */
+export function completeChunkedUpload(uploadId, body, options = {}) {
+  return axios.request({
+    ...options,
+    method: "post",
+    url: `/api/upload/chunked/${encodeURIComponent(uploadId)}/complete`,
+    data: body,
+  });
+}
+
+/**
+ * Server-sent progress events for a processing job: progress, done and error
+ * @param {string} sessionId
+ * @returns {EventSource}
+ */
+export function subscribeUploadStatus(sessionId) {
+  return new EventSource(`${axios.defaults.baseURL || ""}/api/upload/status/${encodeURIComponent(sessionId)}`, {
+    withCredentials: true,
+  });
+}
@@ -0,0 +1,46 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from "buffer";
+import { DecompressionStream } from "stream/web";
+import JSZip from "jszip";
+import {
+  loadFixtures,
+  zipFixture,
+  describeAnalysis,
+  fileStatuses,
+  fileSizes,
+  fixtureSizes,
+} from "instagram-export-parser/test/fixtures";
+import { parseAndAnalyzeZip } from "./browserAnalyzer";
+import { supportsStreamingZip } from "./zipStream";
+
+jest.mock("./zipStream", () => ({
+  ...jest.requireActual("./zipStream"),
+  supportsStreamingZip: jest.fn(),
+}));
+
+// A browser API the streaming reader uses that jest's Node environment leaves out
+global.DecompressionStream = DecompressionStream;
+
+// The same fixtures run through the backend upload parser
+// (backend/tests/exportParser.test.js), so both must agree with expected.json
+const fixtures = loadFixtures().map((fixture) => [fixture.name, fixture]);
+
+describe.each([
+  ["streaming reader", true],
+  ["JSZip reader", false],
+])("parseAndAnalyzeZip with the %s", (reader, streaming) => {
+  beforeAll(() => {
+    supportsStreamingZip.mockReturnValue(streaming);
+  });
+
+  it.each(fixtures)("parses the %s export", async (name, fixture) => {
+    const file = new Blob([await zipFixture(JSZip, fixture)], { type: "application/zip" });
+
+    const result = await parseAndAnalyzeZip(file, () => {});
+    expect(describeAnalysis(result)).toEqual(fixture.expected);
+    expect(fileStatuses(result.exportReport)).toEqual(fixture.files.map((f) => `${f.name}: parsed`).sort());
+    expect(fileSizes(result.exportReport)).toEqual(fixtureSizes(fixture));
+  });
+});
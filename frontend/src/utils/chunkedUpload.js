@@ -0,0 +1,112 @@
+import * as api from "./apiClient";
+
+const MAX_CHUNK_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 1000; // ms
+
+export class UploadCancelledError extends Error {
+  constructor() {
+    super("Upload cancelled");
+    this.name = "UploadCancelledError";
+  }
+}
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+
+const sha256 = (data) => crypto.subtle.digest("SHA-256", data);
+
+const fingerprintOf = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// Network failures and 5xx responses are worth retrying; 4xx are not, except
+// a chunk checksum mismatch (422), which means the chunk was corrupted in transit
+const isRetryable = (error, retryCorrupt) =>
+  !error.response || error.response.status >= 500 || (retryCorrupt && error.response.status === 422);
+
+/**
+ * Uploads a file to the server in checksummed chunks. An interrupted upload of
+ * the same file resumes from the last chunk the server acknowledged.
+ * @param {File} file - Export archive
+ * @param {Object} handlers - { onProgress(message, { loadedBytes, totalBytes }) }
+ * @returns {{ promise: Promise<string>, cancel: Function }} Promise resolves to the processing session ID
+ */
+export function uploadInChunks(file, { onProgress = () => {} } = {}) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const request = async (send, { retryCorrupt = false } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send({ signal });
+      } catch (error) {
+        if (signal.aborted) throw new UploadCancelledError();
+        if (attempt >= MAX_CHUNK_ATTEMPTS || !isRetryable(error, retryCorrupt)) throw error;
+        onProgress(`Connection problem, retrying (${attempt}/${MAX_CHUNK_ATTEMPTS - 1})…`, null);
+        await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_DELAY * 2 ** (attempt - 1)));
+      }
+    }
+  };
+
+  const run = async () => {
+    const { data: upload } = await request((options) =>
+      api.createChunkedUpload(
+        { fileName: file.name, fileSize: file.size, fingerprint: fingerprintOf(file) },
+        options
+      )
+    );
+    const { uploadId, chunkSize } = upload;
+    const chunkDigests = [];
+    let offset = 0;
+
+    const readChunk = (start) => file.slice(start, Math.min(start + chunkSize, file.size)).arrayBuffer();
+
+    // Keep chunkDigests in step with the server's offset, hashing any chunks it
+    // already holds so the final checksum still covers the whole file
+    const syncTo = async (receivedBytes) => {
+      chunkDigests.length = Math.min(chunkDigests.length, Math.ceil(receivedBytes / chunkSize));
+      offset = chunkDigests.length * chunkSize;
+      while (offset < receivedBytes) {
+        chunkDigests.push(await sha256(await readChunk(offset)));
+        offset += chunkSize;
+      }
+      offset = receivedBytes;
+    };
+
+    if (upload.receivedBytes > 0) {
+      onProgress("Resuming previous upload…", { loadedBytes: upload.receivedBytes, totalBytes: file.size });
+      await syncTo(upload.receivedBytes);
+    }
+
+    while (offset < file.size) {
+      if (signal.aborted) throw new UploadCancelledError();
+      const chunk = await readChunk(offset);
+      const digest = await sha256(chunk);
+      const params = { offset, "X-Chunk-SHA256": toHex(digest) };
+
+      try {
+        await request((options) => api.uploadChunk(uploadId, params, chunk, options), { retryCorrupt: true });
+      } catch (error) {
+        // The server is ahead of or behind us (e.g. a retried request landed); continue from its offset
+        const receivedBytes = error.response?.data?.receivedBytes;
+        if (error.response?.status === 409 && Number.isInteger(receivedBytes)) {
+          await syncTo(receivedBytes);
+          continue;
+        }
+        throw error;
+      }
+
+      chunkDigests.push(digest);
+      offset += chunk.byteLength;
+      onProgress("Uploading…", { loadedBytes: offset, totalBytes: file.size });
+    }
+
+    onProgress("Verifying upload…", { loadedBytes: file.size, totalBytes: file.size });
+    const combined = new Uint8Array(chunkDigests.length * 32);
+    chunkDigests.forEach((d, i) => combined.set(new Uint8Array(d), i * 32));
+    const checksum = toHex(await sha256(combined));
+
+    const { data } = await request((options) => api.completeChunkedUpload(uploadId, { checksum }, options));
+    return data.sessionId;
+  };
+
+  return { promise: run(), cancel: () => controller.abort() };
+}
@@ -1,12 +1,146 @@
-export function getLocalAnalysis(sessionId) {
+// Guest analyses live in IndexedDB so large accounts fit and results survive
+// closing the tab. Metadata and full results are kept in separate stores so
+// the history list never has to load every payload.
+
+const DB_NAME = "ifa-local";
+const DB_VERSION = 1;
+const META_STORE = "analyses";
+const RESULT_STORE = "results";
+export const LOCAL_ANALYSIS_TTL_DAYS = 30;
+
+let dbPromise = null;
+const cache = new Map();
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: "id" }).createIndex("createdAt", "createdAt");
+        }
+        if (!db.objectStoreNames.contains(RESULT_STORE)) {
+          db.createObjectStore(RESULT_STORE, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function run(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(fn(tx)).then((value) => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function isExpired(meta) {
+  return meta.expiresAt && new Date(meta.expiresAt) < new Date();
+}
+
+/**
+ * Stores a browser-side analysis result and returns its new session ID.
+ * @param {Object} result - Output of parseAndAnalyzeZip
+ * @param {Object} [options] - { fileName }
+ */
+export async function saveLocalAnalysis(result, { fileName = null } = {}) {
+  const id = crypto.randomUUID();
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + LOCAL_ANALYSIS_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const meta = {
+    id,
+    fileName,
+    createdAt: createdAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    summary: result.summary,
+  };
+
+  await run([META_STORE, RESULT_STORE], "readwrite", (tx) => {
+    tx.objectStore(META_STORE).put(meta);
+    tx.objectStore(RESULT_STORE).put({ id, data: result });
+  });
+  cache.set(id, result);
+  return id;
+}
+
+export async function getLocalAnalysisMeta(sessionId) {
+  try {
+    const meta = await run([META_STORE], "readonly", (tx) =>
+      requestToPromise(tx.objectStore(META_STORE).get(sessionId))
+    );
+    if (!meta) return null;
+    if (isExpired(meta)) {
+      await deleteLocalAnalysis(sessionId);
+      return null;
+    }
+    return meta;
+  } catch {
+    return null;
+  }
+}
+
+/** Returns the full guest analysis for a session, or null if it is not stored locally. */
+export async function getLocalAnalysis(sessionId) {
+  if (cache.has(sessionId)) return cache.get(sessionId);
+  const meta = await getLocalAnalysisMeta(sessionId);
+  if (!meta) return null;
   try {
-    const value = sessionStorage.getItem(`session_${sessionId}`);
-    return value ? JSON.parse(value) : null;
+    const record = await run([RESULT_STORE], "readonly", (tx) =>
+      requestToPromise(tx.objectStore(RESULT_STORE).get(sessionId))
+    );
+    if (!record) return null;
+    cache.set(sessionId, record.data);
+    return record.data;
   } catch {
     return null;
   }
 }
 
+/** Lists stored guest analyses, newest first. Expired entries are purged first. */
+export async function listLocalAnalyses() {
+  await purgeExpiredAnalyses();
+  const all = await run([META_STORE], "readonly", (tx) =>
+    requestToPromise(tx.objectStore(META_STORE).getAll())
+  );
+  return all.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+export async function deleteLocalAnalysis(sessionId) {
+  cache.delete(sessionId);
+  await run([META_STORE, RESULT_STORE], "readwrite", (tx) => {
+    tx.objectStore(META_STORE).delete(sessionId);
+    tx.objectStore(RESULT_STORE).delete(sessionId);
+  });
+}
+
+export async function purgeExpiredAnalyses() {
+  const all = await run([META_STORE], "readonly", (tx) =>
+    requestToPromise(tx.objectStore(META_STORE).getAll())
+  );
+  const expired = all.filter(isExpired);
+  for (const meta of expired) await deleteLocalAnalysis(meta.id);
+  return expired.length;
+}
+
 export function paginate(items, page = 1, limit = 20) {
   const start = (page - 1) * limit;
   return {
@@ -0,0 +1,70 @@
+// Minimal ZIP reader that works from the central directory, so only the
+// entries we ask for are ever read from disk. The directory itself is read by
+// instagram-export-parser, which supports ZIP64 archives.
+import { readZipDirectory } from "instagram-export-parser";
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+export function supportsStreamingZip() {
+  return typeof DecompressionStream !== "undefined" && typeof Blob !== "undefined" && "stream" in Blob.prototype;
+}
+
+async function readBytes(file, start, length) {
+  return new DataView(await file.slice(start, start + length).arrayBuffer());
+}
+
+/**
+ * Lists every file entry in the archive without reading any file data.
+ * @param {File|Blob} file - ZIP archive
+ * @returns {Promise<Array>} { name, method, compressedSize, uncompressedSize, localHeaderOffset, encrypted }
+ */
+export function listZipEntries(file) {
+  return readZipDirectory(file.size, (start, length) => readBytes(file, start, length));
+}
+
+/**
+ * Inflates a single entry to a string, streaming it from disk.
+ * @param {File|Blob} file - ZIP archive
+ * @param {Object} entry - Entry returned by listZipEntries
+ * @param {Function} [onBytes] - Called with the number of compressed bytes read per chunk
+ * @returns {Promise<string>}
+ */
+export async function readZipEntryText(file, entry, onBytes) {
+  if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+    throw new Error(`${entry.name} uses an unsupported compression method`);
+  }
+
+  const header = await readBytes(file, entry.localHeaderOffset, 30);
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIG) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+  const dataStart = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+
+  let stream = file.slice(dataStart, dataStart + entry.compressedSize).stream();
+  if (onBytes) {
+    stream = stream.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        onBytes(chunk.byteLength);
+        controller.enqueue(chunk);
+      },
+    }));
+  }
+  if (entry.method === METHOD_DEFLATE) {
+    stream = stream.pipeThrough(new DecompressionStream("deflate-raw"));
+  }
+
+  const decoder = new TextDecoder();
+  const reader = stream.getReader();
+  const parts = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(decoder.decode(value, { stream: true }));
+  }
+  parts.push(decoder.decode());
+  return parts.join("");
+}
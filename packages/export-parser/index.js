@@ -0,0 +1,29 @@
+// Instagram export parsing shared by the backend upload worker, the CLI and
+// the in-browser analyzer. Reading the ZIP is left to the caller: feed each
+// entry whose name passes isRecognisedFile to processFile, then call
+// finalizeExport and buildAnalysis. To collect diagnostics, pass a report
+// from createExportReport to processFile and finalizeExport, and also feed it
+// the unrecognised entries that pass shouldInspectFile (see src/report.js).
+// readZipDirectory gives the entry sizes shouldInspectFile needs.
+//
+// CommonJS without dependencies so Node can require it and webpack can bundle it.
+
+const fields = require("./src/fields");
+const formats = require("./src/formats");
+const parser = require("./src/parser");
+const analysis = require("./src/analysis");
+const report = require("./src/report");
+const interactions = require("./src/interactions");
+const unfollowScore = require("./src/unfollowScore");
+const zipDirectory = require("./src/zipDirectory");
+
+module.exports = {
+  ...fields,
+  ...formats,
+  ...parser,
+  ...analysis,
+  ...report,
+  ...interactions,
+  ...unfollowScore,
+  ...zipDirectory,
+};
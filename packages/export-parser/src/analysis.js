@@ -0,0 +1,109 @@
+const { extractUsername, extractTimestamp, extractUrl } = require("./fields");
+
+const profileUrl = (username, url) => url || `https://www.instagram.com/${username}/`;
+
+/**
+ * Splits a finalized export into relationship categories. This is the shape
+ * the browser keeps locally and POST /api/analysis accepts.
+ * @param {Object} data - Result of finalizeExport
+ * @returns {Object} { summary, mutual, followersOnly, followingOnly, pendingRequests, unfollowedProfiles, relationshipProfiles, interactions }
+ */
+function buildAnalysis(data) {
+  const followerSet = new Set(data.followers.map(extractUsername));
+  const followingSet = new Set(data.following.map(extractUsername));
+  const toUser = (item) => {
+    const username = extractUsername(item);
+    return { username, href: profileUrl(username, extractUrl(item)), timestamp: extractTimestamp(item) || null };
+  };
+
+  const mutual = [];
+  const followersOnly = [];
+  for (const item of data.followers) {
+    (followingSet.has(extractUsername(item)) ? mutual : followersOnly).push(toUser(item));
+  }
+  const followingOnly = data.following.filter((item) => !followerSet.has(extractUsername(item))).map(toUser);
+
+  const pendingRequests = data.pendingRequests.map((item) => {
+    const timestamp = extractTimestamp(item);
+    return {
+      username: extractUsername(item),
+      profileUrl: extractUrl(item) || null,
+      requestDate: timestamp ? new Date(timestamp * 1000).toISOString() : null,
+      status: "Pending",
+    };
+  });
+
+  return {
+    summary: {
+      totalFollowers: data.followers.length,
+      totalFollowing: data.following.length,
+      exportFollowersCount: data.exportFollowersCount,
+      exportFollowingCount: data.exportFollowingCount,
+      deletedFollowersCount: data.deletedFollowersCount,
+      deletedFollowingCount: data.deletedFollowingCount,
+      mutualCount: mutual.length,
+      followersOnlyCount: followersOnly.length,
+      followingOnlyCount: followingOnly.length,
+      pendingRequestsCount: pendingRequests.length,
+      unfollowedCount: data.unfollowedProfiles.length,
+    },
+    mutual,
+    followersOnly,
+    followingOnly,
+    pendingRequests,
+    unfollowedProfiles: data.unfollowedProfiles,
+    relationshipProfiles: data.relationshipProfiles,
+    interactions: data.interactions,
+  };
+}
+
+function relationshipSets(analysis) {
+  const hrefs = new Map();
+  const collect = (list) =>
+    (list || [])
+      .map((item) => {
+        const username = extractUsername(item);
+        if (username && !hrefs.has(username)) hrefs.set(username, extractUrl(item));
+        return username;
+      })
+      .filter(Boolean);
+
+  const mutual = collect(analysis.mutual);
+  return {
+    followers: new Set([...mutual, ...collect(analysis.followersOnly)]),
+    following: new Set([...mutual, ...collect(analysis.followingOnly)]),
+    hrefs,
+  };
+}
+
+/**
+ * Diffs two analyses the same way /api/analysis/compare diffs saved
+ * sessions. A is the older snapshot, B the newer one.
+ */
+function compareAnalyses(analysisA, analysisB) {
+  const a = relationshipSets(analysisA);
+  const b = relationshipSets(analysisB);
+  const toUserObj = (username, primary, fallback) => ({
+    username,
+    href: primary.hrefs.get(username) || fallback.hrefs.get(username) || null,
+  });
+
+  const diff = {
+    newFollowers: [...b.followers].filter((u) => !a.followers.has(u)).map((u) => toUserObj(u, b, a)),
+    lostFollowers: [...a.followers].filter((u) => !b.followers.has(u)).map((u) => toUserObj(u, a, b)),
+    newFollowing: [...b.following].filter((u) => !a.following.has(u)).map((u) => toUserObj(u, b, a)),
+    removedFollowing: [...a.following].filter((u) => !b.following.has(u)).map((u) => toUserObj(u, a, b)),
+  };
+
+  return {
+    diff,
+    summary: {
+      newFollowersCount: diff.newFollowers.length,
+      lostFollowersCount: diff.lostFollowers.length,
+      newFollowingCount: diff.newFollowing.length,
+      removedFollowingCount: diff.removedFollowing.length,
+    },
+  };
+}
+
+module.exports = { buildAnalysis, compareAnalyses };
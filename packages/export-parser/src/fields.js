@@ -0,0 +1,69 @@
+// Field extractors for the entry shapes Instagram has used across export
+// versions: string_list_data (older), title + string_list_data (following),
+// label_values (newer) and already-flattened { username, href, timestamp }.
+
+function labelValue(item, label) {
+  if (!Array.isArray(item.label_values)) return null;
+  const entry = item.label_values.find((lv) => lv.label === label);
+  return entry && entry.value ? entry.value : null;
+}
+
+function extractUsername(item) {
+  if (!item || typeof item !== "object") return null;
+  const sld = item.string_list_data && item.string_list_data[0];
+  if (sld && sld.value) return sld.value;
+  if (item.title) return item.title;
+  return labelValue(item, "Username") || item.value || item.username || null;
+}
+
+// Usually Unix seconds
+function extractTimestamp(item) {
+  if (!item || typeof item !== "object") return null;
+  const sld = item.string_list_data && item.string_list_data[0];
+  if (sld && (sld.timestamp || sld.timestamp === 0)) return sld.timestamp;
+  if (item.timestamp || item.timestamp === 0) return item.timestamp;
+  return null;
+}
+
+function extractUrl(item) {
+  if (!item || typeof item !== "object") return null;
+  const sld = item.string_list_data && item.string_list_data[0];
+  if (sld && sld.href) return sld.href;
+  return item.href || labelValue(item, "URL");
+}
+
+function extractDisplayName(item) {
+  if (!item || typeof item !== "object") return null;
+  return labelValue(item, "Name");
+}
+
+/** Instagram marks deleted/deactivated accounts with __deleted__ in username or href. */
+function isDeletedAccount(username, href) {
+  const u = (username || "").toLowerCase();
+  const h = (href || "").toLowerCase();
+  return u.includes("__deleted__") || h.includes("__deleted__");
+}
+
+function filterDeletedAccounts(list) {
+  const active = [];
+  let deletedCount = 0;
+
+  for (const item of list) {
+    if (isDeletedAccount(extractUsername(item), extractUrl(item))) {
+      deletedCount++;
+      continue;
+    }
+    active.push(item);
+  }
+
+  return { active, deletedCount };
+}
+
+module.exports = {
+  extractUsername,
+  extractTimestamp,
+  extractUrl,
+  extractDisplayName,
+  isDeletedAccount,
+  filterDeletedAccounts,
+};
@@ -0,0 +1,232 @@
+// Registry of the export files we know how to read. Each format maps a file
+// to one of the collections in the parsed export:
+//
+//   {
+//     id: "followers",                       unique name, used in diagnostics
+//     target: "followers",                   followers | following | pendingRequests |
+//                                            unfollowedProfiles | relationshipProfiles | interactions
+//     listType: "close_friend",              relationshipProfiles only
+//     interactionType: "like",               interactions only, one of INTERACTION_TYPES
+//     match: (basename, path) => boolean,    both lowercased, with ’ replaced by '
+//     parse: (content) => Array|null,        raw entries, or null when the file isn't usable
+//   }
+
+const { parseHtmlEntries } = require("./html");
+const {
+  INTERACTION_TYPES,
+  titledInteraction,
+  commentInteraction,
+  messageThreadInteractions,
+} = require("./interactions");
+
+const TARGETS = [
+  "followers",
+  "following",
+  "pendingRequests",
+  "unfollowedProfiles",
+  "relationshipProfiles",
+  "interactions",
+];
+
+const RELATIONSHIP_FILES = {
+  "close_friends.json": "close_friend",
+  "blocked_profiles.json": "blocked",
+  "hide_story_from.json": "hidden_story",
+  "restricted_profiles.json": "restricted",
+  "profiles_you've_favorited.json": "favorited",
+  "removed_suggestions.json": "removed_suggestion",
+  "follow_requests_you've_received.json": "received_request",
+  "recent_follow_requests.json": "recent_request",
+};
+
+const formats = [];
+
+/**
+ * Parses JSON content, tolerating text around the JSON value (some exports
+ * wrap it in HTML or a script assignment)
+ */
+function tryParseJson(content) {
+  const s = typeof content === "string" ? content.trim() : "";
+  if (!s) return null;
+
+  const candidates = [s];
+  const start = s.search(/[{[]/);
+  if (start !== -1) {
+    const end = Math.max(s.lastIndexOf("}"), s.lastIndexOf("]"));
+    candidates.push(s.slice(start), s.slice(start, end + 1));
+  }
+  const script = s.match(/<script[^>]*>([\s\S]*?)<\/script>/i);
+  if (script) {
+    // e.g. window._sharedData = { ... };
+    const assigned = script[1].match(/=\s*([{[][\s\S]*[}\]])\s*;?/);
+    if (assigned) candidates.push(assigned[1]);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+// Exports wrap lists in an object keyed by dataset, e.g.
+// { "relationships_following": [...] }. `keys` are tried before falling back
+// to the first array value.
+function entriesOf(data, keys = []) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== "object") return [];
+  for (const key of keys) {
+    const value = key.split(".").reduce((acc, k) => (acc && typeof acc === "object" ? acc[k] : undefined), data);
+    if (Array.isArray(value)) return value;
+  }
+  return Object.values(data).find((v) => Array.isArray(v)) || null;
+}
+
+function jsonFormat(format, keys) {
+  return {
+    ...format,
+    parse: (content) => {
+      const data = tryParseJson(content);
+      if (data === null) return null;
+      return entriesOf(data, keys) || (format.target === "relationshipProfiles" ? [data] : []);
+    },
+  };
+}
+
+const normalizePath = (filename) => filename.toLowerCase().replace(/’/g, "'");
+
+function normalizeBasename(filename) {
+  return normalizePath(filename).split("/").pop();
+}
+
+/**
+ * Adds a format to the registry. Formats registered later take precedence,
+ * so a variant can override a built-in handler for the same file.
+ */
+function registerFormat(format) {
+  if (!format.id || typeof format.match !== "function" || typeof format.parse !== "function") {
+    throw new Error("A format needs an id, a match function and a parse function");
+  }
+  if (!TARGETS.includes(format.target)) {
+    throw new Error(`Unknown format target "${format.target}" for ${format.id}`);
+  }
+  if (format.target === "interactions" && !INTERACTION_TYPES.includes(format.interactionType)) {
+    throw new Error(`Unknown interaction type "${format.interactionType}" for ${format.id}`);
+  }
+  if (formats.some((f) => f.id === format.id)) {
+    throw new Error(`A format with id "${format.id}" is already registered`);
+  }
+  formats.unshift(format);
+  return format;
+}
+
+/** Returns the format that handles a ZIP entry, or null */
+function findFormat(filename) {
+  const path = normalizePath(filename);
+  const basename = path.split("/").pop();
+  return formats.find((f) => f.match(basename, path)) || null;
+}
+
+const listFormats = () => formats.slice();
+
+// Built-in files, matched on the basename without its extension. Each one is
+// registered for both download formats Instagram offers: JSON and HTML.
+const EXPORT_FILES = [
+  { id: "followers", target: "followers", stem: (name) => name.startsWith("followers_") },
+  {
+    id: "following",
+    target: "following",
+    stem: (name) => name === "following",
+    keys: ["relationships_following", "following", "relationships.following"],
+  },
+  {
+    id: "pending_follow_requests",
+    target: "pendingRequests",
+    stem: (name) => name === "pending_follow_requests",
+    keys: ["relationships_follow_requests_sent"],
+  },
+  {
+    id: "recently_unfollowed_profiles",
+    target: "unfollowedProfiles",
+    stem: (name) => name === "recently_unfollowed_profiles",
+    keys: ["relationships_unfollowed_users"],
+  },
+  ...Object.entries(RELATIONSHIP_FILES).map(([file, listType]) => ({
+    id: listType,
+    target: "relationshipProfiles",
+    listType,
+    stem: (name) => `${name}.json` === file,
+  })),
+];
+
+const withExtension = (stem, extension) => (basename) =>
+  basename.endsWith(extension) && stem(basename.slice(0, -extension.length));
+
+for (const { stem, keys, ...format } of EXPORT_FILES) {
+  registerFormat(jsonFormat({ ...format, match: withExtension(stem, ".json") }, keys));
+  registerFormat({ ...format, id: `${format.id}_html`, match: withExtension(stem, ".html"), parse: parseHtmlEntries });
+}
+
+// Activity datasets, read from JSON exports only: the HTML versions don't link
+// the other account's profile.
+function interactionFormat(format, keys, toEntry) {
+  const { parse } = jsonFormat(format, keys);
+  return {
+    ...format,
+    target: "interactions",
+    parse: (content) => {
+      const entries = parse(content);
+      return entries && entries.map((item) => (item && typeof item === "object" ? toEntry(item) : item));
+    },
+  };
+}
+
+registerFormat(
+  interactionFormat(
+    { id: "liked_posts", interactionType: "like", match: (name) => name === "liked_posts.json" },
+    ["likes_media_likes"],
+    titledInteraction
+  )
+);
+registerFormat(
+  interactionFormat(
+    {
+      id: "post_comments",
+      interactionType: "comment",
+      match: (name) => /^(post|reels)_comments(_\d+)?\.json$/.test(name),
+    },
+    ["comments_media_comments", "comments_reels_comments"],
+    commentInteraction
+  )
+);
+registerFormat(
+  interactionFormat(
+    {
+      id: "story_sticker_interactions",
+      interactionType: "story",
+      match: (name, path) => name.endsWith(".json") && path.includes("story_sticker_interactions/"),
+    },
+    [],
+    titledInteraction
+  )
+);
+registerFormat({
+  id: "message_thread",
+  target: "interactions",
+  interactionType: "message",
+  match: (name, path) => /^message_\d+\.json$/.test(name) && path.includes("messages/inbox/"),
+  parse: (content) => messageThreadInteractions(tryParseJson(content)),
+});
+
+module.exports = {
+  RELATIONSHIP_FILES,
+  registerFormat,
+  findFormat,
+  listFormats,
+  normalizeBasename,
+  tryParseJson,
+  entriesOf,
+};
@@ -0,0 +1,81 @@
+// Reader for exports downloaded in HTML format. There is no DOM in Node, so
+// the markup is scanned token by token. Each entry is a profile link, with
+// an optional <h2> username before it (following.html) and a date after it:
+//
+//   <a target="_blank" href="https://www.instagram.com/alice">alice</a>
+//   <div>Jan 05, 2024, 9:41 pm</div>
+
+const TOKEN = /<h2\b[^>]*>([\s\S]*?)<\/h2>|<a\b[^>]*?\bhref\s*=\s*"([^"]*)"[^>]*>([\s\S]*?)<\/a>|>([^<>]+)</gi;
+const PROFILE_URL = /^https?:\/\/(?:www\.)?instagram\.com\/(?:_u\/)?([^/?#]+)/i;
+const USERNAME = /^[A-Za-z0-9._]{1,30}$/;
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+// "Jan 05, 2024, 9:41 pm", "January 5, 2024 21:41"
+const DATE = /\b([A-Za-z]{3})[a-z]*\.? (\d{1,2}), (\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?/i;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const value = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(value) || value > 0x10ffff ? match : String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+const safeDecodeURIComponent = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const textOf = (html) => decodeEntities(html.replace(/<[^>]*>/g, "")).trim();
+
+/** Parses an export date into Unix seconds. The export doesn't say which time zone it uses, so UTC is assumed. */
+function parseExportDate(text) {
+  const match = DATE.exec(text);
+  if (!match) return null;
+  const [, monthName, day, year, hours, minutes, seconds = "0", meridiem] = match;
+  const month = MONTHS.indexOf(monthName.toLowerCase());
+  if (month === -1) return null;
+  let hour = parseInt(hours, 10) % (meridiem ? 12 : 24);
+  if (meridiem && meridiem.toLowerCase() === "pm") hour += 12;
+  return Date.UTC(parseInt(year, 10), month, parseInt(day, 10), hour, parseInt(minutes, 10), parseInt(seconds, 10)) / 1000;
+}
+
+/**
+ * Extracts profile entries from an HTML export page in the same shape the
+ * JSON export uses, so they go through the same normalization
+ * @returns {Array} [{ string_list_data: [{ value, href, timestamp }] }]
+ */
+function parseHtmlEntries(content) {
+  if (typeof content !== "string" || !/<a\b/i.test(content)) return null;
+
+  const entries = [];
+  let title = null;
+  let current = null;
+  for (const [, heading, href, anchorHtml, text] of content.matchAll(TOKEN)) {
+    if (heading !== undefined) {
+      title = textOf(heading);
+    } else if (href !== undefined) {
+      const url = decodeEntities(href);
+      const profile = PROFILE_URL.exec(url);
+      if (!profile) continue;
+      const anchorText = textOf(anchorHtml);
+      // followers pages put the username in the link, following.html in the heading above it
+      const username = [anchorText, title, safeDecodeURIComponent(profile[1])].find((u) => u && USERNAME.test(u));
+      title = null;
+      if (!username) continue;
+      current = { value: username, href: url, timestamp: null };
+      entries.push({ string_list_data: [current] });
+    } else if (current && current.timestamp === null) {
+      current.timestamp = parseExportDate(decodeEntities(text));
+    }
+  }
+  return entries;
+}
+
+module.exports = { parseHtmlEntries, parseExportDate };
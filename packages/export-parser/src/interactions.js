@@ -0,0 +1,101 @@
+// Entry readers for the activity datasets that say who you interact with:
+// liked posts, comments, story sticker interactions and message threads. Each
+// turns a raw entry into a flattened { username, timestamp, count } entry;
+// processFile stores them as interaction records and finalizeExport sums them
+// per username.
+
+const INTERACTION_TYPES = ["like", "comment", "story", "message"];
+
+// Newer exports nest labelled values, e.g. { label: "Owner", dict: [{ dict: [{ label: "Username", value }] }] }
+function findLabel(node, label) {
+  if (!node || typeof node !== "object") return null;
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const value = findLabel(child, label);
+      if (value) return value;
+    }
+    return null;
+  }
+  if (node.label === label && typeof node.value === "string" && node.value) return node.value;
+  return findLabel(node.label_values, label) || findLabel(node.dict, label);
+}
+
+// Likes and story interactions: { title: username, string_list_data: [{ value, timestamp }] }.
+// The value is the reaction or answer, never the username.
+function titledInteraction(item) {
+  const sld = Array.isArray(item.string_list_data) ? item.string_list_data[0] : null;
+  return {
+    username: item.title || findLabel(item, "Username"),
+    timestamp: (sld && sld.timestamp) || item.timestamp || null,
+  };
+}
+
+// { string_map_data: { Comment: { value }, "Media Owner": { value }, Time: { timestamp } } }
+function commentInteraction(item) {
+  const fields = item.string_map_data || {};
+  return {
+    username: (fields["Media Owner"] && fields["Media Owner"].value) || findLabel(item, "Media Owner"),
+    timestamp: (fields.Time && fields.Time.timestamp) || item.timestamp || null,
+  };
+}
+
+// A thread folder is named after the other participant's username plus a
+// numeric ID, e.g. inbox/jane.doe_1234567890. Participants are only listed by
+// display name, so group threads can't be attributed and are skipped.
+function messageThreadInteractions(data) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.messages)) return null;
+  if (!Array.isArray(data.participants) || data.participants.length !== 2) return [];
+
+  const folder = String(data.thread_path || "").split("/").pop();
+  const username = folder.replace(/_\d+$/, "");
+  const latest = data.messages.reduce((max, m) => Math.max(max, (m && m.timestamp_ms) || 0), 0);
+  return [
+    {
+      username: username !== folder ? username : null,
+      timestamp: latest ? Math.floor(latest / 1000) : null,
+      count: data.messages.length,
+    },
+  ];
+}
+
+/**
+ * Sums interaction records per username and type, keeping the latest timestamp
+ * @param {Array} records - { username, type, count, timestamp }
+ * @returns {Array} One record per username and type
+ */
+function aggregateInteractions(records) {
+  const totals = new Map();
+  for (const { username, type, count, timestamp } of records) {
+    const key = `${type}:${username}`;
+    const total = totals.get(key);
+    if (!total) {
+      totals.set(key, { username, type, count, timestamp });
+    } else {
+      total.count += count;
+      if (timestamp && (!total.timestamp || timestamp > total.timestamp)) total.timestamp = timestamp;
+    }
+  }
+  return Array.from(totals.values());
+}
+
+/**
+ * Interaction counts per username, e.g. { "jane.doe": { like: 12, message: 40 } }.
+ * Types without interactions are left out.
+ */
+function countInteractions(interactions) {
+  const counts = {};
+  for (const { username, type, count } of interactions || []) {
+    if (!counts[username]) counts[username] = {};
+    counts[username][type] = (counts[username][type] || 0) + count;
+  }
+  return counts;
+}
+
+module.exports = {
+  INTERACTION_TYPES,
+  titledInteraction,
+  commentInteraction,
+  messageThreadInteractions,
+  aggregateInteractions,
+  countInteractions,
+};
@@ -0,0 +1,195 @@
+const { findFormat } = require("./formats");
+const {
+  extractUsername,
+  extractTimestamp,
+  extractUrl,
+  extractDisplayName,
+  isDeletedAccount,
+  filterDeletedAccounts,
+} = require("./fields");
+const { reportParsedFile, reportUnrecognisedFile, summarizeReport } = require("./report");
+const { aggregateInteractions } = require("./interactions");
+
+class ExportFormatError extends Error {
+  constructor(message, report = null) {
+    super(message);
+    this.name = "ExportFormatError";
+    this.report = report;
+  }
+}
+
+const createExportData = () => ({
+  followers: [],
+  following: [],
+  pendingRequests: [],
+  unfollowedProfiles: [],
+  relationshipProfiles: [],
+  interactions: [],
+});
+
+/** Whether a ZIP entry is handled by a registered format, so callers can skip reading the rest */
+const isRecognisedFile = (filename) => findFormat(filename) !== null;
+
+// Followers, following and pending requests keep their raw entries so
+// normalization and the analysis can read any field; the other collections
+// are stored as records.
+function toRecord(format, item) {
+  if (format.target === "unfollowedProfiles") {
+    return { username: extractUsername(item), href: extractUrl(item), timestamp: extractTimestamp(item) };
+  }
+  if (format.target === "relationshipProfiles") {
+    return {
+      username: extractUsername(item),
+      displayName: extractDisplayName(item),
+      listType: format.listType,
+      profileUrl: extractUrl(item),
+      fbid: item.fbid || null,
+      timestamp: extractTimestamp(item),
+    };
+  }
+  if (format.target === "interactions") {
+    return {
+      username: extractUsername(item),
+      type: format.interactionType,
+      count: item.count || 1,
+      timestamp: extractTimestamp(item),
+    };
+  }
+  return item;
+}
+
+/**
+ * Parses one file from an export into `out`
+ * @param {string} filename - Path of the entry inside the ZIP
+ * @param {string} content - Entry contents
+ * @param {Object} out - Collections from createExportData
+ * @param {Object} [options] - { report, size }: pass a report from createExportReport to record diagnostics
+ * @returns {Object|null} { format, added } or null when no format handles the file
+ */
+function processFile(filename, content, out, { report = null, size = null } = {}) {
+  const format = findFormat(filename);
+  if (!format) {
+    if (report) reportUnrecognisedFile(report, filename, { size, content });
+    return null;
+  }
+
+  const entries = format.parse(content);
+  const records = [];
+  const rejections = [];
+  (entries || []).forEach((item, index) => {
+    if (!item || typeof item !== "object") rejections.push({ index, reason: "not_an_object" });
+    else if (!extractUsername(item)) rejections.push({ index, reason: "missing_username" });
+    else records.push(toRecord(format, item));
+  });
+  out[format.target].push(...records);
+
+  if (report) {
+    reportParsedFile(report, filename, { size, format, parsed: entries !== null, records: records.length, rejections });
+  }
+  return { format, added: records.length };
+}
+
+// Several files may hold fragments of the same list: keep the earliest entry
+// per username and sort by timestamp so the result is deterministic
+function normalizeList(list) {
+  const seen = new Map();
+  for (const item of list) {
+    const username = extractUsername(item);
+    if (!username) continue;
+    const timestamp = extractTimestamp(item) || 0;
+    if (!seen.has(username) || seen.get(username).timestamp > timestamp) {
+      seen.set(username, { item, timestamp });
+    }
+  }
+  return Array.from(seen.values())
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((v) => v.item);
+}
+
+/**
+ * Deduplicates the collected lists and removes deleted accounts
+ * @param {Object} out - Collections filled by processFile
+ * @param {Object} [report] - Report passed to processFile, completed with normalization counts and totals
+ * @returns {Object} The collections, with interactions summed per username and type, plus export and deleted counts
+ * @throws {ExportFormatError} When the export contains no relationship data
+ */
+function finalizeExport(out, report = null) {
+  const followers = normalizeList(out.followers);
+  const following = normalizeList(out.following);
+  const followersFiltered = filterDeletedAccounts(followers);
+  const followingFiltered = filterDeletedAccounts(following);
+  const pendingRequests = normalizeList(out.pendingRequests);
+  const unfollowedProfiles = out.unfollowedProfiles.filter((p) => !isDeletedAccount(p.username, p.href));
+
+  const data = {
+    followers: followersFiltered.active,
+    following: followingFiltered.active,
+    pendingRequests,
+    unfollowedProfiles,
+    relationshipProfiles: out.relationshipProfiles,
+    interactions: aggregateInteractions(out.interactions.filter((i) => !isDeletedAccount(i.username))),
+    exportFollowersCount: followers.length,
+    exportFollowingCount: following.length,
+    deletedFollowersCount: followersFiltered.deletedCount,
+    deletedFollowingCount: followingFiltered.deletedCount,
+  };
+
+  if (report) {
+    summarizeReport(report, {
+      followers: {
+        entries: out.followers.length,
+        duplicates: out.followers.length - followers.length,
+        deleted: followersFiltered.deletedCount,
+      },
+      following: {
+        entries: out.following.length,
+        duplicates: out.following.length - following.length,
+        deleted: followingFiltered.deletedCount,
+      },
+      pendingRequests: {
+        entries: out.pendingRequests.length,
+        duplicates: out.pendingRequests.length - pendingRequests.length,
+        deleted: 0,
+      },
+      unfollowedProfiles: {
+        entries: out.unfollowedProfiles.length,
+        duplicates: 0,
+        deleted: out.unfollowedProfiles.length - unfollowedProfiles.length,
+      },
+    });
+  }
+
+  if (
+    !data.followers.length &&
+    !data.following.length &&
+    !data.pendingRequests.length &&
+    !data.relationshipProfiles.length
+  ) {
+    throw new ExportFormatError(
+      "No valid Instagram data found in the export. Make sure you exported 'Followers and Following' in JSON or HTML format.",
+      report
+    );
+  }
+  return data;
+}
+
+/** Flattens an entry into the user record stored per relationship category */
+function toUserRecord(item) {
+  const username = extractUsername(item);
+  return {
+    value: username,
+    username,
+    href: extractUrl(item),
+    timestamp: extractTimestamp(item),
+  };
+}
+
+module.exports = {
+  ExportFormatError,
+  createExportData,
+  isRecognisedFile,
+  processFile,
+  normalizeList,
+  finalizeExport,
+  toUserRecord,
+};
@@ -0,0 +1,137 @@
+// Diagnostics for a parsed export: what every file in the ZIP was matched to,
+// how many records it produced, which records were rejected and why, and
+// which unrecognised files look like relationship data. Meant to catch
+// format drift in Instagram exports quickly.
+
+const { tryParseJson, entriesOf } = require("./formats");
+const { parseHtmlEntries } = require("./html");
+const { extractUsername } = require("./fields");
+
+// Keeps reports small enough to store with an analysis. Only ignored files are
+// capped; every file a handler matched or that looks like relationship data is listed.
+const MAX_IGNORED_FILES = 500;
+const MAX_REJECTION_SAMPLES = 5;
+// Unrecognised JSON and HTML files up to this size are checked for relationship data
+const MAX_INSPECTED_BYTES = 5 * 1024 * 1024;
+
+const REJECTION_REASONS = {
+  not_an_object: "Entry is not an object",
+  missing_username: "No username found in the entry",
+};
+
+const createExportReport = () => ({
+  files: [],
+  omittedFiles: 0,
+  normalization: null,
+  totals: null,
+});
+
+function addFile(report, entry) {
+  if (entry.status === "ignored" && report.files.filter((f) => f.status === "ignored").length >= MAX_IGNORED_FILES) {
+    report.omittedFiles++;
+    return;
+  }
+  report.files.push({
+    name: entry.name,
+    size: entry.size ?? null,
+    status: entry.status,
+    handler: entry.handler || null,
+    records: entry.records || 0,
+    rejected: entry.rejected || 0,
+    rejections: entry.rejections || {},
+    samples: entry.samples || [],
+    message: entry.message || null,
+  });
+}
+
+/** Whether an unrecognised entry is worth reading to check for relationship data */
+function shouldInspectFile(filename, size = null) {
+  return /\.(json|html)$/i.test(filename) && (size === null || size <= MAX_INSPECTED_BYTES);
+}
+
+// Counts entries that have the shape of a relationship list entry
+function relationshipLikeEntries(filename, content) {
+  if (/\.html$/i.test(filename)) return (parseHtmlEntries(content) || []).length;
+  const entries = entriesOf(tryParseJson(content)) || [];
+  return entries.filter(
+    (item) =>
+      item &&
+      typeof item === "object" &&
+      (Array.isArray(item.string_list_data) || Array.isArray(item.label_values)) &&
+      extractUsername(item)
+  ).length;
+}
+
+/**
+ * Records a ZIP entry that no format handles. When the content is given it is
+ * checked for relationship-like entries.
+ */
+function reportUnrecognisedFile(report, filename, { size = null, content = null } = {}) {
+  const lookalikes = content === null ? 0 : relationshipLikeEntries(filename, content);
+  if (lookalikes > 0) {
+    addFile(report, {
+      name: filename,
+      size,
+      status: "unrecognised",
+      records: lookalikes,
+      message: "Looks like relationship data, but no handler matched this file",
+    });
+  } else {
+    addFile(report, { name: filename, size, status: "ignored" });
+  }
+}
+
+function reportParsedFile(report, filename, { size = null, format, parsed, records, rejections }) {
+  const counts = {};
+  for (const { reason } of rejections) counts[reason] = (counts[reason] || 0) + 1;
+  addFile(report, {
+    name: filename,
+    size,
+    status: parsed ? "parsed" : "unreadable",
+    handler: format.id,
+    records,
+    rejected: rejections.length,
+    rejections: counts,
+    samples: rejections.slice(0, MAX_REJECTION_SAMPLES).map(({ index, reason }) => ({
+      index,
+      reason: REJECTION_REASONS[reason],
+    })),
+    message: parsed ? null : "The file matched a handler but its contents could not be parsed",
+  });
+}
+
+/** Records a ZIP entry that could not be read */
+function reportFileError(report, filename, error, { size = null } = {}) {
+  addFile(report, { name: filename, size, status: "failed", message: error.message || String(error) });
+}
+
+// Files are recorded as they finish reading; list the interesting ones first
+const STATUS_ORDER = ["unrecognised", "failed", "unreadable", "parsed", "ignored"];
+
+function summarizeReport(report, normalization) {
+  report.files.sort(
+    (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.name.localeCompare(b.name)
+  );
+  report.normalization = normalization;
+  const count = (status) => report.files.filter((f) => f.status === status).length;
+  report.totals = {
+    files: report.files.length + report.omittedFiles,
+    parsed: count("parsed"),
+    unreadable: count("unreadable"),
+    unrecognised: count("unrecognised"),
+    failed: count("failed"),
+    records: report.files.reduce((sum, f) => sum + (f.status === "parsed" ? f.records : 0), 0),
+    rejected: report.files.reduce((sum, f) => sum + f.rejected, 0),
+  };
+  return report;
+}
+
+module.exports = {
+  REJECTION_REASONS,
+  createExportReport,
+  shouldInspectFile,
+  reportUnrecognisedFile,
+  reportParsedFile,
+  reportFileError,
+  summarizeReport,
+};
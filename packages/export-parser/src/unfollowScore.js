@@ -0,0 +1,107 @@
+// Scores accounts you follow that don't follow you back: the higher the score,
+// the stronger the case for unfollowing. The backend and the in-browser
+// analyzer gather the signals differently but score them here, so a tuned set
+// of weights means the same thing everywhere.
+//
+// Signals for one candidate:
+//   {
+//     followAgeDays: 420,                    days between the follow and the export, or null
+//     formerFollower: true,                  followed you in an earlier snapshot, or null when unknown
+//     lists: ["close_friend"],               relationship lists the account is on
+//     tags: ["keep"],                        annotation tags
+//     interactions: { like: 3 },             counts per type, or null when the export has no activity data
+//   }
+
+// Points per factor. Positive factors add to the score, protective ones subtract.
+const UNFOLLOW_SCORE_WEIGHTS = {
+  followAge: 30, // scaled up to FULL_FOLLOW_AGE_DAYS
+  formerFollower: 25, // they used to follow you back
+  noInteractions: 25, // divided by 1 + the number of interactions
+  closeFriend: 40,
+  favorited: 30,
+  keepTag: 100,
+};
+
+const DEFAULT_KEEP_TAGS = ["keep"];
+const FULL_FOLLOW_AGE_DAYS = 730;
+
+const formatAge = (days) => {
+  if (days >= 365) return `${Math.floor(days / 365)} year${days >= 730 ? "s" : ""}`;
+  if (days >= 30) return `${Math.floor(days / 30)} month${days >= 60 ? "s" : ""}`;
+  return `${days} day${days === 1 ? "" : "s"}`;
+};
+
+/**
+ * Reads weights from untrusted input (e.g. query parameters), falling back to
+ * the defaults for anything missing or not a number between 0 and 100
+ */
+function normalizeWeights(input = {}) {
+  const weights = {};
+  for (const [factor, fallback] of Object.entries(UNFOLLOW_SCORE_WEIGHTS)) {
+    const value = Number(input[factor]);
+    weights[factor] = input[factor] !== undefined && input[factor] !== "" && value >= 0 && value <= 100 ? value : fallback;
+  }
+  return weights;
+}
+
+/**
+ * @param {Object} signals - See the top of this file
+ * @param {Object} [options] - { weights, keepTags }
+ * @returns {{ score: number, reasons: Array<{ factor: string, points: number, detail: string }> }}
+ */
+function scoreUnfollowCandidate(signals, { weights = UNFOLLOW_SCORE_WEIGHTS, keepTags = DEFAULT_KEEP_TAGS } = {}) {
+  const reasons = [];
+  const add = (factor, points, detail) => {
+    if (weights[factor] > 0) reasons.push({ factor, points: Math.round(points), detail });
+  };
+
+  if (signals.followAgeDays !== null && signals.followAgeDays !== undefined) {
+    const days = Math.max(0, Math.floor(signals.followAgeDays));
+    add("followAge", weights.followAge * Math.min(days / FULL_FOLLOW_AGE_DAYS, 1), `Followed ${formatAge(days)} ago`);
+  }
+  if (signals.formerFollower) {
+    add("formerFollower", weights.formerFollower, "Followed you in an earlier snapshot but stopped");
+  }
+  if (signals.interactions) {
+    const total = Object.values(signals.interactions).reduce((sum, count) => sum + count, 0);
+    // Full points without interactions; 1 interaction halves them, 3 quarter them
+    add(
+      "noInteractions",
+      weights.noInteractions / (1 + total),
+      total ? `${total} interaction${total === 1 ? "" : "s"} in this export` : "No interactions in this export"
+    );
+  }
+
+  const lists = signals.lists || [];
+  if (lists.includes("close_friend")) add("closeFriend", -weights.closeFriend, "On your close friends list");
+  if (lists.includes("favorited")) add("favorited", -weights.favorited, "On your favorites");
+
+  const keep = new Set(keepTags.map((t) => t.toLowerCase()));
+  const keptBy = (signals.tags || []).find((t) => keep.has(String(t).toLowerCase()));
+  if (keptBy) add("keepTag", -weights.keepTag, `Tagged "${keptBy}"`);
+
+  return { score: reasons.reduce((sum, r) => sum + r.points, 0), reasons };
+}
+
+/**
+ * Scores candidates and sorts them highest score first, then longest followed
+ * @param {Array} candidates - Objects with `username` and `signals`
+ */
+function rankUnfollowCandidates(candidates, options) {
+  return candidates
+    .map((candidate) => ({ ...candidate, ...scoreUnfollowCandidate(candidate.signals, options) }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.signals.followAgeDays ?? -1) - (a.signals.followAgeDays ?? -1) ||
+        a.username.localeCompare(b.username)
+    );
+}
+
+module.exports = {
+  UNFOLLOW_SCORE_WEIGHTS,
+  DEFAULT_KEEP_TAGS,
+  normalizeWeights,
+  scoreUnfollowCandidate,
+  rankUnfollowCandidates,
+};
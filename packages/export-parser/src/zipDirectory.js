@@ -0,0 +1,104 @@
+// Lists a ZIP archive's entries from its central directory, so callers know
+// every entry's size before reading any file data. Supports ZIP64 archives.
+// Works on anything that can read a byte range: a Blob in the browser, a file
+// handle in Node.
+
+const EOCD_SIG = 0x06054b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const ZIP64_EOCD_SIG = 0x06064b50;
+const CENTRAL_ENTRY_SIG = 0x02014b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+function getUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+async function findEndOfCentralDirectory(size, readBytes) {
+  const tailSize = Math.min(size, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+  const tailStart = size - tailSize;
+  const tail = await readBytes(tailStart, tailSize);
+
+  for (let i = tailSize - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) !== EOCD_SIG) continue;
+
+    let entryCount = tail.getUint16(i + 10, true);
+    let directorySize = tail.getUint32(i + 12, true);
+    let offset = tail.getUint32(i + 16, true);
+
+    const locatorPos = tailStart + i - 20;
+    if (locatorPos >= 0) {
+      const locator = await readBytes(locatorPos, 20);
+      if (locator.getUint32(0, true) === ZIP64_LOCATOR_SIG) {
+        const zip64 = await readBytes(getUint64(locator, 8), 56);
+        if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIG) {
+          throw new Error("Corrupt ZIP64 archive");
+        }
+        entryCount = getUint64(zip64, 32);
+        directorySize = getUint64(zip64, 40);
+        offset = getUint64(zip64, 48);
+      }
+    }
+
+    return { entryCount, size: directorySize, offset };
+  }
+
+  throw new Error("This file is not a valid ZIP archive");
+}
+
+function applyZip64Extra(view, start, length, entry) {
+  let pos = start;
+  while (pos + 4 <= start + length) {
+    const id = view.getUint16(pos, true);
+    const size = view.getUint16(pos + 2, true);
+    if (id === 0x0001) {
+      let field = pos + 4;
+      if (entry.uncompressedSize === 0xffffffff) { entry.uncompressedSize = getUint64(view, field); field += 8; }
+      if (entry.compressedSize === 0xffffffff) { entry.compressedSize = getUint64(view, field); field += 8; }
+      if (entry.localHeaderOffset === 0xffffffff) { entry.localHeaderOffset = getUint64(view, field); }
+      return;
+    }
+    pos += 4 + size;
+  }
+}
+
+/**
+ * Lists every file entry in an archive without reading any file data
+ * @param {number} size - Size of the archive in bytes
+ * @param {Function} readBytes - (start, length) => Promise<DataView> over that range of the archive
+ * @returns {Promise<Array>} { name, method, compressedSize, uncompressedSize, localHeaderOffset, encrypted }
+ */
+async function readZipDirectory(size, readBytes) {
+  const eocd = await findEndOfCentralDirectory(size, readBytes);
+  const view = await readBytes(eocd.offset, eocd.size);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  let pos = 0;
+  for (let n = 0; n < eocd.entryCount && pos + 46 <= view.byteLength; n++) {
+    if (view.getUint32(pos, true) !== CENTRAL_ENTRY_SIG) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength));
+
+    const entry = {
+      name,
+      method: view.getUint16(pos + 10, true),
+      encrypted: (view.getUint16(pos + 8, true) & 0x1) !== 0,
+      compressedSize: view.getUint32(pos + 20, true),
+      uncompressedSize: view.getUint32(pos + 24, true),
+      localHeaderOffset: view.getUint32(pos + 42, true),
+    };
+    applyZip64Extra(view, pos + 46 + nameLength, extraLength, entry);
+
+    if (!name.endsWith("/")) entries.push(entry);
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+module.exports = { readZipDirectory };
@@ -0,0 +1,69 @@
+// Export variants shared by the parser's consumers' test suites. Each
+// directory under fixtures/ holds the files of one export, laid out as they
+// are inside the ZIP, next to expected.json: the analysis every consumer must
+// produce from it.
+
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const EXPECTED_FILE = "expected.json";
+
+function listFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), name) : [name];
+  });
+}
+
+/** @returns {Array} [{ name, files: [{ name, content: Buffer }], expected }] */
+function loadFixtures() {
+  return fs
+    .readdirSync(FIXTURES_DIR)
+    .sort()
+    .map((name) => {
+      const dir = path.join(FIXTURES_DIR, name);
+      return {
+        name,
+        files: listFiles(dir)
+          .filter((file) => file !== EXPECTED_FILE)
+          .map((file) => ({ name: file, content: fs.readFileSync(path.join(dir, file)) })),
+        expected: JSON.parse(fs.readFileSync(path.join(dir, EXPECTED_FILE), "utf8")),
+      };
+    });
+}
+
+// Takes the caller's JSZip: the package itself has no dependencies
+async function zipFixture(JSZip, fixture) {
+  const zip = new JSZip();
+  for (const file of fixture.files) zip.file(file.name, file.content);
+  return zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+}
+
+const sorted = (list, key) => [...list].sort((a, b) => key(a).localeCompare(key(b)));
+
+/**
+ * The parts of a buildAnalysis result that describe the export, in an order
+ * that doesn't depend on the order the consumer read the files in
+ */
+function describeAnalysis(analysis) {
+  const byUsername = (list) => sorted(list, (item) => item.username);
+  return {
+    summary: analysis.summary,
+    mutual: byUsername(analysis.mutual),
+    followersOnly: byUsername(analysis.followersOnly),
+    followingOnly: byUsername(analysis.followingOnly),
+    pendingRequests: byUsername(analysis.pendingRequests),
+    unfollowedProfiles: byUsername(analysis.unfollowedProfiles),
+    relationshipProfiles: sorted(analysis.relationshipProfiles, (p) => `${p.listType}/${p.username}`),
+  };
+}
+
+// How the report saw each file, e.g. "following.json: parsed"
+const fileStatuses = (report) => report.files.map((file) => `${file.name}: ${file.status}`).sort();
+
+// The size the report gives each file, e.g. "following.json: 312", and the sizes it should give
+const fileSizes = (report) => report.files.map((file) => `${file.name}: ${file.size}`).sort();
+const fixtureSizes = (fixture) => fixture.files.map((file) => `${file.name}: ${file.content.length}`).sort();
+
+module.exports = { FIXTURES_DIR, loadFixtures, zipFixture, describeAnalysis, fileStatuses, fileSizes, fixtureSizes };